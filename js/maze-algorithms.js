@@ -0,0 +1,556 @@
+/**
+ * MazeAlgorithms - Registry of named maze generation algorithms
+ *
+ * Every algorithm carves a perfect maze (exactly one route between any two cells)
+ * into a freshly initialized Maze grid. Randomness comes exclusively from the
+ * maze's seeded rng, so a seed plus an algorithm name always rebuilds the same
+ * maze. The output uses the standard cell/wall model, so the difficulty scorer,
+ * renderer and PathManager work on it unchanged. Algorithms that only walk
+ * maze.getNeighbors run on every topology; row/column-based ones declare the
+ * topologies they support, and those that sweep whole rows cannot carve
+ * shaped mazes (see MazeShapes). Weave crossings are tunnelled in after carving
+ * (see Maze.addCrossings), so every algorithm can carve a weave maze.
+ */
+const MazeAlgorithms = (function() {
+    const DEFAULT_ALGORITHM = 'backtracker';
+
+    // Registered algorithms keyed by their URL-safe name
+    const _algorithms = {};
+
+    /**
+     * Registers a generation algorithm under a URL-safe name
+     * @param {string} name - Identifier used in the URL hash and picker
+     * @param {Object} definition - { label, generate(maze), topologies?, shapes? }
+     *   topologies lists the grid layouts the algorithm can carve; omit it for
+     *   algorithms that only walk neighbors and so work on any topology.
+     *   shapes: false marks algorithms that need the full rectangle of cells
+     */
+    function register(name, definition) {
+        _algorithms[name] = { name, ...definition };
+    }
+
+    /**
+     * Looks up an algorithm by name
+     * @param {string} name - Algorithm identifier
+     * @returns {Object|null} Algorithm definition or null if unknown
+     */
+    function get(name) {
+        return _algorithms[name] || null;
+    }
+
+    /**
+     * Checks whether an algorithm name is registered
+     */
+    function has(name) {
+        return Object.prototype.hasOwnProperty.call(_algorithms, name);
+    }
+
+    /**
+     * Checks whether an algorithm can carve mazes on the given topology
+     * @param {string} name - Algorithm identifier
+     * @param {string} topology - Topology identifier (square/hex/theta/layered/weave)
+     * @param {boolean} shaped - Whether the maze is masked to a shape
+     */
+    function supports(name, topology, shaped = false) {
+        const algorithm = get(name);
+        return !!algorithm &&
+            (!algorithm.topologies || algorithm.topologies.includes(topology)) &&
+            !(shaped && algorithm.shapes === false);
+    }
+
+    /**
+     * Returns all registered algorithms in registration order
+     * @param {string} topology - Optional topology used to mark unsupported entries
+     * @param {boolean} shaped - Whether unsupported entries include those that cannot carve shapes
+     * @returns {Array} Array of { name, label, supported } entries for building pickers
+     */
+    function list(topology, shaped = false) {
+        return Object.values(_algorithms).map(({ name, label }) => ({
+            name,
+            label,
+            supported: !topology || supports(name, topology, shaped)
+        }));
+    }
+
+    /**
+     * Runs the named algorithm on a maze, falling back to the default when the
+     * name is unknown or the algorithm does not support the maze's topology or shape
+     * @param {Maze} maze - Maze with an initialized grid and seeded rng
+     * @param {string} name - Algorithm identifier
+     */
+    function carve(maze, name) {
+        const algorithm = supports(name, maze.topology, maze.shaped) ? get(name) : get(DEFAULT_ALGORITHM);
+        algorithm.generate(maze);
+
+        // Every cell is part of the maze once carving completes
+        forEachCell(maze, cell => { cell.visited = true; });
+    }
+
+    // Shared helpers for algorithm implementations
+
+    // Visits every enabled cell in row-major order
+    function forEachCell(maze, fn) {
+        maze.forEachCell(fn);
+    }
+
+    // Picks a uniformly random element using the maze's seeded rng
+    function pick(maze, items) {
+        return items[maze.randomInt(0, items.length - 1)];
+    }
+
+    // Fisher-Yates shuffle in place using the maze's seeded rng
+    function shuffle(maze, items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = maze.randomInt(0, i);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    // Returns a random cell from anywhere in the maze
+    function randomCell(maze) {
+        return maze.getRandomCell();
+    }
+
+    // Connects two adjacent cells by removing the wall between them
+    function link(maze, cell, neighbor, direction) {
+        MazeApp.WallManager.removeWalls(maze, cell, neighbor, direction);
+    }
+
+    /**
+     * Recursive backtracker (depth-first search)
+     * The original generator: long winding corridors with few, long dead ends
+     */
+    register('backtracker', {
+        label: 'Backtracker',
+        generate(maze) {
+            maze.carveBacktracker();
+        }
+    });
+
+    /**
+     * Randomized Kruskal's algorithm
+     * Shuffles every interior wall and removes it when it joins two separate sets
+     */
+    register('kruskal', {
+        label: 'Kruskal',
+        generate(maze) {
+            // Number cells in row-major order for union-find (rows may differ in length)
+            const indices = new Map();
+            forEachCell(maze, cell => indices.set(cell, indices.size));
+            const indexOf = (cell) => indices.get(cell);
+
+            // Union-find over cell indices
+            const parent = new Array(indices.size);
+            for (let i = 0; i < parent.length; i++) parent[i] = i;
+
+            const find = (i) => {
+                while (parent[i] !== i) {
+                    parent[i] = parent[parent[i]];
+                    i = parent[i];
+                }
+                return i;
+            };
+
+            // Collect each interior wall once, from the cell that comes first
+            // (east and south of every cell on a square grid)
+            const edges = [];
+            forEachCell(maze, cell => {
+                maze.getNeighbors(cell).forEach(({ neighbor, direction }) => {
+                    if (indexOf(neighbor) > indexOf(cell)) edges.push({ cell, neighbor, direction });
+                });
+            });
+            shuffle(maze, edges);
+
+            for (const { cell, neighbor, direction } of edges) {
+                const rootA = find(indexOf(cell));
+                const rootB = find(indexOf(neighbor));
+
+                if (rootA !== rootB) {
+                    parent[rootA] = rootB;
+                    link(maze, cell, neighbor, direction);
+                }
+            }
+        }
+    });
+
+    /**
+     * Randomized Prim's algorithm
+     * Grows the maze outward from a single cell via a random frontier cell each step
+     */
+    register('prim', {
+        label: 'Prim',
+        generate(maze) {
+            const frontier = [];
+            const inFrontier = new Set();
+
+            const addFrontier = (cell) => {
+                maze.getNeighbors(cell).forEach(({ neighbor }) => {
+                    const key = `${neighbor.row},${neighbor.col}`;
+                    if (!neighbor.visited && !inFrontier.has(key)) {
+                        inFrontier.add(key);
+                        frontier.push(neighbor);
+                    }
+                });
+            };
+
+            const start = randomCell(maze);
+            start.visited = true;
+            addFrontier(start);
+
+            while (frontier.length > 0) {
+                // Swap-remove a random frontier cell
+                const index = maze.randomInt(0, frontier.length - 1);
+                const cell = frontier[index];
+                frontier[index] = frontier[frontier.length - 1];
+                frontier.pop();
+
+                // Attach it to a random neighbor that is already part of the maze
+                const inMaze = maze.getNeighbors(cell).filter(({ neighbor }) => neighbor.visited);
+                const { neighbor, direction } = pick(maze, inMaze);
+                link(maze, cell, neighbor, direction);
+
+                cell.visited = true;
+                addFrontier(cell);
+            }
+        }
+    });
+
+    /**
+     * Wilson's algorithm
+     * Loop-erased random walks produce a uniform spanning tree (unbiased maze)
+     */
+    register('wilson', {
+        label: 'Wilson',
+        generate(maze) {
+            const cells = [];
+            forEachCell(maze, cell => cells.push(cell));
+
+            // Seed the tree with one random cell
+            const first = randomCell(maze);
+            first.visited = true;
+            let remaining = cells.length - 1;
+
+            while (remaining > 0) {
+                // Start a walk from a random cell outside the tree
+                let start;
+                do {
+                    start = pick(maze, cells);
+                } while (start.visited);
+
+                // Walk until the tree is hit, remembering the last exit direction per cell
+                // Overwriting the exit direction erases any loops the walk made
+                const exits = new Map();
+                let cell = start;
+                while (!cell.visited) {
+                    const step = pick(maze, maze.getNeighbors(cell));
+                    exits.set(cell, step);
+                    cell = step.neighbor;
+                }
+
+                // Retrace the loop-erased path and add it to the tree
+                cell = start;
+                while (!cell.visited) {
+                    const { neighbor, direction } = exits.get(cell);
+                    link(maze, cell, neighbor, direction);
+                    cell.visited = true;
+                    remaining--;
+                    cell = neighbor;
+                }
+            }
+        }
+    });
+
+    /**
+     * Aldous-Broder algorithm
+     * A pure random walk that carves into every cell on its first visit (uniform, but slow)
+     */
+    register('aldous-broder', {
+        label: 'Aldous-Broder',
+        generate(maze) {
+            let cell = randomCell(maze);
+            cell.visited = true;
+            let remaining = maze.getCellCount() - 1;
+
+            while (remaining > 0) {
+                const { neighbor, direction } = pick(maze, maze.getNeighbors(cell));
+                if (!neighbor.visited) {
+                    link(maze, cell, neighbor, direction);
+                    neighbor.visited = true;
+                    remaining--;
+                }
+                cell = neighbor;
+            }
+        }
+    });
+
+    /**
+     * Eller's algorithm
+     * Builds the maze one row at a time, tracking connected sets between rows
+     */
+    register('eller', {
+        label: 'Eller',
+        topologies: ['square', 'weave'],
+        shapes: false,
+        generate(maze) {
+            let sets = new Array(maze.width).fill(0);
+            let nextSet = 1;
+
+            for (let row = 0; row < maze.height; row++) {
+                const isLastRow = row === maze.height - 1;
+
+                // Cells not carried down from the previous row start in their own set
+                for (let col = 0; col < maze.width; col++) {
+                    if (!sets[col]) sets[col] = nextSet++;
+                }
+
+                // Randomly join adjacent cells in different sets (always on the last row)
+                for (let col = 0; col < maze.width - 1; col++) {
+                    if (sets[col] === sets[col + 1]) continue;
+                    if (!isLastRow && maze.rng() < 0.5) continue;
+
+                    link(maze, maze.grid[row][col], maze.grid[row][col + 1], 'east');
+                    const absorbed = sets[col + 1];
+                    for (let i = 0; i < maze.width; i++) {
+                        if (sets[i] === absorbed) sets[i] = sets[col];
+                    }
+                }
+
+                if (isLastRow) break;
+
+                // Each set must extend at least one passage into the next row
+                const members = {};
+                for (let col = 0; col < maze.width; col++) {
+                    (members[sets[col]] = members[sets[col]] || []).push(col);
+                }
+
+                const nextRow = new Array(maze.width).fill(0);
+                Object.keys(members).forEach(set => {
+                    const cols = shuffle(maze, members[set]);
+                    const drops = maze.randomInt(1, cols.length);
+                    for (let i = 0; i < drops; i++) {
+                        link(maze, maze.grid[row][cols[i]], maze.grid[row + 1][cols[i]], 'south');
+                        nextRow[cols[i]] = Number(set);
+                    }
+                });
+                sets = nextRow;
+            }
+        }
+    });
+
+    /**
+     * Hunt-and-Kill algorithm
+     * Random walks like the backtracker, but scans for a new start instead of backtracking
+     */
+    register('hunt-and-kill', {
+        label: 'Hunt-and-Kill',
+        generate(maze) {
+            let cell = randomCell(maze);
+            cell.visited = true;
+
+            while (cell) {
+                const unvisited = maze.getUnvisitedNeighbors(cell);
+
+                if (unvisited.length > 0) {
+                    // Kill phase: walk to a random unvisited neighbor
+                    const { neighbor, direction } = pick(maze, unvisited);
+                    link(maze, cell, neighbor, direction);
+                    neighbor.visited = true;
+                    cell = neighbor;
+                    continue;
+                }
+
+                // Hunt phase: find the first unvisited cell bordering the maze
+                cell = null;
+                for (let row = 0; row < maze.grid.length && !cell; row++) {
+                    for (let col = 0; col < maze.grid[row].length && !cell; col++) {
+                        const candidate = maze.grid[row][col];
+                        if (candidate.visited || candidate.disabled) continue;
+
+                        const inMaze = maze.getNeighbors(candidate).filter(({ neighbor }) => neighbor.visited);
+                        if (inMaze.length > 0) {
+                            const { neighbor, direction } = pick(maze, inMaze);
+                            link(maze, candidate, neighbor, direction);
+                            candidate.visited = true;
+                            cell = candidate;
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    /**
+     * Growing Tree algorithm
+     * Keeps a list of active cells and mixes newest (backtracker-like) with
+     * random (Prim-like) selection for a texture between the two
+     */
+    register('growing-tree', {
+        label: 'Growing Tree',
+        generate(maze) {
+            const NEWEST_BIAS = 0.5; // Chance of extending from the newest active cell
+
+            const start = randomCell(maze);
+            start.visited = true;
+            const active = [start];
+
+            while (active.length > 0) {
+                const index = maze.rng() < NEWEST_BIAS ?
+                    active.length - 1 :
+                    maze.randomInt(0, active.length - 1);
+                const cell = active[index];
+                const unvisited = maze.getUnvisitedNeighbors(cell);
+
+                if (unvisited.length === 0) {
+                    active.splice(index, 1);
+                    continue;
+                }
+
+                const { neighbor, direction } = pick(maze, unvisited);
+                link(maze, cell, neighbor, direction);
+                neighbor.visited = true;
+                active.push(neighbor);
+            }
+        }
+    });
+
+    /**
+     * Sidewinder algorithm
+     * Carves east-running runs, closing each by linking one run cell north
+     * Leaves the top row as a single open corridor
+     */
+    register('sidewinder', {
+        label: 'Sidewinder',
+        topologies: ['square', 'weave'],
+        shapes: false,
+        generate(maze) {
+            for (let row = 0; row < maze.height; row++) {
+                let run = [];
+
+                for (let col = 0; col < maze.width; col++) {
+                    const cell = maze.grid[row][col];
+                    run.push(cell);
+
+                    const atEastEdge = col === maze.width - 1;
+                    const atNorthEdge = row === 0;
+                    const closeRun = atEastEdge || (!atNorthEdge && maze.rng() < 0.5);
+
+                    if (closeRun) {
+                        if (!atNorthEdge) {
+                            const member = pick(maze, run);
+                            link(maze, member, maze.grid[row - 1][member.col], 'north');
+                        }
+                        run = [];
+                    } else {
+                        link(maze, cell, maze.grid[row][col + 1], 'east');
+                    }
+                }
+            }
+        }
+    });
+
+    /**
+     * Binary Tree algorithm
+     * Each cell links either north or east, giving a strong diagonal bias
+     * and open corridors along the north and east edges
+     */
+    register('binary-tree', {
+        label: 'Binary Tree',
+        topologies: ['square', 'weave'],
+        shapes: false,
+        generate(maze) {
+            forEachCell(maze, cell => {
+                const options = [];
+                if (cell.row > 0) {
+                    options.push({ neighbor: maze.grid[cell.row - 1][cell.col], direction: 'north' });
+                }
+                if (cell.col < maze.width - 1) {
+                    options.push({ neighbor: maze.grid[cell.row][cell.col + 1], direction: 'east' });
+                }
+
+                if (options.length > 0) {
+                    const { neighbor, direction } = pick(maze, options);
+                    link(maze, cell, neighbor, direction);
+                }
+            });
+        }
+    });
+
+    /**
+     * Recursive Division algorithm
+     * Starts from an open field and repeatedly splits chambers with a wall
+     * containing a single gap, producing long straight walls
+     */
+    register('recursive-division', {
+        label: 'Recursive Division',
+        topologies: ['square', 'weave'],
+        shapes: false,
+        generate(maze) {
+            // Open every interior wall, keeping the outer boundary intact
+            forEachCell(maze, cell => {
+                cell.walls.north = cell.row === 0;
+                cell.walls.south = cell.row === maze.height - 1;
+                cell.walls.west = cell.col === 0;
+                cell.walls.east = cell.col === maze.width - 1;
+            });
+            maze.recordWalls();
+
+            const addWall = (cell, direction) => {
+                const neighbor = maze.getNeighborInDirection(cell.row, cell.col, direction);
+                if (neighbor) {
+                    MazeApp.WallManager.addWalls(maze, cell, neighbor, direction);
+                } else {
+                    cell.walls[direction] = true;
+                }
+            };
+
+            // Process chambers iteratively to avoid deep recursion on large mazes
+            const chambers = [{ row: 0, col: 0, width: maze.width, height: maze.height }];
+
+            while (chambers.length > 0) {
+                const { row, col, width, height } = chambers.pop();
+                if (width < 2 || height < 2) continue;
+
+                // Split across the longer dimension, randomly when square
+                const horizontal = height > width || (height === width && maze.rng() < 0.5);
+
+                if (horizontal) {
+                    // Wall along the south side of wallRow, with one gap
+                    const wallRow = row + maze.randomInt(0, height - 2);
+                    const gapCol = col + maze.randomInt(0, width - 1);
+                    for (let c = col; c < col + width; c++) {
+                        if (c !== gapCol) addWall(maze.grid[wallRow][c], 'south');
+                    }
+                    chambers.push({ row, col, width, height: wallRow - row + 1 });
+                    chambers.push({ row: wallRow + 1, col, width, height: row + height - wallRow - 1 });
+                } else {
+                    // Wall along the east side of wallCol, with one gap
+                    const wallCol = col + maze.randomInt(0, width - 2);
+                    const gapRow = row + maze.randomInt(0, height - 1);
+                    for (let r = row; r < row + height; r++) {
+                        if (r !== gapRow) addWall(maze.grid[r][wallCol], 'east');
+                    }
+                    chambers.push({ row, col, width: wallCol - col + 1, height });
+                    chambers.push({ row, col: wallCol + 1, width: col + width - wallCol - 1, height });
+                }
+            }
+        }
+    });
+
+    // Public API
+    return {
+        DEFAULT_ALGORITHM,
+        register,
+        get,
+        has,
+        supports,
+        list,
+        carve
+    };
+})();
+
+// Register with MazeApp namespace and export to global scope for other modules
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.MazeAlgorithms = MazeAlgorithms;
+}
+window.MazeAlgorithms = MazeAlgorithms;
@@ -0,0 +1,379 @@
+/**
+ * AnnotationManager - Pencil marks drawn over the maze while solving it
+ *
+ * Solvers on paper cross out dead ends, mark the junctions they have tried
+ * and scribble notes. This layer does the same, apart from the user's path:
+ * crosses and dots sit on cells, free-hand strokes are kept relative to the
+ * cell they start in, and all of them are drawn with Rough.js like the maze.
+ *
+ * The marks stay while the same maze is redrawn - at another cell size or in
+ * another floor view - and are cleared when a different maze is shown. They
+ * never touch userPath or userActivity, so they play no part in the score,
+ * and they can be left out of SVG and PNG downloads.
+ */
+class AnnotationManager {
+    constructor(svgElement, uiManager = null) {
+        this.svgElement = svgElement;
+        this.uiManager = uiManager;
+        this.rough = rough.svg(svgElement);
+        this.maze = null;
+        this.layer = null;
+
+        // Tool state
+        this.tool = null;                                  // One of AnnotationManager.TOOLS, or null to leave the pointer to the path
+        this.color = AnnotationManager.COLORS[0].value;    // Colour of new marks
+        this.exported = true;                              // Whether downloads include the marks
+
+        // Marks, in the order drawn: { id, type, row, col, color, points }
+        this.annotations = [];
+        this.nextId = 1;             // Seeds each mark's Rough.js strokes, so redraws look the same
+        this.mazeKey = null;         // Identifies the maze the marks belong to (see getMazeKey)
+        this.stroke = null;          // Pencil stroke being drawn, until the pointer is released
+        this.strokeElement = null;   // Drawing of that stroke, replaced as it grows
+        this.erasing = false;        // Whether the eraser is being dragged
+
+        // Initialize from localStorage
+        this._loadSavedState();
+        this._attachPointerListeners();
+    }
+
+    /**
+     * Connects this manager to a newly shown maze, keeping the marks if it
+     * is the maze they were drawn on
+     *
+     * @param {Object} maze - The maze being shown
+     */
+    setMaze(maze) {
+        const key = this.getMazeKey(maze);
+        if (key !== this.mazeKey) {
+            this.annotations = [];
+            this.mazeKey = key;
+        }
+
+        this.maze = maze;
+        this.stroke = null;
+        this.erasing = false;
+        this.redraw();
+    }
+
+    /**
+     * Identifies a maze by what decides its layout. The cell size only
+     * scales the drawing, so it is left out.
+     *
+     * @param {Object} maze - The maze to identify
+     * @returns {string} Key shared by every drawing of the same maze
+     */
+    getMazeKey(maze) {
+        return [maze.seed, maze.width, maze.height, JSON.stringify(maze.getOptions())].join('|');
+    }
+
+    /**
+     * Picks the tool the pointer uses on the maze
+     *
+     * @param {string|null} tool - 'cross', 'dot', 'stroke' or 'eraser', or null to draw the path again
+     */
+    setTool(tool) {
+        this.tool = tool || null;
+        this.svgElement.classList.toggle('annotating', this.tool !== null);
+    }
+
+    /**
+     * Sets the colour of the marks drawn from now on
+     *
+     * @param {string} color - CSS colour
+     */
+    setColor(color) {
+        this.color = color;
+    }
+
+    /**
+     * Returns whether an annotation tool has the pointer
+     *
+     * @returns {boolean} True if pointer input goes to the marks rather than the path
+     */
+    isActive() {
+        return this.tool !== null;
+    }
+
+    /**
+     * Sets whether the marks are included in SVG and PNG downloads
+     *
+     * @param {boolean} exported - True to include them
+     */
+    setExported(exported) {
+        this.exported = exported;
+        this._saveState();
+    }
+
+    /**
+     * Returns whether the marks are included in SVG and PNG downloads
+     *
+     * @returns {boolean} True if downloads include them
+     */
+    isExported() {
+        return this.exported;
+    }
+
+    /**
+     * Loads the download preference from localStorage on initialization
+     * Marks are included unless the user turned them off
+     */
+    _loadSavedState() {
+        this.exported = localStorage.getItem('annotationsExported') !== 'false';
+    }
+
+    /**
+     * Persists the download preference to localStorage
+     */
+    _saveState() {
+        localStorage.setItem('annotationsExported', this.exported.toString());
+    }
+
+    /**
+     * Redraws every mark on the floors on screen
+     * Called after the maze is rendered, since rendering clears the SVG
+     */
+    redraw() {
+        if (this.layer && this.layer.parentNode) {
+            this.layer.parentNode.removeChild(this.layer);
+        }
+        this.layer = null;
+        this.strokeElement = null;
+
+        if (!this.maze) return;
+
+        this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.layer.setAttribute('id', 'annotation-layer');
+        this.layer.setAttribute('pointer-events', 'none');
+
+        this.annotations
+            .filter(annotation => this.maze.isLevelShown(this.maze.getLevel(annotation.row)))
+            .forEach(annotation => this.layer.appendChild(this._drawAnnotation(annotation)));
+
+        // Above the user's path, but still hidden by the hard mode overlay
+        const hardModeOverlay = this.svgElement.querySelector('#hard-mode-overlay');
+        if (hardModeOverlay) {
+            this.svgElement.insertBefore(this.layer, hardModeOverlay);
+        } else {
+            this.svgElement.appendChild(this.layer);
+        }
+    }
+
+    /**
+     * Draws a single mark in the hand-drawn style
+     *
+     * @param {Object} annotation - The mark to draw
+     * @returns {SVGElement} Its drawing
+     */
+    _drawAnnotation(annotation) {
+        const center = this._getCellCenter(annotation);
+        const size = this.maze.cellSize;
+        const seed = this.maze.seed + annotation.id;
+
+        if (annotation.type === 'cross') {
+            const half = size * 0.3;
+            const options = { stroke: annotation.color, strokeWidth: 2, roughness: 1.5, seed };
+            const cross = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            cross.appendChild(this.rough.line(center.x - half, center.y - half, center.x + half, center.y + half, options));
+            cross.appendChild(this.rough.line(center.x + half, center.y - half, center.x - half, center.y + half, options));
+            return cross;
+        }
+
+        if (annotation.type === 'dot') {
+            return this.rough.circle(center.x, center.y, size * 0.35, {
+                stroke: annotation.color,
+                fill: annotation.color,
+                fillStyle: 'solid',
+                roughness: 1,
+                seed
+            });
+        }
+
+        // Stroke points are in cells from the centre of the cell it started in
+        const points = annotation.points.map(([dx, dy]) => [center.x + dx * size, center.y + dy * size]);
+        return this.rough.linearPath(points, {
+            stroke: annotation.color,
+            strokeWidth: 1.5,
+            roughness: 0.8,
+            bowing: 0.5,
+            seed
+        });
+    }
+
+    /**
+     * Returns the centre of a mark's cell in SVG coordinates
+     *
+     * @param {Object} position - Object with row/col properties
+     * @returns {Object} {x, y} including the padding
+     */
+    _getCellCenter(position) {
+        const center = this.maze.getCellCenter(position);
+        return { x: center.x + MazeApp.getPadding(), y: center.y + MazeApp.getPadding() };
+    }
+
+    /**
+     * Converts a pointer event to maze coordinates
+     *
+     * @param {Event} e - Mouse or touch event
+     * @returns {Object} {x, y} without the padding, as MazeApp.Maze.getCellAt takes them
+     */
+    _getEventPoint(e) {
+        const rect = this.svgElement.getBoundingClientRect();
+        const source = e.touches ? e.touches[0] : e;
+        return {
+            x: source.clientX - rect.left - MazeApp.getPadding(),
+            y: source.clientY - rect.top - MazeApp.getPadding()
+        };
+    }
+
+    /**
+     * Attaches the pointer handlers for the annotation tools. They do nothing
+     * unless a tool is picked, when the path manager leaves the pointer alone.
+     */
+    _attachPointerListeners() {
+        const handlePointerDown = (e) => {
+            if (!this.tool || !this.maze || (e.touches && e.touches.length > 1)) return;
+            e.preventDefault();
+
+            const point = this._getEventPoint(e);
+            if (this.tool === 'eraser') {
+                this.erasing = true;
+                this._eraseAt(point);
+                return;
+            }
+
+            const cell = this.maze.getCellAt(point.x, point.y);
+            if (!cell || !this.maze.isLevelShown(this.maze.getLevel(cell.row))) return;
+
+            if (this.tool === 'stroke') {
+                const center = this.maze.getCellCenter(cell);
+                this.stroke = {
+                    id: this.nextId++,
+                    type: 'stroke',
+                    row: cell.row,
+                    col: cell.col,
+                    color: this.color,
+                    points: [[(point.x - center.x) / this.maze.cellSize, (point.y - center.y) / this.maze.cellSize]]
+                };
+                return;
+            }
+
+            this._toggleMark(this.tool, cell);
+        };
+
+        const handlePointerMove = (e) => {
+            if (!this.stroke && !this.erasing) return;
+            e.preventDefault();
+
+            const point = this._getEventPoint(e);
+            if (this.erasing) {
+                this._eraseAt(point);
+                return;
+            }
+
+            // Skip points too close to the last one to change the line
+            const center = this.maze.getCellCenter(this.stroke);
+            const next = [(point.x - center.x) / this.maze.cellSize, (point.y - center.y) / this.maze.cellSize];
+            const last = this.stroke.points[this.stroke.points.length - 1];
+            if (Math.hypot(next[0] - last[0], next[1] - last[1]) * this.maze.cellSize < 2) return;
+
+            this.stroke.points.push(next);
+            if (this.strokeElement && this.strokeElement.parentNode) {
+                this.strokeElement.parentNode.removeChild(this.strokeElement);
+            }
+            this.strokeElement = this._drawAnnotation(this.stroke);
+            this.layer.appendChild(this.strokeElement);
+        };
+
+        const handlePointerUp = () => {
+            this.erasing = false;
+            if (!this.stroke) return;
+
+            // A tap with the pencil leaves nothing to draw
+            if (this.stroke.points.length > 1) {
+                this.annotations.push(this.stroke);
+            }
+            this.stroke = null;
+            this.redraw();
+        };
+
+        this.svgElement.addEventListener('mousedown', handlePointerDown);
+        this.svgElement.addEventListener('mousemove', handlePointerMove);
+        this.svgElement.addEventListener('mouseup', handlePointerUp);
+        this.svgElement.addEventListener('mouseleave', handlePointerUp);
+        this.svgElement.addEventListener('touchstart', handlePointerDown);
+        this.svgElement.addEventListener('touchmove', handlePointerMove);
+        this.svgElement.addEventListener('touchend', handlePointerUp);
+        this.svgElement.addEventListener('touchcancel', handlePointerUp);
+    }
+
+    /**
+     * Adds a cross or dot to a cell, or takes it off again if the cell
+     * already has one. A dot of another colour is replaced.
+     *
+     * @param {string} type - 'cross' or 'dot'
+     * @param {Object} cell - The cell tapped
+     */
+    _toggleMark(type, cell) {
+        const index = this.annotations.findIndex(annotation =>
+            annotation.type === type && annotation.row === cell.row && annotation.col === cell.col);
+        const existing = index === -1 ? null : this.annotations.splice(index, 1)[0];
+
+        if (!existing || (type === 'dot' && existing.color !== this.color)) {
+            this.annotations.push({ id: this.nextId++, type, row: cell.row, col: cell.col, color: this.color });
+        }
+        this.redraw();
+    }
+
+    /**
+     * Removes the marks under the eraser: crosses and dots on the cell it
+     * is over, and strokes passing within half a cell of it
+     *
+     * @param {Object} point - {x, y} in maze coordinates
+     */
+    _eraseAt(point) {
+        const cell = this.maze.getCellAt(point.x, point.y);
+        const reach = this.maze.cellSize / 2;
+
+        const kept = this.annotations.filter(annotation => {
+            if (!this.maze.isLevelShown(this.maze.getLevel(annotation.row))) return true;
+            if (annotation.type !== 'stroke') {
+                return !cell || annotation.row !== cell.row || annotation.col !== cell.col;
+            }
+
+            const center = this.maze.getCellCenter(annotation);
+            return !annotation.points.some(([dx, dy]) => Math.hypot(
+                center.x + dx * this.maze.cellSize - point.x,
+                center.y + dy * this.maze.cellSize - point.y
+            ) <= reach);
+        });
+
+        if (kept.length !== this.annotations.length) {
+            this.annotations = kept;
+            this.redraw();
+        }
+    }
+}
+
+// Annotation tools, in the order the Pencil menu lists them
+AnnotationManager.TOOLS = [
+    { value: 'cross', label: 'Cross Out' },
+    { value: 'dot', label: 'Dot' },
+    { value: 'stroke', label: 'Draw' },
+    { value: 'eraser', label: 'Erase' }
+];
+
+// Pencil colours; the first is the default
+AnnotationManager.COLORS = [
+    { value: '#555555', label: 'Graphite' },
+    { value: '#D32F2F', label: 'Red' },
+    { value: '#388E3C', label: 'Green' },
+    { value: '#1976D2', label: 'Blue' }
+];
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.AnnotationManager = AnnotationManager;
+} else {
+    window.AnnotationManager = AnnotationManager;
+}
@@ -1,7 +1,8 @@
 /**
  * MazeApp - Core maze generation and rendering module
  * Implements a depth-first search algorithm with backtracking for maze creation
- * and SVG-based rendering with rough.js for hand-drawn visual style
+ * (other algorithms plug in through MazeAlgorithms) and SVG-based rendering
+ * with rough.js for hand-drawn visual style
  */
 const MazeApp = (function() {
     // Configuration defaults that can be adjusted at runtime
@@ -10,11 +11,160 @@ const MazeApp = (function() {
     let _generationAttempts = 50; // Number of maze variants to generate when optimizing
     let _generationThreshold = 95; // Percentile score threshold for early termination
     
+    // Ways of laying out the openings, keyed by the name used in the URL hash
+    const LAYOUTS = {
+        opposite: 'Opposite Sides',
+        'same-side': 'Same Side',
+        decoys: 'Decoy Exits',
+        waypoints: 'Checkpoints'
+    };
+    const DEFAULT_LAYOUT = 'opposite';
+    const SAME_SIDE_DRAWS = 6; // Exit positions tried when placing it beside the entrance
+    const DECOY_EXITS = 2; // Unreachable exits added by the decoys layout
+    const WAYPOINT_COUNT = 3; // Checkpoints to visit in order in the waypoints layout
+    
+    // Key colours in the order their doors are placed; door i is opened by key i
+    const KEY_COLORS = [
+        { name: 'blue', color: '#3366CC' },
+        { name: 'purple', color: '#9933CC' },
+        { name: 'pink', color: '#E0559B' }
+    ];
+    
+    // Edges joined to the opposite side, keyed by the name used in the URL hash.
+    // Columns always wrap; rows marks a torus, where the top and bottom join too
+    const WRAP_MODES = {
+        sides: { label: 'Left & Right', rows: false },
+        all: { label: 'All Edges', rows: true }
+    };
+    
+    // How many one-way passages to open, keyed by the name used in the URL hash
+    const ONE_WAY_DENSITIES = {
+        few: { label: 'Few', perCell: 0.02 },
+        some: { label: 'Some', perCell: 0.05 },
+        many: { label: 'Many', perCell: 0.1 }
+    };
+    const ONE_WAY_MIN_DETOUR = 4; // Steps the long way round a one-way passage must take at least
+    
+    // Portal colours, one per pair; stepping onto either end of a pair jumps to the other
+    const PORTAL_COLORS = [
+        { name: 'teal', color: '#1A9E8F' },
+        { name: 'green', color: '#4C9A2A' },
+        { name: 'brown', color: '#A0522D' }
+    ];
+    
+    // Ground that changes how a cell is crossed, keyed by the name stored on the cell.
+    // cost is the moves it takes to step in (water cannot be entered) and share
+    // the part of the terrain cells it covers
+    const TERRAIN_TYPES = {
+        mud: { label: 'Mud', cost: 3, color: '#8B5A2B', hachureAngle: -41, share: 0.4 },
+        ice: { label: 'Ice', cost: 1, color: '#5DADE2', hachureAngle: 45, share: 0.4 },
+        water: { label: 'Water', cost: null, color: '#1F5FBF', hachureAngle: 0, share: 0.2 }
+    };
+    
+    // How much of the maze to cover with terrain, keyed by the name used in the URL hash
+    const TERRAIN_DENSITIES = {
+        some: { label: 'Some', perCell: 0.08 },
+        lots: { label: 'Lots', perCell: 0.16 }
+    };
+    const TERRAIN_PATCH_SIZE = { min: 2, max: 4 }; // Cells in each patch of mud or ice
+    
+    // Difficulty score bands the presets aim for, keyed by the name used in the URL hash.
+    // Scores run from 1 to 100 and grow with the size of the maze
+    const DIFFICULTY_BANDS = {
+        easy: { label: 'Easy', min: 1, max: 30 },
+        medium: { label: 'Medium', min: 35, max: 55 },
+        hard: { label: 'Hard', min: 65, max: 100 }
+    };
+    const DIFFICULTY_TARGET_SPREAD = 5; // Points either side of a single target score (e.g. ?difficulty=65)
+    
+    // How the optimizer chooses between candidates, keyed by the name used in the URL hash
+    const OBJECTIVES = {
+        composite: 'Composite',
+        pareto: 'Pareto Front',
+        evolve: 'Evolved'
+    };
+    const DEFAULT_OBJECTIVE = 'composite';
+    
+    // Version of MazeDifficultyScorer's scoring new mazes use. The optimizer picks
+    // by score, so a seed only rebuilds the same optimized maze with the same
+    // scoring; links from before the version was saved in the URL use 1.
+    // 1: branch complexity, decision points and size adjustments
+    // 2: also counts equally short routes and blends in the simulated solvers
+    const SCORING_VERSION = 2;
+    
     // Returns current padding value for coordinate calculations
     function _getPadding() {
         return _padding;
     }
     
+    // Returns the { label, min, max } score band for a preset name, a "40-50" range or a single
+    // target score, or null when the value is none of these
+    function _getDifficultyBand(difficulty) {
+        if (Object.prototype.hasOwnProperty.call(DIFFICULTY_BANDS, difficulty)) {
+            return DIFFICULTY_BANDS[difficulty];
+        }
+        
+        const match = /^(\d+)(?:-(\d+))?$/.exec(String(difficulty));
+        if (!match) return null;
+        
+        const target = parseInt(match[1], 10);
+        const min = Math.max(1, match[2] ? target : target - DIFFICULTY_TARGET_SPREAD);
+        const max = Math.min(100, match[2] ? parseInt(match[2], 10) : target + DIFFICULTY_TARGET_SPREAD);
+        return min <= max ? { label: `${min}-${max}`, min, max } : null;
+    }
+    
+    // Returns " · <label>" for a non-default topology and algorithm so exported mazes can be rebuilt
+    function _getVariantSuffix(maze) {
+        let suffix = '';
+        if (maze.topology !== MazeTopologies.DEFAULT_TOPOLOGY) {
+            suffix += ` · ${MazeTopologies.get(maze.topology).label}`;
+        }
+        if (maze.levels > 1) {
+            suffix += ` · ${maze.levels} floors`;
+        }
+        if (maze.shaped) {
+            const shape = MazeShapes.get(maze.shape);
+            suffix += ` · ${shape.label}${maze.shapeText ? ` ${maze.shapeText}` : ''}`;
+        }
+        if (maze.wrap) {
+            suffix += ` · ${WRAP_MODES[maze.wrap].label} wrap`;
+        }
+        if (maze.difficulty) {
+            suffix += ` · ${_getDifficultyBand(maze.difficulty).label} difficulty`;
+        }
+        if (maze.objective !== DEFAULT_OBJECTIVE) {
+            suffix += ` · ${OBJECTIVES[maze.objective]}${maze.pick !== null ? ` pick ${maze.pick}` : ''}`;
+        }
+        if (maze.braid > 0) {
+            suffix += ` · ${maze.braid}% braided`;
+        }
+        if (maze.layout !== DEFAULT_LAYOUT) {
+            suffix += ` · ${LAYOUTS[maze.layout]}`;
+        }
+        if (maze.doorCount > 0) {
+            // Short routes can hold fewer doors than asked for (see placeDoors)
+            const placed = maze.doors ? maze.doors.length : maze.doorCount;
+            suffix += ` · ${placed < maze.doorCount ? `${placed} of ` : ''}${maze.doorCount} ${maze.doorCount === 1 ? 'door' : 'doors'}`;
+        }
+        if (maze.oneWay) {
+            suffix += ` · ${ONE_WAY_DENSITIES[maze.oneWay].label} one-way`;
+        }
+        if (maze.portalCount > 0) {
+            suffix += ` · ${maze.portalCount} ${maze.portalCount === 1 ? 'portal pair' : 'portal pairs'}`;
+        }
+        if (maze.terrain) {
+            suffix += ` · ${TERRAIN_DENSITIES[maze.terrain].label} terrain`;
+        }
+        if (maze.algorithm !== 'backtracker' && typeof MazeAlgorithms !== 'undefined') {
+            const definition = MazeAlgorithms.get(maze.algorithm);
+            if (definition) suffix += ` · ${definition.label}`;
+        }
+        if (maze.scoring !== SCORING_VERSION) {
+            suffix += ` · scoring ${maze.scoring}`;
+        }
+        return suffix;
+    }
+    
     /**
      * WallManager - Handles wall relationships between cells
      * Provides utilities for wall removal during maze generation
@@ -26,37 +176,78 @@ const MazeApp = (function() {
             north: 'south',
             east: 'west',
             south: 'north',
-            west: 'east'
+            west: 'east',
+            northeast: 'southwest',
+            southwest: 'northeast',
+            southeast: 'northwest',
+            northwest: 'southeast',
+            up: 'down',
+            down: 'up'
+        },
+        
+        /**
+         * Returns the wall of the neighboring cell that faces back across a wall
+         * Uses the static map unless the topology names its walls per cell
+         */
+        getOppositeDirection(maze, cell, direction) {
+            const topology = MazeTopologies.get(maze.topology);
+            return topology.getOppositeDirection ?
+                topology.getOppositeDirection(maze, cell, direction) :
+                this.opposite[direction];
         },
         
         /**
          * Removes walls between two adjacent cells in the specified direction
          * Updates both cells to maintain maze consistency
          */
-        removeWalls(cell1, cell2, direction) {
+        removeWalls(maze, cell1, cell2, direction) {
             cell1.walls[direction] = false;
-            cell2.walls[this.opposite[direction]] = false;
+            cell2.walls[this.getOppositeDirection(maze, cell1, direction)] = false;
+            this.recordChange(maze, cell1, cell2, direction, true);
+        },
+        
+        /**
+         * Restores the wall between two adjacent cells on both sides
+         */
+        addWalls(maze, cell1, cell2, direction) {
+            cell1.walls[direction] = true;
+            cell2.walls[this.getOppositeDirection(maze, cell1, direction)] = true;
+            this.recordChange(maze, cell1, cell2, direction, false);
+        },
+        
+        /**
+         * Adds a wall step to the maze's generation steps while they are being
+         * recorded (see Maze.recordGeneration)
+         */
+        recordChange(maze, cell1, cell2, direction, open) {
+            if (!maze.generationSteps) return;
+            maze.recordStep('wall', {
+                open,
+                sides: [
+                    { row: cell1.row, col: cell1.col, direction },
+                    { row: cell2.row, col: cell2.col, direction: this.getOppositeDirection(maze, cell1, direction) }
+                ]
+            });
         },
         
         /**
          * Calculates the SVG line coordinates for a wall based on cell position
          * Returns coordinates in SVG viewport space accounting for padding
+         * Curved walls also carry an arc {cx, cy, radius, start, end}
          */
-        getWallCoordinates(cell, cellSize, direction) {
-            const x = cell.col * cellSize + _getPadding();
-            const y = cell.row * cellSize + _getPadding();
-            
-            // Each wall is positioned differently relative to the cell
-            switch (direction) {
-                case 'north':
-                    return { x1: x, y1: y, x2: x + cellSize, y2: y };
-                case 'east':
-                    return { x1: x + cellSize, y1: y, x2: x + cellSize, y2: y + cellSize };
-                case 'south':
-                    return { x1: x, y1: y + cellSize, x2: x + cellSize, y2: y + cellSize };
-                case 'west':
-                    return { x1: x, y1: y, x2: x, y2: y + cellSize };
+        getWallCoordinates(maze, cell, direction) {
+            const coords = MazeTopologies.get(maze.topology).getWallCoordinates(maze, cell, direction);
+            const padding = _getPadding();
+            const padded = {
+                x1: coords.x1 + padding,
+                y1: coords.y1 + padding,
+                x2: coords.x2 + padding,
+                y2: coords.y2 + padding
+            };
+            if (coords.arc) {
+                padded.arc = { ...coords.arc, cx: coords.arc.cx + padding, cy: coords.arc.cy + padding };
             }
+            return padded;
         }
     };
 
@@ -84,329 +275,1862 @@ const MazeApp = (function() {
          * Removes all child elements from the SVG container
          * Called before re-rendering to avoid element duplication
          */
-        clear() {
-            while (this.svgElement.firstChild) {
-                this.svgElement.removeChild(this.svgElement.firstChild);
+        clear() {
+            while (this.svgElement.firstChild) {
+                this.svgElement.removeChild(this.svgElement.firstChild);
+            }
+        }
+
+        /**
+         * Updates SVG element dimensions to match maze size
+         */
+        setSize(width, height) {
+            this.svgElement.setAttribute('width', width);
+            this.svgElement.setAttribute('height', height);
+        }
+
+        /**
+         * Helper to create namespaced SVG elements with attributes
+         */
+        createElement(type, attributes) {
+            const element = document.createElementNS('http://www.w3.org/2000/svg', type);
+            Object.entries(attributes).forEach(([key, value]) => {
+                element.setAttribute(key, value);
+            });
+            return element;
+        }
+
+        /**
+         * Renders a complete maze with all elements
+         * Creates the visual representation of walls, markers, and background
+         * @param {Maze} maze - The maze object to render
+         */
+        render(maze) {
+            this.clear();
+            const size = maze.getPixelSize();
+            const totalWidth = size.width + (_getPadding() * 2);
+            const totalHeight = size.height + (_getPadding() * 2);
+            this.setSize(totalWidth, totalHeight);
+
+            // Create transparent background for proper SVG dimensions
+            const background = this.createElement('rect', {
+                width: totalWidth,
+                height: totalHeight,
+                fill: 'rgba(255, 255, 255, 0)'
+            });
+            this.svgElement.appendChild(background);
+            
+            // Terrain goes under the walls, so they stay easy to follow
+            maze.forEachCell(cell => {
+                if (cell.terrain && maze.isLevelShown(maze.getLevel(cell.row))) {
+                    this.drawTerrain(maze, cell);
+                }
+            });
+
+            // Draw all cell walls with randomized rough.js styling for hand-drawn effect,
+            // floor by floor so that only the floors on screen are drawn
+            const stairDirections = MazeTopologies.get(maze.topology).stairDirections || [];
+            const cells = maze.getLevels()
+                .filter((floor, level) => maze.isLevelShown(level))
+                .flat(2)
+                .filter(cell => !cell.disabled); // Cells outside a shaped maze have no walls
+            cells.forEach(cell => {
+                maze.getDirections(cell).forEach(direction => {
+                    // Open stairs get an icon; closed ones have nothing to draw
+                    if (stairDirections.includes(direction)) {
+                        if (!cell.walls[direction]) this.drawStairs(maze, cell, direction);
+                        return;
+                    }
+                    // Crossings of a weave maze keep railings along the passage that runs over them
+                    const isRailing = cell.under && cell.under.includes(direction);
+                    if (cell.walls[direction] || isRailing) {
+                        this.drawWall(maze, cell, direction, {
+                            stroke: 'black',
+                            strokeWidth: 2,
+                            roughness: 1.5,
+                            bowing: 0.5,
+                            // Use deterministic seed based on maze properties for consistent rendering
+                            seed: maze.seed + cell.row * maze.width + cell.col + direction.charCodeAt(0)
+                        });
+                    } else if (maze.isWrapEdge(cell, direction)) {
+                        // An open edge of a wrapping maze leads round to the other side
+                        this.drawWall(maze, cell, direction, {
+                            stroke: '#888888',
+                            strokeWidth: 1.5,
+                            strokeLineDash: [maze.cellSize / 6, maze.cellSize / 8],
+                            roughness: 0.8,
+                            bowing: 0.3,
+                            seed: maze.seed + cell.row * maze.width + cell.col + direction.charCodeAt(0)
+                        });
+                    }
+                });
+            });
+            
+            // Locked doors and their keys are part of the puzzle, so they are always drawn
+            maze.doors.forEach(door => {
+                if (!maze.isLevelShown(maze.getLevel(door.row))) return;
+                
+                const cell = maze.grid[door.row][door.col];
+                this.drawWall(maze, cell, door.direction, {
+                    stroke: KEY_COLORS[door.key].color,
+                    strokeWidth: 4,
+                    roughness: 1,
+                    bowing: 0.3,
+                    seed: maze.seed + cell.row * maze.width + cell.col + door.direction.charCodeAt(0)
+                });
+            });
+            maze.keys.forEach((key, index) => {
+                if (maze.isLevelShown(maze.getLevel(key.row))) {
+                    this.drawKey(maze, key, KEY_COLORS[index].color);
+                }
+            });
+            maze.oneWays.forEach(oneWay => {
+                if (maze.isLevelShown(maze.getLevel(oneWay.row))) {
+                    this.drawOneWayArrow(maze, oneWay);
+                }
+            });
+            maze.portals.forEach((pair, index) => pair.forEach(end => {
+                if (maze.isLevelShown(maze.getLevel(end.row))) {
+                    this.drawPortal(maze, end, PORTAL_COLORS[index].color);
+                }
+            }));
+
+            // Draw entrance (green) and exit (red) markers if enabled in UI;
+            // decoy exits look just like the real one
+            const showMarkers = document.getElementById('showMarkers').checked;
+            if (showMarkers) {
+                const markers = [[maze.entrance, 'green'], [maze.exit, 'red'], ...maze.decoys.map(decoy => [decoy, 'red'])];
+                markers.forEach(([position, color]) => {
+                    if (position && maze.isLevelShown(maze.getLevel(position.row))) {
+                        this.drawMarker(maze, position, color);
+                    }
+                });
+            }
+            
+            // Checkpoints are part of the puzzle, so they are always drawn
+            maze.waypoints.forEach((position, index) => {
+                if (maze.isLevelShown(maze.getLevel(position.row))) {
+                    this.drawWaypoint(maze, position, index + 1);
+                }
+            });
+        }
+        
+        /**
+         * Draws one wall of a cell with the given rough.js options
+         * Ring walls of circular mazes are arcs, everything else is straight
+         */
+        drawWall(maze, cell, direction, options) {
+            const coords = WallManager.getWallCoordinates(maze, cell, direction);
+            const wall = coords.arc ?
+                this.rough.arc(coords.arc.cx, coords.arc.cy, coords.arc.radius * 2, coords.arc.radius * 2,
+                    coords.arc.start, coords.arc.end, false, options) :
+                this.rough.line(coords.x1, coords.y1, coords.x2, coords.y2, options);
+            this.svgElement.appendChild(wall);
+        }
+        
+        /**
+         * Fills a cell with its terrain as rough.js hachure in the terrain's
+         * colour and angle
+         */
+        drawTerrain(maze, cell) {
+            const terrain = TERRAIN_TYPES[cell.terrain];
+            const center = maze.getCellCenter(cell);
+            const size = maze.cellSize * 0.85;
+            
+            const patch = this.rough.rectangle(
+                center.x + _getPadding() - size / 2,
+                center.y + _getPadding() - size / 2,
+                size,
+                size,
+                {
+                    stroke: 'none',
+                    fill: terrain.color,
+                    fillStyle: 'hachure',
+                    hachureAngle: terrain.hachureAngle,
+                    hachureGap: Math.max(2, maze.cellSize / 8),
+                    fillWeight: 1,
+                    roughness: 1.2,
+                    seed: maze.seed + cell.row * maze.width + cell.col
+                }
+            );
+            this.svgElement.appendChild(patch);
+        }
+        
+        /**
+         * Draws a hand-drawn key in a cell: a ring with a shaft and a tooth
+         */
+        drawKey(maze, position, color) {
+            const center = maze.getCellCenter(position);
+            const x = center.x + _getPadding();
+            const y = center.y + _getPadding();
+            const size = maze.cellSize * 0.7;
+            const options = {
+                stroke: color,
+                strokeWidth: 1.5,
+                roughness: 1,
+                seed: maze.seed + position.row * maze.width + position.col
+            };
+            
+            const ring = this.rough.circle(x - size * 0.25, y, size * 0.4, options);
+            const shaft = this.rough.linearPath([
+                [x - size * 0.05, y],
+                [x + size * 0.45, y],
+                [x + size * 0.45, y + size * 0.2]
+            ], options);
+            this.svgElement.appendChild(ring);
+            this.svgElement.appendChild(shaft);
+        }
+        
+        /**
+         * Draws a hand-drawn arrow across a one-way passage, pointing the way
+         * it may be crossed
+         */
+        drawOneWayArrow(maze, oneWay) {
+            const from = maze.getCellCenter(oneWay);
+            const to = maze.getCellCenter(oneWay.to);
+            const padding = _getPadding();
+            const along = (share) => [
+                from.x + (to.x - from.x) * share + padding,
+                from.y + (to.y - from.y) * share + padding
+            ];
+            
+            // Shaft from a quarter to three quarters of the way, head at the far end
+            const [tailX, tailY] = along(0.25);
+            const [tipX, tipY] = along(0.75);
+            const angle = Math.atan2(tipY - tailY, tipX - tailX);
+            const head = maze.cellSize * 0.2;
+            const barb = (side) => [
+                tipX - head * Math.cos(angle + side * Math.PI / 6),
+                tipY - head * Math.sin(angle + side * Math.PI / 6)
+            ];
+            
+            const options = {
+                stroke: '#555',
+                strokeWidth: 1.5,
+                roughness: 1,
+                bowing: 0.5,
+                seed: maze.seed + oneWay.row * maze.width + oneWay.col + oneWay.direction.charCodeAt(0)
+            };
+            this.svgElement.appendChild(this.rough.line(tailX, tailY, tipX, tipY, options));
+            this.svgElement.appendChild(this.rough.linearPath([barb(1), [tipX, tipY], barb(-1)], options));
+        }
+        
+        /**
+         * Draws one end of a portal pair: two hand-drawn circles, one inside
+         * the other, in the pair's colour
+         */
+        drawPortal(maze, position, color) {
+            const center = maze.getCellCenter(position);
+            const x = center.x + _getPadding();
+            const y = center.y + _getPadding();
+            const options = {
+                stroke: color,
+                strokeWidth: 1.5,
+                roughness: 1.2,
+                seed: maze.seed + position.row * maze.width + position.col
+            };
+            
+            this.svgElement.appendChild(this.rough.circle(x, y, maze.cellSize * 0.75, options));
+            this.svgElement.appendChild(this.rough.circle(x, y, maze.cellSize * 0.4, options));
+        }
+        
+        /**
+         * Draws a numbered checkpoint circle in a cell
+         */
+        drawWaypoint(maze, position, number) {
+            const center = maze.getCellCenter(position);
+            const x = center.x + _getPadding();
+            const y = center.y + _getPadding();
+            
+            const circle = this.rough.circle(x, y, maze.cellSize * 0.75, {
+                stroke: '#FF9900',
+                strokeWidth: 1.5,
+                roughness: 1.2,
+                seed: maze.seed + position.row * maze.width + position.col
+            });
+            this.svgElement.appendChild(circle);
+            
+            const label = this.createElement('text', {
+                x,
+                y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central',
+                fill: '#FF9900',
+                'font-size': `${maze.cellSize * 0.55}px`,
+                'font-family': "'Nanum Pen Script', sans-serif"
+            });
+            label.textContent = number;
+            this.svgElement.appendChild(label);
+        }
+        
+        /**
+         * Draws a hand-drawn staircase icon in a cell with open stairs
+         * Up stairs climb to the right, down stairs descend to the right
+         */
+        drawStairs(maze, cell, direction) {
+            const center = maze.getCellCenter(cell);
+            const size = maze.cellSize * 0.6;
+            const step = size / 3;
+            const rising = direction === 'up';
+            const left = center.x + _getPadding() - size / 2;
+            let y = center.y + _getPadding() + (rising ? size / 2 : -size / 2);
+            
+            // Trace the stair profile: a riser then a tread for each of three steps
+            const points = [[left, y]];
+            for (let i = 0; i < 3; i++) {
+                y += rising ? -step : step;
+                points.push([left + i * step, y], [left + (i + 1) * step, y]);
+            }
+            
+            const stairs = this.rough.linearPath(points, {
+                stroke: '#555',
+                strokeWidth: 1.5,
+                roughness: 1.2,
+                bowing: 0.5,
+                seed: maze.seed + cell.row * maze.width + cell.col + direction.charCodeAt(0)
+            });
+            this.svgElement.appendChild(stairs);
+        }
+
+        /**
+         * Draws a colored marker at a specific cell position
+         * Used to highlight entrance, exit, or solution path points
+         */
+        drawMarker(maze, position, color) {
+            if (!position) return;
+            
+            const options = {
+                fill: color,
+                fillStyle: 'solid',
+                roughness: 1.2,
+                bowing: 0.3,
+                seed: maze.seed + position.row * maze.width + position.col
+            };
+            
+            // Position marker in center of cell with scaled size
+            const center = maze.getCellCenter(position);
+            const size = maze.cellSize * 0.5;
+            const x = center.x + _getPadding() - size / 2;
+            const y = center.y + _getPadding() - size / 2;
+            
+            const rect = this.rough.rectangle(x, y, size, size, options);
+            this.svgElement.appendChild(rect);
+        }
+    }
+
+    /**
+     * Maze - Core class for maze generation and data representation
+     * Implements a depth-first search with backtracking algorithm, delegating
+     * to the MazeAlgorithms registry when another algorithm is selected
+     * and to MazeTopologies for the cell layout (square, hex or circular)
+     * Manages maze structure, entrance/exit placement, and difficulty calculation
+     */
+    class Maze {
+        /**
+         * Creates a new maze with the specified dimensions
+         * @param {number} width - Number of cells horizontally
+         * @param {number} height - Number of cells vertically
+         * @param {number} cellSize - Size of each cell in pixels
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} options - Maze variant options
+         * @param {string} options.algorithm - Name of a registered generation algorithm
+         * @param {string} options.topology - Name of a registered topology (square/hex/theta/layered/weave)
+         * @param {number} options.levels - Number of floors, for multi-level topologies
+         * @param {string} options.shape - Name of a registered shape to carve the maze inside
+         * @param {string} options.shapeText - Text drawn by text-based shapes (the letter or word)
+         * @param {string} options.wrap - Which edges join the opposite side (see WRAP_MODES), on grids that can wrap
+         * @param {number} options.braid - Percentage of dead ends to remove by joining them up (0-100)
+         * @param {string} options.layout - How the openings are laid out (see LAYOUTS)
+         * @param {number} options.doors - Number of locked doors, each with its own key (0-3)
+         * @param {string} options.oneWay - How many one-way passages to open (see ONE_WAY_DENSITIES)
+         * @param {number} options.portals - Number of portal pairs (0-3)
+         * @param {string} options.terrain - How much mud, ice and water to lay (see TERRAIN_DENSITIES)
+         * @param {string} options.difficulty - Score band optimised mazes aim for: a DIFFICULTY_BANDS name, "40-50" or a single score
+         * @param {string} options.objective - How optimised mazes are chosen (see OBJECTIVES)
+         * @param {string} options.pick - Member of the Pareto front to choose: a candidate's attempt number or "baseline"
+         * @param {number} options.scoring - Version of the difficulty scoring (see SCORING_VERSION), the current one by default
+         */
+        constructor(width, height, cellSize, seed, options = {}) {
+            this.width = width;
+            this.height = height;
+            this.cellSize = cellSize;
+            this.seed = seed;
+            this.algorithm = options.algorithm || 'backtracker';
+            this.topology = MazeTopologies.has(options.topology) ? options.topology : MazeTopologies.DEFAULT_TOPOLOGY;
+            this.levels = this.resolveLevels(options.levels);
+            this.visibleLevel = null; // Floor shown on screen, or null for all floors side by side
+            this.shape = options.shape || null;
+            this.shapeText = options.shapeText || '';
+            this.shaped = false; // Whether the shape disabled any cells (set by initialize)
+            
+            // A shaped maze has no straight edges to join
+            const wraps = MazeTopologies.get(this.topology).wraps && !this.shape;
+            this.wrap = wraps && Object.prototype.hasOwnProperty.call(WRAP_MODES, options.wrap) ? options.wrap : null;
+            this.wrapColumns = !!this.wrap; // Leaving the east edge comes back in on the west, and the other way
+            this.wrapRows = !!this.wrap && WRAP_MODES[this.wrap].rows; // The same for the north and south edges
+            this.braid = Math.max(0, Math.min(100, parseInt(options.braid, 10) || 0));
+            this.layout = Object.prototype.hasOwnProperty.call(LAYOUTS, options.layout) ? options.layout : DEFAULT_LAYOUT;
+            this.grid = [];
+            this.stack = []; // Used during maze generation for backtracking
+            this.entrance = null;
+            this.exit = null;
+            this.decoys = []; // Openings that look like exits but cannot be reached
+            this.sealedCells = new Set(); // "row,col" of the corridors behind decoy exits
+            this.waypoints = []; // Checkpoints the solver must pass in order
+            this.doorCount = Math.max(0, Math.min(KEY_COLORS.length, parseInt(options.doors, 10) || 0));
+            this.doors = []; // Locked passages { row, col, direction, to, key } opened by keys[key]
+            this.keys = []; // Key positions { row, col }, one per door
+            this.doorRegions = new Map(); // "row,col" to the part of the maze the doors shut it in
+            this.oneWay = Object.prototype.hasOwnProperty.call(ONE_WAY_DENSITIES, options.oneWay) ? options.oneWay : null;
+            this.oneWays = []; // One-way passages { row, col, direction, to }, crossed from row/col to "to" only
+            this.oneWaySteps = new Set(); // "row,col>row,col" for the allowed way across each one-way passage
+            this.portalCount = Math.max(0, Math.min(PORTAL_COLORS.length, parseInt(options.portals, 10) || 0));
+            this.portals = []; // Portal pairs [{ row, col }, { row, col }], coloured by PORTAL_COLORS[index]
+            this.portalPartners = new Map(); // "row,col" of each portal to the position { row, col } at the other end
+            this.terrain = Object.prototype.hasOwnProperty.call(TERRAIN_DENSITIES, options.terrain) ? options.terrain : null;
+            this.difficulty = _getDifficultyBand(options.difficulty) ? String(options.difficulty) : null;
+            this.objective = Object.prototype.hasOwnProperty.call(OBJECTIVES, options.objective) ? options.objective : DEFAULT_OBJECTIVE;
+            this.pick = this.objective === 'pareto' && /^(\d+|baseline)$/.test(options.pick) ? String(options.pick) : null;
+            const scoring = parseInt(options.scoring, 10);
+            this.scoring = scoring >= 1 && scoring <= SCORING_VERSION ? scoring : SCORING_VERSION;
+            this.rng = this.seedRandom(seed); // Seeded random number generator
+            this.passages = null; // Passages of a bred maze (see generate), kept so it can be generated again
+            this.generationSteps = null; // Steps of generation while they are recorded (see recordGeneration)
+            
+            // Properties for tracking user solution path
+            this.userPath = [];
+            this.isCompleted = false;
+            this.currentPathEnd = null;
+            this.pathGroup = null;
+            
+            // Difficulty scoring properties
+            this.difficultyScore = null;
+            this.difficultyBreakdown = null;
+            this.paretoFront = null; // [{ candidate, objectives }] when the optimizer chose this maze from a Pareto front
+            this.paretoChoice = null; // Which candidate of the front this maze is
+            this.initialize();
+        }
+        
+        /**
+         * Returns the options needed to build another maze of the same variant
+         * @returns {Object} Options accepted by the constructor
+         */
+        getOptions() {
+            return {
+                algorithm: this.algorithm,
+                topology: this.topology,
+                levels: this.levels,
+                shape: this.shape,
+                shapeText: this.shapeText,
+                wrap: this.wrap,
+                braid: this.braid,
+                layout: this.layout,
+                doors: this.doorCount,
+                oneWay: this.oneWay,
+                portals: this.portalCount,
+                terrain: this.terrain,
+                difficulty: this.difficulty,
+                objective: this.objective,
+                pick: this.pick,
+                scoring: this.scoring
+            };
+        }
+        
+        /**
+         * Returns the generated maze as plain data that can be posted between
+         * a worker and the page (see fromData). Generation state is left out.
+         * @returns {Object} Dimensions, options, cell walls and everything placed in the maze
+         */
+        toData() {
+            const scorer = this.difficultyScorer;
+            return {
+                width: this.width,
+                height: this.height,
+                cellSize: this.cellSize,
+                seed: this.seed,
+                options: this.getOptions(),
+                grid: this.grid.map(rowCells => rowCells.map(({ disabled, under, terrain, walls }) =>
+                    ({ disabled, under, terrain, walls }))),
+                shaped: this.shaped,
+                entrance: this.entrance,
+                exit: this.exit,
+                decoys: this.decoys,
+                sealedCells: [...this.sealedCells],
+                waypoints: this.waypoints,
+                doors: this.doors,
+                keys: this.keys,
+                doorRegions: [...this.doorRegions],
+                oneWays: this.oneWays,
+                oneWaySteps: [...this.oneWaySteps],
+                portals: this.portals,
+                portalPartners: [...this.portalPartners],
+                difficultyScore: this.difficultyScore,
+                difficultyBreakdown: this.difficultyBreakdown,
+                paretoFront: this.paretoFront,
+                paretoChoice: this.paretoChoice,
+                passages: this.passages,
+                enhancementParams: this.enhancementParams || null,
+                solution: scorer ? {
+                    path: scorer.solutionPath && scorer.solutionPath.map(({ row, col }) => ({ row, col })),
+                    cells: [...scorer.solutionCells],
+                    cost: scorer.solutionCost
+                } : null
+            };
+        }
+        
+        /**
+         * Rebuilds a generated maze from the data returned by toData, without
+         * generating or scoring it again
+         * @param {Object} data - Plain maze data
+         * @returns {Maze} The maze, ready to render and solve
+         */
+        static fromData(data) {
+            const maze = new Maze(data.width, data.height, data.cellSize, data.seed, data.options);
+            data.grid.forEach((rowCells, row) => rowCells.forEach((cellData, col) => {
+                Object.assign(maze.grid[row][col], cellData);
+            }));
+            
+            maze.shaped = data.shaped;
+            maze.entrance = data.entrance;
+            maze.exit = data.exit;
+            maze.decoys = data.decoys;
+            maze.sealedCells = new Set(data.sealedCells);
+            maze.waypoints = data.waypoints;
+            maze.doors = data.doors;
+            maze.keys = data.keys;
+            maze.doorRegions = new Map(data.doorRegions);
+            maze.oneWays = data.oneWays;
+            maze.oneWaySteps = new Set(data.oneWaySteps);
+            maze.portals = data.portals;
+            maze.portalPartners = new Map(data.portalPartners);
+            maze.difficultyScore = data.difficultyScore;
+            maze.difficultyBreakdown = data.difficultyBreakdown;
+            maze.paretoFront = data.paretoFront;
+            maze.paretoChoice = data.paretoChoice;
+            
+            // Keep how it was generated, so replayGeneration can build it again
+            maze.passages = data.passages;
+            if (data.enhancementParams) maze.enhancementParams = data.enhancementParams;
+            
+            // Keep the solution the path manager scores against
+            if (data.solution && typeof MazeDifficultyScorer !== 'undefined') {
+                maze.difficultyScorer = new MazeDifficultyScorer(maze);
+                maze.difficultyScorer.solutionPath = data.solution.path;
+                maze.difficultyScorer.solutionCells = new Set(data.solution.cells);
+                maze.difficultyScorer.solutionCost = data.solution.cost;
+            }
+            
+            return maze;
+        }
+        
+        /**
+         * Clamps a requested floor count to the topology's range
+         * Single-floor topologies always have exactly one level
+         */
+        resolveLevels(levels) {
+            const range = MazeTopologies.get(this.topology).levels;
+            if (!range) return 1;
+            
+            const requested = parseInt(levels, 10) || range.default;
+            return Math.max(range.min, Math.min(range.max, requested));
+        }
+        
+        /**
+         * Creates a cell object representing one square (or hexagon) in the maze
+         * Each cell tracks its walls and path-related properties
+         */
+        createCell(row, col) {
+            const walls = {};
+            this.getDirections({ row, col }).forEach(direction => {
+                walls[direction] = true;
+            });
+            
+            return {
+                row,
+                col,
+                level: this.getLevel(row), // Floor number, always 0 on single-floor mazes
+                disabled: false, // Outside the maze's shape, so never carved or drawn
+                under: null, // Directions of a passage tunnelling beneath (weave crossings only)
+                terrain: null, // Mud, ice or water (see TERRAIN_TYPES), or null for plain ground
+                visited: false, // Used during generation algorithm
+                walls,
+                // Properties for solution path tracking
+                inPath: false,
+                pathOrder: -1
+            };
+        }
+        
+        /**
+         * Initializes the 2D grid of cells as a complete grid with all walls intact
+         * Rows take their lengths from the topology and may differ (rings of a circular maze)
+         * Cells outside the maze's shape, if it has one, are then disabled
+         */
+        initialize() {
+            const rowLengths = MazeTopologies.get(this.topology).getRowLengths(this.width, this.height, this.levels);
+            
+            // Size every row before creating cells, since a cell's walls can depend on the rows around it
+            this.grid = rowLengths.map(length => new Array(length));
+            this.grid.forEach((rowCells, row) => {
+                for (let col = 0; col < rowCells.length; col++) {
+                    rowCells[col] = this.createCell(row, col);
+                }
+            });
+            
+            this.shaped = typeof MazeShapes !== 'undefined' && MazeShapes.apply(this);
+        }
+        
+        /**
+         * Calls fn for every cell of the maze in row-major order
+         * Disabled cells outside a shaped maze are skipped
+         */
+        forEachCell(fn) {
+            this.grid.forEach(rowCells => rowCells.forEach(cell => {
+                if (!cell.disabled) fn(cell);
+            }));
+        }
+        
+        /**
+         * Returns the cells floor by floor as levels[level][row][col]
+         * Single-floor mazes have one level holding the whole grid
+         */
+        getLevels() {
+            const rowsPerLevel = this.grid.length / this.levels;
+            const levels = [];
+            for (let level = 0; level < this.levels; level++) {
+                levels.push(this.grid.slice(level * rowsPerLevel, (level + 1) * rowsPerLevel));
+            }
+            return levels;
+        }
+        
+        /**
+         * Returns the floor a grid row belongs to
+         */
+        getLevel(row) {
+            const topology = MazeTopologies.get(this.topology);
+            return topology.getLevel ? topology.getLevel(this, row) : 0;
+        }
+        
+        /**
+         * Checks whether a floor is currently drawn
+         */
+        isLevelShown(level) {
+            return this.visibleLevel === null || this.visibleLevel === level;
+        }
+        
+        /**
+         * Total number of cells in the maze, excluding disabled cells
+         */
+        getCellCount() {
+            return this.grid.reduce((count, rowCells) =>
+                count + rowCells.filter(cell => !cell.disabled).length, 0);
+        }
+        
+        /**
+         * Picks a random cell using the seeded rng (row first, then column)
+         * Draws again until the cell is inside the maze's shape
+         */
+        getRandomCell() {
+            let cell;
+            do {
+                const row = this.randomInt(0, this.grid.length - 1);
+                cell = this.grid[row][this.randomInt(0, this.grid[row].length - 1)];
+            } while (cell.disabled);
+            return cell;
+        }
+        
+        /**
+         * Creates a deterministic random number generator from the provided seed
+         * Implements a Linear Congruential Generator for reproducible random values
+         */
+        seedRandom(seed) {
+            if (!seed) {
+                seed = Math.floor(Math.random() * 1000000);
+                const seedInput = document.getElementById('seed');
+                if (seedInput) seedInput.value = seed;
+            }
+            
+            let value = seed;
+            return () => {
+                // Linear Congruential Generator (Park-Miller variant)
+                value = (value * 16807) % 2147483647; // 2^31-1 (Mersenne prime)
+                return (value - 1) / 2147483646; // Normalize to [0,1)
+            };
+        }
+        
+        /**
+         * Generates random integer within specified range (inclusive)
+         */
+        randomInt(min, max) {
+            return Math.floor(this.rng() * (max - min + 1)) + min;
+        }
+        
+        /**
+         * Generates the maze with the selected algorithm, then places the
+         * entrance and exit, any locked doors, portals, one-way passages and
+         * terrain and scores the result
+         * @param {Array|null} passages - Passages { row, col, direction } of a perfect
+         *   maze to open instead of carving one (see carvePassages)
+         */
+        generate(passages = null) {
+            this.passages = passages;
+            this.carvePassages(passages);
+            
+            // After full generation, create entrance and exit points
+            this.createEntranceAndExit();
+            this.placeDoors();
+            this.placePortals();
+            this.placeOneWays();
+            this.placeTerrain();
+            
+            // Calculate difficulty metrics for generated maze
+            this.calculateDifficulty();
+        }
+        
+        /**
+         * Starts recording the steps of generation into generationSteps, for
+         * playing it back (see GenerationPlayer). The first step is the grid
+         * as it is before carving.
+         */
+        recordGeneration() {
+            this.generationSteps = [];
+            this.recordWalls();
+        }
+        
+        /**
+         * Adds a step to generationSteps while they are being recorded:
+         * - walls: { walls } every cell's walls, [row][col][direction], at the
+         *   start and wherever the grid is replaced wholesale
+         * - wall: { open, sides } a wall opened or closed, sides listing each
+         *   { row, col, direction } it changed on (one for an outer wall)
+         * - visit: { row, col } depth-first search reached a cell and pushed it on its stack
+         * - backtrack: { row, col } depth-first search popped a dead end off its stack
+         * @param {string} type - Kind of step
+         * @param {Object} details - What changed
+         */
+        recordStep(type, details) {
+            if (this.generationSteps) {
+                this.generationSteps.push({ type, ...details });
+            }
+        }
+        
+        /**
+         * Records every cell's walls as they stand (see recordStep)
+         */
+        recordWalls() {
+            if (this.generationSteps) {
+                this.recordStep('walls', { walls: this.grid.map(rowCells => rowCells.map(cell => ({ ...cell.walls }))) });
+            }
+        }
+        
+        /**
+         * Generates this maze again from its seed with every step recorded.
+         * Optimized mazes are rebuilt from the enhancement parameters or bred
+         * passages they were generated with, so the steps end in this maze.
+         * @returns {Maze} The maze generated again, with its generationSteps
+         */
+        replayGeneration() {
+            const options = this.getOptions();
+            const maze = this.enhancementParams && MazeApp.EnhancedMaze ?
+                new MazeApp.EnhancedMaze(this.width, this.height, this.cellSize, this.seed, { ...this.enhancementParams, ...options }) :
+                new Maze(this.width, this.height, this.cellSize, this.seed, options);
+            maze.recordGeneration();
+            maze.generate(this.passages);
+            return maze;
+        }
+        
+        /**
+         * Carves passages into the grid using the selected algorithm, then adds
+         * any weave crossings and braiding
+         * @param {Array|null} passages - Passages { row, col, direction } to open
+         *   instead of running the algorithm, such as a perfect maze bred by the
+         *   optimizer's evolve objective. No random numbers are drawn for them.
+         */
+        carvePassages(passages = null) {
+            if (passages) {
+                passages.forEach(({ row, col, direction }) => {
+                    const cell = this.getCell(row, col);
+                    WallManager.removeWalls(this, cell, this.getNeighborInDirection(row, col, direction), direction);
+                });
+                this.forEachCell(cell => { cell.visited = true; });
+            } else {
+                this.carvePerfectMaze();
+            }
+            this.addCrossings();
+            
+            // Mazes with doors are braided once the doors are in (see placeDoors)
+            if (!this.doorCount) this.braidDeadEnds();
+        }
+        
+        /**
+         * Carves a perfect maze, with one route between any two cells, using the
+         * selected algorithm (the built-in backtracker when the registry is not loaded)
+         */
+        carvePerfectMaze() {
+            if (typeof MazeAlgorithms !== 'undefined') {
+                MazeAlgorithms.carve(this, this.algorithm);
+            } else {
+                this.carveBacktracker();
+            }
+        }
+        
+        /**
+         * Tunnels passages under some straight corridors on topologies that
+         * allow crossings. A tunnel would close a loop, so a wall elsewhere on
+         * that loop is rebuilt and the maze keeps exactly one route between any
+         * two cells, whichever algorithm carved it.
+         */
+        addCrossings() {
+            const chance = MazeTopologies.get(this.topology).crossingChance;
+            if (!chance) return;
+            
+            // Consider cells in a seeded random order so crossings spread evenly
+            const cells = [];
+            this.forEachCell(cell => cells.push(cell));
+            for (let i = cells.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [cells[i], cells[j]] = [cells[j], cells[i]];
+            }
+            
+            cells.forEach(cell => {
+                if (this.rng() >= chance) return;
+                
+                const under = this.getCrossingDirections(cell);
+                if (under) this.tunnelUnder(cell, under);
+            });
+        }
+        
+        /**
+         * Returns the two closed, opposite walls a passage could tunnel through,
+         * or null unless the cell is a straight corridor with cells on every side
+         */
+        getCrossingDirections(cell) {
+            if (cell.under) return null;
+            
+            const directions = this.getDirections(cell);
+            const open = directions.filter(direction => !cell.walls[direction]);
+            const closed = directions.filter(direction => cell.walls[direction]);
+            const isStraight = (pair) => pair.length === 2 && pair[1] === this.getOppositeDirection(cell, pair[0]);
+            
+            if (!isStraight(open) || !isStraight(closed)) return null;
+            return closed.every(direction => this.getNeighborInDirection(cell.row, cell.col, direction)) ? closed : null;
+        }
+        
+        /**
+         * Opens a passage under a straight corridor cell, first rebuilding a wall
+         * on the route that already joins the cells on either side
+         * @param {Object} cell - Cell to become a crossing
+         * @param {Array} under - The two opposite walls the tunnel passes through
+         * @returns {boolean} Whether the crossing was made
+         */
+        tunnelUnder(cell, under) {
+            const [forward, back] = under;
+            const before = this.getNeighborInDirection(cell.row, cell.col, back);
+            const after = this.getNeighborInDirection(cell.row, cell.col, forward);
+            
+            // Steps over the new crossing or through other crossings must stay open
+            const steps = this.findRoute(before, after).filter(step =>
+                step.crossings.length === 0 && step.cell !== cell && step.neighbor !== cell);
+            if (steps.length === 0) return false;
+            
+            const step = steps[this.randomInt(0, steps.length - 1)];
+            WallManager.addWalls(this, step.cell, step.neighbor, step.direction);
+            
+            WallManager.removeWalls(this, before, cell, forward);
+            WallManager.removeWalls(this, cell, after, forward);
+            cell.under = under;
+            return true;
+        }
+        
+        /**
+         * Follows an open wall to the next cell where a walker can turn,
+         * passing straight through any weave crossings on the way and sliding
+         * on across ice until something stops the slide
+         * @returns {Object|null} { neighbor, direction, crossings } with the crossing
+         *   and ice cells passed in order, or null if the wall is closed, leads
+         *   outside or ends in water
+         */
+        getPassage(cell, direction) {
+            if (cell.walls[direction]) return null;
+            
+            const crossings = [];
+            let neighbor = this.getNeighborInDirection(cell.row, cell.col, direction);
+            while (neighbor && (neighbor.under || this.slidesOn(neighbor, direction))) {
+                crossings.push(neighbor);
+                neighbor = this.getNeighborInDirection(neighbor.row, neighbor.col, direction);
+            }
+            
+            return neighbor && neighbor.terrain !== 'water' ? { neighbor, direction, crossings } : null;
+        }
+        
+        /**
+         * Tells whether a walker moving in a direction slides on out of a cell:
+         * on ice they carry on until a wall, the edge, water or a weave
+         * crossing stops them (stairs are never slid up or down)
+         */
+        slidesOn(cell, direction) {
+            if (cell.terrain !== 'ice' || cell.walls[direction] !== false) return false;
+            if ((MazeTopologies.get(this.topology).stairDirections || []).includes(direction)) return false;
+            
+            const next = this.getNeighborInDirection(cell.row, cell.col, direction);
+            return !!next && !next.under && next.terrain !== 'water';
+        }
+        
+        /**
+         * Moves it takes to step into a cell: more in mud, one elsewhere
+         */
+        getTerrainCost(cell) {
+            return cell.terrain ? TERRAIN_TYPES[cell.terrain].cost : 1;
+        }
+        
+        /**
+         * Returns every passage leading out of a cell, in getDirections order
+         * One-way passages pointing into the cell are left out. A portal adds
+         * a last passage to the other end of its pair, marked portal and with
+         * no direction.
+         */
+        getPassages(cell) {
+            const passages = this.getDirections(cell)
+                .map(direction => this.getPassage(cell, direction))
+                .filter(passage => passage !== null && !this.isOneWayAgainst(cell, passage.neighbor));
+            
+            const partner = this.getPortalPartner(cell);
+            if (partner) {
+                passages.push({ neighbor: partner, direction: null, crossings: [], portal: true });
+            }
+            return passages;
+        }
+        
+        /**
+         * Returns the cell at the other end of a portal pair
+         * @returns {Object|null} The partner cell, or null if the cell is not a portal
+         */
+        getPortalPartner(cell) {
+            const partner = this.portalPartners.get(`${cell.row},${cell.col}`);
+            return partner ? this.grid[partner.row][partner.col] : null;
+        }
+        
+        /**
+         * Tells whether stepping from one cell to a neighbor goes against the
+         * arrow of a one-way passage
+         */
+        isOneWayAgainst(from, to) {
+            return this.oneWaySteps.has(`${to.row},${to.col}>${from.row},${from.col}`);
+        }
+        
+        /**
+         * Finds the route between two cells along open passages (breadth-first)
+         * @returns {Array} Steps { cell, neighbor, direction, crossings } from start
+         *   to goal, empty if the goal cannot be reached
+         */
+        findRoute(start, goal) {
+            const arrivals = new Map([[start, null]]);
+            const queue = [start];
+            
+            for (let i = 0; i < queue.length && !arrivals.has(goal); i++) {
+                const cell = queue[i];
+                this.getPassages(cell).forEach(passage => {
+                    if (!arrivals.has(passage.neighbor)) {
+                        arrivals.set(passage.neighbor, { cell, ...passage });
+                        queue.push(passage.neighbor);
+                    }
+                });
+            }
+            
+            const route = [];
+            for (let step = arrivals.get(goal); step; step = arrivals.get(step.cell)) {
+                route.unshift(step);
+            }
+            return route;
+        }
+        
+        /**
+         * Braids the maze by joining the braid percentage of its dead ends to a
+         * neighboring corridor, which adds loops. Joining two dead ends to each
+         * other removes both at once, so those joins are preferred. Cells are
+         * only joined within a region of doorRegions, so loops never lead
+         * around a locked door.
+         * Mazes with no braid are left untouched and draw no random numbers.
+         */
+        braidDeadEnds() {
+            if (!this.braid) return;
+            
+            const isDeadEnd = (cell) => this.getDirections(cell).filter(direction => !cell.walls[direction]).length === 1;
+            
+            // Visit the dead ends in a seeded random order
+            const deadEnds = [];
+            this.forEachCell(cell => {
+                if (isDeadEnd(cell)) deadEnds.push(cell);
+            });
+            for (let i = deadEnds.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [deadEnds[i], deadEnds[j]] = [deadEnds[j], deadEnds[i]];
+            }
+            
+            const target = Math.round(deadEnds.length * this.braid / 100);
+            let removed = 0;
+            
+            for (const cell of deadEnds) {
+                if (removed >= target) break;
+                if (!isDeadEnd(cell)) continue; // Already joined by a neighboring dead end
+                
+                const region = this.doorRegions.get(`${cell.row},${cell.col}`);
+                const candidates = this.getNeighbors(cell).filter(({ neighbor, direction }) =>
+                    cell.walls[direction] && this.doorRegions.get(`${neighbor.row},${neighbor.col}`) === region);
+                if (candidates.length === 0) continue;
+                
+                const deadEndCandidates = candidates.filter(({ neighbor }) => isDeadEnd(neighbor));
+                const choices = deadEndCandidates.length > 0 ? deadEndCandidates : candidates;
+                const { neighbor, direction } = choices[this.randomInt(0, choices.length - 1)];
+                
+                removed += isDeadEnd(neighbor) ? 2 : 1;
+                WallManager.removeWalls(this, cell, neighbor, direction);
+            }
+        }
+        
+        /**
+         * Carves the maze using depth-first search with backtracking
+         * 1. Starts at a random cell
+         * 2. Recursively visits unvisited neighbors
+         * 3. Removes walls between visited cells
+         * 4. Backtracks when no unvisited neighbors remain
+         */
+        carveBacktracker() {
+            // Start from a random cell position to increase variety
+            let currentCell = this.getRandomCell();
+            currentCell.visited = true;
+            this.stack.push(currentCell);
+            this.recordStep('visit', { row: currentCell.row, col: currentCell.col });
+            
+            // Core generation loop - continue until all cells have been visited
+            while (this.stack.length > 0) {
+                currentCell = this.stack[this.stack.length - 1];
+                const neighbors = this.getUnvisitedNeighbors(currentCell);
+                
+                if (neighbors.length === 0) {
+                    // No unvisited neighbors - backtrack
+                    this.stack.pop();
+                    this.recordStep('backtrack', { row: currentCell.row, col: currentCell.col });
+                } else {
+                    // Choose random unvisited neighbor and connect cells
+                    const { neighbor, direction } = neighbors[this.randomInt(0, neighbors.length - 1)];
+                    WallManager.removeWalls(this, currentCell, neighbor, direction);
+                    neighbor.visited = true;
+                    this.stack.push(neighbor);
+                    this.recordStep('visit', { row: neighbor.row, col: neighbor.col });
+                }
+            }
+        }
+        
+        /**
+         * Returns the wall directions of a cell in the topology's order
+         * (north/east/south/west for square grids)
+         */
+        getDirections(cell) {
+            const topology = MazeTopologies.get(this.topology);
+            return topology.getDirections ? topology.getDirections(this, cell) : topology.directions;
+        }
+        
+        /**
+         * Returns the wall of the adjacent cell that faces back across the given wall
+         */
+        getOppositeDirection(cell, direction) {
+            return WallManager.getOppositeDirection(this, cell, direction);
+        }
+        
+        /**
+         * Finds all adjacent cells within the grid, regardless of walls
+         * Returns array of {neighbor, direction} pairs in getDirections order
+         */
+        getNeighbors(cell) {
+            const neighbors = [];
+            
+            this.getDirections(cell).forEach(direction => {
+                const neighbor = this.getNeighborInDirection(cell.row, cell.col, direction);
+                if (neighbor) {
+                    neighbors.push({ neighbor, direction });
+                }
+            });
+            
+            return neighbors;
+        }
+        
+        /**
+         * Finds all adjacent unvisited cells
+         * Returns array of {neighbor, direction} pairs for each valid neighbor
+         */
+        getUnvisitedNeighbors(cell) {
+            return this.getNeighbors(cell).filter(({ neighbor }) => !neighbor.visited);
+        }
+        
+        /**
+         * Returns the adjacent cell in the specified direction
+         * Returns null if direction would go outside the maze boundaries;
+         * across a wrapping edge it is the cell on the opposite side
+         */
+        getNeighborInDirection(row, col, direction) {
+            const position = this.wrapPosition(MazeTopologies.get(this.topology).getNeighborPosition(this, row, col, direction));
+            return position ? this.getCell(position.row, position.col) : null;
+        }
+        
+        /**
+         * Brings a grid position beyond a wrapping edge round to the opposite side
+         * @param {Object|null} position - { row, col }, possibly outside the grid
+         * @returns {Object|null} The position inside the grid, or unchanged on edges that do not wrap
+         */
+        wrapPosition(position) {
+            if (!position || !this.wrapColumns) return position;
+            return {
+                row: this.wrapRows ? (position.row + this.height) % this.height : position.row,
+                col: (position.col + this.width) % this.width
+            };
+        }
+        
+        /**
+         * Checks whether a wall of a cell lies on a wrapping edge, so the cell
+         * beyond it is on the opposite side of the maze
+         */
+        isWrapEdge(cell, direction) {
+            if (!this.wrapColumns) return false;
+            const position = MazeTopologies.get(this.topology).getNeighborPosition(this, cell.row, cell.col, direction);
+            return !!position && (position.col < 0 || position.col >= this.width ||
+                (this.wrapRows && (position.row < 0 || position.row >= this.height)));
+        }
+        
+        /**
+         * Returns the cell at a grid position, or null outside the maze
+         * (including disabled cells outside its shape)
+         */
+        getCell(row, col) {
+            if (row >= 0 && row < this.grid.length && col >= 0 && col < this.grid[row].length &&
+                !this.grid[row][col].disabled) {
+                return this.grid[row][col];
+            }
+            return null;
+        }
+        
+        /**
+         * Returns the direction of the wall shared by two adjacent cells
+         * @returns {string|null} Direction from cell1 to cell2, or null if not adjacent
+         */
+        getDirectionBetween(cell1, cell2) {
+            for (const direction of this.getDirections(cell1)) {
+                const neighbor = this.getNeighborInDirection(cell1.row, cell1.col, direction);
+                if (neighbor && neighbor.row === cell2.row && neighbor.col === cell2.col) {
+                    return direction;
+                }
+            }
+            return null;
+        }
+        
+        /**
+         * Minimum number of moves between two cells if there were no walls
+         */
+        getDistance(cell1, cell2) {
+            return MazeTopologies.get(this.topology).getDistance(this, cell1, cell2);
+        }
+        
+        /**
+         * Total maze size in pixels, excluding padding
+         * @param {number|null} visibleLevel - Floor to size for, or null for all floors
+         *   side by side (defaults to the floor on screen)
+         * @returns {Object} Object with width and height properties
+         */
+        getPixelSize(visibleLevel = this.visibleLevel) {
+            return MazeTopologies.get(this.topology)
+                .getSize(this.width, this.height, this.cellSize, this.levels, visibleLevel);
+        }
+        
+        /**
+         * Center of a cell in pixels, excluding padding
+         * @param {Object} cell - Cell or position with row/col properties
+         * @returns {Object} Position with x,y coordinates
+         */
+        getCellCenter(cell) {
+            return MazeTopologies.get(this.topology).getCellCenter(this, cell);
+        }
+        
+        /**
+         * Finds the cell under a pixel position, excluding padding
+         * @returns {Object|null} Cell at the position or null if outside the maze
+         */
+        getCellAt(x, y) {
+            const position = MazeTopologies.get(this.topology).getPositionAt(this, x, y);
+            return position ? this.getCell(position.row, position.col) : null;
+        }
+        
+        /**
+         * Creates entrance and exit points following the maze's layout
+         * By default they sit on opposite sides; the same-side layout puts the
+         * exit beside the entrance, and the decoys and waypoints layouts add
+         * unreachable exits or checkpoints to visit in order.
+         * Avoids placing entrances/exits at corners for better aesthetics
+         * Topologies may place the exit elsewhere (the centre of a circular maze,
+         * the top floor of a multi-level one). A maze wrapping left and right
+         * opens on its top and bottom; one wrapping on all edges has no edge to
+         * open, so the entrance is a cell inside and the exit lies half the
+         * maze away in both directions (and there are no decoy exits).
+         */
+        createEntranceAndExit() {
+            if (this.wrapRows) {
+                this.entrance = { row: this.randomInt(0, this.height - 1), col: this.randomInt(0, this.width - 1), side: null };
+                this.exit = {
+                    row: (this.entrance.row + Math.floor(this.height / 2)) % this.height,
+                    col: (this.entrance.col + Math.floor(this.width / 2)) % this.width,
+                    side: null
+                };
+            } else {
+                const sides = this.wrapColumns ? ['north', 'south'] : ['north', 'east', 'south', 'west'];
+                const entranceSide = sides[this.randomInt(0, sides.length - 1)];
+                
+                this.entrance = this.createOpening(entranceSide, 'entrance');
+                this.exit = this.layout === 'same-side' ?
+                    this.createSameSideExit(entranceSide) :
+                    this.createOpening(WallManager.opposite[entranceSide], 'exit');
+            }
+            this.decoys = this.layout === 'decoys' ? this.createDecoyExits() : [];
+            this.waypoints = this.layout === 'waypoints' ? this.placeWaypoints() : [];
+            
+            // Initialize path tracking from the entrance position
+            this.currentPathEnd = { row: this.entrance.row, col: this.entrance.col };
+        }
+        
+        /**
+         * Creates an opening in the specified wall of the maze
+         * @param {string} side - Which side to create the opening (north/east/south/west)
+         * @param {string} role - 'entrance' or 'exit'
+         * @returns {Object} Position object with row, col, and side (the opened wall) properties
+         */
+        createOpening(side, role) {
+            return this.openWall(this.pickOpening(side, role));
+        }
+        
+        /**
+         * Chooses where an opening goes without opening it
+         * The topology picks a non-corner cell on that edge and the wall to open
+         * (no wall for an exit inside the maze, such as a circular maze's centre);
+         * shaped mazes open on the edge of the shape instead
+         */
+        pickOpening(side, role) {
+            return this.shaped ?
+                this.getShapeOpening(side) :
+                MazeTopologies.get(this.topology).getOpening(this, side, role);
+        }
+        
+        /**
+         * Removes the outer wall of an opening, if it has one
+         * @returns {Object} The opening
+         */
+        openWall(opening) {
+            if (opening.side) {
+                this.grid[opening.row][opening.col].walls[opening.side] = false;
+                this.recordStep('wall', { open: true, sides: [{ row: opening.row, col: opening.col, direction: opening.side }] });
             }
+            return opening;
         }
-
+        
         /**
-         * Updates SVG element dimensions to match maze size
+         * Creates the exit on the same side as the entrance, as far from it as
+         * a few tries allow
          */
-        setSize(width, height) {
-            this.svgElement.setAttribute('width', width);
-            this.svgElement.setAttribute('height', height);
+        createSameSideExit(side) {
+            let best = null;
+            let bestDistance = -1;
+            for (let i = 0; i < SAME_SIDE_DRAWS; i++) {
+                const opening = this.pickOpening(side, 'exit');
+                const distance = this.getDistance(this.entrance, opening);
+                if (distance > bestDistance) {
+                    best = opening;
+                    bestDistance = distance;
+                }
+            }
+            return this.openWall(best);
         }
-
+        
         /**
-         * Helper to create namespaced SVG elements with attributes
+         * Opens decoy exits: dead-end corridors on the edge of the maze are
+         * walled off from the rest and given an opening of their own, so they
+         * look like exits but cannot be reached from the entrance. Their cells
+         * are recorded in sealedCells so later wall removal leaves them sealed.
+         * @returns {Array} Positions { row, col, side } of the decoy openings
          */
-        createElement(type, attributes) {
-            const element = document.createElementNS('http://www.w3.org/2000/svg', type);
-            Object.entries(attributes).forEach(([key, value]) => {
-                element.setAttribute(key, value);
+        createDecoyExits() {
+            const stairDirections = MazeTopologies.get(this.topology).stairDirections || [];
+            const isOpening = (cell) => [this.entrance, this.exit].some(opening =>
+                opening.row === cell.row && opening.col === cell.col);
+            const isDeadEnd = (cell) => this.getDirections(cell).filter(direction => !cell.walls[direction]).length === 1;
+            
+            // Dead ends with a wall on the edge of the maze, in a seeded random order
+            const candidates = [];
+            this.forEachCell(cell => {
+                if (!isDeadEnd(cell) || isOpening(cell)) return;
+                const side = this.getDirections(cell).find(direction =>
+                    !stairDirections.includes(direction) && !this.getNeighborInDirection(cell.row, cell.col, direction));
+                if (side) candidates.push({ cell, side });
             });
-            return element;
+            for (let i = candidates.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            }
+            
+            // Keep pockets small so most of the maze stays reachable
+            const maxLength = Math.max(2, Math.floor(Math.sqrt(this.getCellCount())));
+            const decoys = [];
+            
+            for (const { cell, side } of candidates) {
+                if (decoys.length >= DECOY_EXITS) break;
+                if (!isDeadEnd(cell)) continue; // Sealed into an earlier pocket
+                
+                const corridor = this.getDeadEndCorridor(cell, isOpening);
+                if (!corridor || corridor.cells.length > maxLength) continue;
+                
+                const last = corridor.cells[corridor.cells.length - 1];
+                WallManager.addWalls(this, last, corridor.junction, corridor.direction);
+                corridor.cells.forEach(sealed => this.sealedCells.add(`${sealed.row},${sealed.col}`));
+                decoys.push(this.openWall({ row: cell.row, col: cell.col, side }));
+            }
+            
+            return decoys;
         }
-
+        
         /**
-         * Renders a complete maze with all elements
-         * Creates the visual representation of walls, markers, and background
-         * @param {Maze} maze - The maze object to render
+         * Follows a dead end back along its corridor to the first junction
+         * @param {Object} deadEnd - Cell with a single open wall
+         * @param {Function} isOpening - Tells whether a cell holds the entrance or exit
+         * @returns {Object|null} { cells, junction, direction } where direction leads
+         *   from the last corridor cell into the junction, or null if the corridor
+         *   reaches an opening or a weave crossing first
          */
-        render(maze) {
-            this.clear();
-            const totalWidth = maze.width * maze.cellSize + (_getPadding() * 2);
-            const totalHeight = maze.height * maze.cellSize + (_getPadding() * 2);
-            this.setSize(totalWidth, totalHeight);
-
-            // Create transparent background for proper SVG dimensions
-            const background = this.createElement('rect', {
-                width: totalWidth,
-                height: totalHeight,
-                fill: 'rgba(255, 255, 255, 0)'
-            });
-            this.svgElement.appendChild(background);
-
-            // Draw all cell walls with randomized rough.js styling for hand-drawn effect
-            for (let row = 0; row < maze.height; row++) {
-                for (let col = 0; col < maze.width; col++) {
-                    const cell = maze.grid[row][col];
-                    ['north', 'east', 'south', 'west'].forEach(direction => {
-                        if (cell.walls[direction]) {
-                            const coords = WallManager.getWallCoordinates(cell, maze.cellSize, direction);
-                            const options = {
-                                stroke: 'black',
-                                strokeWidth: 2,
-                                roughness: 1.5,
-                                bowing: 0.5,
-                                // Use deterministic seed based on maze properties for consistent rendering
-                                seed: maze.seed + row * maze.width + col + direction.charCodeAt(0)
-                            };
-                            const line = this.rough.line(coords.x1, coords.y1, coords.x2, coords.y2, options);
-                            this.svgElement.appendChild(line);
-                        }
-                    });
+        getDeadEndCorridor(deadEnd, isOpening) {
+            const cells = [deadEnd];
+            let previous = null;
+            let cell = deadEnd;
+            
+            for (;;) {
+                const onward = this.getDirections(cell)
+                    .filter(direction => !cell.walls[direction])
+                    .map(direction => ({ direction, neighbor: this.getNeighborInDirection(cell.row, cell.col, direction) }))
+                    .filter(({ neighbor }) => neighbor && neighbor !== previous);
+                if (onward.length !== 1) return null;
+                
+                const { direction, neighbor } = onward[0];
+                if (neighbor.under || isOpening(neighbor)) return null;
+                
+                const openWalls = this.getDirections(neighbor).filter(wall => !neighbor.walls[wall]).length;
+                if (openWalls > 2) {
+                    return { cells, junction: neighbor, direction };
                 }
+                
+                cells.push(neighbor);
+                previous = cell;
+                cell = neighbor;
             }
-
-            // Draw entrance (green) and exit (red) markers if enabled in UI
-            const showMarkers = document.getElementById('showMarkers').checked;
-            if (showMarkers) {
-                this.drawMarker(maze, maze.entrance, 'green');
-                this.drawMarker(maze, maze.exit, 'red');
+        }
+        
+        /**
+         * Places the checkpoints of the waypoints layout on random cells, kept
+         * apart from each other and from the entrance and exit
+         * @returns {Array} Checkpoint positions { row, col } in visiting order
+         */
+        placeWaypoints() {
+            const cells = [];
+            this.forEachCell(cell => {
+                if (!cell.under) cells.push(cell);
+            });
+            for (let i = cells.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [cells[i], cells[j]] = [cells[j], cells[i]];
+            }
+            
+            const spacing = Math.max(2, Math.floor(Math.sqrt(cells.length) / 2));
+            const waypoints = [];
+            for (const cell of cells) {
+                if (waypoints.length >= WAYPOINT_COUNT) break;
+                
+                const placed = [this.entrance, this.exit, ...waypoints];
+                if (placed.every(position => this.getDistance(position, cell) >= spacing)) {
+                    waypoints.push({ row: cell.row, col: cell.col });
+                }
             }
+            
+            return waypoints;
         }
-
+        
         /**
-         * Draws a colored marker at a specific cell position
-         * Used to highlight entrance, exit, or solution path points
+         * Locks doors across the route to the exit, each opened by a key of
+         * its own colour. Doors are spread along the route and each must cut
+         * the exit (or a checkpoint) off; key i is hidden where the solver
+         * can reach it holding only the keys before it, preferably behind the
+         * previous door, so the puzzle can always be solved. doorRegions
+         * records which cells the doors keep apart, so braiding (which waits
+         * until now) and later wall removal cannot open a way around them.
+         * A short route may have no room for every door; placing stops at the
+         * first door with nowhere to go, and the footer shows how many were
+         * placed (see _getVariantSuffix).
+         * Mazes without doors are left untouched and draw no random numbers.
          */
-        drawMarker(maze, position, color) {
-            if (!position) return;
+        placeDoors() {
+            this.doors = [];
+            this.keys = [];
+            this.doorRegions = new Map();
+            if (!this.doorCount) return;
             
-            const options = {
-                fill: color,
-                fillStyle: 'solid',
-                roughness: 1.2,
-                bowing: 0.3,
-                seed: maze.seed + position.row * maze.width + position.col
-            };
+            const stairDirections = MazeTopologies.get(this.topology).stairDirections || [];
+            const stops = [this.entrance, ...this.waypoints, this.exit].map(stop => this.grid[stop.row][stop.col]);
+            const route = [];
+            for (let i = 1; i < stops.length; i++) {
+                route.push(...this.findRoute(stops[i - 1], stops[i]));
+            }
+            const routeCells = new Set(route.map(step => step.cell));
             
-            // Position marker in center of cell with scaled size
-            const x = position.col * maze.cellSize + _getPadding() + maze.cellSize * 0.25;
-            const y = position.row * maze.cellSize + _getPadding() + maze.cellSize * 0.25;
-            const size = maze.cellSize * 0.5;
+            // Doors only go on plain steps: no stairs, and no weave crossings on either side
+            const steps = route.filter(step => step.crossings.length === 0 && !step.cell.under &&
+                !step.neighbor.under && !stairDirections.includes(step.direction));
+            let previousReach = null;
             
-            const rect = this.rough.rectangle(x, y, size, size, options);
-            this.svgElement.appendChild(rect);
+            for (let i = 0; i < this.doorCount; i++) {
+                // Try the steps of this door's stretch of the route from a random
+                // point, then the rest of the route (loops in a braided maze can
+                // lead around many steps)
+                const from = Math.floor(steps.length * (i + 0.5) / (this.doorCount + 1));
+                const to = Math.floor(steps.length * (i + 1.5) / (this.doorCount + 1));
+                if (to <= from) break;
+                const offset = this.randomInt(0, to - from - 1);
+                const tries = steps.slice(from, to);
+                tries.push(...tries.splice(0, offset), ...steps.slice(to));
+                
+                let reach = null;
+                let key = null;
+                for (const step of tries) {
+                    if (reach) break;
+                    if (this.getDoorBetween(step.cell, step.neighbor)) continue;
+                    
+                    const door = {
+                        row: step.cell.row,
+                        col: step.cell.col,
+                        direction: step.direction,
+                        to: { row: step.neighbor.row, col: step.neighbor.col },
+                        key: i
+                    };
+                    this.doors.push(door);
+                    reach = this.getReachableCells(i);
+                    
+                    // A door that can be walked around is no puzzle, and one that
+                    // shuts an earlier key away would make it unsolvable
+                    const keysReachable = this.keys.every((key, k) =>
+                        this.getReachableCells(k).has(this.grid[key.row][key.col]));
+                    if (stops.every(stop => reach.has(stop)) || !keysReachable) {
+                        this.doors.pop();
+                        reach = null;
+                        continue;
+                    }
+                    
+                    // A door next to the entrance may leave no free cell for its key
+                    key = this.placeKey(reach, previousReach, routeCells, stops);
+                    if (!key) {
+                        this.doors.pop();
+                        reach = null;
+                    }
+                }
+                if (!reach) break;
+                
+                this.keys.push(key);
+                previousReach = reach;
+            }
+            
+            // Label the parts of the maze the doors shut off from each other
+            // (crossings join two passages, so they are left out)
+            this.forEachCell(cell => {
+                if (cell.under || this.doorRegions.has(`${cell.row},${cell.col}`)) return;
+                
+                const region = this.doorRegions.size;
+                this.getReachableCells(0, cell).forEach((distance, reached) =>
+                    this.doorRegions.set(`${reached.row},${reached.col}`, region));
+            });
+            
+            this.braidDeadEnds();
         }
-    }
-
-    /**
-     * Maze - Core class for maze generation and data representation
-     * Implements a depth-first search with backtracking algorithm
-     * Manages maze structure, entrance/exit placement, and difficulty calculation
-     */
-    class Maze {
+        
         /**
-         * Creates a new maze with the specified dimensions
-         * @param {number} width - Number of cells horizontally
-         * @param {number} height - Number of cells vertically
-         * @param {number} cellSize - Size of each cell in pixels
-         * @param {number} seed - Random seed for deterministic generation
+         * Picks where the key of the door just placed goes, among the cells
+         * the solver can reach holding the keys before it. Cells the previous
+         * door opened up and cells off the route are preferred, then the
+         * further half from the start of the search.
+         * @param {Map} reach - Reachable cells and their distances
+         * @param {Map|null} previousReach - Cells reachable before the previous door opened
+         * @param {Set} routeCells - Cells on the route to the exit
+         * @param {Array} stops - Entrance, checkpoint and exit cells
+         * @returns {Object|null} Key position { row, col }, or null if every reachable cell is taken
          */
-        constructor(width, height, cellSize, seed) {
-            this.width = width;
-            this.height = height;
-            this.cellSize = cellSize;
-            this.seed = seed;
-            this.grid = [];
-            this.stack = []; // Used during maze generation for backtracking
-            this.entrance = null;
-            this.exit = null;
-            this.rng = this.seedRandom(seed); // Seeded random number generator
+        placeKey(reach, previousReach, routeCells, stops) {
+            const taken = (cell) => cell.under || stops.includes(cell) ||
+                this.keys.some(key => key.row === cell.row && key.col === cell.col);
+            let candidates = Array.from(reach.keys()).filter(cell => !taken(cell));
+            if (candidates.length === 0) return null;
             
-            // Properties for tracking user solution path
-            this.userPath = [];
-            this.isCompleted = false;
-            this.currentPathEnd = null;
-            this.pathGroup = null;
+            const prefer = (test) => {
+                const preferred = candidates.filter(test);
+                if (preferred.length > 0) candidates = preferred;
+            };
+            if (previousReach) prefer(cell => !previousReach.has(cell));
+            prefer(cell => !routeCells.has(cell));
             
-            // Difficulty scoring properties
-            this.difficultyScore = null;
-            this.difficultyBreakdown = null;
-            this.initialize();
+            candidates.sort((a, b) => reach.get(b) - reach.get(a));
+            const key = candidates[this.randomInt(0, Math.ceil(candidates.length / 2) - 1)];
+            return { row: key.row, col: key.col };
         }
         
         /**
-         * Creates a cell object representing one square in the maze
-         * Each cell tracks its walls and path-related properties
+         * Finds the cells a solver can walk to holding the keys of the first
+         * keysHeld doors (breadth-first)
+         * @param {number} keysHeld - Doors with a lower key number are open
+         * @param {Object} start - Cell to start from, the entrance by default
+         * @returns {Map} Distance in steps from the start, keyed by cell
          */
-        createCell(row, col) {
-            return {
-                row,
-                col,
-                visited: false, // Used during generation algorithm
-                walls: {
-                    north: true,
-                    east: true,
-                    south: true,
-                    west: true
-                },
-                // Properties for solution path tracking
-                inPath: false,
-                pathOrder: -1
-            };
+        getReachableCells(keysHeld, start = this.grid[this.entrance.row][this.entrance.col]) {
+            const distances = new Map([[start, 0]]);
+            const queue = [start];
+            
+            for (let i = 0; i < queue.length; i++) {
+                const cell = queue[i];
+                this.getPassages(cell).forEach(({ neighbor }) => {
+                    const door = this.getDoorBetween(cell, neighbor);
+                    if (distances.has(neighbor) || (door && door.key >= keysHeld)) return;
+                    
+                    distances.set(neighbor, distances.get(cell) + 1);
+                    queue.push(neighbor);
+                });
+            }
+            
+            return distances;
         }
         
         /**
-         * Initializes the 2D grid of cells as a complete grid with all walls intact
+         * Turns pairs of dead ends into portals: stepping onto either end of a
+         * pair jumps to the other, so a dead end may lead on after all. A dead
+         * end can only be left the way it was entered, so the jump never cuts
+         * a passage short. The ends of a pair lie in the same region of
+         * doorRegions, so no portal leads around a locked door, and they are
+         * kept apart; cells holding an opening, checkpoint or key are skipped.
+         * Mazes without portals are left untouched and draw no random numbers.
          */
-        initialize() {
-            this.grid = [];
-            for (let row = 0; row < this.height; row++) {
-                const rowCells = [];
-                for (let col = 0; col < this.width; col++) {
-                    rowCells.push(this.createCell(row, col));
-                }
-                this.grid.push(rowCells);
+        placePortals() {
+            this.portals = [];
+            this.portalPartners = new Map();
+            if (!this.portalCount) return;
+            
+            const isDeadEnd = (cell) => this.getDirections(cell).filter(direction => !cell.walls[direction]).length === 1;
+            const taken = [this.entrance, this.exit, ...this.decoys, ...this.waypoints, ...this.keys];
+            const regionOf = (cell) => this.doorRegions.get(`${cell.row},${cell.col}`);
+            const reach = this.getReachableCells(this.keys.length);
+            
+            // Dead ends the solver can reach, in a seeded random order
+            const candidates = [];
+            this.forEachCell(cell => {
+                if (!isDeadEnd(cell) || !reach.has(cell)) return;
+                if (taken.some(position => position.row === cell.row && position.col === cell.col)) return;
+                candidates.push(cell);
+            });
+            for (let i = candidates.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            }
+            
+            const spacing = Math.max(2, Math.floor(Math.sqrt(this.getCellCount()) / 2));
+            const used = new Set();
+            for (const cell of candidates) {
+                if (this.portals.length >= this.portalCount) break;
+                if (used.has(cell)) continue;
+                
+                const partner = candidates.find(other => other !== cell && !used.has(other) &&
+                    regionOf(other) === regionOf(cell) && this.getDistance(cell, other) >= spacing);
+                if (!partner) continue;
+                
+                const pair = [{ row: cell.row, col: cell.col }, { row: partner.row, col: partner.col }];
+                used.add(cell);
+                used.add(partner);
+                this.portals.push(pair);
+                this.portalPartners.set(`${cell.row},${cell.col}`, pair[1]);
+                this.portalPartners.set(`${partner.row},${partner.col}`, pair[0]);
             }
         }
         
         /**
-         * Creates a deterministic random number generator from the provided seed
-         * Implements a Linear Congruential Generator for reproducible random values
+         * Opens one-way passages through walls, as shortcuts that may only be
+         * crossed away from the exit: they tempt the solver but always lead
+         * further from it. Every passage that was there stays two-way, so the
+         * route from the entrance to the exit is kept and no one-way passage
+         * can leave the solver stuck. Passages stay within a region of
+         * doorRegions so none leads around a locked door, and portals are
+         * left as dead ends.
+         * Mazes without one-way passages are left untouched and draw no random numbers.
          */
-        seedRandom(seed) {
-            if (!seed) {
-                seed = Math.floor(Math.random() * 1000000);
-                const seedInput = document.getElementById('seed');
-                if (seedInput) seedInput.value = seed;
+        placeOneWays() {
+            this.oneWays = [];
+            this.oneWaySteps = new Set();
+            if (!this.oneWay) return;
+            
+            const stairDirections = MazeTopologies.get(this.topology).stairDirections || [];
+            const exit = this.grid[this.exit.row][this.exit.col];
+            const fromExit = this.getReachableCells(this.keys.length, exit);
+            const regionOf = (cell) => this.doorRegions.get(`${cell.row},${cell.col}`);
+            
+            // Walls between two cells the solver reaches, far enough apart the long way round
+            const candidates = [];
+            this.forEachCell(cell => {
+                if (cell.under || !fromExit.has(cell) || this.getPortalPartner(cell)) return;
+                this.getNeighbors(cell).forEach(({ neighbor, direction }) => {
+                    if (!cell.walls[direction] || neighbor.under || stairDirections.includes(direction)) return;
+                    if (this.getPortalPartner(neighbor)) return;
+                    if (!fromExit.has(neighbor) || regionOf(neighbor) !== regionOf(cell)) return;
+                    if (fromExit.get(neighbor) - fromExit.get(cell) >= ONE_WAY_MIN_DETOUR) {
+                        candidates.push({ cell, neighbor, direction });
+                    }
+                });
+            });
+            for (let i = candidates.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
             }
             
-            let value = seed;
-            return () => {
-                // Linear Congruential Generator (Park-Miller variant)
-                value = (value * 16807) % 2147483647; // 2^31-1 (Mersenne prime)
-                return (value - 1) / 2147483646; // Normalize to [0,1)
-            };
+            const target = Math.round(this.getCellCount() * ONE_WAY_DENSITIES[this.oneWay].perCell);
+            const used = new Set();
+            for (const { cell, neighbor, direction } of candidates) {
+                if (this.oneWays.length >= target) break;
+                // Keep arrows apart so each cell has at most one
+                if (used.has(cell) || used.has(neighbor)) continue;
+                
+                WallManager.removeWalls(this, cell, neighbor, direction);
+                this.oneWays.push({
+                    row: cell.row,
+                    col: cell.col,
+                    direction,
+                    to: { row: neighbor.row, col: neighbor.col }
+                });
+                this.oneWaySteps.add(`${cell.row},${cell.col}>${neighbor.row},${neighbor.col}`);
+                used.add(cell);
+                used.add(neighbor);
+            }
         }
         
         /**
-         * Generates random integer within specified range (inclusive)
+         * Lays patches of mud and ice and single cells of water. Mud slows the
+         * solver down, ice slides them on until something stops them and water
+         * cannot be crossed: a wall nearby is opened so the way round it is
+         * not lost. A water cell or ice patch that would leave the solver
+         * unable to finish from somewhere they can get to is taken back out.
+         * Openings, checkpoints, keys, portals and the cells either side of a
+         * door or one-way passage are left as plain ground, so slides never
+         * run through them.
+         * Mazes without terrain are left untouched and draw no random numbers.
          */
-        randomInt(min, max) {
-            return Math.floor(this.rng() * (max - min + 1)) + min;
+        placeTerrain() {
+            if (!this.terrain) return;
+            
+            const marked = [this.entrance, this.exit, ...this.decoys, ...this.waypoints, ...this.keys,
+                ...this.portals.flat(), ...this.doors, ...this.doors.map(door => door.to),
+                ...this.oneWays, ...this.oneWays.map(oneWay => oneWay.to)];
+            const reach = this.getReachableCells(this.keys.length);
+            const isFree = (cell) => !cell.under && !cell.terrain && reach.has(cell) &&
+                !marked.some(position => position.row === cell.row && position.col === cell.col);
+            
+            // Cells the terrain may cover, in a seeded random order
+            const cells = [];
+            this.forEachCell(cell => {
+                if (isFree(cell)) cells.push(cell);
+            });
+            for (let i = cells.length - 1; i > 0; i--) {
+                const j = this.randomInt(0, i);
+                [cells[i], cells[j]] = [cells[j], cells[i]];
+            }
+            
+            const total = Math.round(this.getCellCount() * TERRAIN_DENSITIES[this.terrain].perCell);
+            const target = (type) => Math.round(total * TERRAIN_TYPES[type].share);
+            
+            let water = 0;
+            for (const cell of cells) {
+                if (water >= target('water')) break;
+                if (isFree(cell) && this.placeWater(cell)) water++;
+            }
+            
+            ['mud', 'ice'].forEach(type => {
+                let covered = 0;
+                for (const cell of cells) {
+                    if (covered >= target(type)) break;
+                    if (!isFree(cell)) continue;
+                    
+                    const patch = this.growTerrainPatch(cell, this.randomInt(TERRAIN_PATCH_SIZE.min, TERRAIN_PATCH_SIZE.max), isFree);
+                    patch.forEach(patchCell => {
+                        patchCell.terrain = type;
+                    });
+                    if (type === 'ice' && !this.canAlwaysFinish()) {
+                        patch.forEach(patchCell => {
+                            patchCell.terrain = null;
+                        });
+                        continue;
+                    }
+                    covered += patch.length;
+                }
+            });
         }
         
         /**
-         * Generates the maze using depth-first search with backtracking
-         * 1. Starts at a random cell
-         * 2. Recursively visits unvisited neighbors
-         * 3. Removes walls between visited cells
-         * 4. Backtracks when no unvisited neighbors remain
+         * Turns a corridor cell into water, opening the closest wall that
+         * joins the cells on either side again if the maze had no other way
+         * round. Walls into crossings, portals and other terrain, stairs and
+         * walls between regions of doorRegions are never opened.
+         * @returns {boolean} Whether the water was placed (if not, nothing changed)
          */
-        generate() {
-            // Start from a random cell position to increase variety
-            const startRow = this.randomInt(0, this.height - 1);
-            const startCol = this.randomInt(0, this.width - 1);
+        placeWater(cell) {
+            const stairDirections = MazeTopologies.get(this.topology).stairDirections || [];
+            const open = this.getDirections(cell).filter(direction => !cell.walls[direction]);
+            if (open.length !== 2 || open.some(direction => stairDirections.includes(direction))) return false;
             
-            let currentCell = this.grid[startRow][startCol];
-            currentCell.visited = true;
-            this.stack.push(currentCell);
+            const before = this.getReachableCells(this.keys.length);
+            cell.terrain = 'water';
+            const regionOf = (other) => this.doorRegions.get(`${other.row},${other.col}`);
+            const canOpen = (other) => !other.under && !other.terrain && !this.getPortalPartner(other) &&
+                !this.sealedCells.has(`${other.row},${other.col}`);
+            const opened = [];
+            let cutOff;
             
-            // Core generation loop - continue until all cells have been visited
-            while (this.stack.length > 0) {
-                currentCell = this.stack[this.stack.length - 1];
-                const neighbors = this.getUnvisitedNeighbors(currentCell);
+            for (;;) {
+                const after = this.getReachableCells(this.keys.length);
+                cutOff = Array.from(before.keys()).filter(other => other !== cell && !after.has(other));
+                if (cutOff.length === 0) break;
                 
-                if (neighbors.length === 0) {
-                    // No unvisited neighbors - backtrack
-                    this.stack.pop();
-                } else {
-                    // Choose random unvisited neighbor and connect cells
-                    const { neighbor, direction } = neighbors[this.randomInt(0, neighbors.length - 1)];
-                    WallManager.removeWalls(currentCell, neighbor, direction);
-                    neighbor.visited = true;
-                    this.stack.push(neighbor);
-                }
+                // The closest closed wall from the side still reached to the side cut off
+                let best = null;
+                after.forEach((distance, near) => {
+                    if (!canOpen(near)) return;
+                    this.getNeighbors(near).forEach(({ neighbor, direction }) => {
+                        if (!near.walls[direction] || stairDirections.includes(direction)) return;
+                        if (!cutOff.includes(neighbor) || !canOpen(neighbor) || regionOf(neighbor) !== regionOf(near)) return;
+                        
+                        const length = this.getDistance(near, cell) + this.getDistance(neighbor, cell);
+                        if (!best || length < best.length) best = { near, neighbor, direction, length };
+                    });
+                });
+                if (!best) break;
+                
+                WallManager.removeWalls(this, best.near, best.neighbor, best.direction);
+                opened.push(best);
             }
             
-            // After full generation, create entrance and exit points
-            this.createEntranceAndExit();
+            if (cutOff.length === 0 && this.canAlwaysFinish()) return true;
             
-            // Calculate difficulty metrics for generated maze
-            this.calculateDifficulty();
+            opened.forEach(({ near, neighbor, direction }) => WallManager.addWalls(this, near, neighbor, direction));
+            cell.terrain = null;
+            return false;
         }
         
         /**
-         * Finds all adjacent unvisited cells
-         * Returns array of {neighbor, direction} pairs for each valid neighbor
+         * Grows a patch of up to size cells from a cell along open passages
+         * @param {Function} isFree - Tells whether a cell may join the patch
+         * @returns {Array} Cells of the patch, starting with the given cell
          */
-        getUnvisitedNeighbors(cell) {
-            const neighbors = [];
-            const { row, col } = cell;
-            
-            // Define possible movement directions and corresponding offsets
-            const directions = [
-                { dir: 'north', row: -1, col: 0 },
-                { dir: 'east', row: 0, col: 1 },
-                { dir: 'south', row: 1, col: 0 },
-                { dir: 'west', row: 0, col: -1 }
-            ];
-            
-            // Check each direction for valid unvisited neighbors
-            directions.forEach(({ dir, row: dr, col: dc }) => {
-                const newRow = row + dr;
-                const newCol = col + dc;
-                
-                // Verify neighbor is within grid bounds and unvisited
-                if (newRow >= 0 && newRow < this.height && 
-                    newCol >= 0 && newCol < this.width && 
-                    !this.grid[newRow][newCol].visited) {
-                    neighbors.push({
-                        neighbor: this.grid[newRow][newCol],
-                        direction: dir
+        growTerrainPatch(start, size, isFree) {
+            const patch = [start];
+            for (let i = 0; i < patch.length && patch.length < size; i++) {
+                const cell = patch[i];
+                this.getDirections(cell).forEach(direction => {
+                    if (patch.length >= size || cell.walls[direction]) return;
+                    const neighbor = this.getNeighborInDirection(cell.row, cell.col, direction);
+                    if (neighbor && isFree(neighbor) && !patch.includes(neighbor)) patch.push(neighbor);
+                });
+            }
+            return patch;
+        }
+        
+        /**
+         * Checks that the solver can never get stuck. Slides on ice only go
+         * one way, so holding the keys of the first k doors, every cell the
+         * solver can reach must still lead to key k, or once every key is
+         * held, to each checkpoint and the exit.
+         */
+        canAlwaysFinish() {
+            for (let keysHeld = 0; keysHeld <= this.keys.length; keysHeld++) {
+                const reach = this.getReachableCells(keysHeld);
+                
+                // Index every move backwards, to search from the targets
+                const incoming = new Map();
+                reach.forEach((distance, cell) => {
+                    this.getPassages(cell).forEach(({ neighbor }) => {
+                        const door = this.getDoorBetween(cell, neighbor);
+                        if (door && door.key >= keysHeld) return;
+                        if (!incoming.has(neighbor)) incoming.set(neighbor, []);
+                        incoming.get(neighbor).push(cell);
                     });
+                });
+                
+                const targets = keysHeld < this.keys.length ?
+                    [this.keys[keysHeld]] :
+                    [...this.waypoints, this.exit];
+                for (const target of targets) {
+                    const goal = this.grid[target.row][target.col];
+                    if (!reach.has(goal)) return false;
+                    
+                    const leadsThere = new Set([goal]);
+                    const queue = [goal];
+                    for (let i = 0; i < queue.length; i++) {
+                        (incoming.get(queue[i]) || []).forEach(cell => {
+                            if (!leadsThere.has(cell)) {
+                                leadsThere.add(cell);
+                                queue.push(cell);
+                            }
+                        });
+                    }
+                    if (leadsThere.size < reach.size) return false;
                 }
-            });
-            
-            return neighbors;
+            }
+            return true;
         }
         
         /**
-         * Creates entrance and exit points on opposite sides of the maze
-         * Avoids placing entrances/exits at corners for better aesthetics
+         * Returns the locked door on the passage between two cells, if any
+         * @returns {Object|null} The door { row, col, direction, to, key }
          */
-        createEntranceAndExit() {
-            const sides = ['north', 'east', 'south', 'west'];
-            const entranceSide = sides[this.randomInt(0, 3)];
-            const exitSide = WallManager.opposite[entranceSide];
-            
-            this.entrance = this.createOpening(entranceSide);
-            this.exit = this.createOpening(exitSide);
-            
-            // Initialize path tracking from the entrance position
-            this.currentPathEnd = { row: this.entrance.row, col: this.entrance.col };
+        getDoorBetween(cell1, cell2) {
+            return this.doors.find(door =>
+                (door.row === cell1.row && door.col === cell1.col && door.to.row === cell2.row && door.to.col === cell2.col) ||
+                (door.row === cell2.row && door.col === cell2.col && door.to.row === cell1.row && door.to.col === cell1.col)
+            ) || null;
         }
         
         /**
-         * Creates an opening in the specified wall of the maze
-         * @param {string} side - Which side to create the opening (north/east/south/west)
-         * @returns {Object} Position object with row, col, and side properties
-         */
-        createOpening(side) {
-            let row, col;
-            
-            switch (side) {
-                case 'north':
-                    // Avoid corners (0,0) and (0,width-1)
-                    col = this.randomInt(1, this.width - 2);
-                    row = 0;
-                    this.grid[row][col].walls.north = false;
-                    break;
-                case 'east':
-                    col = this.width - 1;
-                    // Avoid corners (0,width-1) and (height-1,width-1)
-                    row = this.randomInt(1, this.height - 2);
-                    this.grid[row][col].walls.east = false;
-                    break;
-                case 'south':
-                    // Avoid corners (height-1,0) and (height-1,width-1)
-                    col = this.randomInt(1, this.width - 2);
-                    row = this.height - 1;
-                    this.grid[row][col].walls.south = false;
-                    break;
-                case 'west':
-                    col = 0;
-                    // Avoid corners (0,0) and (height-1,0)
-                    row = this.randomInt(1, this.height - 2);
-                    this.grid[row][col].walls.west = false;
-                    break;
-            }
-            
-            return { row, col, side };
+         * Picks a cell and wall to open on one side of a shaped maze
+         * Chooses among the cells reaching furthest toward that side whose wall
+         * there borders a disabled cell or the edge of the grid
+         * @param {string} side - Side of the maze (north/east/south/west)
+         * @returns {Object} Position object with row, col, and side (the opened wall)
+         */
+        getShapeOpening(side) {
+            const walls = (MazeTopologies.get(this.topology).sideWalls || {})[side] || [side];
+            const reach = {
+                north: center => -center.y,
+                east: center => center.x,
+                south: center => center.y,
+                west: center => -center.x
+            }[side];
+            
+            let candidates = [];
+            let furthest = -Infinity;
+            this.forEachCell(cell => {
+                const openable = walls.filter(wall => !this.getNeighborInDirection(cell.row, cell.col, wall));
+                if (openable.length === 0) return;
+                
+                // Allow for rounding so cells in the same row or column tie
+                const distance = reach(this.getCellCenter(cell));
+                if (distance > furthest + 0.5) {
+                    candidates = [];
+                    furthest = distance;
+                }
+                if (distance >= furthest - 0.5) {
+                    candidates.push({ cell, wall: openable[0] });
+                }
+            });
+            
+            const { cell, wall } = candidates[this.randomInt(0, candidates.length - 1)];
+            return { row: cell.row, col: cell.col, side: wall };
         }
         
         /**
@@ -438,9 +2162,9 @@ const MazeApp = (function() {
         getDifficultyLabel() {
             if (!this.difficultyScore) return 'Unknown';
             
-            if (this.difficultyScore > 90) return 'Hard';
-            if (this.difficultyScore > 70) return 'Medium';
-            return 'Easy';
+            if (this.difficultyScore >= DIFFICULTY_BANDS.hard.min) return DIFFICULTY_BANDS.hard.label;
+            if (this.difficultyScore >= DIFFICULTY_BANDS.medium.min) return DIFFICULTY_BANDS.medium.label;
+            return DIFFICULTY_BANDS.easy.label;
         }
         
         /**
@@ -480,9 +2204,10 @@ const MazeApp = (function() {
         /**
          * Prepares SVG data for export/download
          * Creates a standalone SVG with metadata footer
+         * @param {Object} options - { includeAnnotations } to keep or drop the pencil marks (kept by default)
          * @returns {string} Serialized SVG string with maze representation
          */
-        getSvgData() {
+        getSvgData({ includeAnnotations = true } = {}) {
             const svgElement = document.getElementById('maze');
             
             // Create a clone to avoid modifying the original displayed SVG
@@ -493,10 +2218,32 @@ const MazeApp = (function() {
             if (resizeHandle) {
                 svgClone.removeChild(resizeHandle);
             }
+            const annotationLayer = includeAnnotations ? null : svgClone.querySelector('#annotation-layer');
+            if (annotationLayer) {
+                svgClone.removeChild(annotationLayer);
+            }
+            
+            // The solution animation would print the answer
+            const solverLayer = svgClone.querySelector('#solver-layer');
+            if (solverLayer) {
+                solverLayer.parentNode.removeChild(solverLayer);
+            }
+            
+            // The rule hiding the maze during generation playback is in the
+            // stylesheet, so the export would draw the half-carved walls over it
+            const generationLayer = svgClone.querySelector('#generation-layer');
+            if (generationLayer) {
+                generationLayer.parentNode.removeChild(generationLayer);
+            }
+            svgClone.classList.remove('generation-playback');
+            
+            // A hint still on screen is not part of the maze
+            svgClone.querySelectorAll('.path-hint').forEach(hint => hint.parentNode.removeChild(hint));
             
             // Calculate dimensions including space for metadata footer
-            const totalWidth = this.width * this.cellSize + (_getPadding() * 2);
-            const totalHeight = this.height * this.cellSize + (_getPadding() * 2);
+            const size = this.getPixelSize();
+            const totalWidth = size.width + (_getPadding() * 2);
+            const totalHeight = size.height + (_getPadding() * 2);
             
             const footerHeight = 25; // Extra space for metadata text
             const extendedHeight = totalHeight + footerHeight;
@@ -526,7 +2273,7 @@ const MazeApp = (function() {
             metadataText.setAttribute('text-anchor', 'middle');
             metadataText.setAttribute('fill', '#666');
             metadataText.setAttribute('font-size', '14px');
-            metadataText.textContent = `Maze #${this.seed} — ${this.cellSize} × (${this.width}×${this.height})`;
+            metadataText.textContent = `Maze #${this.seed} — ${this.cellSize} × (${this.width}×${this.height})${_getVariantSuffix(this)}`;
             
             svgClone.appendChild(metadataText);
             
@@ -555,8 +2302,9 @@ const MazeApp = (function() {
         const mazeHeight = currentMaze.height;
         
         // Calculate dimensions of a single maze with padding and metadata
-        const singleMazeWidth = mazeWidth * cellSize + (_getPadding() * 2);
-        const singleMazeHeight = mazeHeight * cellSize + (_getPadding() * 2);
+        const mazeSize = currentMaze.getPixelSize(null); // Sheets always show every floor
+        const singleMazeWidth = mazeSize.width + (_getPadding() * 2);
+        const singleMazeHeight = mazeSize.height + (_getPadding() * 2);
         
         // Include spacing in total dimensions for layout calculation
         const totalMazeHeight = singleMazeHeight + FOOTER_HEIGHT + MAZE_SPACING;
@@ -611,11 +2359,11 @@ const MazeApp = (function() {
                 let maze;
                 if (window.location.search.includes('standard') || window.location.hash.includes('standard')) {
                     // Generate using standard algorithm when explicitly requested
-                    maze = new Maze(mazeWidth, mazeHeight, cellSize, seed);
+                    maze = new Maze(mazeWidth, mazeHeight, cellSize, seed, currentMaze.getOptions());
                     maze.generate();
                 } else {
                     // Use optimized generation with fewer attempts for faster batch creation
-                    maze = generateOptimizedMaze(mazeWidth, mazeHeight, cellSize, seed, 30);
+                    maze = generateOptimizedMaze(mazeWidth, mazeHeight, cellSize, seed, 30, currentMaze.getOptions());
                 }
                 
                 // Render the maze SVG
@@ -647,7 +2395,7 @@ const MazeApp = (function() {
                 seedText.setAttribute("fill", "#666");
                 seedText.setAttribute("font-size", "12px");
                 seedText.setAttribute("font-family", "'Nanum Pen Script', sans-serif");
-                seedText.textContent = `#${seed}`;
+                seedText.textContent = `#${seed}${_getVariantSuffix(currentMaze)}`;
                 mazeGroup.appendChild(seedText);
                 
                 // Add the group to the full sheet
@@ -675,23 +2423,34 @@ const MazeApp = (function() {
 
     /**
      * Creates a maze with optimized difficulty characteristics
-     * Generates multiple candidate mazes and selects the best one
+     * Generates multiple candidate mazes and selects the best one: the hardest,
+     * or one scoring inside the band named by mazeOptions.difficulty (the
+     * closest if none lands inside it). With the pareto objective the maze is
+     * mazeOptions.pick from the Pareto front, which is kept on the maze.
+     * With the evolve objective the candidates are bred from one another.
      * 
      * @param {number} width - Number of cells horizontally
      * @param {number} height - Number of cells vertically
      * @param {number} cellSize - Size of each cell in pixels
      * @param {number} seed - Random seed for deterministic generation
      * @param {number} attempts - Number of candidate mazes to generate
+     * @param {Object} mazeOptions - Maze variant options (algorithm, topology, difficulty)
+     * @param {Function} onProgress - Called after each candidate with { candidate, total, bestScore }
      * @returns {Maze} The optimized maze instance
      */
-    function generateOptimizedMaze(width, height, cellSize, seed, attempts = 20) {
+    function generateOptimizedMaze(width, height, cellSize, seed, attempts = 20, mazeOptions = {}, onProgress = null) {
         // Use MazeOptimizer if available, otherwise fall back to standard generation
         if (typeof MazeOptimizer !== 'undefined') {
             const optimizer = new MazeOptimizer({
                 width: width,
                 height: height,
                 cellSize: cellSize,
-                seed: seed || Math.floor(Math.random() * 1000000)
+                seed: seed || Math.floor(Math.random() * 1000000),
+                mazeOptions: mazeOptions,
+                targetBand: _getDifficultyBand(mazeOptions.difficulty),
+                objective: mazeOptions.objective,
+                pick: mazeOptions.pick,
+                onProgress: onProgress
             });
             
             // Configure optimization parameters
@@ -703,13 +2462,22 @@ const MazeApp = (function() {
                 // Generate and evaluate multiple mazes to find the best one
                 const bestCandidate = optimizer.optimize();
                 
+                if (bestCandidate.paretoFront) {
+                    bestCandidate.maze.paretoFront = bestCandidate.paretoFront;
+                    bestCandidate.maze.paretoChoice = bestCandidate.attempt;
+                }
+                
+                if (bestCandidate.inBand === false) {
+                    console.warn(`No maze found in the ${optimizer.config.targetBand.label} difficulty band, using the closest (score ${bestCandidate.difficultyScore})`);
+                }
+                
                 // Return the highest scoring maze
                 return bestCandidate.maze;
             } catch (error) {
                 console.error('Optimization failed:', error);
                 
                 // Fall back to standard generation on error
-                const standardMaze = new Maze(width, height, cellSize, seed);
+                const standardMaze = new Maze(width, height, cellSize, seed, mazeOptions);
                 standardMaze.generate();
                 
                 // Attach and log detailed analysis for the error fallback maze
@@ -719,7 +2487,7 @@ const MazeApp = (function() {
             }
         } else {
             console.warn('MazeOptimizer not available, falling back to standard maze');
-            const standardMaze = new Maze(width, height, cellSize, seed);
+            const standardMaze = new Maze(width, height, cellSize, seed, mazeOptions);
             standardMaze.generate();
             
             // Attach and log detailed analysis for the standard maze
@@ -729,6 +2497,25 @@ const MazeApp = (function() {
         }
     }
 
+    /**
+     * Builds the maze a generation request describes: optimized, or a single
+     * standard maze when request.standard is set. The maze worker and the page
+     * both build mazes this way, so a request gives the same maze in either.
+     * 
+     * @param {Object} request - { width, height, cellSize, seed, attempts, mazeOptions, standard }
+     * @param {Function} onProgress - Called after each optimizer candidate with { candidate, total, bestScore }
+     * @returns {Maze} The generated and scored maze
+     */
+    function buildMaze(request, onProgress = null) {
+        const { width, height, cellSize, seed, attempts, mazeOptions, standard } = request;
+        if (standard) {
+            const maze = new Maze(width, height, cellSize, seed, mazeOptions);
+            maze.generate();
+            return maze;
+        }
+        return generateOptimizedMaze(width, height, cellSize, seed, attempts, mazeOptions, onProgress);
+    }
+
     /**
      * Initializes the MazeApp module and triggers UI setup
      * Ensures module is only initialized once and registers DOM event handlers
@@ -766,10 +2553,23 @@ const MazeApp = (function() {
     // Public API - only these objects and methods are exposed
     return {
         Maze,               // Core maze data structure and generation
+        WRAP_MODES,         // Wrapping edge names and labels
+        LAYOUTS,            // Opening layout names and labels
+        DEFAULT_LAYOUT,     // Layout used when none is chosen
+        KEY_COLORS,         // Names and colours of the keys of locked doors
+        ONE_WAY_DENSITIES,  // One-way passage amounts and labels
+        PORTAL_COLORS,      // Portal pair colours, in pair order
+        TERRAIN_TYPES,      // Terrain kinds with their costs and colours
+        TERRAIN_DENSITIES,  // Terrain amounts and labels
+        DIFFICULTY_BANDS,   // Difficulty preset names and score bands
+        OBJECTIVES,         // Optimizer objective names and labels
+        SCORING_VERSION,    // Difficulty scoring version new mazes use
         MazeRenderer,       // SVG-based maze renderer
         WallManager,        // Wall coordinate calculations and manipulation
         generateFullSheet,  // Creates printable page of mazes
         generateOptimizedMaze, // Generates maze with optimized characteristics  
+        buildMaze,          // Generates the maze a worker request describes
+        getPadding: _getPadding, // Spacing between the maze and the SVG edge, for overlays drawn over it
         init                // Module initialization function
     };
 })();
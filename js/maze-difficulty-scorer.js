@@ -6,18 +6,35 @@
  * - Number and distribution of decision points
  * - Complexity of branch paths and dead ends
  * - Relative and absolute maze size adjustments
+ * - Number of equally short routes, for braided mazes with loops
+ * - Doors to unlock and key detours, searched over position plus keys held
+ * - Moves taken by simulated solvers: wall followers, a random mouse and Trémaux
+ * 
+ * One-way passages make the maze a directed graph: every search only steps
+ * along them the way their arrow points. Portals join the two ends of each
+ * pair with an edge that costs nothing to cross. Terrain weights the steps:
+ * mud costs extra, ice slides the solver on and water cannot be entered.
  */
 
 class MazeDifficultyScorer {
     constructor(maze) {
         this.maze = maze;
         this.solutionPath = null;
+        this.solutionCost = 0; // Weighted cost of the solution's cells, each counted once (see getPathCost)
         this.solutionCells = new Set(); // Set of solution cell coordinates
+        this.shortestRouteCount = 0; // Number of distinct shortest routes from entrance to exit
+        this.shortestRouteCells = new Set(); // Coordinates of cells on any shortest route
+        this.stateSpace = null; // Search over position plus keys held, for mazes with locked doors
+        this.openSolutionLength = 0; // Solution length with every door open
         this.branchingPoints = []; // Decision points along solution path
         this.alternatePathsDetails = []; // Data about branch paths
+        this.branchCells = null; // Depth and branch index of each cell on a branch path, keyed by "row,col"
+        this.portalEstimates = new Map(); // Heuristic bounds through portals, keyed by goal "row,col"
+        this.incomingNeighbors = null; // Moves leading into each cell, keyed by "row,col" (built on first use)
+        this.solverSteps = null; // Moves each simulated solver takes to finish (see simulateSolvers)
         
         // Maximum theoretical values for normalization
-        this.maxPathLength = maze.width * maze.height;
+        this.maxPathLength = maze.getCellCount();
     }
     
     /**
@@ -29,6 +46,9 @@ class MazeDifficultyScorer {
      * - Maze size: Smaller mazes have lower maximum difficulty
      * - Solution length: Very short solutions reduce difficulty
      * - False path density: Mazes with few false paths are easier
+     * - Route multiplicity: Several equally short routes make a maze easier
+     * - Key puzzle: Doors to unlock and detours for their keys make it harder
+     * - Simulated solvers: A maze a wall follower gets through quickly is easier
      * 
      * Final score is compressed in the upper range to avoid too many
      * mazes being classified as extreme difficulty.
@@ -50,8 +70,12 @@ class MazeDifficultyScorer {
         const solutionLengthFactor = this.calculateSolutionLengthFactor();
         const absolutePathAdjustment = this.calculateAbsolutePathAdjustment();
         const falsePathDensityFactor = this.calculateFalsePathDensityFactor();
+        const routeMultiplicityFactor = this.calculateRouteMultiplicityFactor();
+        const keyPuzzleFactor = this.calculateKeyPuzzleFactor();
+        const solverFactor = this.calculateSolverFactor();
         
-        difficulty = difficulty * sizeAdjustment * solutionLengthFactor * absolutePathAdjustment * falsePathDensityFactor;
+        difficulty = difficulty * sizeAdjustment * solutionLengthFactor * absolutePathAdjustment *
+            falsePathDensityFactor * routeMultiplicityFactor * keyPuzzleFactor * solverFactor;
         
         // Constrain to 1-100 range
         let finalScore = Math.max(1, Math.min(100, Math.round(difficulty)));
@@ -71,21 +95,102 @@ class MazeDifficultyScorer {
      */
     analyzeMaze() {
         this.findSolutionPath();
+        this.analyzeShortestRoutes();
         this.identifyBranchPoints();
         this.analyzeAlternatePaths();
+        
+        // The solvers take longest, and the maze does not change under a scorer.
+        // Scoring 1 leaves them out (see calculateSolverFactor).
+        if (!this.solverSteps && this.maze.scoring >= 2) this.simulateSolvers();
     }
     
     /**
-     * Finds the optimal solution path from entrance to exit using A* algorithm
+     * Returns the points the solution has to visit in order: the entrance, any
+     * checkpoints of a waypoint maze, then the exit
+     */
+    getRouteStops() {
+        return [this.maze.entrance, ...(this.maze.waypoints || []), this.maze.exit];
+    }
+    
+    /**
+     * Finds the optimal solution path from entrance to exit, passing through
+     * any checkpoints in order. Each leg is found with A*; the path can then
+     * double back on itself, so solutionCells may hold fewer cells than it.
+     * Locked doors may send the solver off for keys first, so mazes with
+     * doors take their solution from a search of the state space instead.
+     * Either way the maze is searched as a directed graph, following one-way
+     * passages only along their arrow.
+     */
+    findSolutionPath() {
+        const stops = this.getRouteStops();
+        let path = [];
+        
+        for (let i = 1; i < stops.length; i++) {
+            const leg = this.findPath(stops[i - 1], stops[i]);
+            if (leg.length === 0) {
+                path = [];
+                break;
+            }
+            path = path.concat(i === 1 ? leg : leg.slice(1));
+        }
+        
+        this.stateSpace = null;
+        if (this.maze.doors && this.maze.doors.length > 0) {
+            this.openSolutionLength = path.length;
+            this.stateSpace = this.searchStateSpace();
+            path = this.stateSpace.path;
+        }
+        
+        this.solutionPath = path;
+        this.solutionCost = this.getPathCost(path);
+        
+        // Build a set of solution cell coordinates for O(1) lookups
+        this.solutionCells = new Set(
+            this.solutionPath.map(cell => `${cell.row},${cell.col}`)
+        );
+    }
+    
+    /**
+     * Adds up what it takes to enter each cell of a path after the first
+     * (see getTerrainCost), counting every cell once like the user's path is
+     * scored. A cell first reached by a portal jump costs nothing.
+     */
+    getPathCost(path) {
+        const seen = new Set(path.slice(0, 1).map(cell => `${cell.row},${cell.col}`));
+        let cost = 0;
+        for (let i = 1; i < path.length; i++) {
+            const key = `${path[i].row},${path[i].col}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            
+            const partner = this.maze.getPortalPartner(path[i - 1]);
+            if (partner && partner.row === path[i].row && partner.col === path[i].col) continue;
+            cost += this.maze.getTerrainCost(this.maze.grid[path[i].row][path[i].col]);
+        }
+        return cost;
+    }
+    
+    /**
+     * Finds the shortest path between two cells using A* algorithm
      * 
      * A* uses a best-first search approach, prioritizing paths that minimize:
      * f(n) = g(n) + h(n) where:
      * - g(n) is the cost from start to current node
      * - h(n) is the heuristic estimate from current node to goal (Manhattan distance)
+     * 
+     * On multi-level mazes the search runs in three dimensions: stairs are
+     * ordinary neighbors and the heuristic counts each floor climbed as a move.
+     * Weave crossings and slides across ice are passed straight through and
+     * put back into the path. Steps into mud cost more; portal jumps cost
+     * nothing, and the heuristic allows for them.
+     * 
+     * @param {Object} start - Starting {row, col}
+     * @param {Object} goal - Target {row, col}
+     * @param {Function} [onExpand] - Called with each node as it is closed and
+     *   the open set once its neighbors are added, for the solver animation
+     * @returns {Array} Cells from start to goal, or an empty array if unreachable
      */
-    findSolutionPath() {
-        const start = this.maze.entrance;
-        const goal = this.maze.exit;
+    findPath(start, goal, onExpand = null) {
         
         // Priority queue for A* algorithm
         const openSet = [{ 
@@ -94,6 +199,7 @@ class MazeDifficultyScorer {
             g: 0, 
             h: this.heuristic(start, goal),
             f: this.heuristic(start, goal),
+            crossings: [],
             parent: null 
         }];
         
@@ -108,13 +214,7 @@ class MazeDifficultyScorer {
             
             // Check if we've reached the goal
             if (current.row === goal.row && current.col === goal.col) {
-                this.solutionPath = this.reconstructPath(current);
-                
-                // Build a set of solution cell coordinates for O(1) lookups
-                this.solutionCells = new Set(
-                    this.solutionPath.map(cell => `${cell.row},${cell.col}`)
-                );
-                return;
+                return this.reconstructPath(current);
             }
             
             closedSet.add(key);
@@ -127,8 +227,8 @@ class MazeDifficultyScorer {
                 
                 if (closedSet.has(neighborKey)) continue;
                 
-                // Cost from start is always distance + 1 in a grid
-                const gScore = current.g + 1;
+                // Each step costs its moves, counting the crossings and ice passed on the way
+                const gScore = current.g + neighbor.cost;
                 
                 const openNeighbor = openSet.find(n => n.row === neighbor.row && n.col === neighbor.col);
                 
@@ -141,20 +241,23 @@ class MazeDifficultyScorer {
                         g: gScore,
                         h,
                         f: gScore + h,
+                        crossings: neighbor.crossings,
                         parent: current
                     });
                 } else if (gScore < openNeighbor.g) {
                     // Found a better path to this node, update it
                     openNeighbor.g = gScore;
                     openNeighbor.f = gScore + openNeighbor.h;
+                    openNeighbor.crossings = neighbor.crossings;
                     openNeighbor.parent = current;
                 }
             }
+            
+            if (onExpand) onExpand(current, openSet);
         }
         
         // No path found
-        this.solutionPath = [];
-        this.solutionCells = new Set();
+        return [];
     }
     
     /**
@@ -166,6 +269,11 @@ class MazeDifficultyScorer {
         
         while (current) {
             path.unshift({ row: current.row, col: current.col });
+            
+            // Restore the crossings passed on the way into this cell
+            for (let i = current.crossings.length - 1; i >= 0; i--) {
+                path.unshift(current.crossings[i]);
+            }
             current = current.parent;
         }
         
@@ -173,42 +281,378 @@ class MazeDifficultyScorer {
     }
     
     /**
-     * Manhattan distance heuristic for A* algorithm
+     * Searches the state space of a maze with locked doors, where a state is
+     * a cell plus the keys held and the checkpoints passed. Entering a cell
+     * picks up its key, and a door can only be crossed holding its key.
+     * 
+     * States are settled in distance order with a bucket queue (steps are
+     * weighted like the A* search), counting the shortest routes into each
+     * state and remembering every state they can come from. A portal jump
+     * lands at the same distance, so the routes it brings are added when the
+     * state it lands on is settled rather than as it is crossed.
+     * 
+     * @returns {Object} { path, routeCount, routeCells, stateCount, doorsOpened }
+     *   where path is the shortest solution (empty if the maze cannot be
+     *   solved), routeCells holds "row,col" of cells on any shortest solution
+     *   and stateCount is the number of states the solver can reach
+     */
+    searchStateSpace() {
+        const goals = this.getRouteStops().slice(1);
+        const width = Math.max(...this.maze.grid.map(row => row.length)); // Rings of a circular maze can outgrow maze.width
+        const keyStates = 1 << this.maze.keys.length;
+        const stopStates = goals.length + 1;
+        const keyAt = new Map(this.maze.keys.map((key, index) => [key.row * width + key.col, index]));
+        
+        // States are numbered by cell, then keys held, then checkpoints passed
+        const stateId = (row, col, keys, stop) => ((row * width + col) * keyStates + keys) * stopStates + stop;
+        const stateCell = (id) => {
+            const cell = Math.floor(id / (keyStates * stopStates));
+            return { row: Math.floor(cell / width), col: cell % width };
+        };
+        const enter = (row, col, keys, stop) => {
+            const key = keyAt.get(row * width + col);
+            if (key !== undefined) keys |= 1 << key;
+            const goal = goals[stop];
+            if (goal && goal.row === row && goal.col === col) stop++;
+            return { keys, stop, id: stateId(row, col, keys, stop) };
+        };
+        
+        // Many states share a cell, so look up each cell's passages only once
+        const passages = new Map();
+        const getPassages = (row, col) => {
+            const index = row * width + col;
+            if (!passages.has(index)) {
+                passages.set(index, this.getAccessibleNeighbors(row, col).map(neighbor => ({
+                    ...neighbor,
+                    door: this.maze.getDoorBetween({ row, col }, neighbor)
+                })));
+            }
+            return passages.get(index);
+        };
+        
+        const start = enter(this.maze.entrance.row, this.maze.entrance.col, 0, 0);
+        const states = new Map([[start.id, { keys: start.keys, stop: start.stop, distance: 0, routes: 1, parents: [] }]]);
+        const buckets = [[start.id]];
+        const finishes = [];
+        let stateCount = 0;
+        
+        for (let distance = 0; distance < buckets.length; distance++) {
+            for (const id of buckets[distance] || []) {
+                const state = states.get(id);
+                if (state.distance !== distance || state.settled) continue;
+                state.settled = true;
+                stateCount++;
+                
+                // Routes that stepped onto the other end of a portal at this
+                // distance jump here too (portals hold no keys or checkpoints)
+                const { row, col } = stateCell(id);
+                const partner = this.maze.getPortalPartner({ row, col });
+                const jumpFrom = partner && states.get(stateId(partner.row, partner.col, state.keys, state.stop));
+                state.total = state.routes + (jumpFrom && jumpFrom.distance === distance ? jumpFrom.routes : 0);
+                
+                // The solver stops at the exit once every checkpoint is passed
+                if (state.stop === goals.length) {
+                    if (finishes.length === 0 || states.get(finishes[0]).distance === distance) finishes.push(id);
+                    continue;
+                }
+                
+                for (const neighbor of getPassages(row, col)) {
+                    const { door } = neighbor;
+                    if (door && !(state.keys & (1 << door.key))) continue;
+                    
+                    const next = enter(neighbor.row, neighbor.col, state.keys, state.stop);
+                    const nextDistance = distance + neighbor.cost;
+                    const routes = neighbor.portal ? 0 : state.total; // Jumps are counted as they land
+                    const parent = { id, crossings: neighbor.crossings };
+                    const known = states.get(next.id);
+                    
+                    if (!known || nextDistance < known.distance) {
+                        states.set(next.id, {
+                            keys: next.keys,
+                            stop: next.stop,
+                            distance: nextDistance,
+                            routes,
+                            parents: [parent]
+                        });
+                        (buckets[nextDistance] = buckets[nextDistance] || []).push(next.id);
+                    } else if (nextDistance === known.distance) {
+                        known.routes += routes;
+                        known.parents.push(parent);
+                    }
+                }
+            }
+        }
+        
+        // Follow the first parents back for one solution
+        const path = [];
+        for (let id = finishes[0]; id !== undefined; ) {
+            path.push(stateCell(id));
+            const parent = states.get(id).parents[0];
+            if (!parent) break;
+            for (let i = parent.crossings.length - 1; i >= 0; i--) {
+                path.push(parent.crossings[i]);
+            }
+            id = parent.id;
+        }
+        path.reverse();
+        
+        // Follow every parent back for the cells on any shortest solution
+        const routeCells = new Set();
+        const visited = new Set(finishes);
+        const pending = [...finishes];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            const { row, col } = stateCell(id);
+            routeCells.add(`${row},${col}`);
+            for (const parent of states.get(id).parents) {
+                parent.crossings.forEach(crossing => routeCells.add(`${crossing.row},${crossing.col}`));
+                if (!visited.has(parent.id)) {
+                    visited.add(parent.id);
+                    pending.push(parent.id);
+                }
+            }
+        }
+        
+        const doorsOpened = new Set();
+        for (let i = 1; i < path.length; i++) {
+            const door = this.maze.getDoorBetween(path[i - 1], path[i]);
+            if (door) doorsOpened.add(door.key);
+        }
+        
+        return {
+            path,
+            routeCount: finishes.reduce((sum, id) => sum + states.get(id).total, 0),
+            routeCells,
+            stateCount,
+            doorsOpened: doorsOpened.size
+        };
+    }
+    
+    /**
+     * Grid distance heuristic for A* algorithm
      * Provides admissible estimate of distance between two points in a grid
+     * (Manhattan distance on square grids, taking the short way round
+     * wrapping edges, hex distance on hex grids, and Manhattan distance
+     * across floors on multi-level grids). A portal can
+     * bring the goal closer for free, so walking to one and jumping counts too.
      */
     heuristic(a, b) {
-        return Math.abs(a.row - b.row) + Math.abs(a.col - b.col);
+        let estimate = this.maze.getDistance(a, b);
+        for (const { end, bound } of this.getPortalEstimates(b)) {
+            estimate = Math.min(estimate, this.maze.getDistance(a, end) + bound);
+        }
+        return estimate;
+    }
+    
+    /**
+     * Lower bounds on the distance from each portal to a goal, walking
+     * straight there or by way of other portals, with every jump free
+     * 
+     * @param {Object} goal - Target {row, col}
+     * @returns {Array} { end, bound } for each end of each portal pair
+     */
+    getPortalEstimates(goal) {
+        const goalKey = `${goal.row},${goal.col}`;
+        if (this.portalEstimates.has(goalKey)) return this.portalEstimates.get(goalKey);
+        
+        // Ends of pair k sit at 2k and 2k + 1, so each end's partner is index ^ 1
+        const ends = (this.maze.portals || []).flat();
+        const bounds = ends.map(end => this.maze.getDistance(end, goal));
+        for (let changed = ends.length > 0; changed; ) {
+            changed = false;
+            ends.forEach((end, i) => {
+                let bound = bounds[i ^ 1];
+                ends.forEach((other, j) => {
+                    bound = Math.min(bound, this.maze.getDistance(end, other) + bounds[j]);
+                });
+                if (bound < bounds[i]) {
+                    bounds[i] = bound;
+                    changed = true;
+                }
+            });
+        }
+        
+        const estimates = ends.map((end, i) => ({ end, bound: bounds[i] }));
+        this.portalEstimates.set(goalKey, estimates);
+        return estimates;
     }
     
     /**
      * Returns all valid neighboring cells that are accessible (no wall between them)
+     * Weave crossings and ice are passed straight through: the neighbor is the
+     * cell where the solver stops, and crossings lists the cells in between.
+     * One-way passages are only followed along their arrow, and a passage
+     * across a wrapping edge leads to the opposite side. A portal's
+     * partner is a neighbor too, marked portal; cost is the moves a step
+     * takes, one per cell passed plus what the neighbor costs to enter, or
+     * none for a portal jump.
      */
     getAccessibleNeighbors(row, col) {
-        const neighbors = [];
         const cell = this.maze.grid[row][col];
         
-        // Check each direction where there's no wall
-        if (!cell.walls.north && row > 0) {
-            neighbors.push({ row: row - 1, col });
+        // Follow each direction where there's no wall
+        return this.maze.getPassages(cell).map(({ neighbor, crossings, portal }) => ({
+            row: neighbor.row,
+            col: neighbor.col,
+            crossings: crossings.map(crossing => ({ row: crossing.row, col: crossing.col })),
+            portal: !!portal,
+            cost: portal ? 0 : crossings.length + this.maze.getTerrainCost(neighbor)
+        }));
+    }
+    
+    /**
+     * Returns the cells a move away from which this cell can be reached, the
+     * moves of getAccessibleNeighbors turned around (crossings in the order
+     * passed going back, cost of the move forwards). One-way passages and
+     * slides across ice only go one way, so the moves of the whole maze are
+     * indexed the first time.
+     */
+    getIncomingNeighbors(row, col) {
+        if (!this.incomingNeighbors) {
+            this.incomingNeighbors = new Map();
+            this.maze.forEachCell(cell => {
+                for (const neighbor of this.getAccessibleNeighbors(cell.row, cell.col)) {
+                    const key = `${neighbor.row},${neighbor.col}`;
+                    if (!this.incomingNeighbors.has(key)) this.incomingNeighbors.set(key, []);
+                    this.incomingNeighbors.get(key).push({
+                        ...neighbor,
+                        row: cell.row,
+                        col: cell.col,
+                        crossings: [...neighbor.crossings].reverse()
+                    });
+                }
+            });
         }
-        if (!cell.walls.east && col < this.maze.width - 1) {
-            neighbors.push({ row, col: col + 1 });
+        return this.incomingNeighbors.get(`${row},${col}`) || [];
+    }
+    
+    /**
+     * Finds the distance from a cell to every reachable cell
+     * 
+     * Steps are weighted like the A* search (one per cell passed plus the
+     * cost of the cell stepped into, none for a portal jump), so distances
+     * are settled in order using a bucket queue.
+     * One-way passages and ice make distances depend on the direction of
+     * travel, so reverse finds the distance from every cell to the origin instead.
+     * 
+     * @param {Object} origin - Starting {row, col}
+     * @param {boolean} reverse - Measure distances to the origin rather than from it
+     * @returns {Map} Distance keyed by "row,col"
+     */
+    getDistancesFrom(origin, reverse = false) {
+        const distances = new Map([[`${origin.row},${origin.col}`, 0]]);
+        const buckets = [[origin]];
+        
+        for (let distance = 0; distance < buckets.length; distance++) {
+            for (const cell of buckets[distance] || []) {
+                if (distances.get(`${cell.row},${cell.col}`) !== distance) continue;
+                
+                const neighbors = reverse ?
+                    this.getIncomingNeighbors(cell.row, cell.col) :
+                    this.getAccessibleNeighbors(cell.row, cell.col);
+                for (const neighbor of neighbors) {
+                    const key = `${neighbor.row},${neighbor.col}`;
+                    const neighborDistance = distance + neighbor.cost;
+                    if (!distances.has(key) || neighborDistance < distances.get(key)) {
+                        distances.set(key, neighborDistance);
+                        (buckets[neighborDistance] = buckets[neighborDistance] || []).push(neighbor);
+                    }
+                }
+            }
         }
-        if (!cell.walls.south && row < this.maze.height - 1) {
-            neighbors.push({ row: row + 1, col });
+        
+        return distances;
+    }
+    
+    /**
+     * Counts the shortest routes from entrance to exit and marks every cell on them
+     * 
+     * A perfect maze has exactly one route, but braided mazes have loops and
+     * may offer several equally short ones. Turning onto another shortest route
+     * is not a wrong turn, so branch analysis uses these cells. With checkpoints
+     * the routes of each leg multiply; with locked doors they were counted
+     * by the state space search.
+     */
+    analyzeShortestRoutes() {
+        this.shortestRouteCount = 0;
+        this.shortestRouteCells = new Set(this.solutionCells);
+        if (this.solutionPath.length === 0) return;
+        
+        // Scoring 1 follows the one solution path only
+        if (this.maze.scoring < 2) {
+            this.shortestRouteCount = 1;
+            return;
+        }
+        
+        if (this.stateSpace) {
+            this.shortestRouteCount = this.stateSpace.routeCount;
+            this.stateSpace.routeCells.forEach(key => this.shortestRouteCells.add(key));
+            return;
+        }
+        
+        const stops = this.getRouteStops();
+        this.shortestRouteCount = 1;
+        for (let i = 1; i < stops.length; i++) {
+            this.shortestRouteCount *= this.countShortestRoutes(stops[i - 1], stops[i]);
         }
-        if (!cell.walls.west && col > 0) {
-            neighbors.push({ row, col: col - 1 });
+    }
+    
+    /**
+     * Counts the shortest routes between two cells, adding their cells to shortestRouteCells
+     * 
+     * A cell lies on a shortest route when its distance from the start plus its
+     * distance to the goal equals the route length; routes are counted by
+     * summing, in distance order, the routes reaching each such cell. A portal
+     * jump costs nothing, so both its ends share a distance: the routes that
+     * stepped onto one end are added to the other's as it is reached.
+     * 
+     * @param {Object} start - Starting {row, col}
+     * @param {Object} goal - Target {row, col}
+     * @returns {number} Number of distinct shortest routes
+     */
+    countShortestRoutes(start, goal) {
+        const fromStart = this.getDistancesFrom(start);
+        const toGoal = this.getDistancesFrom(goal, true);
+        const goalKey = `${goal.row},${goal.col}`;
+        const length = fromStart.get(goalKey);
+        
+        const stepCounts = new Map([[`${start.row},${start.col}`, 1]]); // Routes arriving by a step
+        const routeCounts = new Map();
+        const keys = Array.from(fromStart.keys()).sort((a, b) => fromStart.get(a) - fromStart.get(b));
+        
+        for (const key of keys) {
+            const distance = fromStart.get(key);
+            if (distance + toGoal.get(key) !== length) continue;
+            
+            this.shortestRouteCells.add(key);
+            const [row, col] = key.split(',').map(Number);
+            
+            let routes = stepCounts.get(key) || 0;
+            const partner = this.maze.getPortalPartner({ row, col });
+            if (partner && fromStart.get(`${partner.row},${partner.col}`) === distance) {
+                routes += stepCounts.get(`${partner.row},${partner.col}`) || 0;
+            }
+            routeCounts.set(key, routes);
+            
+            for (const neighbor of this.getAccessibleNeighbors(row, col)) {
+                if (neighbor.portal) continue; // Counted as the other end is reached
+                
+                const neighborKey = `${neighbor.row},${neighbor.col}`;
+                if (distance + neighbor.cost + toGoal.get(neighborKey) !== length) continue;
+                
+                stepCounts.set(neighborKey, (stepCounts.get(neighborKey) || 0) + routes);
+                neighbor.crossings.forEach(crossing => this.shortestRouteCells.add(`${crossing.row},${crossing.col}`));
+            }
         }
         
-        return neighbors;
+        return routeCounts.get(goalKey) || 0;
     }
     
     /**
      * Identifies decision points along the solution path
      * 
      * A branching point is any cell on the solution path that has connections
-     * to cells that are NOT on the solution path, creating a potential wrong turn.
+     * to cells that are NOT on a shortest route, creating a potential wrong turn.
      */
     identifyBranchPoints() {
         this.branchingPoints = [];
@@ -216,11 +660,17 @@ class MazeDifficultyScorer {
         // Skip first and last cells (entrance and exit)
         for (let i = 1; i < this.solutionPath.length - 1; i++) {
             const cell = this.solutionPath[i];
+            
+            // Crossings and ice can only be passed straight through, so they offer no wrong turns
+            const gridCell = this.maze.grid[cell.row][cell.col];
+            const previous = this.maze.grid[this.solutionPath[i - 1].row][this.solutionPath[i - 1].col];
+            if (gridCell.under || this.maze.slidesOn(gridCell, this.maze.getDirectionBetween(previous, gridCell))) continue;
+            
             const neighbors = this.getAccessibleNeighbors(cell.row, cell.col);
             
-            // Find neighbors that are not on the solution path (branch points)
+            // Find neighbors that are not on any shortest route (branch points)
             const branches = neighbors.filter(neighbor => 
-                !this.solutionCells.has(`${neighbor.row},${neighbor.col}`)
+                !this.shortestRouteCells.has(`${neighbor.row},${neighbor.col}`)
             );
             
             if (branches.length > 0) {
@@ -242,15 +692,24 @@ class MazeDifficultyScorer {
      * - Whether it's a dead end
      * - How many sub-branches it contains
      * - Maximum depth from the solution path
+     * 
+     * In a braided maze several branches can lead into the same loop, so each
+     * cell is only counted for the first branch that reaches it.
      */
     analyzeAlternatePaths() {
         this.alternatePathsDetails = [];
+        this.branchCells = new Map();
+        const explored = new Set();
         
         for (const branchPoint of this.branchingPoints) {
             for (const branch of branchPoint.branches) {
-                const pathDetails = this.exploreBranch(branch.row, branch.col);
+                // Scoring 1 explores every branch afresh, counting shared cells again
+                const pathDetails = this.exploreBranch(branch.row, branch.col,
+                    this.maze.scoring < 2 ? new Set() : explored);
                 
                 if (pathDetails) {
+                    const index = this.alternatePathsDetails.length;
+                    pathDetails.cells.forEach((depth, key) => this.branchCells.set(key, { depth, branch: index }));
                     this.alternatePathsDetails.push({
                         startPosition: branchPoint.position, // For distribution analysis
                         startRow: branchPoint.row,
@@ -274,16 +733,22 @@ class MazeDifficultyScorer {
      * 
      * BFS is used to:
      * 1. Find all reachable cells from the branch starting point
-     * 2. Determine if the branch is a dead end or connects back to the solution
+     * 2. Determine if the branch is a dead end or loops back to a shortest route
      * 3. Calculate the maximum depth (distance from solution path)
      * 4. Count sub-branches (additional decision points within the branch)
      * 
+     * A portal jump adds no depth, so the far end is explored next.
+     * 
      * @param {number} startRow - Starting row of the branch
      * @param {number} startCol - Starting column of the branch
-     * @returns {Object} Branch path details
+     * @param {Set} explored - Cells already counted for earlier branches; this branch's cells are added
+     * @returns {Object|null} Branch path details, with the depth of each of its
+     *   cells keyed by "row,col", or null if an earlier branch already covered it
      */
-    exploreBranch(startRow, startCol) {
-        const visited = new Set([`${startRow},${startCol}`]);
+    exploreBranch(startRow, startCol, explored = new Set()) {
+        if (explored.has(`${startRow},${startCol}`)) return null;
+        
+        const visited = new Map([[`${startRow},${startCol}`, 1]]);
         const queue = [{ 
             row: startRow, 
             col: startCol, 
@@ -310,27 +775,32 @@ class MazeDifficultyScorer {
             for (const neighbor of neighbors) {
                 const key = `${neighbor.row},${neighbor.col}`;
                 
-                // Check if this connects back to solution path
-                if (this.solutionCells.has(key)) {
+                // Check if this connects back to a shortest route
+                if (this.shortestRouteCells.has(key)) {
                     isDeadEnd = false;
                     exitPaths++;
-                    continue; // Don't explore the solution path
+                    continue; // Don't explore the shortest routes
                 }
                 
-                if (visited.has(key)) {
+                if (visited.has(key) || explored.has(key)) {
                     exitPaths++;
                     continue;
                 }
                 
-                visited.add(key);
                 parentMap.set(key, `${current.row},${current.col}`);
                 
-                queue.push({
+                const next = {
                     row: neighbor.row,
                     col: neighbor.col,
-                    depth: current.depth + 1,
+                    depth: current.depth + (neighbor.portal ? 0 : 1),
                     parent: `${current.row},${current.col}`
-                });
+                };
+                visited.set(key, next.depth);
+                if (neighbor.portal) {
+                    queue.unshift(next);
+                } else {
+                    queue.push(next);
+                }
                 
                 exitPaths++;
             }
@@ -344,14 +814,428 @@ class MazeDifficultyScorer {
         // Adjust sub-branch count to exclude the initial branch from solution
         subBranches = Math.max(0, subBranches - 1);
         
+        visited.forEach((depth, key) => explored.add(key));
+        
         return {
             length: visited.size,
             deadEnd: isDeadEnd,
             subBranches: subBranches,
-            maxDepth: maxDepth
+            maxDepth: maxDepth,
+            cells: visited
         };
     }
     
+    /**
+     * Runs the branch analysis unless it has already been run. A scorer
+     * rebuilt by Maze.fromData only knows the solution, so the shortest
+     * routes, branch points and branch paths are worked out again on first use.
+     */
+    analyzeBranches() {
+        if (this.branchCells || !this.solutionPath) return;
+        
+        this.analyzeShortestRoutes();
+        this.identifyBranchPoints();
+        this.analyzeAlternatePaths();
+    }
+    
+    /**
+     * Rates how much each cell off the shortest routes adds to the difficulty,
+     * for the heatmap overlay
+     * 
+     * A cell is rated by the length of the branch path it lies on, since long
+     * branches waste the most of a solver's time, and by how deep into the
+     * branch it is, since a solver that gets that far has further to walk
+     * back. Cells on the shortest routes, and cells no branch reaches, are
+     * not rated.
+     * 
+     * @returns {Map} Heat from 0 to 1 keyed by "row,col"
+     */
+    getCellHeat() {
+        const heat = new Map();
+        if (!this.solutionPath) return heat;
+        
+        this.analyzeBranches();
+        
+        const longest = Math.max(...this.alternatePathsDetails.map(branch => branch.length), 1);
+        this.branchCells.forEach(({ depth, branch }, key) => {
+            const details = this.alternatePathsDetails[branch];
+            heat.set(key, Math.sqrt(details.length / longest) * (0.5 + 0.5 * depth / Math.max(details.maxDepth, 1)));
+        });
+        
+        return heat;
+    }
+    
+    /**
+     * Finds the way on to the exit from a cell of the user's path, for hints
+     * 
+     * The solution is followed from the progress the user has made: it is
+     * skipped up to the last checkpoint passed and the last key picked up in
+     * the order the solution takes them. From a cell off the solution, or
+     * one the solution has not reached yet, the shortest way back onto it is
+     * found first, picking the solution cell that leaves the fewest cells to
+     * walk, so a solver down a false path is led back out of it. Only cells
+     * up to the next checkpoint or key are picked, so no detour the solution
+     * takes for them is cut short. Doors are only passed with their key.
+     * 
+     * @param {Object} start - Cell {row, col} the route starts from
+     * @param {Object} activity - The user's waypointsReached and keysCollected
+     * @returns {Array} Cells {row, col} from start to the exit, empty if there is no way on
+     */
+    getHintRoute(start, { waypointsReached = 0, keysCollected = new Set() } = {}) {
+        const solution = this.solutionPath || [];
+        if (solution.length === 0) return [];
+        
+        // Find where the solution has got to that the user has got to as well
+        const waypoints = this.maze.waypoints || [];
+        const keys = this.maze.keys || [];
+        const solutionKeys = new Set();
+        let waypointsPassed = 0;
+        let from = 0;
+        let to = solution.length - 1;
+        for (let i = 0; i < solution.length; i++) {
+            const { row, col } = solution[i];
+            const waypoint = waypoints[waypointsPassed];
+            if (waypoint && waypoint.row === row && waypoint.col === col) {
+                if (waypointsPassed === waypointsReached) {
+                    to = i;
+                    break;
+                }
+                waypointsPassed++;
+                from = i;
+            }
+            const key = keys.findIndex(position => position.row === row && position.col === col);
+            if (key !== -1 && !solutionKeys.has(key)) {
+                if (!keysCollected.has(key)) {
+                    to = i;
+                    break;
+                }
+                solutionKeys.add(key);
+                from = i;
+            }
+        }
+        
+        // The first time the solution passes through each cell on the way to the next of them
+        const firstIndex = new Map();
+        for (let i = to; i >= from; i--) {
+            firstIndex.set(`${solution[i].row},${solution[i].col}`, i);
+        }
+        
+        // Search outwards from the start for the solution cell that leaves least to walk
+        const startKey = `${start.row},${start.col}`;
+        const visited = new Map([[startKey, { row: start.row, col: start.col, distance: 0, crossings: [], parent: null }]]);
+        const queue = [visited.get(startKey)];
+        let best = null;
+        let bestIndex = -1;
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            const index = firstIndex.get(`${node.row},${node.col}`);
+            if (index !== undefined && (!best || node.distance - index < best.distance - bestIndex)) {
+                best = node;
+                bestIndex = index;
+            }
+            
+            for (const neighbor of this.getAccessibleNeighbors(node.row, node.col)) {
+                const key = `${neighbor.row},${neighbor.col}`;
+                if (visited.has(key)) continue;
+                
+                const door = this.maze.getDoorBetween(node, neighbor);
+                if (door && !keysCollected.has(door.key)) continue;
+                
+                const next = { row: neighbor.row, col: neighbor.col, distance: node.distance + 1, crossings: neighbor.crossings, parent: node };
+                visited.set(key, next);
+                queue.push(next);
+            }
+        }
+        
+        if (!best) return [];
+        return this.reconstructPath(best).concat(solution.slice(bestIndex + 1));
+    }
+    
+    /**
+     * Sends simulated solvers from the entrance, through any checkpoints, to
+     * the exit and records the moves each one takes in solverSteps:
+     * - leftHand / rightHand: wall followers, keeping one hand on the wall
+     * - randomMouse: takes a random passage out of each cell, worked out
+     *   exactly on perfect mazes and averaged over RANDOM_MOUSE_RUNS runs on others
+     * - tremaux: Trémaux's algorithm, marking each passage as it is used and
+     *   never taking one marked twice (also averaged)
+     * 
+     * Moves are weighted like the solution, so mud costs extra. The solvers
+     * do not carry keys, so locked doors count as open, and a wall follower
+     * never lets go of the wall to take a portal. A solver that goes round in
+     * circles or gets stuck counts as taking SOLVER_MOVE_LIMIT moves per cell.
+     * Random choices use a generator seeded from the maze, so a maze always
+     * gets the same score.
+     */
+    simulateSolvers() {
+        const graph = this.getSolverGraph();
+        const limit = MazeDifficultyScorer.SOLVER_MOVE_LIMIT * graph.moves.length;
+        const stops = this.getRouteStops().map(stop => graph.indices.get(this.maze.grid[stop.row][stop.col]));
+        
+        let seed = this.maze.seed || 1;
+        const rng = () => {
+            // Park-Miller, like the maze's own generator
+            seed = (seed * 16807) % 2147483647;
+            return (seed - 1) / 2147483646;
+        };
+        
+        // Each solver walks the legs between stops in turn; a leg it cannot finish ends the run
+        const walk = (solve) => {
+            let total = 0;
+            let entry = this.maze.entrance.side;
+            for (let i = 1; i < stops.length; i++) {
+                const leg = solve(stops[i - 1], stops[i], entry, limit - total);
+                total += leg.moves;
+                if (!leg.arrived) return limit;
+                entry = leg.entry;
+            }
+            return total;
+        };
+        const average = (solve) => {
+            let total = 0;
+            for (let run = 0; run < MazeDifficultyScorer.RANDOM_MOUSE_RUNS; run++) {
+                total += walk(solve);
+            }
+            return total / MazeDifficultyScorer.RANDOM_MOUSE_RUNS;
+        };
+        
+        this.solverSteps = stops.includes(undefined) ? null : {
+            leftHand: walk((start, goal, entry, budget) => this.followWall(graph, start, goal, entry, budget, 1)),
+            rightHand: walk((start, goal, entry, budget) => this.followWall(graph, start, goal, entry, budget, -1)),
+            randomMouse: graph.perfect ?
+                walk((start, goal, entry, budget) => {
+                    const moves = this.getExpectedMouseMoves(graph, start, goal);
+                    return { arrived: moves <= budget, moves: Math.min(moves, budget) };
+                }) :
+                average((start, goal, entry, budget) => this.runRandomMouse(graph, start, goal, budget, rng)),
+            tremaux: average((start, goal, entry, budget) => this.runTremaux(graph, start, goal, budget, rng))
+        };
+    }
+    
+    /**
+     * Numbers the cells and lists the moves out of each for the simulated
+     * solvers: { to, cost, direction, entry, edge } where entry is the wall
+     * the move comes in through (null for a portal jump) and edge numbers
+     * the passage the same way from both ends. The random mouse makes by far
+     * the most moves, so they are also packed into flat arrays for it: the
+     * moves out of cell i are targets and costs from first[i] to first[i + 1].
+     * The graph is perfect when every passage can be walked both ways and
+     * there is exactly one route between any two cells.
+     * 
+     * @returns {Object} { cells, indices, moves, first, targets, costs, perfect }
+     */
+    getSolverGraph() {
+        const cells = [];
+        const indices = new Map();
+        this.maze.forEachCell(cell => {
+            indices.set(cell, cells.length);
+            cells.push(cell);
+        });
+        
+        const moves = cells.map((cell, from) => this.maze.getPassages(cell).map(({ neighbor, direction, crossings, portal }) => {
+            const to = indices.get(neighbor);
+            const last = crossings.length > 0 ? crossings[crossings.length - 1] : cell;
+            return {
+                to,
+                cost: portal ? 0 : crossings.length + this.maze.getTerrainCost(neighbor),
+                direction,
+                entry: portal ? null : this.maze.getOppositeDirection(last, direction),
+                edge: Math.min(from, to) * cells.length + Math.max(from, to)
+            };
+        }));
+        
+        const first = new Int32Array(cells.length + 1);
+        moves.forEach((cellMoves, index) => {
+            first[index + 1] = first[index] + cellMoves.length;
+        });
+        const targets = new Int32Array(first[cells.length]);
+        const costs = new Float64Array(first[cells.length]);
+        moves.forEach((cellMoves, index) => cellMoves.forEach((move, i) => {
+            targets[first[index] + i] = move.to;
+            costs[first[index] + i] = move.cost;
+        }));
+        
+        // A tree has one passage fewer than cells, and reaches every cell
+        const twoWay = moves.every((cellMoves, from) => cellMoves.every(move =>
+            moves[move.to].some(back => back.to === from && back.edge === move.edge)));
+        let perfect = twoWay && first[cells.length] === 2 * (cells.length - 1);
+        if (perfect && cells.length > 0) {
+            const reached = new Set([0]);
+            const queue = [0];
+            for (let i = 0; i < queue.length; i++) {
+                moves[queue[i]].forEach(move => {
+                    if (!reached.has(move.to)) {
+                        reached.add(move.to);
+                        queue.push(move.to);
+                    }
+                });
+            }
+            perfect = reached.size === cells.length;
+        }
+        
+        return { cells, indices, moves, first, targets, costs, perfect };
+    }
+    
+    /**
+     * Walks one leg as a wall follower: from the wall it came in through, it
+     * takes the first passage turning one way round the cell's walls (the
+     * left hand on square and hex grids, whose walls are listed clockwise)
+     * 
+     * @param {Object} graph - Solver graph (see getSolverGraph)
+     * @param {number} start - Index of the starting cell
+     * @param {number} goal - Index of the cell to reach
+     * @param {string|null} entry - Wall the solver came in through
+     * @param {number} budget - Moves left before giving up
+     * @param {number} turn - 1 to turn through the walls in listed order, -1 for the other hand
+     * @returns {Object} { arrived, moves, entry }
+     */
+    followWall(graph, start, goal, entry, budget, turn) {
+        const seen = new Set();
+        let cell = start;
+        let moves = 0;
+        
+        while (cell !== goal) {
+            // Coming back the same way into the same cell means going round in circles
+            const state = `${cell}:${entry}`;
+            if (seen.has(state) || moves >= budget) return { arrived: false, moves };
+            seen.add(state);
+            
+            const directions = this.maze.getDirections(graph.cells[cell]);
+            const from = Math.max(0, directions.indexOf(entry));
+            let move = null;
+            for (let i = 1; i <= directions.length && !move; i++) {
+                const direction = directions[(from + turn * i + directions.length) % directions.length];
+                move = graph.moves[cell].find(candidate => candidate.direction === direction);
+            }
+            if (!move) return { arrived: false, moves };
+            
+            moves += move.cost;
+            cell = move.to;
+            entry = move.entry;
+        }
+        return { arrived: true, moves, entry };
+    }
+    
+    /**
+     * Works out the moves a random mouse takes on average to get from one
+     * cell to another of a perfect maze. With the maze hung from the goal,
+     * the mouse leaves each cell on its way for the next only after wandering
+     * all the passages below it, each walked once in each direction on average.
+     * 
+     * @param {Object} graph - Perfect solver graph (see getSolverGraph)
+     * @param {number} start - Index of the starting cell
+     * @param {number} goal - Index of the cell to reach
+     * @returns {number} Expected moves
+     */
+    getExpectedMouseMoves(graph, start, goal) {
+        // Hang the maze from the goal, noting the moves up to and down from each cell's parent
+        const parents = new Int32Array(graph.cells.length).fill(-1);
+        const upCosts = new Float64Array(graph.cells.length);
+        const downCosts = new Float64Array(graph.cells.length);
+        const order = [goal];
+        parents[goal] = goal;
+        for (let i = 0; i < order.length; i++) {
+            const cell = order[i];
+            graph.moves[cell].forEach(move => {
+                if (parents[move.to] !== -1) return;
+                parents[move.to] = cell;
+                downCosts[move.to] = move.cost;
+                upCosts[move.to] = graph.moves[move.to].find(back => back.edge === move.edge).cost;
+                order.push(move.to);
+            });
+        }
+        
+        // Cost of wandering every passage below each cell there and back, children first
+        const wandering = new Float64Array(graph.cells.length);
+        for (let i = order.length - 1; i > 0; i--) {
+            const cell = order[i];
+            wandering[parents[cell]] += wandering[cell] + downCosts[cell] + upCosts[cell];
+        }
+        
+        let moves = 0;
+        for (let cell = start; cell !== goal; cell = parents[cell]) {
+            moves += wandering[cell] + upCosts[cell];
+        }
+        return moves;
+    }
+    
+    /**
+     * Walks one leg as a random mouse, taking a random passage out of each
+     * cell. Never turning back would be quicker, but one-way passages can
+     * lead into loops it could then never leave.
+     * 
+     * @param {Object} graph - Solver graph (see getSolverGraph)
+     * @param {number} start - Index of the starting cell
+     * @param {number} goal - Index of the cell to reach
+     * @param {number} budget - Moves left before giving up
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Object} { arrived, moves, entry }
+     */
+    runRandomMouse(graph, start, goal, budget, rng) {
+        const { first, targets, costs } = graph;
+        let cell = start;
+        let moves = 0;
+        let move = -1;
+        
+        while (cell !== goal) {
+            const count = first[cell + 1] - first[cell];
+            if (moves >= budget || count === 0) return { arrived: false, moves };
+            
+            move = first[cell] + Math.floor(rng() * count);
+            moves += costs[move];
+            cell = targets[move];
+        }
+        
+        // Find the wall the last move came in through
+        const from = move < 0 ? -1 : first.findIndex((offset, index) => offset <= move && move < first[index + 1]);
+        return { arrived: true, moves, entry: from < 0 ? null : graph.moves[from][move - first[from]].entry };
+    }
+    
+    /**
+     * Walks one leg with Trémaux's algorithm: each passage is marked as it is
+     * used. Arriving somewhere already visited along a fresh passage, the
+     * solver turns back; otherwise it takes an unmarked passage if there is
+     * one, or else the least marked, and never one marked twice.
+     * 
+     * @param {Object} graph - Solver graph (see getSolverGraph)
+     * @param {number} start - Index of the starting cell
+     * @param {number} goal - Index of the cell to reach
+     * @param {number} budget - Moves left before giving up
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Object} { arrived, moves, entry }
+     */
+    runTremaux(graph, start, goal, budget, rng) {
+        const marks = new Map();
+        const visited = new Set([start]);
+        let cell = start;
+        let arrival = null; // Move the solver came in by
+        let moves = 0;
+        
+        while (cell !== goal) {
+            if (moves >= budget) return { arrived: false, moves };
+            
+            const open = graph.moves[cell].filter(move => (marks.get(move.edge) || 0) < 2);
+            const back = arrival && open.find(move => move.edge === arrival.edge);
+            
+            let move = null;
+            if (back && marks.get(arrival.edge) === 1 && arrival.revisit) {
+                move = back;
+            } else {
+                const fresh = open.filter(candidate => !marks.get(candidate.edge));
+                const choices = fresh.length > 0 ? fresh : open;
+                move = choices.length > 0 ? choices[Math.floor(rng() * choices.length)] : null;
+            }
+            if (!move) return { arrived: false, moves };
+            
+            marks.set(move.edge, (marks.get(move.edge) || 0) + 1);
+            moves += move.cost;
+            cell = move.to;
+            arrival = { edge: move.edge, entry: move.entry, revisit: visited.has(cell) };
+            visited.add(cell);
+        }
+        return { arrived: true, moves, entry: arrival && arrival.entry };
+    }
+    
     /**
      * Calculates an adjustment factor based on maze size
      * 
@@ -364,7 +1248,7 @@ class MazeDifficultyScorer {
      * @returns {number} Size adjustment multiplier
      */
     calculateSizeAdjustment() {
-        const mazeArea = this.maze.width * this.maze.height;
+        const mazeArea = this.maze.getCellCount();
         
         if (mazeArea < 100) {
             // Linear scale from 0.2 to 0.6 for small mazes
@@ -392,7 +1276,7 @@ class MazeDifficultyScorer {
     calculateSolutionLengthFactor() {
         if (!this.solutionPath || this.solutionPath.length === 0) return 0.5;
         
-        const mazeArea = this.maze.width * this.maze.height;
+        const mazeArea = this.maze.getCellCount();
         const ratio = this.solutionPath.length / Math.sqrt(mazeArea);
         
         // Scale from 0.8 to 1.05 based on path length to maze size ratio
@@ -439,7 +1323,7 @@ class MazeDifficultyScorer {
      * @returns {number} False path density adjustment multiplier
      */
     calculateFalsePathDensityFactor() {
-        const mazeArea = this.maze.width * this.maze.height;
+        const mazeArea = this.maze.getCellCount();
         const totalFalsePaths = this.alternatePathsDetails.length;
         
         // Calculate the total cells in false paths
@@ -464,6 +1348,72 @@ class MazeDifficultyScorer {
         return Math.min(1.0, 0.75 + (falsePathCellRatio * 0.5) + (pathRatio * 0.25) + (pathDensityRatio * 0.25));
     }
     
+    /**
+     * Calculates adjustment factor based on the number of shortest routes
+     * 
+     * Perfect mazes have a single route and keep a factor of 1.0. Each doubling
+     * of the routes in a braided maze gives the solver more ways to succeed:
+     * - 2 routes: ~0.87 factor
+     * - 16 routes: ~0.63 factor
+     * - Never below 0.4
+     * 
+     * @returns {number} Route multiplicity adjustment multiplier
+     */
+    calculateRouteMultiplicityFactor() {
+        if (this.shortestRouteCount <= 1) return 1.0;
+        
+        return Math.max(0.4, 1 / (1 + 0.15 * Math.log2(this.shortestRouteCount)));
+    }
+    
+    /**
+     * Calculates adjustment factor for a keys-and-doors puzzle
+     * 
+     * Each door on the solution makes the solver plan ahead, and keys away
+     * from the direct route add backtracking; the detour is the share of the
+     * solution spent fetching keys:
+     * - 1 door, no detour: 1.08 factor
+     * - 3 doors, half the solution on detours: ~1.39 factor
+     * - Mazes without doors keep 1.0
+     * 
+     * @returns {number} Key puzzle adjustment multiplier
+     */
+    calculateKeyPuzzleFactor() {
+        if (!this.stateSpace || this.stateSpace.doorsOpened === 0 || this.solutionPath.length === 0) return 1.0;
+        
+        const detour = Math.max(0, this.solutionPath.length - this.openSolutionLength) / this.solutionPath.length;
+        return 1 + (0.08 * this.stateSpace.doorsOpened) + (0.3 * detour);
+    }
+    
+    /**
+     * Calculates adjustment factor from the simulated solvers
+     * 
+     * Moves are compared with the solution's, or with doors the solution's
+     * with every door open, since the solvers walk through them. A wall follower that walks
+     * nearly straight to the exit makes the maze easy however it looks, and
+     * the quicker of the two sets the follower part:
+     * - 1x the solution: 0.7 factor, rising to 1.0 by 2x
+     * The random mouse and Trémaux show how much wandering the maze takes
+     * (with log2 of both ratios added up):
+     * - 6 or less: 0.9 factor, rising to 1.1 by 12
+     * Scoring 1 runs no solvers, so the factor stays at 1.0.
+     * 
+     * @returns {number} Simulated solver adjustment multiplier
+     */
+    calculateSolverFactor() {
+        const solution = this.stateSpace ? this.openSolutionLength - 1 : this.solutionCost;
+        if (!this.solverSteps || solution <= 0) return 1.0;
+        
+        const { leftHand, rightHand, randomMouse, tremaux } = this.solverSteps;
+        const followerRatio = Math.min(leftHand, rightHand) / solution;
+        const followerFactor = Math.min(1.0, 0.7 + 0.3 * Math.max(0, followerRatio - 1));
+        
+        const wandering = Math.log2(Math.max(1, randomMouse / solution)) +
+            Math.log2(Math.max(1, tremaux / solution));
+        const wanderingFactor = 0.9 + 0.2 * Math.max(0, Math.min(1, (wandering - 6) / 6));
+        
+        return followerFactor * wanderingFactor;
+    }
+    
     /**
      * Calculates a score (0-100) based on the complexity of branch paths
      * 
@@ -482,7 +1432,7 @@ class MazeDifficultyScorer {
         if (this.alternatePathsDetails.length === 0) return 10; // Very few branches = easy
         
         let totalComplexity = 0;
-        const mazeArea = this.maze.width * this.maze.height;
+        const mazeArea = this.maze.getCellCount();
         
         // Shorter solutions get lower complexity scores 
         const pathLengthFactor = Math.min(1.0, this.solutionPath.length / 30);
@@ -549,7 +1499,7 @@ class MazeDifficultyScorer {
     calculateDecisionPointScore() {
         if (this.branchingPoints.length === 0) return 5; // No decisions = very easy
         
-        const mazeArea = this.maze.width * this.maze.height;
+        const mazeArea = this.maze.getCellCount();
         
         // Shorter solutions get lower decision point scores
         const pathLengthFactor = Math.min(1.0, this.solutionPath.length / 25);
@@ -597,7 +1547,13 @@ class MazeDifficultyScorer {
             sizeAdjustment: this.calculateSizeAdjustment(),
             solutionLengthFactor: this.calculateSolutionLengthFactor(),
             absolutePathAdjustment: this.calculateAbsolutePathAdjustment(),
+            routeMultiplicityFactor: this.calculateRouteMultiplicityFactor(),
+            keyPuzzleFactor: this.calculateKeyPuzzleFactor(),
+            solverFactor: this.calculateSolverFactor(),
+            solverSteps: this.solverSteps ? { ...this.solverSteps } : null,
             solutionPathLength: this.solutionPath?.length || 0,
+            shortestRouteCount: this.shortestRouteCount,
+            doorsOpened: this.stateSpace?.doorsOpened || 0,
             overall: this.calculateDifficulty()
         };
     }
@@ -624,8 +1580,12 @@ class MazeDifficultyScorer {
             },
             solution: {
                 length: this.solutionPath?.length || 0,
+                shortestRoutes: this.shortestRouteCount,
+                doorsOpened: this.stateSpace?.doorsOpened || 0,
+                reachableStates: this.stateSpace?.stateCount || 0,
+                solverSteps: this.solverSteps,
                 pathPercentage: this.solutionPath ? 
-                    (this.solutionPath.length / (this.maze.width * this.maze.height)) * 100 : 0
+                    (this.solutionPath.length / this.maze.getCellCount()) * 100 : 0
             },
             branchingPoints: {
                 count: this.branchingPoints.length,
@@ -670,7 +1630,7 @@ class MazeDifficultyScorer {
                 size: {
                     width: this.maze.width,
                     height: this.maze.height,
-                    cellCount: this.maze.width * this.maze.height
+                    cellCount: this.maze.getCellCount()
                 }
             }
         };
@@ -684,6 +1644,10 @@ class MazeDifficultyScorer {
     }
 }
 
+// Simulated solvers (see simulateSolvers)
+MazeDifficultyScorer.RANDOM_MOUSE_RUNS = 3;   // Runs averaged for the random mouse and Trémaux
+MazeDifficultyScorer.SOLVER_MOVE_LIMIT = 50;  // Moves per cell after which a solver counts as lost
+
 // Export for Node.js or add to window for browser
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { MazeDifficultyScorer };
@@ -7,7 +7,7 @@
 
 class EnhancedMaze extends MazeApp.Maze {
     constructor(width, height, cellSize, seed, params = {}) {
-        super(width, height, cellSize, seed);
+        super(width, height, cellSize, seed, params);
         
         // Configuration options for maze complexity tuning
         this.enhancementParams = {
@@ -93,7 +93,7 @@ class EnhancedMaze extends MazeApp.Maze {
     }
     
     // Main maze generation method implementing a multi-phase process:
-    // 1. Create base maze with enhanced DFS
+    // 1. Create base maze with enhanced DFS (or the selected registry algorithm)
     // 2. Calculate initial solution path and difficulty
     // 3. Optionally add loops by strategic wall removal
     // 4. Evaluate and potentially revert changes based on difficulty
@@ -101,8 +101,21 @@ class EnhancedMaze extends MazeApp.Maze {
         this._debug('Generating enhanced maze', this.enhancementParams, true);
         
         // Phase 1: Create perfect maze with dead-end variations
-        this.generateEnhancedDFS();
+        // Directional persistence only applies to the DFS backtracker; other
+        // algorithms carve their own characteristic texture
+        if (this.algorithm === 'backtracker') {
+            this.generateEnhancedDFS();
+            this.addCrossings();
+            if (!this.doorCount) this.braidDeadEnds();
+        } else {
+            this.initialize();
+            this.carvePassages();
+        }
         this.createEntranceAndExit();
+        this.placeDoors();
+        this.placePortals();
+        this.placeOneWays();
+        this.placeTerrain();
         
         // Phase 2: Analyze initial maze properties
         this.findSolutionPath();
@@ -176,6 +189,7 @@ class EnhancedMaze extends MazeApp.Maze {
         this.entrance = { ...this.originalMazeConfig.entrance };
         this.exit = { ...this.originalMazeConfig.exit };
         this.solutionPath = [...this.originalMazeConfig.solutionPath];
+        this.recordWalls();
         
         this._debug('Restored original maze configuration');
     }
@@ -212,12 +226,10 @@ class EnhancedMaze extends MazeApp.Maze {
         this.initialize();
         
         // Begin generation from random cell
-        const startRow = this.randomInt(0, this.height - 1);
-        const startCol = this.randomInt(0, this.width - 1);
-        
-        let currentCell = this.grid[startRow][startCol];
+        let currentCell = this.getRandomCell();
         currentCell.visited = true;
         this.stack.push(currentCell);
+        this.recordStep('visit', { row: currentCell.row, col: currentCell.col });
         
         // Reset directional tracking for corridor generation
         this.currentDirection = null;
@@ -233,6 +245,7 @@ class EnhancedMaze extends MazeApp.Maze {
             if (neighbors.length === 0) {
                 // Backtrack when no unvisited neighbors remain
                 this.stack.pop();
+                this.recordStep('backtrack', { row: currentCell.row, col: currentCell.col });
                 
                 // Record completed direction streak for analytics
                 if (this.directionStreak > 0) {
@@ -247,7 +260,7 @@ class EnhancedMaze extends MazeApp.Maze {
                 const { neighbor, direction } = this.chooseNextNeighbor(neighbors);
                 
                 // Remove the wall between current cell and chosen neighbor
-                MazeApp.WallManager.removeWalls(currentCell, neighbor, direction);
+                MazeApp.WallManager.removeWalls(this, currentCell, neighbor, direction);
                 
                 // Track directional streaks for straight corridor formation
                 if (direction === this.currentDirection) {
@@ -265,6 +278,7 @@ class EnhancedMaze extends MazeApp.Maze {
                 // Add chosen cell to search stack
                 neighbor.visited = true;
                 this.stack.push(neighbor);
+                this.recordStep('visit', { row: neighbor.row, col: neighbor.col });
             }
         }
         
@@ -362,7 +376,7 @@ class EnhancedMaze extends MazeApp.Maze {
     // while preserving the difficulty and avoiding shortcuts on the main solution
     applyStrategicWallRemoval() {
         // Calculate removal count based on maze size and configured factor
-        const mazeArea = this.width * this.height;
+        const mazeArea = this.getCellCount();
         const maxWallRemovals = Math.floor(Math.sqrt(mazeArea) * this.enhancementParams.wallRemovalFactor);
         
         if (maxWallRemovals <= 0) return;
@@ -388,7 +402,7 @@ class EnhancedMaze extends MazeApp.Maze {
             const cell = this.grid[deadEnd.row][deadEnd.col];
             
             // Check all directions for potential connections
-            ['north', 'east', 'south', 'west'].forEach(direction => {
+            this.getDirections(cell).forEach(direction => {
                 // Skip walls already removed or on the maze exterior
                 if (!cell.walls[direction] || this.isExteriorWall(cell.row, cell.col, direction)) return;
                 
@@ -425,46 +439,46 @@ class EnhancedMaze extends MazeApp.Maze {
         
         // Priority 2: Create additional loops between non-dead-end cells 
         if (wallCandidates.length < maxWallRemovals * 2) {
-            for (let row = 0; row < this.height; row++) {
-                for (let col = 0; col < this.width; col++) {
-                    const cell = this.grid[row][col];
+            this.forEachCell(cell => {
+                const { row, col } = cell;
+                
+                // Check only walls shared with later cells (east/south on a square
+                // grid) to avoid duplicate processing
+                this.getDirections(cell).forEach(direction => {
+                    // Skip walls already removed or on the maze exterior
+                    if (!cell.walls[direction] || this.isExteriorWall(row, col, direction)) return;
+                    
+                    const neighbor = this.getNeighborInDirection(row, col, direction);
+                    if (!neighbor) return;
+                    if (neighbor.row < row || (neighbor.row === row && neighbor.col < col)) return;
+                    
+                    // Skip if both cells are on the solution path (no shortcuts)
+                    const cellKey = `${cell.row},${cell.col}`;
+                    const neighborKey = `${neighbor.row},${neighbor.col}`;
+                    const bothOnSolution = solutionCellSet.has(cellKey) && solutionCellSet.has(neighborKey);
+                    if (bothOnSolution) return;
+                    
+                    // Score non-dead-end wall removals lower
+                    let score = 0.5;
+                    
+                    // Prioritize creating loops that connect distinct maze regions
+                    const isDeadEnd = deadEnds.some(de => 
+                        (de.row === cell.row && de.col === cell.col) || 
+                        (de.row === neighbor.row && de.col === neighbor.col)
+                    );
+                    if (!isDeadEnd) score += 0.5;
                     
-                    // Check only east/south to avoid duplicate processing
-                    ['east', 'south'].forEach(direction => {
-                        // Skip walls already removed or on the maze exterior
-                        if (!cell.walls[direction] || this.isExteriorWall(row, col, direction)) return;
-                        
-                        const neighbor = this.getNeighborInDirection(row, col, direction);
-                        if (!neighbor) return;
-                        
-                        // Skip if both cells are on the solution path (no shortcuts)
-                        const cellKey = `${cell.row},${cell.col}`;
-                        const neighborKey = `${neighbor.row},${neighbor.col}`;
-                        const bothOnSolution = solutionCellSet.has(cellKey) && solutionCellSet.has(neighborKey);
-                        if (bothOnSolution) return;
-                        
-                        // Score non-dead-end wall removals lower
-                        let score = 0.5;
-                        
-                        // Prioritize creating loops that connect distinct maze regions
-                        const isDeadEnd = deadEnds.some(de => 
-                            (de.row === cell.row && de.col === cell.col) || 
-                            (de.row === neighbor.row && de.col === neighbor.col)
-                        );
-                        if (!isDeadEnd) score += 0.5;
-                        
-                        // Add randomization
-                        score += this.rng() * 0.2;
-                        
-                        wallCandidates.push({
-                            cell: cell,
-                            neighbor: neighbor,
-                            direction: direction,
-                            score: score
-                        });
+                    // Add randomization
+                    score += this.rng() * 0.2;
+                    
+                    wallCandidates.push({
+                        cell: cell,
+                        neighbor: neighbor,
+                        direction: direction,
+                        score: score
                     });
-                }
-            }
+                });
+            });
         }
         
         // Sort candidates by score for priority removal
@@ -481,7 +495,7 @@ class EnhancedMaze extends MazeApp.Maze {
             
             // Final validation to ensure wall removal won't degrade maze quality
             if (this.isValidWallRemoval(candidate.cell, candidate.neighbor)) {
-                MazeApp.WallManager.removeWalls(candidate.cell, candidate.neighbor, candidate.direction);
+                MazeApp.WallManager.removeWalls(this, candidate.cell, candidate.neighbor, candidate.direction);
                 wallsActuallyRemoved++;
             }
         }
@@ -509,59 +523,28 @@ class EnhancedMaze extends MazeApp.Maze {
         const deadEnds = [];
         
         // Scan entire grid for cells with only one open direction
-        for (let row = 0; row < this.height; row++) {
-            for (let col = 0; col < this.width; col++) {
-                const cell = this.grid[row][col];
-                
-                // Count walls that have been removed
-                let openWalls = 0;
-                ['north', 'east', 'south', 'west'].forEach(direction => {
-                    if (!cell.walls[direction]) {
-                        openWalls++;
-                    }
-                });
-                
-                // Dead end definition: exactly one open wall
-                if (openWalls === 1) {
-                    deadEnds.push({ row, col });
+        this.forEachCell(cell => {
+            // Count walls that have been removed
+            let openWalls = 0;
+            this.getDirections(cell).forEach(direction => {
+                if (!cell.walls[direction]) {
+                    openWalls++;
                 }
+            });
+            
+            // Dead end definition: exactly one open wall
+            if (openWalls === 1) {
+                deadEnds.push({ row: cell.row, col: cell.col });
             }
-        }
+        });
         
         return deadEnds;
     }
     
-    // Returns the adjacent cell in the specified direction
-    // Returns null if direction would go outside the maze boundaries
-    getNeighborInDirection(row, col, direction) {
-        let newRow = row;
-        let newCol = col;
-        
-        // Calculate new position based on direction
-        switch(direction) {
-            case 'north': newRow--; break;
-            case 'east': newCol++; break;
-            case 'south': newRow++; break;
-            case 'west': newCol--; break;
-        }
-        
-        // Verify new position is within maze boundaries
-        if (newRow >= 0 && newRow < this.height && newCol >= 0 && newCol < this.width) {
-            return this.grid[newRow][newCol];
-        }
-        
-        return null;
-    }
-    
     // Determines if a wall is on the exterior boundary of the maze
+    // (no cell lies on the other side of it)
     isExteriorWall(row, col, direction) {
-        switch(direction) {
-            case 'north': return row === 0;                // Top edge
-            case 'south': return row === this.height - 1;  // Bottom edge
-            case 'west': return col === 0;                 // Left edge
-            case 'east': return col === this.width - 1;    // Right edge
-            default: return false;
-        }
+        return !this.getNeighborInDirection(row, col, direction);
     }
     
     // Check if removing a wall would create a shorter solution path
@@ -576,12 +559,28 @@ class EnhancedMaze extends MazeApp.Maze {
             return false;
         }
         
+        // Corridors behind decoy exits must stay cut off from the maze
+        if (this.sealedCells.has(`${cell1.row},${cell1.col}`) || this.sealedCells.has(`${cell2.row},${cell2.col}`)) {
+            return false;
+        }
+        
+        // Joining cells that locked doors keep apart would open a way around a door
+        if (this.doorRegions.get(`${cell1.row},${cell1.col}`) !== this.doorRegions.get(`${cell2.row},${cell2.col}`)) {
+            return false;
+        }
+        
+        // Portals must stay dead ends so a walker can only leave one the way they came
+        if (this.getPortalPartner(cell1) || this.getPortalPartner(cell2)) {
+            return false;
+        }
+        
+        // A new opening out of ice changes where slides stop, which could strand the solver
+        if (cell1.terrain === 'ice' || cell2.terrain === 'ice') {
+            return false;
+        }
+        
         // Determine the direction from cell1 to cell2
-        let direction = null;
-        if (cell2.row < cell1.row) direction = 'north';
-        else if (cell2.row > cell1.row) direction = 'south';
-        else if (cell2.col < cell1.col) direction = 'west';
-        else if (cell2.col > cell1.col) direction = 'east';
+        const direction = this.getDirectionBetween(cell1, cell2);
         
         // Check if this is an exterior wall
         if (direction && this.isExteriorWall(cell1.row, cell1.col, direction)) {
@@ -651,50 +650,34 @@ class EnhancedMaze extends MazeApp.Maze {
     }
     
     // Restore maze exterior walls while preserving designated entrance/exit
+    // and decoy exit openings
     ensureExteriorWallsIntact() {
-        // Process only cells on the maze perimeter
-        for (let row = 0; row < this.height; row++) {
-            for (let col = 0; col < this.width; col++) {
-                const cell = this.grid[row][col];
-                
-                // Identify boundary position
-                const isTopRow = row === 0;
-                const isBottomRow = row === this.height - 1;
-                const isLeftCol = col === 0;
-                const isRightCol = col === this.width - 1;
-                
-                // Skip interior cells
-                if (!isTopRow && !isBottomRow && !isLeftCol && !isRightCol) {
-                    continue;
-                }
-                
-                // Determine if this cell is an entrance or exit at the specified side
-                const isEntranceAt = (side) => 
-                    this.entrance && this.entrance.row === row && 
-                    this.entrance.col === col && this.entrance.side === side;
-                
-                const isExitAt = (side) => 
-                    this.exit && this.exit.row === row && 
-                    this.exit.col === col && this.exit.side === side;
-                
-                // Restore exterior walls unless they're designated entrance/exit points
-                if (isTopRow && !isEntranceAt('north') && !isExitAt('north')) {
-                    cell.walls.north = true;
-                }
-                
-                if (isBottomRow && !isEntranceAt('south') && !isExitAt('south')) {
-                    cell.walls.south = true;
-                }
-                
-                if (isLeftCol && !isEntranceAt('west') && !isExitAt('west')) {
-                    cell.walls.west = true;
-                }
-                
-                if (isRightCol && !isEntranceAt('east') && !isExitAt('east')) {
-                    cell.walls.east = true;
+        this.forEachCell(cell => {
+            const { row, col } = cell;
+            
+            // Determine if this cell is an entrance or exit at the specified side
+            const isEntranceAt = (side) => 
+                this.entrance && this.entrance.row === row && 
+                this.entrance.col === col && this.entrance.side === side;
+            
+            const isExitAt = (side) => 
+                this.exit && this.exit.row === row && 
+                this.exit.col === col && this.exit.side === side;
+            
+            const isDecoyAt = (side) => this.decoys.some(decoy =>
+                decoy.row === row && decoy.col === col && decoy.side === side);
+            
+            // Restore exterior walls unless they're designated entrance/exit points
+            this.getDirections(cell).forEach(direction => {
+                if (this.isExteriorWall(row, col, direction) &&
+                    !isEntranceAt(direction) && !isExitAt(direction) && !isDecoyAt(direction)) {
+                    if (!cell.walls[direction]) {
+                        this.recordStep('wall', { open: false, sides: [{ row, col, direction }] });
+                    }
+                    cell.walls[direction] = true;
                 }
-            }
-        }
+            });
+        });
     }
     
     // Output detailed statistics about the generated maze
@@ -0,0 +1,447 @@
+/**
+ * GenerationPlayer - Plays back how the maze on screen was carved
+ *
+ * The maze is generated again from its seed with every step recorded (see
+ * Maze.replayGeneration and Maze.recordStep): each wall opened or closed, each
+ * cell the depth-first search reaches and each dead end it backs out of. The
+ * steps are then played on the live SVG at the chosen speed, one at a time,
+ * or from any point picked on the scrubber, with the cells on the search's
+ * stack highlighted. Algorithms other than the backtracker only record their
+ * walls. The last frame is the maze itself, drawn as usual, so playback
+ * always ends on exactly the seeded result.
+ */
+class GenerationPlayer {
+    constructor(svgElement, uiManager = null) {
+        this.svgElement = svgElement;
+        this.uiManager = uiManager;
+        this.rough = rough.svg(svgElement);
+        this.maze = null;
+        this.layer = null;
+
+        // Playback state
+        this.steps = [];             // Recorded steps, empty until the first play
+        this.position = 0;           // Number of steps shown
+
+        // The grid as of the last step shown
+        this.walls = null;           // Walls of every cell, [row][col][direction] true when closed
+        this.stack = [];             // Cells on the depth-first search's stack, "row,col" from the bottom
+        this.visited = new Set();    // Cells the search has reached, "row,col"
+        this.current = null;         // Cell the last step worked on, "row,col"
+
+        this.wallGroup = null;       // Group holding the drawn walls, above the cells
+        this.wallNodes = new Map();  // Drawing of each cell's wall, keyed by "row,col,direction"
+        this.cellNodes = new Map();  // { state, node } of each highlighted cell, keyed by "row,col"
+
+        // Plays the steps as they fall due at the speed slider's setting
+        this.playback = new MazeApp.StepPlayback(GenerationPlayer.SPEEDS, 'generationSpeed', due => this._playSteps(due));
+    }
+
+    /**
+     * Connects this player to a maze instance
+     * A new maze ends any playback; its steps are recorded when it is played
+     *
+     * @param {Object} maze - The maze object to play back
+     */
+    setMaze(maze) {
+        this.playback.stop();
+        this.maze = maze;
+        this.steps = [];
+        this.position = 0;
+        this._resetGrid();
+
+        this.redraw();
+        this._updateUIState();
+    }
+
+    /**
+     * Starts or resumes playback, from the first step if it has finished
+     * The maze is generated again to record its steps the first time
+     */
+    play() {
+        if (!this.maze || this.playback.isRunning) return;
+
+        if (this.steps.length === 0) {
+            this._recordSteps();
+        }
+        if (this.position === 0 || this.position >= this.steps.length) {
+            this.seek(0);
+        }
+        this.playback.start();
+        this._updateUIState();
+    }
+
+    /**
+     * Pauses playback where it is
+     */
+    pause() {
+        this.playback.stop();
+        this._updateUIState();
+    }
+
+    /**
+     * Pauses if playing and plays otherwise
+     *
+     * @returns {boolean} Whether it is playing after the toggle
+     */
+    togglePlaying() {
+        if (this.playback.isRunning) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playback.isRunning;
+    }
+
+    /**
+     * Pauses and shows the next step alone, starting on the uncarved grid
+     */
+    step() {
+        this.playback.stop();
+        if (this.maze && this.steps.length === 0) {
+            this._recordSteps();
+            this.seek(0);
+            return;
+        }
+        if (this.position < this.steps.length) {
+            this._applyStep(this.steps[this.position++]);
+            this._updateView();
+        }
+        this._updateUIState();
+    }
+
+    /**
+     * Shows the grid as it was at a frame, working forward from the start
+     * Frame 0 is the uncarved grid and the last frame is the finished maze
+     *
+     * @param {number} frame - Steps carved, from 0 to getFrameCount()
+     */
+    seek(frame) {
+        if (this.steps.length === 0) return;
+
+        const position = Math.max(0, Math.min(this.getFrameCount(), Number(frame) || 0)) + 1;
+        this._resetGrid();
+        for (this.position = 0; this.position < position; this.position++) {
+            this._applyStep(this.steps[this.position], false);
+        }
+
+        this.redraw();
+        this._updateUIState();
+    }
+
+    /**
+     * Sets how many steps are played each second
+     *
+     * @param {number} speed - Index into GenerationPlayer.SPEEDS
+     */
+    setSpeed(speed) {
+        this.playback.setSpeed(speed);
+    }
+
+    /**
+     * Returns the number of the last frame, the finished maze
+     *
+     * @returns {number} Steps after the uncarved grid, or 0 before the first play
+     */
+    getFrameCount() {
+        return Math.max(0, this.steps.length - 1);
+    }
+
+    /**
+     * Returns whether playback is showing, in place of the finished maze
+     *
+     * @returns {boolean} True from the first play until the last frame
+     */
+    isActive() {
+        return this.steps.length > 0 && this.position < this.steps.length;
+    }
+
+    /**
+     * Generates the maze again to record its steps
+     */
+    _recordSteps() {
+        this.steps = this.maze.replayGeneration().generationSteps;
+        this.position = 0;
+        this._resetGrid();
+    }
+
+    /**
+     * Plays the steps that have fallen due, pausing once they run out
+     *
+     * @param {number} due - Number of steps due (see StepPlayback)
+     */
+    _playSteps(due) {
+        for (let i = 0; i < due && this.position < this.steps.length; i++) {
+            this._applyStep(this.steps[this.position++]);
+        }
+        if (due > 0) {
+            this._updateView();
+        }
+
+        if (this.position >= this.steps.length) {
+            this.pause();
+            return;
+        }
+        this._updateUIState();
+    }
+
+    /**
+     * Forgets the grid, back to before the first step
+     */
+    _resetGrid() {
+        this.walls = null;
+        this.stack = [];
+        this.visited.clear();
+        this.current = null;
+    }
+
+    /**
+     * Carries one recorded step out on the grid: a walls step replaces every
+     * wall, a wall step opens or closes one, a visit pushes a cell on the
+     * search's stack and a backtrack pops it off again. The cell worked on
+     * becomes current; after a backtrack that is the cell the search is back in.
+     *
+     * @param {Object} step - Step from Maze.recordStep
+     * @param {boolean} draw - Whether to update the drawings of what changed
+     */
+    _applyStep(step, draw = true) {
+        const changed = new Set([this.current]);
+
+        if (step.type === 'walls') {
+            this.walls = step.walls.map(rowWalls => rowWalls.map(walls => ({ ...walls })));
+            this.current = null;
+            if (draw) this._drawWalls();
+        } else if (step.type === 'wall') {
+            step.sides.forEach(({ row, col, direction }) => {
+                this.walls[row][col][direction] = !step.open;
+                if (draw) this._showWall(`${row},${col},${direction}`);
+            });
+            this.current = `${step.sides[0].row},${step.sides[0].col}`;
+        } else if (step.type === 'visit') {
+            this.current = `${step.row},${step.col}`;
+            this.stack.push(this.current);
+            this.visited.add(this.current);
+        } else if (step.type === 'backtrack') {
+            changed.add(this.stack.pop());
+            this.current = this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+        }
+        changed.add(this.current);
+
+        if (draw) {
+            changed.forEach(key => key !== null && this._drawCell(key));
+        }
+    }
+
+    /**
+     * Returns how a cell is highlighted: the current cell, the rest of the
+     * search's stack, or cells it has finished with
+     *
+     * @param {string} key - Cell "row,col"
+     * @returns {string|null} 'current', 'stack', 'visited', or null for none
+     */
+    _getCellState(key) {
+        if (key === this.current) return 'current';
+        if (this.stack.includes(key)) return 'stack';
+        return this.visited.has(key) ? 'visited' : null;
+    }
+
+    /**
+     * Shows the finished maze on the last frame and the playback before it,
+     * which hides everything else drawn on the maze
+     */
+    _updateView() {
+        const active = this.isActive();
+        this.svgElement.classList.toggle('generation-playback', active);
+        if (this.layer) {
+            this.layer.style.display = active ? '' : 'none';
+        }
+    }
+
+    /**
+     * Draws every wall a cell can have on the floors on screen, showing
+     * those closed as of the current step
+     */
+    _drawWalls() {
+        if (this.wallGroup && this.wallGroup.parentNode) {
+            this.wallGroup.parentNode.removeChild(this.wallGroup);
+        }
+        this.wallGroup = null;
+        this.wallNodes.clear();
+        if (!this.layer || !this.walls) return;
+
+        // Stairs are drawn with the finished maze, as the renderer draws them
+        const stairDirections = MazeTopologies.get(this.maze.topology).stairDirections || [];
+        this.wallGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.maze.forEachCell(cell => {
+            if (!this.maze.isLevelShown(this.maze.getLevel(cell.row))) return;
+
+            this.maze.getDirections(cell)
+                .filter(direction => !stairDirections.includes(direction))
+                .forEach(direction => {
+                    const coords = MazeApp.WallManager.getWallCoordinates(this.maze, cell, direction);
+                    const options = {
+                        stroke: 'black',
+                        strokeWidth: 2,
+                        roughness: 1.5,
+                        bowing: 0.5,
+                        seed: this.maze.seed + cell.row * this.maze.width + cell.col + direction.charCodeAt(0)
+                    };
+                    const node = coords.arc ?
+                        this.rough.arc(coords.arc.cx, coords.arc.cy, coords.arc.radius * 2, coords.arc.radius * 2,
+                            coords.arc.start, coords.arc.end, false, options) :
+                        this.rough.line(coords.x1, coords.y1, coords.x2, coords.y2, options);
+                    this.wallGroup.appendChild(node);
+
+                    const key = `${cell.row},${cell.col},${direction}`;
+                    this.wallNodes.set(key, node);
+                    this._showWall(key);
+                });
+        });
+
+        // Keep the walls above the highlighted cells
+        this.layer.appendChild(this.wallGroup);
+    }
+
+    /**
+     * Shows or hides a drawn wall to match the grid
+     *
+     * @param {string} key - Wall "row,col,direction"
+     */
+    _showWall(key) {
+        const node = this.wallNodes.get(key);
+        if (!node) return;
+
+        const [row, col, direction] = key.split(',');
+        node.style.display = this.walls[row][col][direction] ? '' : 'none';
+    }
+
+    /**
+     * Redraws a cell in the colour of its state, if that has changed
+     *
+     * @param {string} key - Cell "row,col"
+     */
+    _drawCell(key) {
+        const state = this._getCellState(key);
+        const drawn = this.cellNodes.get(key);
+        if (drawn && drawn.state === state) return;
+
+        if (drawn && drawn.node.parentNode) {
+            drawn.node.parentNode.removeChild(drawn.node);
+        }
+        this.cellNodes.delete(key);
+
+        const [row, col] = key.split(',').map(Number);
+        if (!state || !this.layer || !this.maze.isLevelShown(this.maze.getLevel(row))) return;
+
+        const padding = MazeApp.getPadding();
+        const size = this.maze.cellSize * 0.8;
+        const center = this.maze.getCellCenter({ row, col });
+        const node = this.rough.rectangle(center.x + padding - size / 2, center.y + padding - size / 2, size, size, {
+            fill: GenerationPlayer.COLORS[state],
+            fillStyle: 'solid',
+            stroke: 'none',
+            roughness: 0.8,
+            seed: this.maze.seed + 800 + row * this.maze.width + col
+        });
+        node.setAttribute('opacity', state === 'visited' ? '0.4' : '0.6');
+        node.setAttribute('class', `generation-cell generation-${state}`);
+        this.layer.insertBefore(node, this.layer.firstChild);
+        this.cellNodes.set(key, { state, node });
+    }
+
+    /**
+     * Draws the layer again for the floors on screen
+     * Called after the maze is rendered, since rendering clears the SVG
+     */
+    redraw() {
+        if (this.layer && this.layer.parentNode) {
+            this.layer.parentNode.removeChild(this.layer);
+        }
+        this.layer = null;
+        this.wallGroup = null;
+        this.wallNodes.clear();
+        this.cellNodes.clear();
+
+        if (this.svgElement && this.maze && this.steps.length > 0) {
+            this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            this.layer.setAttribute('id', 'generation-layer');
+            this.layer.setAttribute('pointer-events', 'none');
+            this.svgElement.appendChild(this.layer);
+
+            this._drawWalls();
+            this.visited.forEach(key => this._drawCell(key));
+            if (this.current !== null) this._drawCell(this.current);
+        }
+        this._updateView();
+    }
+
+    /**
+     * Updates the play button, step button, scrubber and speed slider to
+     * reflect the current state
+     */
+    _updateUIState() {
+        const getElement = id => this.uiManager ? this.uiManager.getElement(id) : document.getElementById(id);
+
+        const playButton = getElement('generationPlayBtn');
+        if (playButton) {
+            const playing = this.playback.isRunning;
+            playButton.disabled = !this.maze;
+            playButton.title = playing ? 'Pause' : 'Play';
+            playButton.setAttribute('aria-label', playing ? 'Pause the generation' : 'Play the generation');
+            const icon = playButton.querySelector('use');
+            if (icon) {
+                icon.setAttribute('href', playing ? '#pause-icon' : '#play-icon');
+            }
+        }
+
+        const stepButton = getElement('generationStepBtn');
+        if (stepButton) {
+            stepButton.disabled = !this.maze || (this.steps.length > 0 && !this.isActive());
+        }
+
+        const scrubInput = getElement('generationScrub');
+        if (scrubInput) {
+            scrubInput.disabled = this.steps.length === 0;
+            scrubInput.max = this.getFrameCount();
+            scrubInput.value = Math.max(0, this.position - 1);
+        }
+
+        const speedInput = getElement('generationSpeed');
+        if (speedInput) {
+            speedInput.value = this.playback.speed;
+        }
+
+        this._updateStatus();
+    }
+
+    /**
+     * Shows which step is on screen and how deep the search's stack is
+     */
+    _updateStatus() {
+        const status = this.uiManager ? this.uiManager.getElement('generationStatus') : document.getElementById('generationStatus');
+        if (!status) return;
+
+        if (this.steps.length === 0) {
+            status.textContent = '';
+            return;
+        }
+        const frame = `${Math.max(0, this.position - 1)} / ${this.getFrameCount()}`;
+        status.textContent = this.stack.length > 0 ? `${frame}, stack ${this.stack.length}` : frame;
+    }
+}
+
+// Steps played each second at each setting of the speed slider
+GenerationPlayer.SPEEDS = [4, 15, 60, 240, 960];
+
+// Fill of each cell state: the cell being carved, the rest of the depth-first search's stack and the cells it has backed out of
+GenerationPlayer.COLORS = {
+    current: '#FFA000',
+    stack: '#4285F4',
+    visited: '#66BB6A'
+};
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.GenerationPlayer = GenerationPlayer;
+} else {
+    window.GenerationPlayer = GenerationPlayer;
+}
@@ -150,16 +150,6 @@ class HardModeManager {
         return this.enabled;
     }
     
-    /**
-     * Returns padding size used for SVG element calculations
-     * Consistent padding helps prevent visual artifacts at maze edges
-     * 
-     * @returns {number} Padding size in pixels
-     */
-    _getPadding() {
-        return 10; // Constant padding of 10px
-    }
-    
     /**
      * Loads hard mode preference from localStorage on initialization
      * Defaults to enabled (true) if no saved preference exists
@@ -300,9 +290,10 @@ class HardModeManager {
         }
         
         // Calculate the center point in SVG coordinates
-        const padding = this._getPadding();
-        const centerX = centerCol * this.maze.cellSize + (this.maze.cellSize / 2) + padding;
-        const centerY = centerRow * this.maze.cellSize + (this.maze.cellSize / 2) + padding;
+        const padding = MazeApp.getPadding();
+        const cellCenter = this.maze.getCellCenter({ row: centerRow, col: centerCol });
+        const centerX = cellCenter.x + padding;
+        const centerY = cellCenter.y + padding;
         
         // Update the target position
         this.animation.targetPos = { x: centerX, y: centerY };
@@ -693,9 +684,18 @@ class HardModeManager {
             return true; // No reference point, assume visible
         }
         
-        // Calculate the distance from the cell to the anchor (in cells)
-        const rowDistance = Math.abs(cell.row - anchorRow);
-        const colDistance = Math.abs(cell.col - anchorCol);
+        // Neighbors of the anchor are always reachable, including stairs to a
+        // floor drawn elsewhere on screen
+        if (this.maze.getDirectionBetween(this.maze.getCell(anchorRow, anchorCol), cell)) {
+            return true;
+        }
+        
+        // Calculate the distance from the cell to the anchor (in cells), measured
+        // between cell centers so it holds for any grid layout
+        const cellCenter = this.maze.getCellCenter(cell);
+        const anchorCenter = this.maze.getCellCenter({ row: anchorRow, col: anchorCol });
+        const rowDistance = Math.abs(cellCenter.y - anchorCenter.y) / this.maze.cellSize;
+        const colDistance = Math.abs(cellCenter.x - anchorCenter.x) / this.maze.cellSize;
         
         // Visibility radius - number of cells visible in each direction from the anchor
         // This should match the actual visual radius used in the overlay
@@ -0,0 +1,164 @@
+/**
+ * HeatmapManager - Shades the maze by how much each cell adds to its difficulty
+ *
+ * Draws a translucent layer under the user's path: cells on false paths are
+ * tinted from yellow to red by the heat the difficulty scorer gives them (see
+ * MazeDifficultyScorer.getCellHeat), and the decision points along the
+ * solution are ringed. The layer is part of the maze SVG, so it is included
+ * when the maze is downloaded as SVG or PNG.
+ */
+class HeatmapManager {
+    constructor(svgElement, uiManager = null) {
+        this.enabled = false;
+        this.overlay = null;
+        this.maze = null;
+        this.svgElement = svgElement;
+        this.uiManager = uiManager;
+
+        // Initialize from localStorage
+        this._loadSavedState();
+    }
+
+    /**
+     * Connects this manager to a maze instance
+     * Called when a new maze is loaded or regenerated
+     *
+     * @param {Object} maze - The maze object to shade
+     */
+    setMaze(maze) {
+        this.maze = maze;
+        this.updateOverlay();
+    }
+
+    /**
+     * Toggles the heatmap on/off and updates the UI accordingly
+     *
+     * @returns {boolean} Current heatmap state after toggle
+     */
+    toggle() {
+        this.enabled = !this.enabled;
+        this._saveState();
+        this.updateOverlay();
+        this._updateUIState();
+        return this.enabled;
+    }
+
+    /**
+     * Returns whether the heatmap is currently enabled
+     *
+     * @returns {boolean} True if the heatmap is enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Loads the heatmap preference from localStorage on initialization
+     * Defaults to disabled if no saved preference exists
+     */
+    _loadSavedState() {
+        this.enabled = localStorage.getItem('heatmapEnabled') === 'true';
+    }
+
+    /**
+     * Persists current heatmap state to localStorage
+     */
+    _saveState() {
+        localStorage.setItem('heatmapEnabled', this.enabled.toString());
+    }
+
+    /**
+     * Updates the toggle and its container to reflect the current state
+     */
+    _updateUIState() {
+        const heatmapToggle = this.uiManager ? this.uiManager.getElement('heatmapToggle') : document.getElementById('heatmapToggle');
+        if (heatmapToggle) {
+            heatmapToggle.checked = this.enabled;
+
+            const toggleContainer = heatmapToggle.closest('.heatmap-toggle');
+            if (toggleContainer) {
+                toggleContainer.classList.toggle('active', this.enabled);
+            }
+        }
+    }
+
+    /**
+     * Removes the heatmap overlay from the SVG
+     * Safe to call even if overlay doesn't exist
+     */
+    _removeOverlay() {
+        if (this.overlay && this.svgElement) {
+            if (this.svgElement.contains(this.overlay)) {
+                this.svgElement.removeChild(this.overlay);
+            }
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Redraws the heatmap for the current maze and the floors on screen
+     * Called after the maze is rendered, since rendering clears the SVG
+     */
+    updateOverlay() {
+        this._removeOverlay();
+
+        const scorer = this.maze && this.maze.difficultyScorer;
+        if (!this.enabled || !this.svgElement || !scorer) {
+            return;
+        }
+
+        this.overlay = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.overlay.setAttribute('id', 'heatmap-overlay');
+        this.overlay.setAttribute('pointer-events', 'none');
+
+        const padding = MazeApp.getPadding();
+        const size = this.maze.cellSize;
+        const isShown = position => this.maze.isLevelShown(this.maze.getLevel(position.row));
+
+        scorer.getCellHeat().forEach((heat, key) => {
+            const [row, col] = key.split(',').map(Number);
+            if (!isShown({ row, col })) return;
+
+            // Yellow for cells that cost little, through orange to red for the worst
+            const center = this.maze.getCellCenter({ row, col });
+            const shade = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            shade.setAttribute('x', center.x + padding - size / 2);
+            shade.setAttribute('y', center.y + padding - size / 2);
+            shade.setAttribute('width', size);
+            shade.setAttribute('height', size);
+            shade.setAttribute('fill', `hsl(${Math.round(60 - 60 * heat)}, 100%, 50%)`);
+            shade.setAttribute('fill-opacity', (0.15 + 0.45 * heat).toFixed(2));
+            shade.setAttribute('class', 'heatmap-cell');
+            this.overlay.appendChild(shade);
+        });
+
+        // Ring each decision point, thicker the more wrong turns it offers
+        scorer.branchingPoints.filter(isShown).forEach(point => {
+            const center = this.maze.getCellCenter(point);
+            const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ring.setAttribute('cx', center.x + padding);
+            ring.setAttribute('cy', center.y + padding);
+            ring.setAttribute('r', size * 0.3);
+            ring.setAttribute('fill', 'none');
+            ring.setAttribute('stroke', '#D32F2F');
+            ring.setAttribute('stroke-opacity', '0.6');
+            ring.setAttribute('stroke-width', Math.min(point.branches.length, 3));
+            ring.setAttribute('class', 'heatmap-decision');
+            this.overlay.appendChild(ring);
+        });
+
+        // Keep the user's path drawn on top
+        if (this.maze.pathGroup && this.svgElement.contains(this.maze.pathGroup)) {
+            this.svgElement.insertBefore(this.overlay, this.maze.pathGroup);
+        } else {
+            this.svgElement.appendChild(this.overlay);
+        }
+    }
+}
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.HeatmapManager = HeatmapManager;
+} else {
+    window.HeatmapManager = HeatmapManager;
+}
@@ -8,6 +8,11 @@
  * 
  * The optimizer generates multiple candidate mazes with varied parameters
  * and selects the best based on weighted scoring of difficulty and path length.
+ * Given a target difficulty band instead, it searches until a candidate scores
+ * inside the band and otherwise settles for the closest one. In Pareto mode it
+ * keeps every candidate no other candidate beats on all of PARETO_OBJECTIVES,
+ * and returns the one picked from that front. The evolve objective breeds the
+ * mazes themselves instead, crossing and mutating their passages.
  */
 
 class MazeOptimizer {
@@ -22,7 +27,13 @@ class MazeOptimizer {
             height: baseOptions.height || 10,
             cellSize: baseOptions.cellSize || 20,
             baseSeed: baseOptions.seed || Math.floor(Math.random() * 1000000),
+            mazeOptions: baseOptions.mazeOptions || {}, // Maze variant (algorithm, topology)
             pathLengthWeight: 0.3,       // Balance between optimizing for path length vs difficulty
+            targetBand: baseOptions.targetBand || null, // { min, max } difficulty to aim for, or null for the hardest maze
+            objective: baseOptions.objective || 'composite', // 'composite' weighs difficulty against path length, 'pareto' keeps a Pareto front
+            pick: baseOptions.pick ?? null, // Pareto front member to return: a candidate's attempt number or 'baseline'
+            populationSize: 8,           // Mazes the evolve objective breeds from
+            mutationRotations: 2,        // Wall rotations applied to each maze the evolve objective breeds
         };
         
         // Seeded RNG ensures reproducible results with the same seed
@@ -36,6 +47,8 @@ class MazeOptimizer {
             complexityBalancePreference: { min: 0.0, max: 1.0 } // Balance between branch complexity types
         };
         
+        this.onProgress = baseOptions.onProgress || null; // Called after each candidate with { candidate, total, bestScore }
+        
         this.candidates = [];
         this.bestCandidate = null;
         this.parameterHistory = [];
@@ -43,6 +56,11 @@ class MazeOptimizer {
         this.baselineDifficulty = 0;
         this.baselineSolutionPathLength = 0;
         
+        // Genes of the evolve objective (see _listEdges)
+        this.edges = [];      // Walls between two cells { row, col, direction, from, to }
+        this.cells = [];      // Cells { row, col, rowLength }, numbered as edges' from and to
+        this.rowCount = 0;
+        
         this.debugEnabled = this._isDebugEnabled();
         
         this._debug('MazeOptimizer initialized', {
@@ -108,6 +126,7 @@ class MazeOptimizer {
         
         this._debug(`Generating candidate #${attemptNumber}`, { 
             seed: seed,
+            mazeOptions: this.config.mazeOptions,
             params: params
         });
         
@@ -117,7 +136,7 @@ class MazeOptimizer {
             this.config.height,
             this.config.cellSize,
             seed,
-            params
+            { ...params, ...this.config.mazeOptions }
         );
         
         maze.generate();
@@ -132,7 +151,8 @@ class MazeOptimizer {
             maze: maze,
             params: { ...params },
             difficultyScore: difficultyScore,
-            seed: seed
+            seed: seed,
+            attempt: attemptNumber
         };
     }
     
@@ -150,7 +170,8 @@ class MazeOptimizer {
                 this.config.width,
                 this.config.height,
                 this.config.cellSize,
-                this.config.baseSeed
+                this.config.baseSeed,
+                this.config.mazeOptions
             );
             standardMaze.generate();
             
@@ -192,7 +213,9 @@ class MazeOptimizer {
         }
         
         // For later attempts, focus around successful parameters with controlled variation
-        const sortedCandidates = [...this.candidates].sort((a, b) => 
+        // (the closest to the target band when there is one)
+        const sortedCandidates = [...this.candidates].sort((a, b) => this.config.targetBand ?
+            this._bandDistance(a.difficultyScore) - this._bandDistance(b.difficultyScore) :
             b.difficultyScore - a.difficultyScore
         );
         
@@ -253,6 +276,33 @@ class MazeOptimizer {
         return min + this.rng() * (max - min);
     }
     
+    /**
+     * Tells the onProgress callback, if any, how far the search has got
+     * 
+     * @param {number} attempt - Index of the candidate just generated
+     * @param {number} bestScore - Difficulty of the best maze found so far
+     */
+    _reportProgress(attempt, bestScore) {
+        if (!this.onProgress) return;
+        
+        this.onProgress({
+            candidate: attempt + 1,
+            total: this.config.generationAttempts,
+            bestScore: bestScore
+        });
+    }
+    
+    /**
+     * Measures how far a difficulty score falls outside the target band
+     * 
+     * @param {number} score - Difficulty score (1-100)
+     * @returns {number} Points below the band's min or above its max, 0 inside the band
+     */
+    _bandDistance(score) {
+        const { min, max } = this.config.targetBand;
+        return Math.max(0, min - score, score - max);
+    }
+    
     /**
      * Main optimization algorithm
      * 
@@ -262,6 +312,9 @@ class MazeOptimizer {
      * 3. Weighted balance between the two
      * 
      * If the baseline maze is already excellent, optimization may be skipped.
+     * With a target band the search aims for the band instead (see _optimizeForBand),
+     * in Pareto mode it keeps a front of candidates (see _optimizeForPareto)
+     * and the evolve objective breeds candidates (see _optimizeByEvolution).
      * 
      * @returns {Object} Best maze candidate or fallback if optimization failed
      */
@@ -272,6 +325,16 @@ class MazeOptimizer {
         try {
             this._generateBaseline();
             
+            if (this.config.targetBand) {
+                return this._optimizeForBand();
+            }
+            if (this.config.objective === 'pareto') {
+                return this._optimizeForPareto();
+            }
+            if (this.config.objective === 'evolve') {
+                return this._optimizeByEvolution();
+            }
+            
             // Skip optimization if baseline is already excellent
             if (this.baselineDifficulty >= this.config.baselineSkipThreshold) {
                 this._debug(`Baseline difficulty (${this.baselineDifficulty.toFixed(2)}) exceeds ${this.config.baselineSkipThreshold}. Skipping optimization.`);
@@ -288,6 +351,7 @@ class MazeOptimizer {
             this._debug(`Planning to generate up to ${this.config.generationAttempts} candidates`);
             
             // Main optimization loop - generate and evaluate candidate mazes
+            let bestScore = this.baselineDifficulty;
             for (let i = 0; i < this.config.generationAttempts; i++) {
                 const params = this.sampleParameters(i);
                 
@@ -295,6 +359,8 @@ class MazeOptimizer {
                     const candidate = this.generateCandidate(params, i);
                     const candidatePathLength = candidate.maze.difficultyBreakdown.solutionPathLength;
                     
+                    bestScore = Math.max(bestScore, candidate.difficultyScore);
+                    this._reportProgress(i, bestScore);
                     this.candidates.push(candidate);
                     this.parameterHistory.push({
                         attempt: i,
@@ -316,6 +382,7 @@ class MazeOptimizer {
                     }
                 } catch (error) {
                     this._debug(`Error generating candidate #${i}`, { error: error.message, params });
+                    this._reportProgress(i, bestScore);
                     continue; // Try next candidate
                 }
             }
@@ -363,7 +430,8 @@ class MazeOptimizer {
                 this.config.width,
                 this.config.height,
                 this.config.cellSize,
-                this.config.baseSeed
+                this.config.baseSeed,
+                this.config.mazeOptions
             );
             fallbackMaze.generate();
             
@@ -382,6 +450,539 @@ class MazeOptimizer {
         }
     }
     
+    /**
+     * Searches for a maze whose difficulty lands inside the target band
+     * 
+     * Generates candidates until one scores inside the band, steering the
+     * parameters towards the closest candidate so far. If none lands inside,
+     * the closest candidate (or the baseline, if that is closer) is returned.
+     * The result reports whether it is inside the band and how far outside it is.
+     * 
+     * @returns {Object} Selected candidate with inBand and bandDistance
+     */
+    _optimizeForBand() {
+        const { min, max } = this.config.targetBand;
+        this._debug(`Searching for a maze with difficulty ${min}-${max}`);
+        
+        let closest = null;
+        let closestDistance = Infinity;
+        if (this.baselineMaze) {
+            closest = {
+                maze: this.baselineMaze,
+                params: {},
+                difficultyScore: this.baselineDifficulty,
+                seed: this.config.baseSeed,
+                isBaseline: true
+            };
+            closestDistance = this._bandDistance(this.baselineDifficulty);
+        }
+        
+        for (let i = 0; i < this.config.generationAttempts && closestDistance > 0; i++) {
+            const params = this.sampleParameters(i);
+            
+            try {
+                const candidate = this.generateCandidate(params, i);
+                const distance = this._bandDistance(candidate.difficultyScore);
+                
+                this.candidates.push(candidate);
+                this.parameterHistory.push({
+                    attempt: i,
+                    params: { ...params },
+                    score: candidate.difficultyScore,
+                    pathLength: candidate.maze.difficultyBreakdown.solutionPathLength
+                });
+                
+                if (distance < closestDistance) {
+                    closest = candidate;
+                    closestDistance = distance;
+                }
+            } catch (error) {
+                this._debug(`Error generating candidate #${i}`, { error: error.message, params });
+            }
+            
+            this._reportProgress(i, closest ? closest.difficultyScore : null);
+        }
+        
+        if (!closest) {
+            throw new Error('No valid maze candidates were generated');
+        }
+        
+        if (closestDistance > 0) {
+            this._debug(`No candidate landed in the band, closest scored ${closest.difficultyScore.toFixed(2)}`);
+        } else {
+            this._debug(`Found a maze in the band after ${this.candidates.length} candidates, scoring ${closest.difficultyScore.toFixed(2)}`);
+        }
+        
+        this.bestCandidate = closest;
+        closest.inBand = closestDistance === 0;
+        closest.bandDistance = closestDistance;
+        closest.maze.logDetailedAnalysis('[MazeOptimizer] Selected Maze - Detailed Analysis', '#0066cc');
+        
+        return closest;
+    }
+    
+    /**
+     * Generates every candidate and keeps the Pareto front over PARETO_OBJECTIVES
+     * 
+     * The baseline takes part as well. Unless config.pick names a member of the
+     * front, the hardest member is returned. Generation is seeded, so a seed and
+     * a pick always rebuild the same maze. There is no early termination, since
+     * a later candidate can still join the front.
+     * 
+     * @returns {Object} Selected candidate with paretoFront: [{ candidate, objectives }]
+     *                   where candidate is the attempt number or 'baseline'
+     */
+    _optimizeForPareto() {
+        this._debug(`Building a Pareto front from ${this.config.generationAttempts} candidates`);
+        
+        let bestScore = this.baselineDifficulty;
+        for (let i = 0; i < this.config.generationAttempts; i++) {
+            const params = this.sampleParameters(i);
+            
+            try {
+                const candidate = this.generateCandidate(params, i);
+                this.candidates.push(candidate);
+                this.parameterHistory.push({
+                    attempt: i,
+                    params: { ...params },
+                    score: candidate.difficultyScore,
+                    pathLength: candidate.maze.difficultyBreakdown.solutionPathLength
+                });
+                bestScore = Math.max(bestScore, candidate.difficultyScore);
+            } catch (error) {
+                this._debug(`Error generating candidate #${i}`, { error: error.message, params });
+            }
+            
+            this._reportProgress(i, bestScore);
+        }
+        
+        const contenders = [...this.candidates];
+        if (this.baselineMaze) {
+            contenders.unshift({
+                maze: this.baselineMaze,
+                params: {},
+                difficultyScore: this.baselineDifficulty,
+                seed: this.config.baseSeed,
+                attempt: 'baseline',
+                isBaseline: true
+            });
+        }
+        if (contenders.length === 0) {
+            throw new Error('No valid maze candidates were generated');
+        }
+        
+        contenders.forEach(candidate => {
+            candidate.objectives = this._measureObjectives(candidate.maze);
+        });
+        const front = contenders.filter(candidate =>
+            !contenders.some(other => this._dominates(other.objectives, candidate.objectives)));
+        
+        const picked = front.find(candidate => String(candidate.attempt) === String(this.config.pick));
+        this.bestCandidate = picked || front.reduce((best, candidate) =>
+            candidate.difficultyScore > best.difficultyScore ? candidate : best);
+        this.bestCandidate.paretoFront = front.map(candidate => ({
+            candidate: candidate.attempt,
+            objectives: candidate.objectives
+        }));
+        
+        this._debug(`Pareto front holds ${front.length} of ${contenders.length} candidates, returning ${this.bestCandidate.attempt}` +
+            (picked || this.config.pick === null ? '' : ` (pick ${this.config.pick} is not on the front)`), this.bestCandidate.paretoFront);
+        this.bestCandidate.maze.logDetailedAnalysis('[MazeOptimizer] Selected Maze - Detailed Analysis', '#0066cc');
+        
+        return this.bestCandidate;
+    }
+    
+    /**
+     * Measures a maze on each of PARETO_OBJECTIVES
+     * 
+     * Dead ends are cells with a single way out, other than the entrance and exit;
+     * a dead end's length runs back along its corridor to the nearest junction.
+     * Turns are counted along the solution, and straightness is the share of
+     * corridor cells the passage runs straight through.
+     * 
+     * @param {Maze} maze - Generated and scored maze
+     * @returns {Object} Objective values keyed by name
+     */
+    _measureObjectives(maze) {
+        const openings = [maze.entrance, maze.exit].map(opening => `${opening.row},${opening.col}`);
+        const deadEndLengths = [];
+        let corridorCells = 0;
+        let straightCells = 0;
+        
+        maze.forEachCell(cell => {
+            const passages = maze.getPassages(cell);
+            if (passages.length === 2) {
+                corridorCells++;
+                if (passages[1].direction === maze.getOppositeDirection(cell, passages[0].direction)) {
+                    straightCells++;
+                }
+            } else if (passages.length === 1 && !openings.includes(`${cell.row},${cell.col}`)) {
+                deadEndLengths.push(this._measureDeadEnd(maze, cell));
+            }
+        });
+        
+        const path = (maze.difficultyScorer && maze.difficultyScorer.solutionPath) || [];
+        let turns = 0;
+        let previousDirection = null;
+        for (let i = 1; i < path.length; i++) {
+            const direction = maze.getDirectionBetween(path[i - 1], path[i]);
+            if (direction && previousDirection && direction !== previousDirection) {
+                turns++;
+            }
+            previousDirection = direction;
+        }
+        
+        return {
+            difficulty: maze.difficultyScore,
+            solutionLength: maze.difficultyBreakdown.solutionPathLength,
+            deadEnds: deadEndLengths.length,
+            averageDeadEndLength: deadEndLengths.length > 0 ?
+                deadEndLengths.reduce((sum, length) => sum + length, 0) / deadEndLengths.length : 0,
+            turns: turns,
+            straightness: corridorCells > 0 ? straightCells / corridorCells : 0
+        };
+    }
+    
+    /**
+     * Follows a dead end's corridor back to the nearest junction
+     * 
+     * @param {Maze} maze - The maze
+     * @param {Object} deadEnd - Cell with a single way out
+     * @returns {number} Cells from the dead end to the junction
+     */
+    _measureDeadEnd(maze, deadEnd) {
+        let previous = null;
+        let cell = deadEnd;
+        let length = 0;
+        
+        while (length < maze.getCellCount()) {
+            const passages = maze.getPassages(cell);
+            if (previous && passages.length !== 2) break; // Reached a junction
+            
+            const onward = passages.filter(passage => passage.neighbor !== previous);
+            if (onward.length !== 1) break;
+            
+            previous = cell;
+            cell = onward[0].neighbor;
+            length++;
+        }
+        return length;
+    }
+    
+    /**
+     * Checks whether one set of objectives is at least as good as another on
+     * every objective and better on at least one
+     * 
+     * @param {Object} a - Objective values keyed by name
+     * @param {Object} b - Objective values keyed by name
+     * @returns {boolean} True if a dominates b
+     */
+    _dominates(a, b) {
+        let better = false;
+        for (const { name, lowerIsBetter } of MazeOptimizer.PARETO_OBJECTIVES) {
+            const difference = lowerIsBetter ? b[name] - a[name] : a[name] - b[name];
+            if (difference < 0) return false;
+            if (difference > 0) better = true;
+        }
+        return better;
+    }
+    
+    /**
+     * Breeds perfect mazes from one another instead of sampling parameters
+     * 
+     * The population starts as mazes carved by the chosen algorithm from the
+     * seeds the other modes use. After that each candidate is bred from two
+     * parents picked by tournament (_crossTrees, then _mutateTree) and replaces
+     * the weakest member of the population if it scores higher. Fitness is the
+     * difficulty score. Every maze is finished with the base seed, so only
+     * the passages differ and the seed always breeds the same maze.
+     * 
+     * @returns {Object} Highest scoring candidate, or the baseline if it scored higher
+     */
+    _optimizeByEvolution() {
+        const attempts = this.config.generationAttempts;
+        const populationSize = Math.min(this.config.populationSize, attempts);
+        this._debug(`Breeding ${attempts} candidates from a population of ${populationSize}`);
+        
+        this._listEdges();
+        let bestScore = this.baselineDifficulty;
+        for (let i = 0; i < attempts; i++) {
+            const population = this.candidates;
+            
+            try {
+                let tree;
+                if (i < populationSize || population.length < 2) {
+                    tree = this._carveTree(this.config.baseSeed + i);
+                } else {
+                    tree = this._crossTrees(this._selectParent(population).tree, this._selectParent(population).tree);
+                    for (let rotation = 0; rotation < this.config.mutationRotations; rotation++) {
+                        this._mutateTree(tree);
+                    }
+                }
+                
+                const candidate = this._evaluateTree(tree, i);
+                bestScore = Math.max(bestScore, candidate.difficultyScore);
+                
+                if (population.length < populationSize) {
+                    population.push(candidate);
+                } else {
+                    const weakest = population.reduce((weakest, member) =>
+                        member.difficultyScore < weakest.difficultyScore ? member : weakest);
+                    if (candidate.difficultyScore > weakest.difficultyScore) {
+                        population[population.indexOf(weakest)] = candidate;
+                    }
+                }
+            } catch (error) {
+                this._debug(`Error breeding candidate #${i}`, { error: error.message });
+            }
+            
+            this._reportProgress(i, bestScore);
+            if (bestScore >= this.config.earlyTerminationThreshold) {
+                this._debug(`Early termination at attempt #${i} - score exceeds threshold`);
+                break;
+            }
+        }
+        
+        if (this.candidates.length === 0) {
+            throw new Error('No valid maze candidates were generated');
+        }
+        
+        this.bestCandidate = this.candidates.reduce((best, candidate) =>
+            candidate.difficultyScore > best.difficultyScore ? candidate : best);
+        
+        if (this.baselineMaze && this.baselineDifficulty > this.bestCandidate.difficultyScore) {
+            this._debug(`Baseline maze is better: difficulty (${this.baselineDifficulty.toFixed(2)}) > bred (${this.bestCandidate.difficultyScore.toFixed(2)})`);
+            this.baselineMaze.logDetailedAnalysis('[MazeOptimizer] Baseline Maze Selected - Detailed Analysis', '#0066cc');
+            
+            return {
+                maze: this.baselineMaze,
+                params: {},
+                difficultyScore: this.baselineDifficulty,
+                seed: this.config.baseSeed,
+                isBaseline: true
+            };
+        }
+        
+        this._debug(`Bred candidate #${this.bestCandidate.attempt} scores ${this.bestCandidate.difficultyScore.toFixed(2)}`, {
+            population: this.candidates.map(candidate => candidate.difficultyScore)
+        });
+        this.bestCandidate.maze.logDetailedAnalysis('[MazeOptimizer] Selected Maze - Detailed Analysis', '#0066cc');
+        
+        return this.bestCandidate;
+    }
+    
+    /**
+     * Lists every wall between two cells of the grid once, as the genes of
+     * the evolve objective: a perfect maze is the set of edge indices it opens
+     */
+    _listEdges() {
+        const maze = new MazeApp.Maze(this.config.width, this.config.height, this.config.cellSize,
+            this.config.baseSeed, this.config.mazeOptions);
+        
+        // Number cells in row-major order (rows may differ in length)
+        const indices = new Map();
+        this.cells = [];
+        maze.forEachCell(cell => {
+            indices.set(cell, indices.size);
+            this.cells.push({ row: cell.row, col: cell.col, rowLength: maze.grid[cell.row].length });
+        });
+        this.rowCount = maze.grid.length;
+        
+        this.edges = [];
+        maze.forEachCell(cell => {
+            maze.getNeighbors(cell).forEach(({ neighbor, direction }) => {
+                if (indices.get(neighbor) > indices.get(cell)) {
+                    this.edges.push({ row: cell.row, col: cell.col, direction, from: indices.get(cell), to: indices.get(neighbor) });
+                }
+            });
+        });
+    }
+    
+    /**
+     * Carves a perfect maze with the chosen algorithm
+     * 
+     * @param {number} seed - Seed to carve it with
+     * @returns {Set} Indices into this.edges of the open walls
+     */
+    _carveTree(seed) {
+        const maze = new MazeApp.Maze(this.config.width, this.config.height, this.config.cellSize,
+            seed, this.config.mazeOptions);
+        maze.carvePerfectMaze();
+        
+        const tree = new Set();
+        this.edges.forEach(({ row, col, direction }, index) => {
+            if (!maze.getCell(row, col).walls[direction]) tree.add(index);
+        });
+        return tree;
+    }
+    
+    /**
+     * Finishes a bred perfect maze - crossings, braiding, openings and the
+     * rest - with the base seed and scores it
+     * 
+     * @param {Set} tree - Indices into this.edges of the open walls
+     * @param {number} attemptNumber - Current attempt index
+     * @returns {Object} Candidate object with maze, metrics and tree
+     */
+    _evaluateTree(tree, attemptNumber) {
+        const maze = new MazeApp.Maze(this.config.width, this.config.height, this.config.cellSize,
+            this.config.baseSeed, this.config.mazeOptions);
+        maze.generate([...tree].map(index => this.edges[index]));
+        
+        this._debug(`Candidate #${attemptNumber} difficulty: ${maze.difficultyScore.toFixed(2)}`);
+        
+        return {
+            maze: maze,
+            params: {},
+            difficultyScore: maze.difficultyScore,
+            seed: this.config.baseSeed,
+            attempt: attemptNumber,
+            tree: tree
+        };
+    }
+    
+    /**
+     * Picks the higher scoring of two random members of the population
+     * 
+     * @param {Array} population - Candidates bred so far
+     * @returns {Object} Parent candidate
+     */
+    _selectParent(population) {
+        const first = population[Math.floor(this.rng() * population.length)];
+        const second = population[Math.floor(this.rng() * population.length)];
+        return second.difficultyScore > first.difficultyScore ? second : first;
+    }
+    
+    /**
+     * Crosses two perfect mazes by taking a random block of the grid from the
+     * second and the rest from the first, then repairs the child back into a
+     * perfect maze. Passages wholly inside or wholly outside the block cannot
+     * close a loop; the parents' passages across its border, then any other
+     * walls, are opened in random order wherever they join two parts that are
+     * still cut off from each other.
+     * 
+     * @param {Set} first - Open walls of the first parent
+     * @param {Set} second - Open walls of the second parent
+     * @returns {Set} Open walls of the child
+     */
+    _crossTrees(first, second) {
+        // The block spans a quarter to three quarters of the rows and of each row
+        const span = () => {
+            const length = 0.25 + this.rng() * 0.5;
+            const start = this.rng() * (1 - length);
+            return [start, start + length];
+        };
+        const [top, bottom] = span();
+        const [left, right] = span();
+        const inBlock = index => {
+            const { row, col, rowLength } = this.cells[index];
+            const y = (row + 0.5) / this.rowCount;
+            const x = (col + 0.5) / rowLength;
+            return y >= top && y < bottom && x >= left && x < right;
+        };
+        
+        // Union-find over cell indices
+        const parent = this.cells.map((cell, index) => index);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        
+        const child = new Set();
+        const join = (index) => {
+            const rootA = find(this.edges[index].from);
+            const rootB = find(this.edges[index].to);
+            if (rootA === rootB) return;
+            parent[rootA] = rootB;
+            child.add(index);
+        };
+        
+        second.forEach(index => {
+            if (inBlock(this.edges[index].from) && inBlock(this.edges[index].to)) join(index);
+        });
+        first.forEach(index => {
+            if (!inBlock(this.edges[index].from) && !inBlock(this.edges[index].to)) join(index);
+        });
+        
+        const border = [...new Set([...first, ...second])].filter(index =>
+            inBlock(this.edges[index].from) !== inBlock(this.edges[index].to));
+        this._shuffle(border).forEach(join);
+        if (child.size < this.cells.length - 1) {
+            this._shuffle(this.edges.map((edge, index) => index)).forEach(join);
+        }
+        return child;
+    }
+    
+    /**
+     * Rotates the walls around one loop of a perfect maze: opening a closed
+     * wall makes a loop with the route between its two cells, and a random
+     * wall on that route is closed again, so the maze stays perfect
+     * 
+     * @param {Set} tree - Open walls, changed in place
+     */
+    _mutateTree(tree) {
+        const closed = this.edges.map((edge, index) => index).filter(index => !tree.has(index));
+        if (closed.length === 0) return;
+        
+        const opened = closed[Math.floor(this.rng() * closed.length)];
+        const route = this._findTreeRoute(tree, this.edges[opened].from, this.edges[opened].to);
+        if (route.length === 0) return; // The cells are in parts of a shape that never meet
+        
+        tree.delete(route[Math.floor(this.rng() * route.length)]);
+        tree.add(opened);
+    }
+    
+    /**
+     * Finds the open walls on the route between two cells of a perfect maze (breadth-first)
+     * 
+     * @param {Set} tree - Open walls
+     * @param {number} start - Index of the first cell
+     * @param {number} goal - Index of the second cell
+     * @returns {Array} Indices into this.edges along the route, empty if the goal cannot be reached
+     */
+    _findTreeRoute(tree, start, goal) {
+        const links = this.cells.map(() => []);
+        tree.forEach(index => {
+            const { from, to } = this.edges[index];
+            links[from].push({ cell: to, edge: index });
+            links[to].push({ cell: from, edge: index });
+        });
+        
+        const arrivals = new Map([[start, null]]);
+        const queue = [start];
+        for (let i = 0; i < queue.length && !arrivals.has(goal); i++) {
+            links[queue[i]].forEach(({ cell, edge }) => {
+                if (!arrivals.has(cell)) {
+                    arrivals.set(cell, { from: queue[i], edge });
+                    queue.push(cell);
+                }
+            });
+        }
+        
+        const route = [];
+        for (let step = arrivals.get(goal); step; step = arrivals.get(step.from)) {
+            route.push(step.edge);
+        }
+        return route;
+    }
+    
+    /**
+     * Shuffles an array in place using the seeded RNG (Fisher-Yates)
+     * 
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+    
     /**
      * Selects the best maze candidate using a balanced scoring approach
      * 
@@ -615,7 +1216,8 @@ class MazeOptimizer {
             this.config.width,
             this.config.height,
             this.config.cellSize,
-            this.config.baseSeed
+            this.config.baseSeed,
+            this.config.mazeOptions
         );
         standardMaze.generate();
         
@@ -632,7 +1234,7 @@ class MazeOptimizer {
             this.config.height,
             this.config.cellSize,
             this.config.baseSeed,
-            optimizedParams
+            { ...optimizedParams, ...this.config.mazeOptions }
         );
         optimizedMaze.generate();
         
@@ -666,6 +1268,17 @@ class MazeOptimizer {
     }
 }
 
+// Objectives of the Pareto front, keyed by the names _measureObjectives uses.
+// Higher values are better unless lowerIsBetter is set: a winding maze beats a straight one
+MazeOptimizer.PARETO_OBJECTIVES = [
+    { name: 'difficulty', label: 'Difficulty' },
+    { name: 'solutionLength', label: 'Solution length' },
+    { name: 'deadEnds', label: 'Dead ends' },
+    { name: 'averageDeadEndLength', label: 'Average dead-end length' },
+    { name: 'turns', label: 'Turns' },
+    { name: 'straightness', label: 'Straightness', lowerIsBetter: true }
+];
+
 // Register with MazeApp namespace if available, otherwise expose globally
 if (typeof MazeApp !== 'undefined') {
     MazeApp.MazeOptimizer = MazeOptimizer;
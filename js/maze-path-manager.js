@@ -30,7 +30,10 @@ class PathManager {
             handleMouseLeave: null,
             handleTouchEnd: null,
             handleTouchCancel: null,
-            resetPathHandler: null
+            resetPathHandler: null,
+            undoPathHandler: null,
+            redoPathHandler: null,
+            hintHandler: null
         };
         
         // Store cleanup functions for managers
@@ -53,6 +56,10 @@ class PathManager {
                     fill: '#0B5CDB',
                     stroke: '#073EA4',
                     strokeWidth: 2
+                },
+                hint: {
+                    stroke: '#F57C00',
+                    strokeWidth: (cellSize) => Math.max(2, Math.min(6, cellSize/8))
                 }
             },
             roughness: {
@@ -115,6 +122,9 @@ class PathManager {
         // Get DOM elements using UIManager if available, fallback to direct access
         this.debugElement = this.uiManager ? this.uiManager.getElement('debug-info') : document.getElementById('debug-info');
         this.resetPathBtn = this.uiManager ? this.uiManager.getElement('resetPathBtn') : document.getElementById('resetPathBtn');
+        this.undoPathBtn = this.uiManager ? this.uiManager.getElement('undoPathBtn') : document.getElementById('undoPathBtn');
+        this.redoPathBtn = this.uiManager ? this.uiManager.getElement('redoPathBtn') : document.getElementById('redoPathBtn');
+        this.hintBtn = this.uiManager ? this.uiManager.getElement('hintBtn') : document.getElementById('hintBtn');
         
         // Configure debug panel visibility based on debug flag
         if (this.debugElement) {
@@ -155,6 +165,46 @@ class PathManager {
         this.hardModeManager = hardModeManager;
     }
     
+    /**
+     * Sets a reference to the annotation manager, which takes the pointer
+     * while one of its pencil tools is picked
+     * 
+     * @param {Object} annotationManager - The annotation manager instance
+     */
+    setAnnotationManager(annotationManager) {
+        this.annotationManager = annotationManager;
+    }
+    
+    /**
+     * Sets a reference to the generation player, which hides the maze while
+     * its playback is showing
+     * 
+     * @param {Object} generationPlayer - The generation player instance
+     */
+    setGenerationPlayer(generationPlayer) {
+        this.generationPlayer = generationPlayer;
+    }
+    
+    /**
+     * Checks whether the generation playback is showing in place of the maze,
+     * so the path should not take any input
+     * 
+     * @returns {boolean} True while the playback is showing
+     */
+    isPlaybackShowing() {
+        return !!this.generationPlayer && this.generationPlayer.isActive();
+    }
+    
+    /**
+     * Sets the callback used to bring another floor on screen when the path
+     * ends on a floor that a single-floor view is not showing
+     * 
+     * @param {Function} handler - Called with the floor number to show
+     */
+    setLevelChangeHandler(handler) {
+        this.levelChangeHandler = handler;
+    }
+    
     /**
      * Logs a debug message to the debug panel if debug mode is enabled
      * Messages are color-coded by type for better visibility
@@ -295,13 +345,27 @@ class PathManager {
         this.maze.currentPathEnd = { row: this.maze.entrance.row, col: this.maze.entrance.col };
         
         // Reset path properties for all cells in the grid
-        for (let row = 0; row < this.maze.height; row++) {
-            for (let col = 0; col < this.maze.width; col++) {
-                const cell = this.maze.grid[row][col];
-                cell.inPath = false;
-                cell.pathOrder = -1;
-            }
-        }
+        this.maze.forEachCell(cell => {
+            cell.inPath = false;
+            cell.pathOrder = -1;
+        });
+        
+        // A new path starts with nothing to undo or redo
+        this.history = {
+            undo: [],      // Steps taken, oldest first, each { before, cells }
+            redo: [],      // Steps undone, most recently undone last
+            pending: null, // State captured when the step being taken began
+            depth: 0       // Nesting of beginHistoryStep calls, so a run of cells makes one step
+        };
+        this.updateHistoryButtons();
+        
+        // Hints start over from the first level
+        this.hint = {
+            level: 0,      // Level of the last hint given
+            anchor: null,  // Path length and end it was given at, so asking again there goes a level further
+            group: null    // SVG group the hint is drawn in
+        };
+        this.updateHintButton();
 
         // Clean up any existing timer interval when resetting
         if (this.timerInterval) {
@@ -319,10 +383,17 @@ class PathManager {
             // Path metrics
             totalCellsVisited: 0,  // Total cell visits including repeated cells
             uniqueCellsVisited: new Set(),  // Only counts each cell once
+            floorChanges: 0,  // Stairs taken on multi-level mazes
+            waypointsReached: 0,  // Checkpoints passed in order on waypoint mazes
+            keysCollected: new Set(),  // Numbers of the door keys picked up
+            hintsUsed: 0,  // Hints asked for, each level counted
+            hintPenalty: 0,  // Points the hints take off the score (see HINT_PENALTIES)
             pathTrace: [],
             
             // Internal comparison metrics
             optimalPathLength: 0,
+            pathCost: 0,  // Moves the new cells took to enter, mud weighted (see getTerrainCost)
+            optimalPathCost: 0,  // The same for the solution, from the difficulty scorer
             pathEfficiency: 0,
             
             // State tracking
@@ -334,18 +405,24 @@ class PathManager {
             scoreComponents: {
                 efficiency: 0,
                 time: 0,
-                exploration: 0
+                exploration: 0,
+                hints: 0
             }
         };
         
         // Get optimal path length for scoring reference
-        // This value is used to calculate path efficiency score
+        // This value is used to calculate path efficiency score. The solution runs
+        // through any checkpoints and may double back, so count each cell once,
+        // just as uniqueCellsVisited does for the user's path
         if (this.maze.difficultyScorer && this.maze.difficultyScorer.solutionPath) {
-            this.maze.userActivity.optimalPathLength = this.maze.difficultyScorer.solutionPath.length;
-            this.debug("Using optimal path length: " + this.maze.userActivity.optimalPathLength, "success");
+            this.maze.userActivity.optimalPathLength = this.maze.difficultyScorer.solutionCells.size;
+            this.maze.userActivity.optimalPathCost = this.maze.difficultyScorer.solutionCost;
+            this.debug("Using optimal path length: " + this.maze.userActivity.optimalPathLength +
+                " (cost " + this.maze.userActivity.optimalPathCost + ")", "success");
         } else {
             // Fallback approximation when solution path isn't available
             this.maze.userActivity.optimalPathLength = Math.max(this.maze.width + this.maze.height - 1);
+            this.maze.userActivity.optimalPathCost = this.maze.userActivity.optimalPathLength;
             this.debug("No optimal path found, using approximation: " + this.maze.userActivity.optimalPathLength, "warning");
         }
         
@@ -419,34 +496,485 @@ class PathManager {
         }
     }
     
+    /**
+     * Starts recording a step of the path for undo. Calls nest, so the cells
+     * of a linear run or a slide across ice are undone together with the
+     * move that started them.
+     */
+    beginHistoryStep() {
+        if (this.history.depth++ === 0) {
+            this.history.pending = this.captureHistoryState();
+        }
+    }
+    
+    /**
+     * Finishes the step started by the matching beginHistoryStep, adding it
+     * to the undo history if it added any cells. A new step clears the redo history.
+     */
+    endHistoryStep() {
+        if (--this.history.depth > 0) return;
+        
+        const before = this.history.pending;
+        this.history.pending = null;
+        if (this.maze.userPath.length > before.pathLength) {
+            this.history.undo.push({ before, cells: this.maze.userPath.slice(before.pathLength) });
+            this.history.redo = [];
+            this.updateHistoryButtons();
+        }
+    }
+    
+    /**
+     * Records what a step changes besides the path itself. Cells and keys are
+     * only ever added to their sets, and sets keep insertion order, so their
+     * sizes are enough to find what a step added.
+     * 
+     * @returns {Object} Path length and activity counters
+     */
+    captureHistoryState() {
+        const activity = this.maze.userActivity;
+        return {
+            pathLength: this.maze.userPath.length,
+            totalCellsVisited: activity.totalCellsVisited,
+            uniqueCellsVisited: activity.uniqueCellsVisited.size,
+            keysCollected: activity.keysCollected.size,
+            pathCost: activity.pathCost,
+            waypointsReached: activity.waypointsReached,
+            floorChanges: activity.floorChanges
+        };
+    }
+    
+    /**
+     * Checks whether there is a step to undo
+     * A completed maze keeps its path, so its score stands
+     * 
+     * @returns {boolean} True if undo() would remove a step
+     */
+    canUndo() {
+        return this.history.undo.length > 0 && !this.maze.isCompleted;
+    }
+    
+    /**
+     * Checks whether there is an undone step to take again
+     * 
+     * @returns {boolean} True if redo() would add a step
+     */
+    canRedo() {
+        return this.history.redo.length > 0 && !this.maze.isCompleted;
+    }
+    
+    /**
+     * Takes back the last step: a single cell, a linear run or a slide across
+     * ice. The cells it added leave the path and the activity counters go
+     * back to what they were before it.
+     * 
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        
+        const step = this.history.undo.pop();
+        const { before } = step;
+        const activity = this.maze.userActivity;
+        
+        const removed = this.maze.userPath.splice(before.pathLength);
+        removed.reverse().forEach(cell => {
+            // A cell the path still passes through keeps its latest position on it
+            const order = this.maze.userPath.lastIndexOf(cell);
+            cell.inPath = order !== -1;
+            cell.pathOrder = order;
+            
+            activity.pathTrace.push({
+                cell: { row: cell.row, col: cell.col, level: cell.level },
+                action: 'undo',
+                timestamp: Date.now()
+            });
+        });
+        
+        [...activity.uniqueCellsVisited].slice(before.uniqueCellsVisited)
+            .forEach(key => activity.uniqueCellsVisited.delete(key));
+        [...activity.keysCollected].slice(before.keysCollected)
+            .forEach(index => activity.keysCollected.delete(index));
+        activity.totalCellsVisited = before.totalCellsVisited;
+        activity.pathCost = before.pathCost;
+        activity.waypointsReached = before.waypointsReached;
+        activity.floorChanges = before.floorChanges;
+        
+        const end = this.maze.userPath[this.maze.userPath.length - 1] || this.maze.entrance;
+        this.maze.currentPathEnd = { row: end.row, col: end.col };
+        
+        this.history.redo.push(step);
+        this.debug(`Undid ${removed.length} cells [length: ${this.maze.userPath.length}]`, 'info');
+        this.refreshAfterHistoryChange();
+        return true;
+    }
+    
+    /**
+     * Takes the last undone step again, adding its cells back through
+     * updatePathData so the activity counters are worked out as before
+     * 
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+        
+        const step = this.history.redo.pop();
+        step.cells.forEach(cell => this.updatePathData(cell));
+        this.history.undo.push(step);
+        
+        this.debug(`Redid ${step.cells.length} cells [length: ${this.maze.userPath.length}]`, 'info');
+        this.refreshAfterHistoryChange();
+        this.checkCompletion(step.cells[step.cells.length - 1]);
+        return true;
+    }
+    
+    /**
+     * Redraws the path after an undo or redo. The whole path is drawn again
+     * in one go, with the same rough.js seeds, so it looks as it did before
+     * the step and nothing is left half-drawn by an animation.
+     */
+    refreshAfterHistoryChange() {
+        this.animation.cleanup();
+        this.renderPath();
+        
+        if (this.hardModeManager && this.hardModeManager.isEnabled()) {
+            this.hardModeManager.updateVisibleArea(false);
+        }
+        
+        this.updateHistoryButtons();
+    }
+    
+    /**
+     * Enables the undo and redo buttons when there is a step for them to take
+     */
+    updateHistoryButtons() {
+        if (this.undoPathBtn) {
+            this.undoPathBtn.disabled = !this.canUndo();
+        }
+        if (this.redoPathBtn) {
+            this.redoPathBtn.disabled = !this.canRedo();
+        }
+    }
+    
+    /**
+     * Handles Ctrl+Z to undo and Ctrl+Y or Ctrl+Shift+Z to redo (Cmd on a Mac)
+     * Form fields keep their own undo
+     * 
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleHistoryKeys(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        if (event.target && /^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName)) {
+            return;
+        }
+        
+        const key = (event.key || '').toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+    
+    /**
+     * Gives a hint from the end of the path. Asking again before moving
+     * gives more away, a level at a time:
+     * 1. the next junction on the way to the exit is ringed, with the way
+     *    to take there marked
+     * 2. the way to go from the path end flashes
+     * 3. the next HINT_CELLS cells of the way are drawn in
+     * The way comes from the difficulty scorer (see getHintRoute). Each level
+     * given takes its HINT_PENALTIES points off the score; asking for the
+     * last level again costs nothing more.
+     * 
+     * @returns {number} Level of the hint shown, or 0 if there was none to give
+     */
+    showHint() {
+        const scorer = this.maze.difficultyScorer;
+        if (this.maze.isCompleted || !scorer || !this.maze.pathGroup) return 0;
+        
+        const path = this.maze.userPath;
+        const activity = this.maze.userActivity;
+        const end = path[path.length - 1] || this.maze.grid[this.maze.entrance.row][this.maze.entrance.col];
+        const route = scorer.getHintRoute(end, activity).map(({ row, col }) => this.maze.grid[row][col]);
+        if (route.length < 2) {
+            this.debug('No way on to the exit from here, so no hint to give', 'warning');
+            return 0;
+        }
+        
+        const anchor = `${path.length}:${end.row},${end.col}`;
+        const level = anchor === this.hint.anchor ?
+            Math.min(this.hint.level + 1, PathManager.HINT_PENALTIES.length) : 1;
+        if (anchor !== this.hint.anchor || level > this.hint.level) {
+            activity.hintsUsed++;
+            activity.hintPenalty += PathManager.HINT_PENALTIES[level - 1];
+        }
+        this.hint.anchor = anchor;
+        this.hint.level = level;
+        
+        this.clearHint();
+        this.hint.group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.hint.group.setAttribute('class', 'path-hint');
+        this.hint.group.setAttribute('pointer-events', 'none');
+        this.maze.pathGroup.appendChild(this.hint.group);
+        
+        if (level === 1) {
+            this.drawJunctionHint(route, path[path.length - 2] || null);
+        } else if (level === 2) {
+            this.drawDirectionHint(route[0], route[1]);
+        } else {
+            this.drawRouteHint(route.slice(0, PathManager.HINT_CELLS + 1));
+        }
+        
+        this.debug(`Hint level ${level} given [hints: ${activity.hintsUsed}, penalty: ${activity.hintPenalty}]`, 'info');
+        return level;
+    }
+    
+    /**
+     * Finds where the way ahead first divides: a branching point of the
+     * solution (see identifyBranchPoints), or a fork anywhere off it.
+     * Crossings and ice are passed straight through, so they offer no choice.
+     * 
+     * @param {Array} route - Cells from the path end to the exit
+     * @param {Object|null} previousCell - Path cell before the path end
+     * @returns {number} Index in route of the junction, or of the step into the exit if there is none
+     */
+    findHintJunction(route, previousCell) {
+        const scorer = this.maze.difficultyScorer;
+        scorer.analyzeBranches();
+        const branchingPoints = new Set(scorer.branchingPoints.map(point => `${point.row},${point.col}`));
+        
+        for (let i = 0; i < route.length - 1; i++) {
+            const cell = route[i];
+            const key = `${cell.row},${cell.col}`;
+            if (scorer.solutionCells.has(key)) {
+                if (branchingPoints.has(key)) return i;
+                continue;
+            }
+            
+            const entry = i > 0 ? route[i - 1] : previousCell;
+            if (cell.under || (entry && this.maze.slidesOn(cell, this.maze.getDirectionBetween(entry, cell)))) continue;
+            
+            const ways = scorer.getAccessibleNeighbors(cell.row, cell.col)
+                .filter(neighbor => !entry || neighbor.row !== entry.row || neighbor.col !== entry.col);
+            if (ways.length > 1) return i;
+        }
+        
+        return route.length - 2;
+    }
+    
+    /**
+     * Draws the first hint level: a ring round the next junction and a dot
+     * on the cell to take from it
+     * 
+     * @param {Array} route - Cells from the path end to the exit
+     * @param {Object|null} previousCell - Path cell before the path end
+     */
+    drawJunctionHint(route, previousCell) {
+        const index = this.findHintJunction(route, previousCell);
+        const junction = route[index];
+        const choice = route[index + 1];
+        const size = this.maze.cellSize;
+        const options = this.getHintOptions();
+        
+        if (this.maze.isLevelShown(junction.level)) {
+            const { x, y } = this.getCellCenter(junction);
+            this.hint.group.appendChild(this.rough.circle(x, y, size * 0.8, options));
+        }
+        if (this.maze.isLevelShown(choice.level)) {
+            const { x, y } = this.getCellCenter(choice);
+            this.hint.group.appendChild(this.rough.circle(x, y, this.animationConfig.markerSize(size), {
+                ...options,
+                fill: options.stroke,
+                fillStyle: 'solid'
+            }));
+        }
+    }
+    
+    /**
+     * Draws the second hint level: a flashing arrow from the path end
+     * towards the next cell, or a flashing ring on it when the way on is
+     * a portal jump or stairs
+     * 
+     * @param {Object} end - Cell at the end of the path
+     * @param {Object} next - Cell to step to
+     */
+    drawDirectionHint(end, next) {
+        const size = this.maze.cellSize;
+        const options = this.getHintOptions();
+        this.hint.group.classList.add('hint-flash');
+        
+        if (this.isPortalJump(end, next) || end.level !== next.level) {
+            if (this.maze.isLevelShown(next.level)) {
+                const { x, y } = this.getCellCenter(next);
+                this.hint.group.appendChild(this.rough.circle(x, y, size * 0.8, options));
+            }
+            return;
+        }
+        if (!this.maze.isLevelShown(end.level)) return;
+        
+        const from = this.getCellCenter(end);
+        const toward = this.isWrapStep(end, next) ? this.getWrapEdgePoint(end, next) : this.getCellCenter(next);
+        const tip = { x: from.x + (toward.x - from.x) * 0.9, y: from.y + (toward.y - from.y) * 0.9 };
+        const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+        const head = size * 0.3;
+        const barb = side => [
+            tip.x - head * Math.cos(angle + side * Math.PI / 6),
+            tip.y - head * Math.sin(angle + side * Math.PI / 6)
+        ];
+        
+        this.hint.group.appendChild(this.rough.line(from.x, from.y, tip.x, tip.y, options));
+        this.hint.group.appendChild(this.rough.linearPath([barb(1), [tip.x, tip.y], barb(-1)], options));
+    }
+    
+    /**
+     * Draws the last hint level: the cells ahead as a dashed line, split
+     * like the path wherever the way takes stairs, a portal or a wrapping edge
+     * 
+     * @param {Array} cells - The path end and the cells after it
+     */
+    drawRouteHint(cells) {
+        const dash = Math.max(3, this.maze.cellSize / 4);
+        const options = { ...this.getHintOptions(), strokeLineDash: [dash, dash] };
+        
+        this.getPathCenterPoints(cells)
+            .filter(points => points.length > 1)
+            .forEach(points => {
+                this.hint.group.appendChild(this.rough.linearPath(points.map(({ x, y }) => [x, y]), options));
+            });
+    }
+    
+    /**
+     * Creates hint styling options for RoughJS
+     * 
+     * @returns {Object} Hint styling options
+     */
+    getHintOptions() {
+        return {
+            stroke: this.animationConfig.colors.hint.stroke,
+            strokeWidth: this.animationConfig.colors.hint.strokeWidth(this.maze.cellSize),
+            roughness: 1.2,
+            seed: this.maze.seed + 600
+        };
+    }
+    
+    /**
+     * Removes the hint on show, if any. A move or an undo clears it, since
+     * it was for the path end it was given at.
+     */
+    clearHint() {
+        if (this.hint && this.hint.group) {
+            if (this.hint.group.parentNode) {
+                this.hint.group.parentNode.removeChild(this.hint.group);
+            }
+            this.hint.group = null;
+        }
+    }
+    
+    /**
+     * Enables the hint button while there is a solution to hint at and the
+     * maze is still to be finished
+     */
+    updateHintButton() {
+        if (this.hintBtn) {
+            const scorer = this.maze.difficultyScorer;
+            this.hintBtn.disabled = this.maze.isCompleted ||
+                !(scorer && scorer.solutionPath && scorer.solutionPath.length > 0);
+        }
+    }
+    
     /**
      * Determines if two cells are adjacent (share a common wall)
+     * On a wrapping maze, cells on opposite edges share the wall between them
      * 
      * @param {Object} cell1 - First cell with row/col properties
      * @param {Object} cell2 - Second cell with row/col properties 
-     * @returns {boolean} True if cells are horizontally or vertically adjacent
+     * @returns {boolean} True if the cells are neighbors in the maze topology
      */
     areCellsAdjacent(cell1, cell2) {
-        return (
-            // Horizontally adjacent
-            (Math.abs(cell1.col - cell2.col) === 1 && cell1.row === cell2.row) ||
-            // Vertically adjacent
-            (Math.abs(cell1.row - cell2.row) === 1 && cell1.col === cell2.col)
-        );
+        return this.maze.getDirectionBetween(cell1, cell2) !== null;
+    }
+    
+    /**
+     * Determines if a move between two cells crosses a wrapping edge,
+     * leaving one side of the maze and coming back in on the other
+     * 
+     * @param {Object} cell1 - Cell the move starts from
+     * @param {Object} cell2 - Cell the move ends at
+     * @returns {boolean} True if the cells are adjacent across a wrapping edge
+     */
+    isWrapStep(cell1, cell2) {
+        const direction = this.maze.getDirectionBetween(cell1, cell2);
+        return !!direction && this.maze.isWrapEdge(cell1, direction);
+    }
+    
+    /**
+     * Returns the point on the wrapping edge a cell is left by towards a
+     * cell on the other side of the maze
+     * 
+     * @param {Object} cell - Cell at the edge
+     * @param {Object} across - Adjacent cell on the opposite edge
+     * @returns {Object} Point with x,y coordinates halfway to where across would sit beyond the edge
+     */
+    getWrapEdgePoint(cell, across) {
+        const direction = this.maze.getDirectionBetween(cell, across);
+        const beyond = MazeTopologies.get(this.maze.topology).getNeighborPosition(this.maze, cell.row, cell.col, direction);
+        const center = this.getCellCenter(cell);
+        const beyondCenter = this.getCellCenter(beyond);
+        return { x: (center.x + beyondCenter.x) / 2, y: (center.y + beyondCenter.y) / 2 };
+    }
+    
+    /**
+     * Determines if a move between two cells is a jump through a portal
+     * 
+     * @param {Object} cell1 - Cell the move starts from
+     * @param {Object} cell2 - Cell the move ends at
+     * @returns {boolean} True if the cells are the two ends of a portal pair
+     */
+    isPortalJump(cell1, cell2) {
+        const partner = this.maze.getPortalPartner(cell1);
+        return !!partner && partner.row === cell2.row && partner.col === cell2.col;
+    }
+    
+    /**
+     * Returns the cell the user stepped from to reach a cell at the end of the path
+     * 
+     * @param {Object} cell - Cell with row/col properties
+     * @returns {Object|null} The previous path cell, or null if cell is not the path end
+     */
+    getPathEntryCell(cell) {
+        const path = this.maze.userPath;
+        const end = path[path.length - 1];
+        
+        if (!end || end.row !== cell.row || end.col !== cell.col) return null;
+        return path[path.length - 2] || null;
     }
     
     /**
      * Checks if there's a wall between two adjacent cells
-     * Also handles special cases for entrance/exit edges
+     * Also handles special cases for entrance/exit edges, weave crossings,
+     * which can only be left along the passage they were entered by,
+     * locked doors, which block the way until their key has been collected,
+     * one-way passages, which can only be crossed along their arrow, water,
+     * which cannot be entered, and ice, which can only be left straight on
+     * while the slide is still going
      * 
      * @param {Object} cell1 - First cell object with walls property
      * @param {Object} cell2 - Second cell object with walls property
+     * @param {Object|null} previousCell - Cell the walker reached cell1 from
+     *   (defaults to the path cell before cell1 when cell1 ends the path)
      * @returns {boolean} True if a wall exists between the cells
      */
-    hasWallBetween(cell1, cell2) {
+    hasWallBetween(cell1, cell2, previousCell = this.getPathEntryCell(cell1)) {
         // Log wall states for debugging
-        this.debug(`Cell (${cell1.row},${cell1.col}) walls: N:${cell1.walls.north} E:${cell1.walls.east} S:${cell1.walls.south} W:${cell1.walls.west}`, 'info');
-        this.debug(`Cell (${cell2.row},${cell2.col}) walls: N:${cell2.walls.north} E:${cell2.walls.east} S:${cell2.walls.south} W:${cell2.walls.west}`, 'info');
+        const formatWalls = (cell) => Object.entries(cell.walls)
+            .map(([direction, wall]) => `${direction}:${wall}`)
+            .join(' ');
+        this.debug(`Cell (${cell1.row},${cell1.col}) walls: ${formatWalls(cell1)}`, 'info');
+        this.debug(`Cell (${cell2.row},${cell2.col}) walls: ${formatWalls(cell2)}`, 'info');
         
         // Special case: Check if moving through entrance opening
         if (cell1.row === this.maze.entrance.row && cell1.col === this.maze.entrance.col) {
@@ -476,54 +1004,101 @@ class PathManager {
             }
         }
         
-        // Determine direction of movement to check appropriate walls
-        let direction, wall1, wall2;
-        
-        if (cell2.col > cell1.col) {  // Target cell is to the EAST
-            direction = 'east';
-            wall1 = cell1.walls.east;
-            wall2 = cell2.walls.west;
-        } else if (cell2.col < cell1.col) {  // Target cell is to the WEST
-            direction = 'west';
-            wall1 = cell1.walls.west;
-            wall2 = cell2.walls.east;
-        } else if (cell2.row > cell1.row) {  // Target cell is to the SOUTH
-            direction = 'south';
-            wall1 = cell1.walls.south;
-            wall2 = cell2.walls.north;
-        } else if (cell2.row < cell1.row) {  // Target cell is to the NORTH
-            direction = 'north';
-            wall1 = cell1.walls.north;
-            wall2 = cell2.walls.south;
-        } else {
+        if (cell1.row === cell2.row && cell1.col === cell2.col) {
             this.debug(`Same cell or invalid positions`, 'warning');
             return false; // Same cell
         }
         
+        // Determine direction of movement to check appropriate walls
+        const direction = this.maze.getDirectionBetween(cell1, cell2);
+        if (!direction) {
+            this.debug(`Cells are not adjacent`, 'warning');
+            return true; // No shared wall to pass through
+        }
+        
+        // Turning at a crossing would step onto the other passage
+        if (cell1.under && previousCell) {
+            const entry = this.maze.getDirectionBetween(previousCell, cell1);
+            if (entry && direction !== entry && direction !== this.maze.getOppositeDirection(cell1, entry)) {
+                this.debug(`Cannot turn ${direction} at crossing (${cell1.row},${cell1.col}) entered ${entry}`, 'error');
+                return true;
+            }
+        }
+        
+        if (cell2.terrain === 'water') {
+            this.debug(`Cannot wade into the water at (${cell2.row},${cell2.col})`, 'error');
+            return true;
+        }
+        
+        // Sliding across ice carries on the way the walker came in
+        if (cell1.terrain === 'ice' && previousCell) {
+            const entry = this.maze.getDirectionBetween(previousCell, cell1);
+            if (entry && direction !== entry && this.maze.slidesOn(cell1, entry)) {
+                this.debug(`Cannot turn ${direction} while sliding ${entry} across ice at (${cell1.row},${cell1.col})`, 'error');
+                return true;
+            }
+        }
+        
+        if (this.maze.isOneWayAgainst(cell1, cell2)) {
+            this.debug(`One-way passage from (${cell2.row},${cell2.col}) to (${cell1.row},${cell1.col}) - wrong way`, 'error');
+            return true;
+        }
+        
+        const door = this.maze.getDoorBetween(cell1, cell2);
+        if (door && !this.maze.userActivity.keysCollected.has(door.key)) {
+            const { name } = MazeApp.KEY_COLORS[door.key];
+            this.debug(`The ${name} door is locked - collect the ${name} key first`, 'error');
+            return true;
+        }
+        
+        const opposite = this.maze.getOppositeDirection(cell1, direction);
+        const wall1 = cell1.walls[direction];
+        const wall2 = cell2.walls[opposite];
+        
         // Verify wall consistency between adjacent cells
         if (wall1 !== wall2) {
             this.debug(`WARNING: Wall state mismatch between cells!`, 'error');
         }
         
-        this.debug(`${direction.charAt(0).toUpperCase() + direction.slice(1)} direction: cell1.${direction}=${wall1}, cell2.${getOppositeDirection(direction)}=${wall2}`, 
+        this.debug(`${direction.charAt(0).toUpperCase() + direction.slice(1)} direction: cell1.${direction}=${wall1}, cell2.${opposite}=${wall2}`, 
             wall1 ? 'error' : 'success');
         
         return wall1;
-        
-        function getOppositeDirection(dir) {
-            switch(dir) {
-                case 'north': return 'south';
-                case 'south': return 'north';
-                case 'east': return 'west';
-                case 'west': return 'east';
-                default: return '';
+    }
+    
+    /**
+     * Collects the cells on a straight line from one cell to another
+     * Walks each topology direction in turn until it reaches the end cell
+     * 
+     * @param {Object} startCell - Starting cell (not included in the result)
+     * @param {Object} endCell - Ending cell (included in the result)
+     * @param {number} maxLength - Longest line to consider, in cells
+     * @returns {Array|null} Cells after startCell up to endCell, or null if not in line
+     */
+    getLinearPathCells(startCell, endCell, maxLength) {
+        for (const direction of this.maze.getDirections(startCell)) {
+            const cells = [];
+            let current = startCell;
+            
+            while (cells.length < maxLength) {
+                current = this.maze.getNeighborInDirection(current.row, current.col, direction);
+                // Stop at the edge, or after a full lap around a circular maze's ring
+                if (!current || current === startCell) break;
+                
+                cells.push(current);
+                if (current.row === endCell.row && current.col === endCell.col) {
+                    return cells;
+                }
             }
         }
+        
+        return null;
     }
     
     /**
      * Checks if there's a clear straight-line path between two cells
-     * A valid linear path must be either horizontal or vertical with no walls between any adjacent cells
+     * A valid linear path must follow a single direction (horizontal or vertical
+     * on square grids, any of the six directions on hex grids) with no walls between any adjacent cells
      * 
      * @param {Object} startCell - Starting cell
      * @param {Object} endCell - Ending cell
@@ -540,79 +1115,38 @@ class PathManager {
             return !this.hasWallBetween(startCell, endCell);
         }
         
-        // Check if cells form a horizontal or vertical line
-        const isHorizontal = startCell.row === endCell.row;
-        const isVertical = startCell.col === endCell.col;
-        
-        if (!isHorizontal && !isVertical) {
-            this.debug(`Not a linear path between (${startCell.row},${startCell.col}) and (${endCell.row},${endCell.col})`, 'warning');
-            return false;
-        }
-        
         // Safety limit to prevent excessive calculations on very large mazes
         const MAX_LINEAR_PATH_LENGTH = 50;
-        let cellDistance;
-        
-        if (isHorizontal) {
-            cellDistance = Math.abs(startCell.col - endCell.col);
-        } else { // isVertical
-            cellDistance = Math.abs(startCell.row - endCell.row);
-        }
         
-        if (cellDistance > MAX_LINEAR_PATH_LENGTH) {
-            this.debug(`Linear path too long (${cellDistance} cells), exceeds safety limit of ${MAX_LINEAR_PATH_LENGTH}`, 'warning');
+        // Check if cells form a straight line along one of the topology's directions
+        const lineCells = this.getLinearPathCells(startCell, endCell, MAX_LINEAR_PATH_LENGTH);
+        if (!lineCells) {
+            this.debug(`Not a linear path between (${startCell.row},${startCell.col}) and (${endCell.row},${endCell.col}) within ${MAX_LINEAR_PATH_LENGTH} cells`, 'warning');
             return false;
         }
         
         this.debug(`Checking linear path between (${startCell.row},${startCell.col}) and (${endCell.row},${endCell.col})`, 'info');
         
         // Check all cells along the path for walls and visibility
-        if (isHorizontal) {
-            const row = startCell.row;
-            const start = Math.min(startCell.col, endCell.col);
-            const end = Math.max(startCell.col, endCell.col);
-            
-            for (let col = start; col < end; col++) {
-                const currentCell = this.maze.grid[row][col];
-                const nextCell = this.maze.grid[row][col + 1];
-                
-                // In hard mode, verify all cells are within visible area
-                if (this.hardModeManager && this.hardModeManager.isEnabled()) {
-                    if (!this.hardModeManager.isCellVisible(currentCell) || !this.hardModeManager.isCellVisible(nextCell)) {
-                        this.debug(`Path contains cells outside visible area in hard mode - early termination`, 'warning');
-                        return false;
-                    }
-                }
-                
-                // Early termination if any wall is found
-                if (this.hasWallBetween(currentCell, nextCell)) {
-                    this.debug(`Wall found between (${row},${col}) and (${row},${col + 1}) - early termination`, 'error');
+        let previousCell; // The first step defaults to the cell the path arrived from
+        let currentCell = startCell;
+        for (const nextCell of lineCells) {
+            // In hard mode, verify all cells are within visible area
+            if (this.hardModeManager && this.hardModeManager.isEnabled()) {
+                if (!this.hardModeManager.isCellVisible(currentCell) || !this.hardModeManager.isCellVisible(nextCell)) {
+                    this.debug(`Path contains cells outside visible area in hard mode - early termination`, 'warning');
                     return false;
                 }
             }
-        } else { // isVertical
-            const col = startCell.col;
-            const start = Math.min(startCell.row, endCell.row);
-            const end = Math.max(startCell.row, endCell.row);
             
-            for (let row = start; row < end; row++) {
-                const currentCell = this.maze.grid[row][col];
-                const nextCell = this.maze.grid[row + 1][col];
-                
-                // In hard mode, verify all cells are within visible area
-                if (this.hardModeManager && this.hardModeManager.isEnabled()) {
-                    if (!this.hardModeManager.isCellVisible(currentCell) || !this.hardModeManager.isCellVisible(nextCell)) {
-                        this.debug(`Path contains cells outside visible area in hard mode - early termination`, 'warning');
-                        return false;
-                    }
-                }
-                
-                // Early termination if any wall is found
-                if (this.hasWallBetween(currentCell, nextCell)) {
-                    this.debug(`Wall found between (${row},${col}) and (${row + 1},${col}) - early termination`, 'error');
-                    return false;
-                }
+            // Early termination if any wall is found
+            if (this.hasWallBetween(currentCell, nextCell, previousCell)) {
+                this.debug(`Wall found between (${currentCell.row},${currentCell.col}) and (${nextCell.row},${nextCell.col}) - early termination`, 'error');
+                return false;
             }
+            
+            previousCell = currentCell;
+            currentCell = nextCell;
         }
         
         this.debug(`Clear path found between (${startCell.row},${startCell.col}) and (${endCell.row},${endCell.col})`, 'success');
@@ -699,7 +1233,9 @@ class PathManager {
     
     /**
      * Adds a cell to the user's path if it's a valid move
-     * Handles animation, path data updates, and maze completion check
+     * Handles animation, path data updates, and maze completion check.
+     * Stepping onto a portal adds the other end of its pair as well, and
+     * the jump between them is animated as a warp.
      * 
      * @param {Object} cell - The cell to add to the path
      * @returns {boolean} True if the cell was successfully added
@@ -713,12 +1249,23 @@ class PathManager {
         // Store previous end cell for animation
         const previousEndCell = this.maze.userPath.length > 0 ? 
             this.maze.grid[this.maze.currentPathEnd.row][this.maze.currentPathEnd.col] : null;
+        const waypointsBefore = this.maze.userActivity.waypointsReached;
+        const keysBefore = this.maze.userActivity.keysCollected.size;
+        
+        this.beginHistoryStep();
         
         // Update path data structures
         this.updatePathData(cell);
         
         this.debug(`Added cell (${cell.row},${cell.col}) to path [length: ${this.maze.userPath.length}]`, 'success');
         
+        // A portal carries the path end straight on to the other end of its pair
+        const portalPartner = this.maze.getPortalPartner(cell);
+        if (portalPartner) {
+            this.updatePathData(portalPartner);
+            this.debug(`Portal at (${cell.row},${cell.col}) - jumped to (${portalPartner.row},${portalPartner.col})`, 'success');
+        }
+        
         // Handle animation logic based on path state
         if (previousEndCell && !this.maze.isCompleted) {
             if (this.maze.userPath.length > 2) {
@@ -736,22 +1283,52 @@ class PathManager {
                 this.clearPathGraphics();
             }
             
-            // Animate only the last segment
-            this.animatePathSegment(previousEndCell, cell);
+            // Animate only the last segment (the warp, after a jump)
+            if (portalPartner) {
+                this.animatePathSegment(cell, portalPartner);
+            } else {
+                this.animatePathSegment(previousEndCell, cell);
+            }
         } else if (!this.maze.isCompleted) {
             // Just render the endpoint for the first cell
             this.highlightPathEnd();
         }
         
-        // Check for maze completion
-        if (cell.row === this.maze.exit.row && cell.col === this.maze.exit.col) {
-            this.completeMaze();
-            this.debug(`🎉 Maze completed! Unique cells: ${this.maze.userActivity.uniqueCellsVisited.size}, Total path: ${this.maze.userPath.length}`, 'success');
+        // Mark a checkpoint as soon as it is reached
+        const waypointsReached = this.maze.userActivity.waypointsReached;
+        if (waypointsReached > waypointsBefore) {
+            this.highlightWaypoint(this.maze.waypoints[waypointsReached - 1]);
+        }
+        
+        // Mark a key as soon as it is picked up
+        if (this.maze.userActivity.keysCollected.size > keysBefore) {
+            this.highlightKey(this.maze.keys.findIndex(key => key.row === cell.row && key.col === cell.col));
         }
         
+        this.checkCompletion(cell);
+        this.endHistoryStep();
+        
         return true;
     }
     
+    /**
+     * Completes the maze if the path has just reached the exit
+     * Every checkpoint must have been passed in order first
+     * 
+     * @param {Object} cell - The cell just added to the path
+     */
+    checkCompletion(cell) {
+        if (cell.row !== this.maze.exit.row || cell.col !== this.maze.exit.col) return;
+        
+        const waypointsReached = this.maze.userActivity.waypointsReached;
+        if (waypointsReached === this.maze.waypoints.length) {
+            this.completeMaze();
+            this.debug(`🎉 Maze completed! Unique cells: ${this.maze.userActivity.uniqueCellsVisited.size}, Total path: ${this.maze.userPath.length}`, 'success');
+        } else {
+            this.debug(`Reached the exit with ${this.maze.waypoints.length - waypointsReached} checkpoints still to visit`, 'warning');
+        }
+    }
+    
     /**
      * Adds all cells in a straight line between two points
      * Used for quick path drawing with click+drag or jumps
@@ -769,34 +1346,8 @@ class PathManager {
         
         this.debug(`Adding linear path from (${startCell.row},${startCell.col}) to (${endCell.row},${endCell.col})`, 'info');
         
-        // Determine cells to add based on direction
-        const isHorizontal = startCell.row === endCell.row;
-        const isVertical = startCell.col === endCell.col;
-        const cells = [];
-        
-        if (isHorizontal) {
-            const row = startCell.row;
-            // Determine direction (left to right or right to left)
-            const step = startCell.col < endCell.col ? 1 : -1;
-            
-            // Collect all cells in sequence
-            for (let col = startCell.col + step; step > 0 ? col <= endCell.col : col >= endCell.col; col += step) {
-                cells.push(this.maze.grid[row][col]);
-            }
-            
-            this.debug(`Horizontal linear path: row ${row}, cols ${startCell.col} to ${endCell.col}`, 'info');
-        } else if (isVertical) {
-            const col = startCell.col;
-            // Determine direction (top to bottom or bottom to top)
-            const step = startCell.row < endCell.row ? 1 : -1;
-            
-            // Collect all cells in sequence
-            for (let row = startCell.row + step; step > 0 ? row <= endCell.row : row >= endCell.row; row += step) {
-                cells.push(this.maze.grid[row][col]);
-            }
-            
-            this.debug(`Vertical linear path: col ${col}, rows ${startCell.row} to ${endCell.row}`, 'info');
-        }
+        // Collect all cells in sequence along the line
+        const cells = this.getLinearPathCells(startCell, endCell, Infinity) || [];
         
         this.debug(`Found ${cells.length} cells to add in linear path`, 'info');
         
@@ -810,8 +1361,9 @@ class PathManager {
             }
         }
         
-        // Add each cell to the path sequentially
+        // Add each cell to the path sequentially, as a single step to undo
         let success = true;
+        this.beginHistoryStep();
         for (const cell of cells) {
             if (!this.addCellToPath(cell)) {
                 success = false;
@@ -819,15 +1371,13 @@ class PathManager {
                 break;
             }
         }
+        this.endHistoryStep();
         
         if (success) {
             this.debug(`Successfully added ${cells.length} cells in linear path`, 'success');
             
             // Log path metrics for debugging
-            const distance = Math.sqrt(
-                Math.pow(endCell.row - startCell.row, 2) + 
-                Math.pow(endCell.col - startCell.col, 2)
-            );
+            const distance = this.maze.getDistance(startCell, endCell);
             this.debug(`Linear path distance: ${distance.toFixed(2)} cells`, 'info');
         }
         
@@ -857,6 +1407,11 @@ class PathManager {
         // Set activity to inactive to prevent timer updates
         activity.active = false;
         
+        // The finished path can no longer be undone, and needs no more hints
+        this.updateHistoryButtons();
+        this.clearHint();
+        this.updateHintButton();
+        
         // Store whether it was completed in hard mode
         activity.hardModeCompleted = this.hardModeManager && this.hardModeManager.isEnabled();
         
@@ -888,11 +1443,24 @@ class PathManager {
             return;
         }
         
-        // Get center points of all cells in the path
-        const pathPoints = this.getPathCenterPoints();
+        // Follow the path onto another floor when only one floor is on screen
+        // (the handler redraws the maze and renders the path again)
+        const endCell = this.maze.userPath[this.maze.userPath.length - 1];
+        if (!this.maze.isLevelShown(endCell.level) && this.levelChangeHandler) {
+            this.levelChangeHandler(endCell.level);
+            return;
+        }
+        
+        // Draw the path as a series of connected lines, one run per floor
+        this.getPathCenterPoints().forEach(points => this.drawPathLine(points));
+        
+        // Mark the checkpoints reached so far
+        this.maze.waypoints
+            .slice(0, this.maze.userActivity.waypointsReached)
+            .forEach(waypoint => this.highlightWaypoint(waypoint));
         
-        // Draw the path as a series of connected lines
-        this.drawPathLine(pathPoints);
+        // Mark the keys picked up so far
+        this.maze.userActivity.keysCollected.forEach(index => this.highlightKey(index));
         
         // Only render endpoint marker when appropriate
         if (shouldRenderEndpoint && !this.maze.isCompleted && !isCurrentlyAnimating) {
@@ -902,22 +1470,30 @@ class PathManager {
 
     /**
      * Converts cell positions to SVG coordinate points
-     * Calculates the center position of each cell with padding
+     * Calculates the center position of each cell with padding, splitting the
+     * path wherever it takes stairs or jumps through a portal and skipping
+     * floors that are not on screen. A step across a wrapping edge splits it
+     * too: the path runs off one edge and back in from the opposite one.
      * 
-     * @returns {Array} Array of points with x,y coordinates
+     * @param {Array} cells - Cells to convert, the user's path by default
+     * @returns {Array} Array of runs, each an array of points with x,y coordinates
      */
-    getPathCenterPoints() {
-        return this.maze.userPath.map(cell => {
-            // Calculate exact center of each cell in pixels
-            const centerX = cell.col * this.maze.cellSize + this.maze.cellSize / 2;
-            const centerY = cell.row * this.maze.cellSize + this.maze.cellSize / 2;
-            
-            // Add padding to get the final coordinate
-            return {
-                x: centerX + this.padding,
-                y: centerY + this.padding
-            };
+    getPathCenterPoints(cells = this.maze.userPath) {
+        const runs = [];
+        cells.forEach((cell, index) => {
+            const previousCell = cells[index - 1];
+            if (previousCell && this.isWrapStep(previousCell, cell)) {
+                runs[runs.length - 1].points.push(this.getWrapEdgePoint(previousCell, cell));
+                runs.push({ level: cell.level, points: [this.getWrapEdgePoint(cell, previousCell)] });
+            } else if (!previousCell || previousCell.level !== cell.level || this.isPortalJump(previousCell, cell)) {
+                runs.push({ level: cell.level, points: [] });
+            }
+            runs[runs.length - 1].points.push(this.getCellCenter(cell));
         });
+        
+        return runs
+            .filter(run => this.maze.isLevelShown(run.level))
+            .map(run => run.points);
     }
     
     /**
@@ -996,22 +1572,18 @@ class PathManager {
     }
     
     /**
-     * Determines the direction between two points
-     * Used to identify direction changes in the path
+     * Determines the compass direction between two points
+     * Used to identify direction changes in the path. Eight sectors keep the
+     * four square-grid moves and the six hex-grid moves all distinct.
      * 
      * @param {Object} point1 - Starting point with x,y coordinates
      * @param {Object} point2 - Ending point with x,y coordinates
-     * @returns {string} Direction: 'north', 'east', 'south', or 'west'
+     * @returns {string} Direction: 'north', 'northeast', 'east', ... or 'northwest'
      */
     getDirection(point1, point2) {
-        // Horizontal direction dominates if the x-difference is greater
-        if (Math.abs(point2.x - point1.x) > Math.abs(point2.y - point1.y)) {
-            return point2.x > point1.x ? 'east' : 'west';
-        }
-        // Otherwise use vertical direction
-        else {
-            return point2.y > point1.y ? 'south' : 'north';
-        }
+        const sectors = ['east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'north', 'northeast'];
+        const angle = Math.atan2(point2.y - point1.y, point2.x - point1.x);
+        return sectors[(Math.round(angle / (Math.PI / 4)) + 8) % 8];
     }
     
     /**
@@ -1028,13 +1600,8 @@ class PathManager {
         }
         
         const lastCell = this.maze.userPath[this.maze.userPath.length - 1];
-        // Calculate center position of the cell
-        const centerX = lastCell.col * this.maze.cellSize + this.maze.cellSize / 2;
-        const centerY = lastCell.row * this.maze.cellSize + this.maze.cellSize / 2;
-        
-        // Add padding to get final coordinate
-        const x = centerX + this.padding;
-        const y = centerY + this.padding;
+        // Calculate center position of the cell (including padding)
+        const { x, y } = this.getCellCenter(lastCell);
         
         // Create endpoint marker with RoughJS
         const endpointOptions = this.getEndpointOptions();
@@ -1044,6 +1611,53 @@ class PathManager {
         this.maze.pathGroup.appendChild(endpoint);
     }
     
+    /**
+     * Fills in a checkpoint the path has reached
+     * 
+     * @param {Object} waypoint - Checkpoint position with row/col
+     */
+    highlightWaypoint(waypoint) {
+        if (!this.maze.pathGroup) return;
+        
+        const cell = this.maze.grid[waypoint.row][waypoint.col];
+        if (!this.maze.isLevelShown(cell.level)) return;
+        
+        const { x, y } = this.getCellCenter(cell);
+        const mark = this.rough.circle(x, y, this.maze.cellSize * 0.75, {
+            fill: '#FF9900',
+            fillStyle: 'hachure',
+            stroke: 'none',
+            hachureGap: 3,
+            roughness: 1.5,
+            seed: this.maze.seed + 300 + waypoint.row * this.maze.width + waypoint.col
+        });
+        this.maze.pathGroup.appendChild(mark);
+    }
+    
+    /**
+     * Fills in a key the path has picked up, in the key's colour
+     * 
+     * @param {number} index - Number of the key (and of the door it opens)
+     */
+    highlightKey(index) {
+        if (!this.maze.pathGroup) return;
+        
+        const key = this.maze.keys[index];
+        const cell = this.maze.grid[key.row][key.col];
+        if (!this.maze.isLevelShown(cell.level)) return;
+        
+        const { x, y } = this.getCellCenter(cell);
+        const mark = this.rough.circle(x, y, this.maze.cellSize * 0.75, {
+            fill: MazeApp.KEY_COLORS[index].color,
+            fillStyle: 'hachure',
+            stroke: 'none',
+            hachureGap: 3,
+            roughness: 1.5,
+            seed: this.maze.seed + 400 + key.row * this.maze.width + key.col
+        });
+        this.maze.pathGroup.appendChild(mark);
+    }
+    
     /**
      * Creates a star at the exit when maze is completed
      * Visual reward animation for successful completion
@@ -1051,12 +1665,7 @@ class PathManager {
     renderCompletionStar() {
         // Calculate position at exit cell
         const exitCell = this.maze.grid[this.maze.exit.row][this.maze.exit.col];
-        const centerX = exitCell.col * this.maze.cellSize + this.maze.cellSize / 2;
-        const centerY = exitCell.row * this.maze.cellSize + this.maze.cellSize / 2;
-        
-        // Add padding to get final coordinate
-        const exitX = centerX + this.padding;
-        const exitY = centerY + this.padding;
+        const { x: exitX, y: exitY } = this.getCellCenter(exitCell);
         const starSize = this.maze.cellSize * 0.8;
         
         // Create 5-point star coordinates
@@ -1145,16 +1754,8 @@ class PathManager {
             const x = clientX - rect.left - padding;
             const y = clientY - rect.top - padding;
             
-            // Convert to grid coordinates
-            const col = Math.floor(x / this.maze.cellSize);
-            const row = Math.floor(y / this.maze.cellSize);
-            
-            // Validate grid bounds
-            if (row >= 0 && row < this.maze.height && col >= 0 && col < this.maze.width) {
-                return this.maze.grid[row][col];
-            }
-            
-            return null;
+            // Hit-test against the maze topology (returns null outside the grid)
+            return this.maze.getCellAt(x, y);
         };
         
         /**
@@ -1164,6 +1765,16 @@ class PathManager {
          * @param {Event} e - Mouse or touch event
          */
         const handlePointerDown = (e) => {
+            // Leave the pointer to the pencil while an annotation tool is picked
+            if (this.annotationManager && this.annotationManager.isActive()) {
+                return;
+            }
+            
+            // The maze is hidden while its generation plays back
+            if (this.isPlaybackShowing()) {
+                return;
+            }
+            
             // Prevent scrolling for touch events
             if (e.type === 'touchstart') {
                 e.preventDefault();
@@ -1310,6 +1921,7 @@ class PathManager {
         this.eventHandlers.handleTouchEnd = () => handlePointerUp('touchend');
         this.eventHandlers.handleTouchCancel = () => handlePointerUp('touchcancel');
         this.eventHandlers.handleKeyDown = this.handleArrowKeyMovement.bind(this);
+        this.eventHandlers.handleHistoryKeyDown = this.handleHistoryKeys.bind(this);
         
         // Attach event handlers using EventManager if available, otherwise fallback to direct access
         if (this.eventManager) {
@@ -1367,11 +1979,37 @@ class PathManager {
             }
         }
         
-        // Add keyboard navigation support
+        // Add undo and redo button handlers
+        this.eventHandlers.undoPathHandler = () => this.undo();
+        this.eventHandlers.redoPathHandler = () => this.redo();
+        [[this.undoPathBtn, this.eventHandlers.undoPathHandler], [this.redoPathBtn, this.eventHandlers.redoPathHandler]]
+            .filter(([button]) => button)
+            .forEach(([button, handler]) => {
+                if (this.eventManager) {
+                    this.eventManager.addListener(button, 'click', handler, {}, 'maze');
+                } else {
+                    button.addEventListener('click', handler);
+                }
+            });
+        
+        // Add hint button handler
+        if (this.hintBtn) {
+            this.eventHandlers.hintHandler = () => this.showHint();
+            
+            if (this.eventManager) {
+                this.eventManager.addListener(this.hintBtn, 'click', this.eventHandlers.hintHandler, {}, 'maze');
+            } else {
+                this.hintBtn.addEventListener('click', this.eventHandlers.hintHandler);
+            }
+        }
+        
+        // Add keyboard navigation and undo/redo shortcut support
         if (this.eventManager) {
             this.eventManager.addListener(document, 'keydown', this.eventHandlers.handleKeyDown, {}, 'maze');
+            this.eventManager.addListener(document, 'keydown', this.eventHandlers.handleHistoryKeyDown, {}, 'maze');
         } else {
             document.addEventListener('keydown', this.eventHandlers.handleKeyDown);
+            document.addEventListener('keydown', this.eventHandlers.handleHistoryKeyDown);
         }
     }
     
@@ -1392,6 +2030,7 @@ class PathManager {
         const statusElement = document.getElementById('maze-status');
         const completionTimeElement = document.getElementById('maze-completion-time');
         const pathLengthElement = document.getElementById('maze-path-length');
+        const hintsElement = document.getElementById('maze-hints');
         
         if (!activityTracker || !timerElement || !statusElement) {
             console.warn('Activity tracker elements not found');
@@ -1413,6 +2052,7 @@ class PathManager {
         // Reset completion statistics
         if (completionTimeElement) completionTimeElement.textContent = '--:--';
         if (pathLengthElement) pathLengthElement.textContent = '--';
+        if (hintsElement) hintsElement.textContent = '--';
         
         // Reset star ratings
         const stars = document.querySelectorAll('.star');
@@ -1432,6 +2072,7 @@ class PathManager {
             this.maze.userActivity.completed = false;
             this.maze.userActivity.uniqueCellsVisited = new Set();
             this.maze.userActivity.totalCellsVisited = 0;
+            this.maze.userActivity.floorChanges = 0;
             this.maze.userActivity.pathTrace = [];
             this.maze.userActivity.score = 0;
             this.maze.userActivity.scoreComponents = {
@@ -1540,6 +2181,7 @@ class PathManager {
         const activityTracker = document.getElementById('maze-activity-tracker');
         const completionTimeElement = document.getElementById('maze-completion-time');
         const pathLengthElement = document.getElementById('maze-path-length');
+        const hintsElement = document.getElementById('maze-hints');
         
         // Ensure timer is stopped (as backup in case called directly)
         if (this.timerInterval) {
@@ -1567,10 +2209,10 @@ class PathManager {
             completionTimeElement.innerHTML = `<span class="optimal-value">(Goal: ${formattedOptimalTime})</span> <span class="actual-value">${formattedTime}</span>`;
         }
         
-        // Calculate path lengths for display and star rating
+        // Calculate path lengths for display; stars go by the weighted cost ratio
         const actualPathLength = this.maze.userActivity.uniqueCellsVisited.size;
         const optimalPathLength = this.maze.userActivity.optimalPathLength;
-        const efficiencyRatio = actualPathLength / optimalPathLength;
+        const efficiencyRatio = scoreResult.efficiencyRatio;
         
         if (pathLengthElement) {
             // Show unique cells visited and optimal path length
@@ -1578,8 +2220,15 @@ class PathManager {
             pathLengthElement.innerHTML = `<span class="optimal-value">(Perfect: ${optimalPathLength})</span> <span class="actual-value">${actualPathLength}</span>`;
         }
         
-        // Update star rating using the score and efficiency ratio
-        this.updateStarRating(scoreResult.score, efficiencyRatio);
+        if (hintsElement) {
+            // Show how many hints were taken and what they cost
+            hintsElement.innerHTML = scoreResult.hintsUsed > 0 ?
+                `<span class="optimal-value">(-${scoreResult.hintPenalty} points)</span> <span class="actual-value">${scoreResult.hintsUsed}</span>` :
+                '<span class="actual-value">0</span>';
+        }
+        
+        // Update star rating using the score and efficiency ratio, less any stars the hints cost
+        this.updateStarRating(scoreResult.score, efficiencyRatio, scoreResult.hintStars);
         
         // Switch to completed view
         if (activityTracker) {
@@ -1595,9 +2244,10 @@ class PathManager {
      * 
      * @param {number} score - Score from 0-100
      * @param {number} efficiencyRatio - Path efficiency ratio (actual/optimal)
+     * @param {number} hintStars - Stars taken off for hints
      * @returns {number} Number of stars filled (0-5)
      */
-    updateStarRating(score, efficiencyRatio) {
+    updateStarRating(score, efficiencyRatio, hintStars = 0) {
         // Get all regular stars (excluding hard mode star)
         const stars = document.querySelectorAll('.star:not(.hard-mode-star)');
         const hardModeStar = document.querySelector('.hard-mode-star');
@@ -1623,6 +2273,7 @@ class PathManager {
             // More than 100% over optimal: 0 stars
             starsToFill = 0;
         }
+        starsToFill = Math.max(0, starsToFill - hintStars);
         
         // Animation timing setup
         let delay = 0;
@@ -1657,23 +2308,36 @@ class PathManager {
             }
         }
         
-        this.debug(`Star rating updated: ${starsToFill}/5 stars (Score: ${score}, Efficiency: ${efficiencyRatio.toFixed(2)})`, 'event');
+        this.debug(`Star rating updated: ${starsToFill}/5 stars (Score: ${score}, Efficiency: ${efficiencyRatio.toFixed(2)}, Hint stars: ${hintStars})`, 'event');
         return starsToFill;
     }
     
     /**
      * Calculates the user's performance score
-     * Combines path efficiency and time metrics with improved algorithm
+     * Combines path efficiency and time metrics with improved algorithm.
+     * Efficiency compares the weighted cost of the cells visited with the
+     * cheapest solution the difficulty scorer found, so a detour around mud
+     * can beat wading through it. Hints take their points off the total, and
+     * cost a star for every HINT_POINTS_PER_STAR points or part of them.
      * 
      * @returns {Object} Score object containing:
      *   - score: Final score (0-100)
      *   - actualTime: User's completion time in milliseconds
      *   - optimalTime: Expected optimal completion time in milliseconds
      *   - actualPath: User's actual path length (unique cells visited)
-     *   - optimalPath: Optimal solution path length
+     *   - optimalPath: Optimal solution path length (through any checkpoints, each cell counted once)
+     *   - efficiencyRatio: Weighted cost of the user's path over the optimal cost
+     *   - hintsUsed: Hints the user asked for
+     *   - hintPenalty: Points the hints took off the score
+     *   - hintStars: Stars the hints cost
      */
     calculateScore() {
         const activity = this.maze.userActivity;
+        const hints = {
+            hintsUsed: activity.hintsUsed,
+            hintPenalty: activity.hintPenalty,
+            hintStars: Math.ceil(activity.hintPenalty / PathManager.HINT_POINTS_PER_STAR)
+        };
         
         // Scoring configuration constants
         const EFFICIENCY_MAX = 60;        // Max points for path efficiency
@@ -1683,18 +2347,20 @@ class PathManager {
         const EFFICIENCY_THRESHOLD = 1.5; // Threshold for 3-star scoring (1.5 == 50% over optimal)
         
         // Validate required data
-        if (!activity.duration || !activity.optimalPathLength || activity.uniqueCellsVisited.size === 0) {
+        if (!activity.duration || !activity.optimalPathCost || activity.uniqueCellsVisited.size === 0) {
             return {
                 score: 0,
                 actualTime: activity.duration || 0,
                 optimalTime: 0,
                 actualPath: activity.uniqueCellsVisited.size,
-                optimalPath: activity.optimalPathLength || 0
+                optimalPath: activity.optimalPathLength || 0,
+                efficiencyRatio: activity.pathCost / activity.optimalPathCost,
+                ...hints
             };
         }
         
         const uniquePathLength = activity.uniqueCellsVisited.size;
-        const efficiencyRatio = uniquePathLength / activity.optimalPathLength;
+        const efficiencyRatio = activity.pathCost / activity.optimalPathCost;
         
         // 1. Path efficiency score (0-60 points) with improved algorithm
         let efficiencyScore;
@@ -1712,31 +2378,34 @@ class PathManager {
         }
         
         // 2. Time efficiency score (0-40 points)
-        const expectedTime = activity.optimalPathLength * MS_PER_CELL;
+        const expectedTime = activity.optimalPathCost * MS_PER_CELL;
         const timeRatio = Math.min(1, expectedTime / activity.duration);
         const timeScore = Math.round(timeRatio * TIME_MAX);
         
-        // Calculate total score (max 100)
-        const totalScore = Math.min(TOTAL_MAX, Math.round(efficiencyScore) + timeScore);
+        // Calculate total score (max 100), less the points the hints cost
+        const totalScore = Math.max(0, Math.min(TOTAL_MAX, Math.round(efficiencyScore) + timeScore) - activity.hintPenalty);
         
         // Save score components for reference
         activity.score = totalScore;
         activity.scoreComponents = {
             efficiency: Math.round(efficiencyScore),
-            time: timeScore
+            time: timeScore,
+            hints: -activity.hintPenalty
         };
         
         activity.hardModeCompleted = this.hardModeManager && this.hardModeManager.isEnabled();
         
-        this.debug(`Score calculated: ${totalScore} (Efficiency: ${Math.round(efficiencyScore)}, Time: ${timeScore})`, 'event');
-        this.debug(`Path efficiency: ${uniquePathLength}/${activity.optimalPathLength} = ${efficiencyRatio.toFixed(2)} (${((efficiencyRatio-1)*100).toFixed(1)}% over optimal)`, 'event');
+        this.debug(`Score calculated: ${totalScore} (Efficiency: ${Math.round(efficiencyScore)}, Time: ${timeScore}, Hints: -${activity.hintPenalty})`, 'event');
+        this.debug(`Path efficiency: ${activity.pathCost}/${activity.optimalPathCost} = ${efficiencyRatio.toFixed(2)} (${((efficiencyRatio-1)*100).toFixed(1)}% over optimal)`, 'event');
         
         return {
             score: totalScore,
             actualTime: activity.duration,
             optimalTime: expectedTime,
             actualPath: uniquePathLength,
-            optimalPath: activity.optimalPathLength
+            optimalPath: activity.optimalPathLength,
+            efficiencyRatio,
+            ...hints
         };
     }
     
@@ -1754,7 +2423,9 @@ class PathManager {
     
     /**
      * Animates a path segment between two cells
-     * Shows smooth transition with moving endpoint marker
+     * Shows smooth transition with moving endpoint marker. A jump between
+     * the ends of a portal pair or a step across a wrapping edge draws no
+     * line: the marker warps across instead.
      * 
      * @param {Object} oldCell - Starting cell
      * @param {Object} newCell - Ending cell
@@ -1774,6 +2445,11 @@ class PathManager {
         const oldPos = this.getCellCenter(oldCell);
         const newPos = this.getCellCenter(newCell);
         
+        if (this.isPortalJump(oldCell, newCell) || this.isWrapStep(oldCell, newCell)) {
+            this.animatePortalWarp(oldPos, newPos);
+            return;
+        }
+        
         // Get styling options
         const pathOptions = this.getPathOptions();
         const endpointOptions = this.getEndpointOptions();
@@ -1782,11 +2458,8 @@ class PathManager {
         // Animation timing setup
         const startTime = performance.now();
         
-        // Calculate distance for dynamic duration
-        const distance = Math.sqrt(
-            Math.pow(newCell.row - oldCell.row, 2) + 
-            Math.pow(newCell.col - oldCell.col, 2)
-        );
+        // Calculate distance in cells for dynamic duration
+        const distance = this.maze.getDistance(oldCell, newCell);
         
         // Dynamic duration calculation:
         // - Adjacent cells use base speed
@@ -1809,6 +2482,9 @@ class PathManager {
             this.debug(`Linear path animation duration: ${Math.round(duration)}ms for distance ${distance.toFixed(2)}`, 'info');
         }
         
+        // Wading into mud takes longer
+        duration *= this.maze.getTerrainCost(newCell);
+        
         /**
          * Animation frame handler
          * Updates path segment and endpoint position
@@ -1865,6 +2541,55 @@ class PathManager {
         this.animation.start(animate);
     }
     
+    /**
+     * Plays the warp of a portal jump in the animation group: the marker
+     * shrinks into a widening ring at one end, then grows back out of a
+     * closing ring at the other
+     * 
+     * @param {Object} oldPos - Center of the portal stepped onto
+     * @param {Object} newPos - Center of the portal at the other end
+     */
+    animatePortalWarp(oldPos, newPos) {
+        const endpointOptions = this.getEndpointOptions();
+        const ringOptions = { ...this.getPathOptions(), strokeWidth: 2 };
+        const markerSize = this.animationConfig.markerSize(this.maze.cellSize);
+        const ringSize = this.maze.cellSize * 0.9;
+        const duration = this.animationConfig.duration * 2;
+        const startTime = performance.now();
+        
+        const animate = (currentTime) => {
+            const progress = Math.min(1, (currentTime - startTime) / duration);
+            
+            // First half: vanish into the portal; second half: appear at its partner
+            const leaving = progress < 0.5;
+            const phase = leaving ? progress * 2 : (progress - 0.5) * 2;
+            const { x, y } = leaving ? oldPos : newPos;
+            const marker = leaving ? 1 - phase : phase;
+            const ring = leaving ? phase : 1 - phase;
+            
+            while (this.animation.group.firstChild) {
+                this.animation.group.removeChild(this.animation.group.firstChild);
+            }
+            if (ring > 0) {
+                this.animation.group.appendChild(this.rough.circle(x, y, ringSize * (0.3 + 0.7 * ring), ringOptions));
+            }
+            if (marker > 0) {
+                this.animation.group.appendChild(this.rough.circle(x, y, markerSize * marker, endpointOptions));
+            }
+            
+            if (progress < 1) {
+                this.animation.start(animate);
+            } else {
+                this.animation.cleanup();
+                if (!this.maze.isCompleted) {
+                    this.highlightPathEnd();
+                }
+            }
+        };
+        
+        this.animation.start(animate);
+    }
+    
     /**
      * Calculates cell center position in SVG coordinates
      * 
@@ -1872,9 +2597,8 @@ class PathManager {
      * @returns {Object} Position with x,y coordinates
      */
     getCellCenter(cell) {
-        const centerX = cell.col * this.maze.cellSize + this.maze.cellSize/2 + this.padding;
-        const centerY = cell.row * this.maze.cellSize + this.maze.cellSize/2 + this.padding;
-        return { x: centerX, y: centerY };
+        const center = this.maze.getCellCenter(cell);
+        return { x: center.x + this.padding, y: center.y + this.padding };
     }
     
     /**
@@ -1915,6 +2639,9 @@ class PathManager {
      * @param {Object} cell - The cell being added to the path
      */
     updatePathData(cell) {
+        // A hint is for the path end it was given at
+        this.clearHint();
+        
         // Mark cell as part of the path
         cell.inPath = true;
         cell.pathOrder = this.maze.userPath.length;
@@ -1933,13 +2660,36 @@ class PathManager {
             this.startTimer();
         }
         
-        // Update metrics
+        // Update metrics; each new cell costs what it takes to enter, and
+        // arriving through a portal costs nothing
+        const previousCell = this.maze.userPath[this.maze.userPath.length - 2];
+        const cellKey = `${cell.row},${cell.col}`;
+        if (previousCell && !activity.uniqueCellsVisited.has(cellKey) && !this.isPortalJump(previousCell, cell)) {
+            activity.pathCost += this.maze.getTerrainCost(cell);
+        }
         activity.totalCellsVisited++;  // Count all cells, including duplicates
-        activity.uniqueCellsVisited.add(`${cell.row},${cell.col}`);  // Set ensures uniqueness
+        activity.uniqueCellsVisited.add(cellKey);  // Set ensures uniqueness
+        
+        // Passing the next checkpoint in order moves progress on
+        const nextWaypoint = this.maze.waypoints[activity.waypointsReached];
+        if (nextWaypoint && cell.row === nextWaypoint.row && cell.col === nextWaypoint.col) {
+            activity.waypointsReached++;
+        }
+        
+        // Keys are picked up by stepping onto them
+        const keyIndex = this.maze.keys.findIndex(key => key.row === cell.row && key.col === cell.col);
+        if (keyIndex !== -1) {
+            activity.keysCollected.add(keyIndex);
+        }
+        
+        // Count stairs taken between floors
+        if (previousCell && previousCell.level !== cell.level) {
+            activity.floorChanges++;
+        }
         
         // Record in path trace for analysis
         activity.pathTrace.push({
-            cell: { row: cell.row, col: cell.col },
+            cell: { row: cell.row, col: cell.col, level: cell.level },
             action: 'add',
             timestamp: Date.now()
         });
@@ -2249,7 +2999,7 @@ class PathManager {
      * @param {DeviceOrientationEvent} event - The device orientation event
      */
     handleDeviceTilt(event) {
-        if (!this.tiltConfig.enabled || this.maze.isCompleted) return;
+        if (!this.tiltConfig.enabled || this.maze.isCompleted || this.isPlaybackShowing()) return;
         
         // Get tilt angles
         const beta = event.beta;  // Front-to-back tilt (-180 to 180)
@@ -2304,6 +3054,9 @@ class PathManager {
         
         const currentCell = this.maze.grid[this.maze.currentPathEnd.row][this.maze.currentPathEnd.col];
         
+        // Tilting moves like the matching arrow key, so hex grids try both diagonals
+        const bindings = MazeTopologies.get(this.maze.topology).keyBindings;
+        
         // Calculate direction based on tilt angles
         // Apply sensitivity multiplier to make it more responsive
         const adjustedBeta = dampBeta * this.tiltConfig.sensitivityX;
@@ -2315,10 +3068,10 @@ class PathManager {
             if (Math.abs(adjustedBeta) > this.tiltConfig.threshold) {
                 if (adjustedBeta > 0) {
                     // Tilting forward (towards south)
-                    this.tryMoveDirection(currentCell, 'south');
+                    this.tryMoveDirections(currentCell, bindings.ArrowDown);
                 } else {
                     // Tilting backward (towards north)
-                    this.tryMoveDirection(currentCell, 'north');
+                    this.tryMoveDirections(currentCell, bindings.ArrowUp);
                 }
             }
         } else {
@@ -2326,42 +3079,30 @@ class PathManager {
             if (Math.abs(adjustedGamma) > this.tiltConfig.threshold) {
                 if (adjustedGamma > 0) {
                     // Tilting right (towards east)
-                    this.tryMoveDirection(currentCell, 'east');
+                    this.tryMoveDirections(currentCell, bindings.ArrowRight);
                 } else {
                     // Tilting left (towards west)
-                    this.tryMoveDirection(currentCell, 'west');
+                    this.tryMoveDirections(currentCell, bindings.ArrowLeft);
                 }
             }
         }
     }
     
     /**
-     * Attempts to move in the specified direction based on tilt
+     * Attempts to move in the specified direction based on tilt or keys
+     * A move onto ice slides on until something stops it (see slideOnIce)
      * 
      * @param {Object} currentCell - The current cell
-     * @param {string} direction - The direction to move ('north', 'east', 'south', 'west')
+     * @param {string} direction - A wall direction of the maze topology ('north', 'east', ...)
      * @returns {boolean} Whether the move was successful
      */
     tryMoveDirection(currentCell, direction) {
-        // Calculate target cell coordinates based on direction
-        let targetRow = currentCell.row;
-        let targetCol = currentCell.col;
-        
-        switch (direction) {
-            case 'north': targetRow--; break;
-            case 'east': targetCol++; break;
-            case 'south': targetRow++; break;
-            case 'west': targetCol--; break;
-        }
-        
-        // Check if target cell is valid and within bounds
-        if (targetRow < 0 || targetRow >= this.maze.height || 
-            targetCol < 0 || targetCol >= this.maze.width) {
+        // Get the target cell, which must be within bounds
+        const targetCell = this.maze.getNeighborInDirection(currentCell.row, currentCell.col, direction);
+        if (!targetCell) {
             return false;
         }
-        
-        // Get the target cell
-        const targetCell = this.maze.grid[targetRow][targetCol];
+        const { row: targetRow, col: targetCol } = targetCell;
         
         // In hard mode, check visibility
         if (this.hardModeManager && this.hardModeManager.isEnabled()) {
@@ -2372,8 +3113,14 @@ class PathManager {
         
         // Check if we can move to this cell
         if (!this.hasWallBetween(currentCell, targetCell)) {
-            // Valid move - add to path
+            // Valid move - add to path, with any slide across ice undone along with it
+            this.beginHistoryStep();
             const success = this.addCellToPath(targetCell);
+            if (success) {
+                this.slideOnIce();
+            }
+            this.endHistoryStep();
+            
             if (success) {
                 this.tiltConfig.lastMove = Date.now();
                 this.debug(`Tilt moved to (${targetRow},${targetCol}) - direction: ${direction}`, 'success');
@@ -2385,54 +3132,111 @@ class PathManager {
     }
     
     /**
-     * Handles arrow key navigation for maze movement
-     * Maps arrow keys to directional movement using existing validation logic
+     * Carries the path end on across ice, in the direction it arrived from,
+     * until a wall, the edge, water or a crossing stops it
+     * 
+     * @returns {number} Number of cells slid
+     */
+    slideOnIce() {
+        let slid = 0;
+        
+        while (!this.maze.isCompleted && this.maze.userPath.length > 1) {
+            const path = this.maze.userPath;
+            const cell = this.maze.grid[this.maze.currentPathEnd.row][this.maze.currentPathEnd.col];
+            const previous = path[path.length - 2];
+            const direction = this.maze.getDirectionBetween(this.maze.grid[previous.row][previous.col], cell);
+            if (!direction || !this.maze.slidesOn(cell, direction)) break;
+            
+            const next = this.maze.getNeighborInDirection(cell.row, cell.col, direction);
+            if (!this.addCellToPath(next)) break;
+            slid++;
+        }
+        
+        if (slid > 0) {
+            this.debug(`Slid ${slid} cells across ice`, 'info');
+        }
+        return slid;
+    }
+    
+    /**
+     * Attempts each direction in order until one move succeeds
+     * Lets a single key or tilt cover two hex diagonals
+     * 
+     * @param {Object} currentCell - The current cell
+     * @param {Array} directions - Wall directions to try, in order of preference
+     * @returns {boolean} Whether any move was successful
+     */
+    tryMoveDirections(currentCell, directions) {
+        return directions.some(direction => this.tryMoveDirection(currentCell, direction));
+    }
+    
+    /**
+     * Looks up the directions bound to a key in the maze topology's keyboard scheme
+     * Square grids use the arrow keys; hex grids add QE/AD/ZC and the numpad
+     * 
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {Array|null} Directions to try, or null if the key is not bound
+     */
+    getKeyDirections(event) {
+        const bindings = MazeTopologies.get(this.maze.topology).keyBindings;
+        const key = event.key || '';
+        return bindings[event.code] || bindings[key] || bindings[key.toLowerCase()] || null;
+    }
+    
+    /**
+     * Handles keyboard navigation for maze movement
+     * Maps bound keys to directional movement using existing validation logic
      * 
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleArrowKeyMovement(event) {
-        // Only handle arrow keys
-        const arrowKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
-        if (!arrowKeys.includes(event.key)) {
+        // Leave shortcuts and typing in form fields alone
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        if (event.target && /^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName)) {
             return;
         }
         
-        // Prevent default browser behavior for arrow keys
+        // Only handle keys bound by the maze topology
+        const directions = this.getKeyDirections(event);
+        if (!directions) {
+            return;
+        }
+        
+        // Prevent default browser behavior for movement keys
         event.preventDefault();
         
         // Prevent movement on completed maze
         if (this.maze.isCompleted) {
-            this.debug(`Arrow key ignored - maze is already completed`, 'warning');
+            this.debug(`Movement key ignored - maze is already completed`, 'warning');
             return;
         }
         
-        // Map arrow keys to directions
-        const keyToDirection = {
-            'ArrowUp': 'north',
-            'ArrowDown': 'south', 
-            'ArrowLeft': 'west',
-            'ArrowRight': 'east'
-        };
+        if (this.isPlaybackShowing()) {
+            this.debug(`Movement key ignored - generation playback is showing`, 'warning');
+            return;
+        }
         
-        const direction = keyToDirection[event.key];
+        const direction = directions.join('/');
         
         // Initialize path at entrance if no path exists
         if (this.maze.userPath.length === 0) {
             const entranceCell = this.maze.grid[this.maze.entrance.row][this.maze.entrance.col];
             this.addCellToPath(entranceCell);
-            this.debug(`Arrow key navigation started at entrance (${entranceCell.row},${entranceCell.col})`, 'success');
+            this.debug(`Keyboard navigation started at entrance (${entranceCell.row},${entranceCell.col})`, 'success');
         }
         
         // Get current position
         const currentEnd = this.maze.grid[this.maze.currentPathEnd.row][this.maze.currentPathEnd.col];
         
-        // Attempt to move in the specified direction
-        const success = this.tryMoveDirection(currentEnd, direction);
+        // Attempt to move in the bound direction(s)
+        const success = this.tryMoveDirections(currentEnd, directions);
         
         if (success) {
-            this.debug(`Arrow key moved ${direction} successfully`, 'success');
+            this.debug(`Key moved ${direction} successfully`, 'success');
         } else {
-            this.debug(`Arrow key movement ${direction} blocked by wall or boundary`, 'warning');
+            this.debug(`Key movement ${direction} blocked by wall or boundary`, 'warning');
         }
     }
     
@@ -2474,6 +3278,19 @@ class PathManager {
                 this.resetPathBtn.removeEventListener('click', this.eventHandlers.resetPathHandler);
             }
             
+            // Remove undo and redo button listeners
+            if (this.undoPathBtn && this.eventHandlers.undoPathHandler) {
+                this.undoPathBtn.removeEventListener('click', this.eventHandlers.undoPathHandler);
+            }
+            if (this.redoPathBtn && this.eventHandlers.redoPathHandler) {
+                this.redoPathBtn.removeEventListener('click', this.eventHandlers.redoPathHandler);
+            }
+            
+            // Remove hint button listener
+            if (this.hintBtn && this.eventHandlers.hintHandler) {
+                this.hintBtn.removeEventListener('click', this.eventHandlers.hintHandler);
+            }
+            
             this.debug('SVG event listeners removed', 'info');
         } catch (error) {
             this.debug(`Error removing SVG event listeners: ${error}`, 'warning');
@@ -2524,10 +3341,16 @@ class PathManager {
         // Remove all SVG event listeners
         this._removeSVGEventListeners();
         
-        // Remove keyboard event listeners (fallback if EventManager not available)
-        if (this.eventHandlers.handleKeyDown && !this.eventManager) {
-            document.removeEventListener('keydown', this.eventHandlers.handleKeyDown);
-        }
+        // Remove keyboard event listeners, so keys and shortcuts only reach the current maze
+        [this.eventHandlers.handleKeyDown, this.eventHandlers.handleHistoryKeyDown]
+            .filter(handler => handler)
+            .forEach(handler => {
+                if (this.eventManager) {
+                    this.eventManager.removeListener(document, 'keydown', handler);
+                } else {
+                    document.removeEventListener('keydown', handler);
+                }
+            });
         
         // Clear path graphics
         this.clearPathGraphics();
@@ -2542,6 +3365,15 @@ class PathManager {
     }
 }
 
+// Points each hint level takes off the score: the junction, the direction, the way drawn in
+PathManager.HINT_PENALTIES = [5, 10, 20];
+
+// Cells of the way ahead drawn by the last hint level
+PathManager.HINT_CELLS = 5;
+
+// Hint points that cost a star, or part of them, so five stars means no hints
+PathManager.HINT_POINTS_PER_STAR = 20;
+
 /**
  * Register the PathManager with MazeUI namespace or expose globally
  * Allows the module to be used in different contexts (module or global)
@@ -0,0 +1,453 @@
+/**
+ * MazeShapes - Registry of silhouettes a maze can be carved inside
+ *
+ * A shape decides which cells take part in the maze: a cell is enabled when its
+ * centre falls inside the shape's outline, and every other cell is disabled.
+ * Outlines are described in unit coordinates (0-1 across their own bounding
+ * box) and are scaled to fit the maze, centred and keeping their proportions.
+ * Built-in shapes are drawn from geometry; letters, words and uploaded images
+ * are rasterised to a bitmap of dark pixels.
+ */
+const MazeShapes = (function() {
+    const MIN_SHAPE_CELLS = 8; // Smaller shapes are ignored rather than carved
+    const TEXT_RESOLUTION = 120; // Font size in pixels used to rasterise letters
+    const IMAGE_RESOLUTION = 128; // Longest side in pixels of a rasterised upload
+    const CUSTOM_STORAGE_KEY = 'customShapeMask';
+    const WORD_FONT = `${TEXT_RESOLUTION}px "Nanum Pen Script"`; // Bundled handwriting font
+    const WORD_STROKE = TEXT_RESOLUTION / 10; // Outline added to thicken the thin pen strokes
+
+    // Registered shapes keyed by their URL-safe name
+    const _shapes = {};
+
+    // Rasterised letter and word outlines keyed by font and text, and the uploaded outline
+    const _textOutlines = {};
+    let _customOutline;
+
+    /**
+     * Registers a shape under a URL-safe name
+     * @param {string} name - Identifier used in the URL hash and picker
+     * @param {Object} definition - { label, getOutline(text) } where getOutline
+     *   returns { aspect, contains(u, v) } or null when the shape is unavailable.
+     *   Optional fields: textLength (the shape is drawn from up to that many
+     *   typed characters), linked (keep every piece of the shape and join them
+     *   with corridors), load(text) (returns a Promise that settles once the
+     *   outline can be drawn) and needsDocument (the outline can only be drawn
+     *   on the page, not in a worker)
+     */
+    function register(name, definition) {
+        _shapes[name] = { name, ...definition };
+    }
+
+    /**
+     * Looks up a shape by name
+     * @param {string} name - Shape identifier
+     * @returns {Object|null} Shape definition or null if unknown
+     */
+    function get(name) {
+        return _shapes[name] || null;
+    }
+
+    /**
+     * Checks whether a shape name is registered
+     */
+    function has(name) {
+        return Object.prototype.hasOwnProperty.call(_shapes, name);
+    }
+
+    /**
+     * Returns all registered shapes in registration order
+     * @returns {Array} Array of { name, label } entries for building pickers
+     */
+    function list() {
+        return Object.values(_shapes).map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Prepares whatever a shape needs before it can be drawn, such as its font
+     * @param {string} name - Shape identifier
+     * @param {string} text - Text typed for the shape, if any
+     * @returns {Promise} Settles once the shape is ready (or can never be)
+     */
+    function load(name, text) {
+        const shape = get(name);
+        return shape && shape.load ? shape.load(text).catch(() => {}) : Promise.resolve();
+    }
+
+    /**
+     * Disables the cells of a maze that fall outside its shape
+     * Only the largest connected region of the shape is kept, so the maze stays
+     * in one piece - linked shapes instead join every region to it with
+     * corridors. Topologies without shape support are left untouched.
+     * @param {Maze} maze - Maze with a freshly initialized grid
+     * @returns {boolean} Whether the shape was applied
+     */
+    function apply(maze) {
+        const shape = get(maze.shape);
+        if (!shape || !MazeTopologies.get(maze.topology).shapes) return false;
+
+        const outline = shape.getOutline(maze.shapeText);
+        if (!outline) return false;
+
+        // Fit the outline inside the maze, centred and keeping its proportions
+        const size = maze.getPixelSize(null);
+        const width = Math.min(size.width, size.height * outline.aspect);
+        const height = width / outline.aspect;
+        const left = (size.width - width) / 2;
+        const top = (size.height - height) / 2;
+
+        maze.forEachCell(cell => {
+            const center = maze.getCellCenter(cell);
+            const u = (center.x - left) / width;
+            const v = (center.y - top) / height;
+            cell.disabled = !(u >= 0 && u < 1 && v >= 0 && v < 1 && outline.contains(u, v));
+        });
+
+        const regions = findRegions(maze);
+        const largest = regions.reduce((best, region) => (!best || region.length > best.length ? region : best), null);
+        const cellCount = regions.reduce((count, region) => count + region.length, 0);
+
+        if (!largest || (shape.linked ? cellCount : largest.length) < MIN_SHAPE_CELLS) {
+            maze.grid.forEach(rowCells => rowCells.forEach(cell => { cell.disabled = false; }));
+            return false;
+        }
+
+        if (shape.linked) {
+            linkRegions(maze, regions, largest);
+        } else {
+            regions.forEach(region => {
+                if (region !== largest) region.forEach(cell => { cell.disabled = true; });
+            });
+        }
+        return true;
+    }
+
+    // Groups the enabled cells into regions connected through neighboring cells
+    function findRegions(maze) {
+        const regions = [];
+        const seen = new Set();
+
+        maze.forEachCell(start => {
+            if (seen.has(start)) return;
+
+            const region = [start];
+            seen.add(start);
+            for (let i = 0; i < region.length; i++) {
+                maze.getNeighbors(region[i]).forEach(({ neighbor }) => {
+                    if (!seen.has(neighbor)) {
+                        seen.add(neighbor);
+                        region.push(neighbor);
+                    }
+                });
+            }
+            regions.push(region);
+        });
+
+        return regions;
+    }
+
+    // Returns the cells adjacent to a cell, including disabled ones
+    function getGridNeighbors(maze, cell) {
+        const topology = MazeTopologies.get(maze.topology);
+        return maze.getDirections(cell)
+            .map(direction => topology.getNeighborPosition(maze, cell.row, cell.col, direction))
+            .filter(position => position && maze.grid[position.row] && maze.grid[position.row][position.col])
+            .map(position => maze.grid[position.row][position.col]);
+    }
+
+    // Joins every region to the main one by enabling the shortest run of
+    // disabled cells between them, nearest region first
+    function linkRegions(maze, regions, main) {
+        const regionOf = new Map();
+        regions.forEach(region => region.forEach(cell => regionOf.set(cell, region)));
+
+        const linked = new Set(main);
+        let unlinked = regions.length - 1;
+
+        while (unlinked > 0) {
+            // Breadth-first search outwards from everything linked so far
+            const previous = new Map();
+            const queue = Array.from(linked);
+            let found = null;
+            for (let i = 0; i < queue.length && !found; i++) {
+                for (const neighbor of getGridNeighbors(maze, queue[i])) {
+                    if (linked.has(neighbor) || previous.has(neighbor)) continue;
+                    previous.set(neighbor, queue[i]);
+                    if (!neighbor.disabled) {
+                        found = neighbor;
+                        break;
+                    }
+                    queue.push(neighbor);
+                }
+            }
+            if (!found) break;
+
+            // Open the corridor back to the linked cells, then take in the region it reached
+            for (let cell = previous.get(found); !linked.has(cell); cell = previous.get(cell)) {
+                cell.disabled = false;
+                linked.add(cell);
+            }
+            regionOf.get(found).forEach(cell => linked.add(cell));
+            unlinked--;
+        }
+    }
+
+    // Even-odd test of a point against a polygon given as [u, v] pairs
+    function polygonContains(points, u, v) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [ui, vi] = points[i];
+            const [uj, vj] = points[j];
+            if ((vi > v) !== (vj > v) && u < (uj - ui) * (v - vi) / (vj - vi) + ui) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Outline backed by a bitmap of width × height bits (1 inside), read row by row
+    function bitmapOutline(width, height, bits) {
+        return {
+            aspect: width / height,
+            width,
+            height,
+            bits,
+            contains(u, v) {
+                return bits[Math.floor(v * height) * width + Math.floor(u * width)] === 1;
+            }
+        };
+    }
+
+    // Converts the dark pixels of a canvas into an outline cropped to them
+    // Returns null when the canvas holds no dark pixels
+    function outlineFromCanvas(canvas) {
+        const { width, height } = canvas;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+        // Dark, mostly opaque pixels are inside the shape
+        const isInk = (x, y) => {
+            const i = (y * width + x) * 4;
+            return pixels[i + 3] >= 128 && (pixels[i] + pixels[i + 1] + pixels[i + 2]) / 3 < 128;
+        };
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!isInk(x, y)) continue;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (maxX < 0) return null;
+
+        const cropWidth = maxX - minX + 1;
+        const cropHeight = maxY - minY + 1;
+        const bits = new Uint8Array(cropWidth * cropHeight);
+        for (let y = 0; y < cropHeight; y++) {
+            for (let x = 0; x < cropWidth; x++) {
+                bits[y * cropWidth + x] = isInk(minX + x, minY + y) ? 1 : 0;
+            }
+        }
+        return bitmapOutline(cropWidth, cropHeight, bits);
+    }
+
+    // Rasterises text in black on white and returns its outline
+    // A stroke width thickens the letterforms by outlining them as well
+    function outlineFromText(text, font, strokeWidth = 0) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        context.font = font;
+        canvas.width = Math.ceil(context.measureText(text).width + strokeWidth) + TEXT_RESOLUTION / 2;
+        canvas.height = Math.ceil(TEXT_RESOLUTION * 1.5 + strokeWidth);
+
+        // Resizing the canvas resets its drawing state
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = font;
+        context.fillStyle = 'black';
+        context.textBaseline = 'middle';
+        context.fillText(text, TEXT_RESOLUTION / 4, canvas.height / 2);
+        if (strokeWidth > 0) {
+            context.strokeStyle = 'black';
+            context.lineWidth = strokeWidth;
+            context.lineJoin = 'round';
+            context.strokeText(text, TEXT_RESOLUTION / 4, canvas.height / 2);
+        }
+
+        return outlineFromCanvas(canvas);
+    }
+
+    // Returns the cached outline of some text, rasterising it on first use
+    function getTextOutline(text, font, strokeWidth) {
+        const key = `${font}|${text}`;
+        if (!(key in _textOutlines)) {
+            _textOutlines[key] = outlineFromText(text, font, strokeWidth);
+        }
+        return _textOutlines[key];
+    }
+
+    /**
+     * Uses an uploaded black-and-white image as the custom shape
+     * Dark pixels are inside the shape. The outline is remembered in
+     * localStorage so shared custom-shape links keep working on this device.
+     * @param {HTMLImageElement} image - Loaded image
+     * @returns {boolean} Whether the image contained a usable shape
+     */
+    function setCustomImage(image) {
+        const scale = Math.min(1, IMAGE_RESOLUTION / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const outline = outlineFromCanvas(canvas);
+        if (!outline) return false;
+
+        _customOutline = outline;
+        try {
+            localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify({
+                width: outline.width,
+                height: outline.height,
+                bits: Array.from(outline.bits).join('')
+            }));
+        } catch (error) {
+            console.warn('Could not save custom shape:', error);
+        }
+        return true;
+    }
+
+    // Returns the uploaded outline, restoring it from localStorage after a reload
+    function getCustomOutline() {
+        if (_customOutline === undefined) {
+            _customOutline = null;
+            try {
+                const saved = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY));
+                if (saved) {
+                    _customOutline = bitmapOutline(saved.width, saved.height, Uint8Array.from(saved.bits, Number));
+                }
+            } catch (error) {
+                console.warn('Could not load custom shape:', error);
+            }
+        }
+        return _customOutline;
+    }
+
+    /**
+     * Heart
+     * The classic heart curve (x² + y² - 1)³ - x²y³ ≤ 0
+     */
+    register('heart', {
+        label: 'Heart',
+        getOutline() {
+            return {
+                aspect: 1,
+                contains(u, v) {
+                    const x = (u - 0.5) * 2.5;
+                    const y = (0.55 - v) * 2.5;
+                    const a = x * x + y * y - 1;
+                    return a * a * a - x * x * y * y * y <= 0;
+                }
+            };
+        }
+    });
+
+    /**
+     * Five-pointed star
+     * Inner points sit halfway out so the arms stay wide enough to carve
+     */
+    const STAR_POINTS = [];
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? 0.5 : 0.25;
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        STAR_POINTS.push([0.5 + radius * Math.cos(angle), 0.55 + radius * Math.sin(angle)]);
+    }
+
+    register('star', {
+        label: 'Star',
+        getOutline() {
+            return { aspect: 1, contains: (u, v) => polygonContains(STAR_POINTS, u, v) };
+        }
+    });
+
+    /**
+     * Christmas tree
+     * Three tiers of branches on a short trunk
+     */
+    const TREE_POINTS = [
+        [0.5, 0], [0.75, 0.3], [0.63, 0.3], [0.85, 0.56], [0.72, 0.56], [0.96, 0.84],
+        [0.6, 0.84], [0.6, 1], [0.4, 1], [0.4, 0.84], [0.04, 0.84], [0.28, 0.56],
+        [0.15, 0.56], [0.37, 0.3], [0.25, 0.3]
+    ];
+
+    register('tree', {
+        label: 'Tree',
+        getOutline() {
+            return { aspect: 0.8, contains: (u, v) => polygonContains(TREE_POINTS, u, v) };
+        }
+    });
+
+    /**
+     * A single letter or digit in a heavy typeface
+     * Rasterising needs a canvas, so this shape is only available in the browser
+     */
+    register('letter', {
+        label: 'Letter',
+        textLength: 1,
+        needsDocument: true,
+        getOutline(text) {
+            const letter = (text || '').trim().charAt(0).toUpperCase();
+            if (!letter || typeof document === 'undefined') return null;
+            return getTextOutline(letter, `bold ${TEXT_RESOLUTION}px sans-serif`);
+        }
+    });
+
+    /**
+     * A short word or name handwritten in the app's Nanum Pen Script font
+     * Separate letters (and the dots of i and j) are joined by corridors so the
+     * word still makes one maze. The font has to finish loading before the word
+     * can be drawn, so callers should wait on load() first.
+     */
+    register('word', {
+        label: 'Word',
+        textLength: 12,
+        linked: true,
+        needsDocument: true,
+        load(text) {
+            if (typeof document === 'undefined' || !document.fonts) return Promise.resolve();
+            return document.fonts.load(WORD_FONT, text || undefined);
+        },
+        getOutline(text) {
+            const word = (text || '').trim();
+            if (!word || typeof document === 'undefined') return null;
+            if (document.fonts && !document.fonts.check(WORD_FONT, word)) return null;
+            return getTextOutline(word, WORD_FONT, WORD_STROKE);
+        }
+    });
+
+    /**
+     * Custom mask uploaded by the user (see setCustomImage)
+     */
+    register('custom', {
+        label: 'Custom Image',
+        needsDocument: true, // The outline is kept in the page's localStorage
+        getOutline: getCustomOutline
+    });
+
+    // Public API
+    return {
+        register,
+        get,
+        has,
+        list,
+        load,
+        apply,
+        setCustomImage
+    };
+})();
+
+// Register with MazeApp namespace and export to global scope for other modules
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.MazeShapes = MazeShapes;
+}
+window.MazeShapes = MazeShapes;
@@ -0,0 +1,554 @@
+/**
+ * SolverVisualizer - Animates search algorithms solving the maze
+ *
+ * Each algorithm is run in full when it is picked, recording a step for every
+ * cell it takes from its frontier: the cell being expanded, the cells it adds
+ * to the open set, and at the end of each leg the path found. The steps are
+ * then played back on the live SVG at the chosen speed, or one at a time, so
+ * a class can watch how A*, breadth-first and depth-first search spread out
+ * and how dead-end filling closes in on the solution.
+ *
+ * A* is the difficulty scorer's own search (see MazeDifficultyScorer.findPath);
+ * the others follow the same passages, one-way arrows, portals and crossings
+ * (see getAccessibleNeighbors). The searches are the textbook ones, so locked
+ * doors are treated as open. On a maze with checkpoints each leg is searched
+ * in turn, starting afresh from the checkpoint before.
+ */
+class SolverVisualizer {
+    constructor(svgElement, uiManager = null) {
+        this.svgElement = svgElement;
+        this.uiManager = uiManager;
+        this.rough = rough.svg(svgElement);
+        this.maze = null;
+        this.layer = null;
+
+        // Playback state
+        this.algorithm = null;       // One of SolverVisualizer.ALGORITHMS, or null when off
+        this.steps = [];             // Recorded steps: { current, open, path, reset }
+        this.position = 0;           // Index of the next step to play
+
+        // What each cell shows: 'open', 'closed', 'current' or 'path', keyed by "row,col"
+        this.cells = new Map();
+        this.nodes = new Map();      // Drawing of each cell, keyed by "row,col"
+        this.counts = { open: 0, closed: 0, current: 0, path: 0 };
+        this.current = null;         // Key of the cell being expanded
+
+        // Plays the steps as they fall due at the speed slider's setting
+        this.playback = new MazeApp.StepPlayback(SolverVisualizer.SPEEDS, 'solverSpeed', due => this._playSteps(due));
+    }
+
+    /**
+     * Connects this visualizer to a maze instance
+     * A new maze turns the animation off, so it never gives a fresh maze away
+     *
+     * @param {Object} maze - The maze object to solve
+     */
+    setMaze(maze) {
+        this.maze = maze;
+        this.setAlgorithm(null);
+    }
+
+    /**
+     * Picks the algorithm to show, records its search and starts playing it
+     *
+     * @param {string|null} algorithm - Value from SolverVisualizer.ALGORITHMS, or null/'' to turn off
+     */
+    setAlgorithm(algorithm) {
+        this.playback.stop();
+        this._clearCells();
+        this.algorithm = SolverVisualizer.ALGORITHMS.some(({ value }) => value === algorithm) ? algorithm : null;
+        this.steps = this.algorithm && this.maze && this.maze.difficultyScorer ?
+            this._recordSteps(this.algorithm, this.maze.difficultyScorer) : [];
+        this.position = 0;
+
+        this.redraw();
+        if (this.steps.length > 0) {
+            this.playback.start();
+        }
+        this._updateUIState();
+    }
+
+    /**
+     * Starts or resumes playback, from the beginning if it has finished
+     */
+    play() {
+        if (this.steps.length === 0 || this.playback.isRunning) return;
+
+        if (this.position >= this.steps.length) {
+            this._clearCells();
+            this.position = 0;
+        }
+        this.playback.start();
+        this._updateUIState();
+    }
+
+    /**
+     * Pauses playback where it is
+     */
+    pause() {
+        this.playback.stop();
+        this._updateUIState();
+    }
+
+    /**
+     * Pauses if playing and plays otherwise
+     *
+     * @returns {boolean} Whether it is playing after the toggle
+     */
+    togglePlaying() {
+        if (this.playback.isRunning) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playback.isRunning;
+    }
+
+    /**
+     * Pauses and plays the next step alone
+     */
+    step() {
+        this.playback.stop();
+        if (this.position < this.steps.length) {
+            this._applyStep(this.steps[this.position++]);
+        }
+        this._updateUIState();
+    }
+
+    /**
+     * Sets how many steps are played each second
+     *
+     * @param {number} speed - Index into SolverVisualizer.SPEEDS
+     */
+    setSpeed(speed) {
+        this.playback.setSpeed(speed);
+    }
+
+    /**
+     * Returns whether an algorithm is being shown
+     *
+     * @returns {boolean} True if an algorithm is picked
+     */
+    isActive() {
+        return this.algorithm !== null;
+    }
+
+    /**
+     * Plays the steps that have fallen due, pausing once they run out
+     *
+     * @param {number} due - Number of steps due (see StepPlayback)
+     */
+    _playSteps(due) {
+        for (let i = 0; i < due && this.position < this.steps.length; i++) {
+            this._applyStep(this.steps[this.position++]);
+        }
+
+        if (this.position >= this.steps.length) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Shows one recorded step: the last cell expanded joins the closed set,
+     * the new one is marked current and the cells it opened are coloured.
+     * A path step marks the path found, and a reset starts a new leg with
+     * only the paths found so far left showing; later legs search around them.
+     *
+     * @param {Object} step - Step from _recordSteps
+     */
+    _applyStep(step) {
+        if (this.current !== null && this.cells.get(this.current) === 'current') {
+            this._setCell(this.current, 'closed');
+        }
+        this.current = null;
+
+        if (step.reset) {
+            [...this.cells.keys()]
+                .filter(key => this.cells.get(key) !== 'path')
+                .forEach(key => this._setCell(key, null));
+        }
+        (step.open || [])
+            .filter(key => this.cells.get(key) !== 'path')
+            .forEach(key => this._setCell(key, 'open'));
+        (step.path || []).forEach(key => this._setCell(key, 'path'));
+        if (step.current && this.cells.get(step.current) !== 'path') {
+            this.current = step.current;
+            this._setCell(step.current, 'current');
+        }
+    }
+
+    /**
+     * Changes what a cell shows, keeping count of each state
+     *
+     * @param {string} key - Cell "row,col"
+     * @param {string|null} state - 'open', 'closed', 'current', 'path', or null to clear it
+     */
+    _setCell(key, state) {
+        const previous = this.cells.get(key);
+        if (previous) this.counts[previous]--;
+
+        if (state) {
+            this.cells.set(key, state);
+            this.counts[state]++;
+        } else {
+            this.cells.delete(key);
+        }
+        this._drawCell(key);
+        this._updateStatus();
+    }
+
+    /**
+     * Forgets every cell's state and removes their drawings
+     */
+    _clearCells() {
+        this.nodes.forEach(node => node.parentNode && node.parentNode.removeChild(node));
+        this.nodes.clear();
+        this.cells.clear();
+        this.counts = { open: 0, closed: 0, current: 0, path: 0 };
+        this.current = null;
+        this._updateStatus();
+    }
+
+    /**
+     * Redraws a cell in the colour of its state
+     *
+     * @param {string} key - Cell "row,col"
+     */
+    _drawCell(key) {
+        const old = this.nodes.get(key);
+        if (old && old.parentNode) {
+            old.parentNode.removeChild(old);
+        }
+        this.nodes.delete(key);
+
+        const state = this.cells.get(key);
+        const [row, col] = key.split(',').map(Number);
+        if (!state || !this.layer || !this.maze.isLevelShown(this.maze.getLevel(row))) return;
+
+        const padding = MazeApp.getPadding();
+        const size = this.maze.cellSize * 0.8;
+        const center = this.maze.getCellCenter({ row, col });
+        const node = this.rough.rectangle(center.x + padding - size / 2, center.y + padding - size / 2, size, size, {
+            fill: SolverVisualizer.COLORS[state],
+            fillStyle: 'solid',
+            stroke: 'none',
+            roughness: 0.8,
+            seed: this.maze.seed + 700 + row * this.maze.width + col
+        });
+        node.setAttribute('opacity', state === 'closed' ? '0.4' : '0.6');
+        node.setAttribute('class', `solver-cell solver-${state}`);
+        this.layer.appendChild(node);
+        this.nodes.set(key, node);
+    }
+
+    /**
+     * Draws the layer again for the floors on screen
+     * Called after the maze is rendered, since rendering clears the SVG
+     */
+    redraw() {
+        if (this.layer && this.layer.parentNode) {
+            this.layer.parentNode.removeChild(this.layer);
+        }
+        this.layer = null;
+        this.nodes.clear();
+
+        if (!this.algorithm || !this.svgElement || !this.maze) return;
+
+        this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.layer.setAttribute('id', 'solver-layer');
+        this.layer.setAttribute('pointer-events', 'none');
+
+        // Keep the user's path drawn on top
+        if (this.maze.pathGroup && this.svgElement.contains(this.maze.pathGroup)) {
+            this.svgElement.insertBefore(this.layer, this.maze.pathGroup);
+        } else {
+            this.svgElement.appendChild(this.layer);
+        }
+
+        this.cells.forEach((state, key) => this._drawCell(key));
+    }
+
+    /**
+     * Updates the play button and speed slider to reflect the current state
+     */
+    _updateUIState() {
+        const getElement = id => this.uiManager ? this.uiManager.getElement(id) : document.getElementById(id);
+
+        const algorithmSelect = getElement('solverAlgorithm');
+        if (algorithmSelect) {
+            algorithmSelect.value = this.algorithm || '';
+        }
+
+        const playButton = getElement('solverPlayBtn');
+        if (playButton) {
+            const playing = this.playback.isRunning;
+            playButton.disabled = this.steps.length === 0;
+            playButton.title = playing ? 'Pause' : 'Play';
+            playButton.setAttribute('aria-label', playing ? 'Pause the solver' : 'Play the solver');
+            const icon = playButton.querySelector('use');
+            if (icon) {
+                icon.setAttribute('href', playing ? '#pause-icon' : '#play-icon');
+            }
+        }
+
+        const stepButton = getElement('solverStepBtn');
+        if (stepButton) {
+            stepButton.disabled = this.position >= this.steps.length;
+        }
+
+        const speedInput = getElement('solverSpeed');
+        if (speedInput) {
+            speedInput.value = this.playback.speed;
+        }
+
+        this._updateStatus();
+    }
+
+    /**
+     * Shows how many cells have been explored and are open, and how long
+     * the path found is
+     */
+    _updateStatus() {
+        const status = this.uiManager ? this.uiManager.getElement('solverStatus') : document.getElementById('solverStatus');
+        if (!status) return;
+
+        if (!this.algorithm) {
+            status.textContent = '';
+            return;
+        }
+        const explored = this.counts.closed + this.counts.current;
+        status.textContent = this.counts.path > 0 ?
+            `${explored} explored, path ${this.counts.path}` :
+            `${explored} explored, ${this.counts.open} open`;
+    }
+
+    /**
+     * Runs an algorithm over the maze and records its steps
+     *
+     * @param {string} algorithm - Value from SolverVisualizer.ALGORITHMS
+     * @param {MazeDifficultyScorer} scorer - Scorer of the maze, for its passages and A*
+     * @returns {Array} Steps to play back
+     */
+    _recordSteps(algorithm, scorer) {
+        const stops = scorer.getRouteStops();
+        if (algorithm === 'deadEnd') {
+            return this._recordDeadEndFilling(scorer, stops);
+        }
+
+        const steps = [];
+        for (let i = 1; i < stops.length; i++) {
+            const legSteps = [];
+            let path;
+            if (algorithm === 'astar') {
+                path = this._recordAStar(scorer, stops[i - 1], stops[i], legSteps);
+            } else {
+                path = this._recordGraphSearch(scorer, stops[i - 1], stops[i], algorithm === 'dfs', legSteps);
+            }
+            if (i > 1) legSteps[0].reset = true;
+            steps.push(...legSteps, { path: path.map(cell => `${cell.row},${cell.col}`) });
+            if (path.length === 0) break;
+        }
+        return steps;
+    }
+
+    /**
+     * Records the difficulty scorer's A* search for one leg
+     *
+     * @returns {Array} Path found, as in findPath
+     */
+    _recordAStar(scorer, start, goal, steps) {
+        const opened = new Set([`${start.row},${start.col}`]);
+        const path = scorer.findPath(start, goal, (node, openSet) => {
+            const open = openSet
+                .map(({ row, col }) => `${row},${col}`)
+                .filter(key => !opened.has(key));
+            open.forEach(key => opened.add(key));
+            steps.push({ current: `${node.row},${node.col}`, open });
+        });
+
+        // The search stops as it takes the goal, before expanding it
+        if (path.length > 0) {
+            steps.push({ current: `${goal.row},${goal.col}` });
+        }
+        return path;
+    }
+
+    /**
+     * Records a breadth-first search (a queue) or a depth-first search (a
+     * stack) for one leg. Breadth-first search opens each cell once, when it
+     * is first reached; depth-first search can reach a cell again by another
+     * passage before expanding it, and takes it from the latest.
+     *
+     * @returns {Array} Cells from start to goal, or an empty array if unreachable
+     */
+    _recordGraphSearch(scorer, start, goal, depthFirst, steps) {
+        const startNode = { row: start.row, col: start.col, crossings: [], parent: null };
+        const frontier = [startNode];
+        const opened = new Set([`${start.row},${start.col}`]);
+        const closed = new Set();
+
+        while (frontier.length > 0) {
+            const node = depthFirst ? frontier.pop() : frontier.shift();
+            const key = `${node.row},${node.col}`;
+            if (closed.has(key)) continue;
+            closed.add(key);
+
+            if (node.row === goal.row && node.col === goal.col) {
+                steps.push({ current: key });
+                return scorer.reconstructPath(node);
+            }
+
+            const neighbors = scorer.getAccessibleNeighbors(node.row, node.col)
+                .filter(neighbor => !closed.has(`${neighbor.row},${neighbor.col}`) &&
+                    (depthFirst || !opened.has(`${neighbor.row},${neighbor.col}`)));
+
+            // A stack takes the last neighbor first, so push them backwards to try them in order
+            (depthFirst ? [...neighbors].reverse() : neighbors).forEach(neighbor => {
+                frontier.push({ row: neighbor.row, col: neighbor.col, crossings: neighbor.crossings, parent: node });
+            });
+
+            const open = neighbors
+                .map(neighbor => `${neighbor.row},${neighbor.col}`)
+                .filter(neighborKey => !opened.has(neighborKey));
+            open.forEach(neighborKey => opened.add(neighborKey));
+            steps.push({ current: key, open });
+        }
+        return [];
+    }
+
+    /**
+     * Records dead-end filling: every dead end is filled in, and each cell
+     * it leads from becomes a dead end itself once all but one of its
+     * passages are filled, until only the routes between the entrance,
+     * checkpoints and exit are left. The path is then found along the
+     * cells left, which on a perfect maze are the solution alone.
+     *
+     * Filling works on the open walls between cells, whichever way they can
+     * be walked, so ice is filled like any other cell rather than by where
+     * a slide stops. Water cannot be entered, so it counts as filled.
+     *
+     * @returns {Array} Steps to play back
+     */
+    _recordDeadEndFilling(scorer, stops) {
+        const links = new Map();
+        this.maze.forEachCell(cell => {
+            if (cell.terrain === 'water' || cell.under) return;
+            links.set(`${cell.row},${cell.col}`, this._getOpenLinks(cell));
+        });
+        links.forEach(linked => linked.forEach(neighborKey => {
+            if (!links.has(neighborKey)) linked.delete(neighborKey);
+        }));
+
+        const kept = new Set(stops.map(stop => `${stop.row},${stop.col}`));
+        const degree = new Map([...links].map(([key, linked]) => [key, linked.size]));
+        const deadEnds = [...links.keys()].filter(key => !kept.has(key) && degree.get(key) <= 1);
+        const filled = new Set();
+        const steps = [{ open: deadEnds }];
+
+        const queue = [...deadEnds];
+        while (queue.length > 0) {
+            const key = queue.shift();
+            if (filled.has(key)) continue;
+            filled.add(key);
+
+            const open = [];
+            links.get(key).forEach(neighborKey => {
+                if (filled.has(neighborKey) || kept.has(neighborKey)) return;
+                degree.set(neighborKey, degree.get(neighborKey) - 1);
+                if (degree.get(neighborKey) === 1) {
+                    queue.push(neighborKey);
+                    open.push(neighborKey);
+                }
+            });
+            steps.push({ current: key, open });
+        }
+
+        // Walk the cells left from stop to stop
+        const path = [];
+        for (let i = 1; i < stops.length; i++) {
+            const leg = this._findUnfilledPath(scorer, stops[i - 1], stops[i], filled);
+            if (leg.length === 0) break;
+            path.push(...(i === 1 ? leg : leg.slice(1)));
+        }
+        steps.push({ path: path.map(cell => `${cell.row},${cell.col}`) });
+        return steps;
+    }
+
+    /**
+     * Returns the cells a cell's open walls lead to, passing straight through
+     * weave crossings, and the other end of its portal
+     *
+     * @param {Object} cell - Grid cell
+     * @returns {Set} Linked cells, "row,col"
+     */
+    _getOpenLinks(cell) {
+        const linked = new Set();
+        this.maze.getDirections(cell).forEach(direction => {
+            if (cell.walls[direction]) return;
+
+            let neighbor = this.maze.getNeighborInDirection(cell.row, cell.col, direction);
+            while (neighbor && neighbor.under) {
+                neighbor = this.maze.getNeighborInDirection(neighbor.row, neighbor.col, direction);
+            }
+            if (neighbor && neighbor !== cell) {
+                linked.add(`${neighbor.row},${neighbor.col}`);
+            }
+        });
+
+        const partner = this.maze.getPortalPartner(cell);
+        if (partner) {
+            linked.add(`${partner.row},${partner.col}`);
+        }
+        return linked;
+    }
+
+    /**
+     * Finds the shortest way between two cells that keeps off filled cells
+     *
+     * @returns {Array} Cells from start to goal, or an empty array if unreachable
+     */
+    _findUnfilledPath(scorer, start, goal, filled) {
+        const queue = [{ row: start.row, col: start.col, crossings: [], parent: null }];
+        const reached = new Set([`${start.row},${start.col}`]);
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            if (node.row === goal.row && node.col === goal.col) {
+                return scorer.reconstructPath(node);
+            }
+            scorer.getAccessibleNeighbors(node.row, node.col).forEach(neighbor => {
+                const key = `${neighbor.row},${neighbor.col}`;
+                if (reached.has(key) || filled.has(key)) return;
+                reached.add(key);
+                queue.push({ row: neighbor.row, col: neighbor.col, crossings: neighbor.crossings, parent: node });
+            });
+        }
+        return [];
+    }
+}
+
+// Algorithms that can be shown, in menu order
+SolverVisualizer.ALGORITHMS = [
+    { value: 'astar', label: 'A*' },
+    { value: 'bfs', label: 'Breadth-First' },
+    { value: 'dfs', label: 'Depth-First' },
+    { value: 'deadEnd', label: 'Dead-End Filling' }
+];
+
+// Steps played each second at each setting of the speed slider
+SolverVisualizer.SPEEDS = [2, 8, 30, 120, 480];
+
+// Fill of each cell state: the open set (or dead ends waiting to be filled), the closed set, the cell being expanded and the path found
+SolverVisualizer.COLORS = {
+    open: '#66BB6A',
+    closed: '#E57373',
+    current: '#FFA000',
+    path: '#4285F4'
+};
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.SolverVisualizer = SolverVisualizer;
+} else {
+    window.SolverVisualizer = SolverVisualizer;
+}
@@ -0,0 +1,107 @@
+/**
+ * StepPlayback - Plays recorded steps at a steady rate
+ *
+ * Shared by the solution animation (SolverVisualizer) and the generation
+ * playback (GenerationPlayer). Each animation frame works out how many steps
+ * have fallen due at the chosen speed and hands that number to the owner,
+ * which plays them and pauses the playback once it runs out. The speed is a
+ * setting of the owner's speed slider, remembered in localStorage.
+ */
+class StepPlayback {
+    /**
+     * @param {Array} speeds - Steps played each second at each setting of the speed slider
+     * @param {string} storageKey - localStorage key the speed setting is kept under
+     * @param {Function} playSteps - Called with the number of steps due each frame they fall due
+     */
+    constructor(speeds, storageKey, playSteps) {
+        this.speeds = speeds;
+        this.storageKey = storageKey;
+        this.playSteps = playSteps;
+        this.speed = 2;              // Index into speeds
+
+        this.id = null;              // requestAnimationFrame ID
+        this.isRunning = false;      // Playback state flag
+        this.lastTime = null;        // Time the last step was due
+
+        // Initialize from localStorage
+        this._loadSavedState();
+    }
+
+    /**
+     * Starts playing from the next frame
+     */
+    start() {
+        this.isRunning = true;
+        this.lastTime = null;
+        this.id = requestAnimationFrame(time => this._tick(time));
+    }
+
+    /**
+     * Stops playing; no more steps fall due until the next start
+     */
+    stop() {
+        if (this.id) {
+            cancelAnimationFrame(this.id);
+            this.id = null;
+        }
+        this.isRunning = false;
+    }
+
+    /**
+     * Sets how many steps are played each second
+     *
+     * @param {number} speed - Index into speeds
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0, Math.min(this.speeds.length - 1, Number(speed) || 0));
+        this.lastTime = null;
+        this._saveState();
+    }
+
+    /**
+     * Loads the speed setting from localStorage on initialization
+     */
+    _loadSavedState() {
+        const saved = parseInt(localStorage.getItem(this.storageKey), 10);
+        if (!isNaN(saved)) {
+            this.speed = Math.max(0, Math.min(this.speeds.length - 1, saved));
+        }
+    }
+
+    /**
+     * Persists the speed setting to localStorage
+     */
+    _saveState() {
+        localStorage.setItem(this.storageKey, this.speed.toString());
+    }
+
+    /**
+     * Hands over the steps that have fallen due since the last frame
+     *
+     * @param {number} time - Frame time from requestAnimationFrame
+     */
+    _tick(time) {
+        if (!this.isRunning) return;
+
+        const interval = 1000 / this.speeds[this.speed];
+        if (this.lastTime === null) {
+            this.lastTime = time - interval;
+        }
+
+        const due = Math.floor((time - this.lastTime) / interval);
+        this.lastTime += due * interval;
+        this.playSteps(due);
+
+        // The owner stops the playback once its steps run out
+        if (this.isRunning) {
+            this.id = requestAnimationFrame(next => this._tick(next));
+        }
+    }
+}
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.StepPlayback = StepPlayback;
+} else {
+    window.StepPlayback = StepPlayback;
+}
@@ -0,0 +1,742 @@
+/**
+ * MazeTopologies - Registry of cell layouts a maze can be built on
+ *
+ * A topology decides which walls a cell has, which cell lies beyond each wall,
+ * and where cells and walls sit on the page. Everything else (generation
+ * algorithms, difficulty scoring, path tracing) works through these hooks, so
+ * it runs on any registered layout. Coordinates are in pixels relative to the
+ * top-left corner of the maze, before any padding is applied.
+ *
+ * Cells live in maze.grid[row][col]. Rows may differ in length (the rings of a
+ * circular maze), and topologies whose cells differ in shape provide
+ * getDirections(maze, cell) in place of a fixed directions list. Multi-level
+ * topologies stack their floors in the grid one after another, so row
+ * level * height + r is row r of that floor. Topologies with a crossingChance
+ * let passages weave over and under each other (see the weave topology), and
+ * topologies with shapes set can be masked to a silhouette by MazeShapes.
+ */
+const MazeTopologies = (function() {
+    const DEFAULT_TOPOLOGY = 'square';
+
+    // Registered topologies keyed by their URL-safe name
+    const _topologies = {};
+
+    /**
+     * Registers a topology under a URL-safe name
+     * @param {string} name - Identifier used in the URL hash and picker
+     * @param {Object} definition - Topology hooks (see the square topology below)
+     */
+    function register(name, definition) {
+        _topologies[name] = { name, ...definition };
+    }
+
+    /**
+     * Looks up a topology by name, falling back to the default when unknown
+     * @param {string} name - Topology identifier
+     * @returns {Object} Topology definition
+     */
+    function get(name) {
+        return _topologies[name] || _topologies[DEFAULT_TOPOLOGY];
+    }
+
+    /**
+     * Checks whether a topology name is registered
+     */
+    function has(name) {
+        return Object.prototype.hasOwnProperty.call(_topologies, name);
+    }
+
+    /**
+     * Returns all registered topologies in registration order
+     * @returns {Array} Array of { name, label } entries for building pickers
+     */
+    function list() {
+        return Object.values(_topologies).map(({ name, label }) => ({ name, label }));
+    }
+
+    // Every row of a rectangular layout holds the same number of cells
+    function rectangularRows(width, height) {
+        return new Array(height).fill(width);
+    }
+
+    /**
+     * Square grid - the original layout
+     * Four walls per cell, rows and columns aligned to a cellSize lattice
+     */
+    register('square', {
+        label: 'Square',
+        directions: ['north', 'east', 'south', 'west'],
+        shapes: true, // Can be carved inside a MazeShapes silhouette
+        wraps: true, // Edges can join the opposite side (see MazeApp.WRAP_MODES)
+
+        // Arrow keys map straight onto the four walls
+        keyBindings: {
+            ArrowUp: ['north'],
+            ArrowDown: ['south'],
+            ArrowLeft: ['west'],
+            ArrowRight: ['east']
+        },
+
+        /**
+         * Number of cells in each row (every floor's rows on multi-level topologies)
+         */
+        getRowLengths: rectangularRows,
+
+        /**
+         * Returns the grid position beyond a wall, which may be outside the maze
+         */
+        getNeighborPosition(maze, row, col, direction) {
+            switch (direction) {
+                case 'north': return { row: row - 1, col };
+                case 'east': return { row, col: col + 1 };
+                case 'south': return { row: row + 1, col };
+                case 'west': return { row, col: col - 1 };
+            }
+            return null;
+        },
+
+        /**
+         * Pixel size of a width × height maze
+         * Multi-level topologies also take the floor count and the floor on
+         * screen (null for all floors side by side)
+         */
+        getSize(width, height, cellSize, levels, visibleLevel) {
+            return { width: width * cellSize, height: height * cellSize };
+        },
+
+        getCellCenter(maze, cell) {
+            return {
+                x: cell.col * maze.cellSize + maze.cellSize / 2,
+                y: cell.row * maze.cellSize + maze.cellSize / 2
+            };
+        },
+
+        getWallCoordinates(maze, cell, direction) {
+            const x = cell.col * maze.cellSize;
+            const y = cell.row * maze.cellSize;
+            const size = maze.cellSize;
+
+            // Each wall is positioned differently relative to the cell
+            switch (direction) {
+                case 'north':
+                    return { x1: x, y1: y, x2: x + size, y2: y };
+                case 'east':
+                    return { x1: x + size, y1: y, x2: x + size, y2: y + size };
+                case 'south':
+                    return { x1: x, y1: y + size, x2: x + size, y2: y + size };
+                case 'west':
+                    return { x1: x, y1: y, x2: x, y2: y + size };
+            }
+        },
+
+        /**
+         * Returns the grid position under a pixel, which may be outside the maze
+         */
+        getPositionAt(maze, x, y) {
+            return {
+                row: Math.floor(y / maze.cellSize),
+                col: Math.floor(x / maze.cellSize)
+            };
+        },
+
+        /**
+         * Minimum number of moves between two cells ignoring walls (Manhattan
+         * distance, going round the back of a wrapping maze when that is shorter)
+         */
+        getDistance(maze, a, b) {
+            const rows = Math.abs(a.row - b.row);
+            const cols = Math.abs(a.col - b.col);
+            return (maze.wrapRows ? Math.min(rows, maze.height - rows) : rows) +
+                (maze.wrapColumns ? Math.min(cols, maze.width - cols) : cols);
+        },
+
+        /**
+         * Picks the cell and wall to open on one edge of the maze
+         * Avoids corners for better aesthetics
+         * @param {string} side - Maze edge (north/east/south/west)
+         * @param {string} role - 'entrance' or 'exit'
+         * @returns {Object} Position object with row, col, and the opened wall as
+         *   side (null when the opening is inside the maze and opens no wall)
+         */
+        getOpening(maze, side, role) {
+            switch (side) {
+                case 'north':
+                    return { row: 0, col: maze.randomInt(1, maze.width - 2), side };
+                case 'east':
+                    return { row: maze.randomInt(1, maze.height - 2), col: maze.width - 1, side };
+                case 'south':
+                    return { row: maze.height - 1, col: maze.randomInt(1, maze.width - 2), side };
+                case 'west':
+                    return { row: maze.randomInt(1, maze.height - 2), col: 0, side };
+            }
+        }
+    });
+
+    /**
+     * Hexagonal grid (sigma maze)
+     * Pointy-topped hexagons in rows, with odd rows shifted half a cell east.
+     * cellSize is the width of a hexagon; rows overlap by a quarter of their height.
+     */
+    const HEX_SIDE = 1 / Math.sqrt(3); // Hexagon side length per unit of cellSize
+
+    // Neighbor offsets for even and odd rows, since odd rows are shifted east
+    const HEX_OFFSETS = {
+        even: {
+            northeast: [-1, 0], east: [0, 1], southeast: [1, 0],
+            southwest: [1, -1], west: [0, -1], northwest: [-1, -1]
+        },
+        odd: {
+            northeast: [-1, 1], east: [0, 1], southeast: [1, 1],
+            southwest: [1, 0], west: [0, -1], northwest: [-1, 0]
+        }
+    };
+
+    // Corner indices (clockwise from the top point) bounding each wall
+    const HEX_WALL_CORNERS = {
+        northeast: [0, 1], east: [1, 2], southeast: [2, 3],
+        southwest: [3, 4], west: [4, 5], northwest: [5, 0]
+    };
+
+    register('hex', {
+        label: 'Hex',
+        directions: ['northeast', 'east', 'southeast', 'southwest', 'west', 'northwest'],
+        shapes: true,
+
+        // Walls that can open onto each side of a shaped maze
+        sideWalls: {
+            north: ['northeast', 'northwest'],
+            east: ['east'],
+            south: ['southwest', 'southeast'],
+            west: ['west']
+        },
+
+        // Six-direction scheme: QE/AD/ZC on the keyboard, 7 9 4 6 1 3 on the numpad.
+        // Up and down arrows try both diagonals and take whichever is open.
+        keyBindings: {
+            q: ['northwest'], e: ['northeast'],
+            a: ['west'], d: ['east'],
+            z: ['southwest'], c: ['southeast'],
+            Numpad7: ['northwest'], Numpad9: ['northeast'],
+            Numpad4: ['west'], Numpad6: ['east'],
+            Numpad1: ['southwest'], Numpad3: ['southeast'],
+            ArrowUp: ['northeast', 'northwest'],
+            ArrowDown: ['southeast', 'southwest'],
+            ArrowLeft: ['west'],
+            ArrowRight: ['east']
+        },
+
+        getRowLengths: rectangularRows,
+
+        getNeighborPosition(maze, row, col, direction) {
+            const offset = HEX_OFFSETS[row % 2 === 0 ? 'even' : 'odd'][direction];
+            return offset ? { row: row + offset[0], col: col + offset[1] } : null;
+        },
+
+        getSize(width, height, cellSize) {
+            const side = cellSize * HEX_SIDE;
+            return {
+                width: cellSize * (width + (height > 1 ? 0.5 : 0)),
+                height: side * (1.5 * height + 0.5)
+            };
+        },
+
+        getCellCenter(maze, cell) {
+            const side = maze.cellSize * HEX_SIDE;
+            return {
+                x: maze.cellSize * (cell.col + 0.5 + (cell.row % 2) * 0.5),
+                y: side + cell.row * side * 1.5
+            };
+        },
+
+        getWallCoordinates(maze, cell, direction) {
+            const center = this.getCellCenter(maze, cell);
+            const side = maze.cellSize * HEX_SIDE;
+            const halfWidth = maze.cellSize / 2;
+
+            // Corners clockwise from the top point
+            const corners = [
+                [center.x, center.y - side],
+                [center.x + halfWidth, center.y - side / 2],
+                [center.x + halfWidth, center.y + side / 2],
+                [center.x, center.y + side],
+                [center.x - halfWidth, center.y + side / 2],
+                [center.x - halfWidth, center.y - side / 2]
+            ];
+
+            const [from, to] = HEX_WALL_CORNERS[direction];
+            return { x1: corners[from][0], y1: corners[from][1], x2: corners[to][0], y2: corners[to][1] };
+        },
+
+        /**
+         * Finds the hexagon containing a pixel by taking the nearest cell center
+         * among the rows and columns around it
+         */
+        getPositionAt(maze, x, y) {
+            const side = maze.cellSize * HEX_SIDE;
+            const approxRow = Math.floor(y / (side * 1.5));
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let row = approxRow - 1; row <= approxRow + 1; row++) {
+                const approxCol = Math.floor(x / maze.cellSize - (row % 2 !== 0 ? 0.5 : 0));
+                for (let col = approxCol - 1; col <= approxCol + 1; col++) {
+                    const center = this.getCellCenter(maze, { row, col });
+                    const distance = Math.pow(center.x - x, 2) + Math.pow(center.y - y, 2);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { row, col };
+                    }
+                }
+            }
+
+            return best;
+        },
+
+        /**
+         * Minimum number of moves between two cells ignoring walls, measured in
+         * cube coordinates so diagonal steps count once
+         */
+        getDistance(maze, a, b) {
+            const toCube = ({ row, col }) => {
+                const q = col - (row - (row & 1)) / 2;
+                return { q, r: row, s: -q - row };
+            };
+            const ca = toCube(a);
+            const cb = toCube(b);
+            return Math.max(Math.abs(ca.q - cb.q), Math.abs(ca.r - cb.r), Math.abs(ca.s - cb.s));
+        },
+
+        /**
+         * The top and bottom edges are zig-zags, so openings there use the
+         * northeast and southwest walls of an edge-row cell
+         */
+        getOpening(maze, side) {
+            switch (side) {
+                case 'north':
+                    return { row: 0, col: maze.randomInt(1, maze.width - 2), side: 'northeast' };
+                case 'east':
+                    return { row: maze.randomInt(1, maze.height - 2), col: maze.width - 1, side: 'east' };
+                case 'south':
+                    return { row: maze.height - 1, col: maze.randomInt(1, maze.width - 2), side: 'southwest' };
+                case 'west':
+                    return { row: maze.randomInt(1, maze.height - 2), col: 0, side: 'west' };
+            }
+        }
+    });
+
+    /**
+     * Circular grid (theta maze)
+     * Concentric rings of cellSize thickness around a single centre cell. A ring
+     * splits each cell of the ring inside it in two once its cells would grow
+     * wider than they are deep, so row lengths run 1, 6, 12, 24, 24, ...
+     * Rows are rings counted from the centre and columns run clockwise from east.
+     */
+    const TWO_PI = Math.PI * 2;
+    const THETA_MIN_RINGS = 2; // Centre cell plus one ring, so entrance and goal differ
+    const THETA_MAX_SPLIT = 6; // Cells beyond the centre, the most any cell borders outward
+
+    // Ring count for a width × height footprint: the largest circle that fits
+    function thetaRingCount(width, height) {
+        return Math.max(THETA_MIN_RINGS, Math.floor(Math.min(width, height) / 2));
+    }
+
+    // Number of cells in the next ring out per cell of this ring (1 on the rim)
+    function thetaSplit(maze, row) {
+        const next = maze.grid[row + 1];
+        return next ? next.length / maze.grid[row].length : 1;
+    }
+
+    // Outward wall names: 'outward' for a single neighbour, otherwise
+    // 'outward-1' ... 'outward-n' clockwise
+    function thetaOutwardDirections(split) {
+        if (split === 1) return ['outward'];
+        return Array.from({ length: split }, (_, i) => `outward-${i + 1}`);
+    }
+
+    // Index of an outward wall along the cell's outer edge, or -1 for other walls
+    function thetaOutwardIndex(direction) {
+        if (direction === 'outward') return 0;
+        if (direction.startsWith('outward-')) return Number(direction.slice('outward-'.length)) - 1;
+        return -1;
+    }
+
+    register('theta', {
+        label: 'Circular',
+
+        // Up and down move between rings, left and right go around them
+        keyBindings: {
+            ArrowUp: ['inward'],
+            ArrowDown: thetaOutwardDirections(1).concat(thetaOutwardDirections(THETA_MAX_SPLIT)),
+            ArrowLeft: ['counterclockwise'],
+            ArrowRight: ['clockwise']
+        },
+
+        getRowLengths(width, height) {
+            const lengths = [1];
+            for (let ring = 1; ring < thetaRingCount(width, height); ring++) {
+                // Split when the inner circumference (in cells) is well over one cell per parent
+                const previous = lengths[ring - 1];
+                const split = Math.max(1, Math.round(TWO_PI * ring / previous));
+                lengths.push(previous * split);
+            }
+            return lengths;
+        },
+
+        /**
+         * Wall directions depend on the ring: the centre has no inward or
+         * sideways walls, and cells below a split border two cells outward
+         */
+        getDirections(maze, cell) {
+            const directions = [];
+            if (cell.row > 0) {
+                directions.push('inward', 'clockwise');
+            }
+            directions.push(...thetaOutwardDirections(thetaSplit(maze, cell.row)));
+            if (cell.row > 0) {
+                directions.push('counterclockwise');
+            }
+            return directions;
+        },
+
+        getNeighborPosition(maze, row, col, direction) {
+            const count = maze.grid[row].length;
+
+            switch (direction) {
+                case 'clockwise':
+                    return row > 0 ? { row, col: (col + 1) % count } : null;
+                case 'counterclockwise':
+                    return row > 0 ? { row, col: (col - 1 + count) % count } : null;
+                case 'inward':
+                    return row > 0 ? { row: row - 1, col: Math.floor(col / thetaSplit(maze, row - 1)) } : null;
+            }
+
+            const split = thetaSplit(maze, row);
+            const index = thetaOutwardIndex(direction);
+            if (index < 0 || !thetaOutwardDirections(split).includes(direction)) return null;
+            return { row: row + 1, col: col * split + index };
+        },
+
+        /**
+         * Wall names are not symmetric around a split, so the inward wall maps
+         * back to whichever outward wall of the inner cell it shares
+         */
+        getOppositeDirection(maze, cell, direction) {
+            switch (direction) {
+                case 'clockwise': return 'counterclockwise';
+                case 'counterclockwise': return 'clockwise';
+                case 'inward': {
+                    const split = thetaSplit(maze, cell.row - 1);
+                    return thetaOutwardDirections(split)[cell.col % split];
+                }
+            }
+            return 'inward';
+        },
+
+        getSize(width, height, cellSize) {
+            const diameter = 2 * thetaRingCount(width, height) * cellSize;
+            return { width: diameter, height: diameter };
+        },
+
+        getCellCenter(maze, cell) {
+            const center = maze.grid.length * maze.cellSize;
+            if (cell.row === 0) {
+                return { x: center, y: center };
+            }
+
+            const angle = (cell.col + 0.5) * TWO_PI / maze.grid[cell.row].length;
+            const radius = (cell.row + 0.5) * maze.cellSize;
+            return {
+                x: center + radius * Math.cos(angle),
+                y: center + radius * Math.sin(angle)
+            };
+        },
+
+        /**
+         * Inward and outward walls are arcs, returned with an arc description
+         * alongside their end points; sideways walls are radial lines
+         */
+        getWallCoordinates(maze, cell, direction) {
+            const center = maze.grid.length * maze.cellSize;
+            const step = TWO_PI / maze.grid[cell.row].length;
+            const start = cell.col * step;
+            const inner = cell.row * maze.cellSize;
+            const outer = inner + maze.cellSize;
+
+            const radial = (angle) => ({
+                x1: center + inner * Math.cos(angle),
+                y1: center + inner * Math.sin(angle),
+                x2: center + outer * Math.cos(angle),
+                y2: center + outer * Math.sin(angle)
+            });
+            const arc = (radius, from, to) => ({
+                x1: center + radius * Math.cos(from),
+                y1: center + radius * Math.sin(from),
+                x2: center + radius * Math.cos(to),
+                y2: center + radius * Math.sin(to),
+                arc: { cx: center, cy: center, radius, start: from, end: to }
+            });
+
+            switch (direction) {
+                case 'inward': return arc(inner, start, start + step);
+                case 'clockwise': return radial(start + step);
+                case 'counterclockwise': return radial(start);
+            }
+
+            // Outward walls split the outer edge evenly between the cells beyond it
+            const width = step / thetaSplit(maze, cell.row);
+            const from = start + thetaOutwardIndex(direction) * width;
+            return arc(outer, from, from + width);
+        },
+
+        getPositionAt(maze, x, y) {
+            const center = maze.grid.length * maze.cellSize;
+            const dx = x - center;
+            const dy = y - center;
+            const row = Math.floor(Math.sqrt(dx * dx + dy * dy) / maze.cellSize);
+            if (row >= maze.grid.length) return null;
+
+            const count = maze.grid[row].length;
+            const angle = (Math.atan2(dy, dx) + TWO_PI) % TWO_PI;
+            return { row, col: Math.floor(angle / TWO_PI * count) % count };
+        },
+
+        /**
+         * Lower bound on moves: ring changes plus the steps around the inner of
+         * the two rings, or straight through the centre when that is shorter
+         */
+        getDistance(maze, a, b) {
+            const ringSteps = Math.abs(a.row - b.row);
+            const inner = Math.min(a.row, b.row);
+            if (inner === 0) return ringSteps;
+
+            const turn = (cell) => (cell.col + 0.5) / maze.grid[cell.row].length;
+            const apart = Math.abs(turn(a) - turn(b));
+            const aroundSteps = Math.floor(Math.min(apart, 1 - apart) * maze.grid[inner].length);
+            return Math.min(ringSteps + aroundSteps, a.row + b.row);
+        },
+
+        /**
+         * The entrance is a rim cell within a quarter turn of the side's compass
+         * point, and the exit is the centre cell, which needs no opening
+         */
+        getOpening(maze, side, role) {
+            if (role === 'exit') {
+                return { row: 0, col: 0, side: null };
+            }
+
+            const row = maze.grid.length - 1;
+            const count = maze.grid[row].length;
+            const quarter = count / 4;
+            const compass = { east: 0, south: 1, west: 2, north: 3 }[side] * quarter;
+            const first = Math.floor(compass - quarter / 2);
+            const col = (first + maze.randomInt(0, Math.ceil(quarter) - 1) + count) % count;
+            return { row, col, side: 'outward' };
+        }
+    });
+
+    /**
+     * Multi-level grid (3D maze)
+     * Square floors stacked in maze.grid, linked by staircases: an open up wall
+     * leads to the same position on the floor above. Floors are drawn side by
+     * side with a one-cell gap, or one at a time when maze.visibleLevel is set.
+     */
+    const square = _topologies.square;
+    const STAIRWELL_SPACING = 8; // Roughly one position in eight can hold stairs
+
+    // Whether stairs can link a floor position to the same position one floor up.
+    // Positions are scattered by hashing them with the seed; the middle of each
+    // floor always qualifies so that every floor can be reached.
+    function layeredStairwell(maze, level, localRow, col) {
+        if (localRow === Math.floor(maze.height / 2) && col === Math.floor(maze.width / 2)) {
+            return true;
+        }
+        let hash = (maze.seed | 0) ^ Math.imul(level + 1, 73856093) ^
+            Math.imul(localRow + 1, 19349663) ^ Math.imul(col + 1, 83492791);
+        hash = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b) >>> 0;
+        return hash % STAIRWELL_SPACING === 0;
+    }
+
+    // Floor a grid row belongs to, and its row within that floor
+    function layeredLevel(maze, row) {
+        return Math.floor(row / maze.height);
+    }
+
+    // Horizontal pixel offset of a floor, which is zero when it is drawn alone
+    function layeredOffset(maze, level) {
+        return maze.visibleLevel === null ? level * (maze.width + 1) * maze.cellSize : 0;
+    }
+
+    // Square-grid position of a cell within its own floor
+    function layeredLocal(maze, cell) {
+        return { row: cell.row % maze.height, col: cell.col };
+    }
+
+    register('layered', {
+        label: '3D Levels',
+        directions: ['north', 'east', 'south', 'west', 'up', 'down'],
+        stairDirections: ['up', 'down'],
+        levels: { min: 2, max: 5, default: 3 },
+
+        // Arrow keys move within a floor; Page Up/Down and < > take the stairs
+        keyBindings: {
+            ...square.keyBindings,
+            PageUp: ['up'],
+            PageDown: ['down'],
+            '<': ['up'],
+            '>': ['down']
+        },
+
+        getRowLengths(width, height, levels) {
+            return rectangularRows(width, height * levels);
+        },
+
+        getLevel(maze, row) {
+            return layeredLevel(maze, row);
+        },
+
+        getNeighborPosition(maze, row, col, direction) {
+            const localRow = row % maze.height;
+            const level = layeredLevel(maze, row);
+            switch (direction) {
+                case 'up':
+                    return layeredStairwell(maze, level, localRow, col) ? { row: row + maze.height, col } : null;
+                case 'down':
+                    return layeredStairwell(maze, level - 1, localRow, col) ? { row: row - maze.height, col } : null;
+                // North and south stop at the floor's own edges
+                case 'north': return localRow > 0 ? { row: row - 1, col } : null;
+                case 'south': return localRow < maze.height - 1 ? { row: row + 1, col } : null;
+            }
+            return square.getNeighborPosition(maze, row, col, direction);
+        },
+
+        getSize(width, height, cellSize, levels = 1, visibleLevel = null) {
+            const floors = visibleLevel === null ? levels : 1;
+            return {
+                width: (floors * (width + 1) - 1) * cellSize,
+                height: height * cellSize
+            };
+        },
+
+        getCellCenter(maze, cell) {
+            const center = square.getCellCenter(maze, layeredLocal(maze, cell));
+            center.x += layeredOffset(maze, layeredLevel(maze, cell.row));
+            return center;
+        },
+
+        getWallCoordinates(maze, cell, direction) {
+            const coords = square.getWallCoordinates(maze, layeredLocal(maze, cell), direction);
+            const offset = layeredOffset(maze, layeredLevel(maze, cell.row));
+            coords.x1 += offset;
+            coords.x2 += offset;
+            return coords;
+        },
+
+        /**
+         * Finds the floor under the pixel first; the gaps between floors hold no cells
+         */
+        getPositionAt(maze, x, y) {
+            const floorWidth = (maze.width + 1) * maze.cellSize;
+            const level = maze.visibleLevel === null ? Math.floor(x / floorWidth) : maze.visibleLevel;
+            const local = square.getPositionAt(maze, x - layeredOffset(maze, level), y);
+
+            if (level < 0 || level >= maze.levels ||
+                local.row < 0 || local.row >= maze.height || local.col >= maze.width) {
+                return null;
+            }
+            return { row: level * maze.height + local.row, col: local.col };
+        },
+
+        /**
+         * Manhattan distance in three dimensions, one move per floor climbed
+         */
+        getDistance(maze, a, b) {
+            const levels = Math.abs(layeredLevel(maze, a.row) - layeredLevel(maze, b.row));
+            return levels + square.getDistance(maze, layeredLocal(maze, a), layeredLocal(maze, b));
+        },
+
+        /**
+         * The entrance is on the ground floor and the exit on the top floor
+         */
+        getOpening(maze, side, role) {
+            const opening = square.getOpening(maze, side, role);
+            if (role === 'exit') {
+                opening.row += (maze.levels - 1) * maze.height;
+            }
+            return opening;
+        }
+    });
+
+    /**
+     * Weave grid
+     * A square grid whose corridors can cross without connecting: at a crossing
+     * one passage runs straight over the cell and another straight under it.
+     * Crossing cells have every wall open and list the under passage's two
+     * directions in cell.under; Maze.addCrossings tunnels them after carving.
+     */
+    const WEAVE_GAP = 0.2; // Share of a cell left open where walls duck under a crossing
+
+    // Sides each wall ends on, as [start, end] of its square wall coordinates
+    const WEAVE_WALL_ENDS = {
+        north: ['west', 'east'],
+        east: ['north', 'south'],
+        south: ['west', 'east'],
+        west: ['north', 'south']
+    };
+
+    // Whether the cell beside a wall end is a crossing whose under passage runs along the wall
+    function weaveDucksUnder(maze, cell, side) {
+        const beside = cell && maze.getNeighborInDirection(cell.row, cell.col, side);
+        return !!(beside && beside.under && beside.under.includes(side));
+    }
+
+    register('weave', {
+        label: 'Weave',
+        directions: square.directions,
+        shapes: true,
+        crossingChance: 0.5, // Chance of tunnelling under each eligible straight corridor cell
+        keyBindings: square.keyBindings,
+        getRowLengths: rectangularRows,
+        getNeighborPosition: square.getNeighborPosition,
+        getSize: square.getSize,
+        getCellCenter: square.getCellCenter,
+
+        /**
+         * Square walls, except that walls along a passage stop short of the
+         * crossings it runs under, leaving gaps beside the crossing's railings
+         */
+        getWallCoordinates(maze, cell, direction) {
+            const coords = square.getWallCoordinates(maze, cell, direction);
+            const across = maze.getNeighborInDirection(cell.row, cell.col, direction);
+            const [startSide, endSide] = WEAVE_WALL_ENDS[direction];
+            const gap = maze.cellSize * WEAVE_GAP;
+            const axis = startSide === 'west' ? 'x' : 'y';
+
+            if (weaveDucksUnder(maze, cell, startSide) || weaveDucksUnder(maze, across, startSide)) {
+                coords[`${axis}1`] += gap;
+            }
+            if (weaveDucksUnder(maze, cell, endSide) || weaveDucksUnder(maze, across, endSide)) {
+                coords[`${axis}2`] -= gap;
+            }
+            return coords;
+        },
+
+        getPositionAt: square.getPositionAt,
+        getDistance: square.getDistance,
+        getOpening: square.getOpening
+    });
+
+    // Public API
+    return {
+        DEFAULT_TOPOLOGY,
+        register,
+        get,
+        has,
+        list
+    };
+})();
+
+// Register with MazeApp namespace and export to global scope for other modules
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.MazeTopologies = MazeTopologies;
+}
+window.MazeTopologies = MazeTopologies;
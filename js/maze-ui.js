@@ -18,6 +18,10 @@ const MazeUI = (function() {
     let _mazeRenderer = null;        // Renderer for current maze
     let _pathManager = null;         // Handles user path solving attempts
     let _hardModeManager = null;     // Manages hard mode visibility/state
+    let _heatmapManager = null;      // Shades cells by how much they add to difficulty
+    let _annotationManager = null;   // Pencil marks drawn over the maze, apart from the path
+    let _solverVisualizer = null;    // Animated search algorithms solving the maze
+    let _generationPlayer = null;    // Step-through playback of the maze being carved
     let _uiManager = null;           // Centralized UI manager
     let _eventManager = null;        // Centralized event manager
     
@@ -35,6 +39,16 @@ const MazeUI = (function() {
     let _pinchDistance = 0;          // Initial distance between fingers
     let _pinchIndicatorTimeout = null; // For auto-hiding pinch indicators
     
+    // Generation state
+    let _mazeWorker = null;          // Generates mazes off the main thread (MazeWorkerClient)
+    let _progressTimeout = null;     // For showing the progress indicator only on slow runs
+    let _progressLabel = '';         // What the progress indicator says is being generated
+    const PROGRESS_DELAY = 300;      // Milliseconds a run takes before its progress is shown
+    const SHEET_CANCELLED = 'Full sheet cancelled'; // Error message that stops a full sheet quietly
+    
+    // Pareto front picker plot, in pixels
+    const PARETO_PLOT = { width: 240, height: 160, margin: 20, pointRadius: 5 };
+    
     /**
      * Creates a debounced version of a function that delays execution until
      * after a specified wait time has elapsed since the last call.
@@ -78,6 +92,27 @@ const MazeUI = (function() {
         return false;
     }
     
+    /**
+     * Returns the value of a parameter stored after the hash fragment
+     * (e.g., #123?algo=kruskal) or in the standard query parameters.
+     * The hash takes precedence since that is where the app writes state.
+     *
+     * @param {string} param - Parameter name to look up
+     * @return {string|null} Parameter value, or null if not present
+     */
+    function getUrlParamValue(param) {
+        const hashParts = window.location.hash.split('?');
+        if (hashParts.length > 1) {
+            const hashParams = new URLSearchParams('?' + hashParts[1]);
+            if (hashParams.has(param)) {
+                return hashParams.get(param);
+            }
+        }
+        
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.has(param) ? urlParams.get(param) : null;
+    }
+    
     /**
      * Returns appropriate padding value based on screen size.
      * Smaller screens get less padding to maximize maze area.
@@ -517,12 +552,30 @@ const MazeUI = (function() {
          * Updates the URL hash with the current maze seed while preserving
          * any query parameters that may follow the hash.
          * 
+         * The difficulty scoring version is written too, so the link keeps
+         * rebuilding the same optimized maze after the scoring changes.
+         * 
          * @param {number} seed - The maze seed value to store in URL
+         * @param {Object} paramUpdates - Optional hash parameters to set; a null value removes the parameter
          */
-        updateUrlHash(seed) {
-            // Preserve any query parameters after the hash
+        updateUrlHash(seed, paramUpdates = {}) {
+            // Preserve any query parameters after the hash (including bare flags like ?debug)
             const hashParts = window.location.hash.split('?');
-            const newHash = seed + (hashParts.length > 1 ? '?' + hashParts[1] : '');
+            let params = hashParts.length > 1 ? hashParts[1].split('&').filter(Boolean) : [];
+            
+            if (!('scoring' in paramUpdates) && getUrlParamValue('scoring') === null) {
+                paramUpdates = { ...paramUpdates, scoring: this.getScoringFromHash() };
+            }
+            
+            // Replace or remove the updated parameters
+            Object.entries(paramUpdates).forEach(([name, value]) => {
+                params = params.filter(part => part.split('=')[0] !== name);
+                if (value !== null && value !== undefined) {
+                    params.push(`${name}=${encodeURIComponent(value)}`);
+                }
+            });
+            
+            const newHash = seed + (params.length > 0 ? '?' + params.join('&') : '');
             window.location.hash = newHash;
         },
         
@@ -538,6 +591,381 @@ const MazeUI = (function() {
             return seedPart ? parseInt(seedPart, 10) : null;
         },
         
+        /**
+         * Reads the difficulty scoring version from the URL hash (e.g., #123?scoring=1).
+         * A link with a seed but no version predates it and gets version 1;
+         * without a seed, new mazes use the current version.
+         * 
+         * @returns {number} A scoring version (see MazeApp.SCORING_VERSION)
+         */
+        getScoringFromHash() {
+            const scoring = parseInt(getUrlParamValue('scoring'), 10);
+            if (scoring >= 1 && scoring <= MazeApp.SCORING_VERSION) {
+                return scoring;
+            }
+            return this.getSeedFromHash() ? 1 : MazeApp.SCORING_VERSION;
+        },
+        
+        /**
+         * Reads the generation algorithm from the URL hash (e.g., #123?algo=wilson).
+         * Unknown or missing names resolve to the default algorithm.
+         * 
+         * @returns {string} A registered algorithm name
+         */
+        getAlgorithmFromHash() {
+            const algorithm = getUrlParamValue('algo');
+            if (typeof MazeAlgorithms === 'undefined') {
+                return 'backtracker';
+            }
+            return algorithm && MazeAlgorithms.has(algorithm) ? algorithm : MazeAlgorithms.DEFAULT_ALGORITHM;
+        },
+        
+        /**
+         * Returns the algorithm currently chosen in the control panel picker.
+         * 
+         * @returns {string} A registered algorithm name
+         */
+        getSelectedAlgorithm() {
+            const algorithmSelect = _uiManager ? _uiManager.getElement('algorithm') : document.getElementById('algorithm');
+            return (algorithmSelect && algorithmSelect.value) || this.getAlgorithmFromHash();
+        },
+        
+        /**
+         * Reads the grid topology from the URL hash (e.g., #123?grid=hex).
+         * Unknown or missing names resolve to the square grid.
+         * 
+         * @returns {string} A registered topology name
+         */
+        getTopologyFromHash() {
+            const topology = getUrlParamValue('grid');
+            return topology && MazeTopologies.has(topology) ? topology : MazeTopologies.DEFAULT_TOPOLOGY;
+        },
+        
+        /**
+         * Returns the topology currently chosen in the control panel picker.
+         * 
+         * @returns {string} A registered topology name
+         */
+        getSelectedTopology() {
+            const topologySelect = _uiManager ? _uiManager.getElement('topology') : document.getElementById('topology');
+            return (topologySelect && topologySelect.value) || this.getTopologyFromHash();
+        },
+        
+        /**
+         * Reads the maze shape from the URL hash (e.g., #123?shape=heart).
+         * Unknown or missing names mean the maze fills its whole grid.
+         * 
+         * @returns {string} A registered shape name, or '' for no shape
+         */
+        getShapeFromHash() {
+            const shape = getUrlParamValue('shape');
+            return shape && typeof MazeShapes !== 'undefined' && MazeShapes.has(shape) ? shape : '';
+        },
+        
+        /**
+         * Returns the shape currently chosen in the control panel picker.
+         * 
+         * @returns {string} A registered shape name, or '' for no shape
+         */
+        getSelectedShape() {
+            const shapeSelect = document.getElementById('shape');
+            return shapeSelect ? shapeSelect.value : this.getShapeFromHash();
+        },
+        
+        /**
+         * Checks whether the selected shape will be carved on the given topology.
+         * 
+         * @param {string} topology - A registered topology name
+         * @returns {boolean} True if a shape is chosen and the topology supports shapes
+         */
+        isShapeSelected(topology) {
+            return this.getSelectedShape() !== '' && !!MazeTopologies.get(topology).shapes;
+        },
+        
+        /**
+         * Collects the maze variant options from the pickers.
+         * Algorithms that cannot carve the selected topology (or shape) fall back to the default.
+         * The floor count of multi-level grids comes from the URL (e.g., #123?grid=layered&levels=4),
+         * as does the text of letter and word shapes (e.g., #123?shape=word&text=Ada),
+         * which edges wrap round (e.g., #123?wrap=sides),
+         * the braid percentage (e.g., #123?braid=50), the opening layout (e.g., #123?layout=waypoints)
+         * the number of locked doors (e.g., #123?doors=2), how many one-way passages to open (e.g., #123?oneway=some)
+         * the number of portal pairs (e.g., #123?portals=2), how much terrain to lay (e.g., #123?terrain=lots)
+         * the difficulty band to aim for (e.g., #123?difficulty=hard or #123?difficulty=40-50)
+         * how the optimizer chooses (e.g., #123?objective=pareto&pick=7)
+         * and which version of the difficulty scoring it chooses by (e.g., #123?scoring=1).
+         * 
+         * @returns {Object} Options for the Maze constructor (algorithm, topology, levels, shape, shapeText, wrap, braid, layout, doors, oneWay, portals, terrain, difficulty, objective, pick, scoring)
+         */
+        getMazeOptions() {
+            const topology = this.getSelectedTopology();
+            const shaped = this.isShapeSelected(topology);
+            let algorithm = this.getSelectedAlgorithm();
+            if (typeof MazeAlgorithms !== 'undefined' && !MazeAlgorithms.supports(algorithm, topology, shaped)) {
+                algorithm = MazeAlgorithms.DEFAULT_ALGORITHM;
+            }
+            return {
+                algorithm,
+                topology,
+                levels: getUrlParamValue('levels'),
+                shape: this.getSelectedShape() || null,
+                shapeText: getUrlParamValue('text'),
+                wrap: getUrlParamValue('wrap'),
+                braid: getUrlParamValue('braid'),
+                layout: getUrlParamValue('layout'),
+                doors: getUrlParamValue('doors'),
+                oneWay: getUrlParamValue('oneway'),
+                portals: getUrlParamValue('portals'),
+                terrain: getUrlParamValue('terrain'),
+                difficulty: getUrlParamValue('difficulty'),
+                objective: getUrlParamValue('objective'),
+                pick: getUrlParamValue('pick'),
+                scoring: this.getScoringFromHash()
+            };
+        },
+        
+        /**
+         * Reads which edges wrap round from the URL hash (e.g., #123?wrap=all).
+         * 
+         * @returns {string} A name from MazeApp.WRAP_MODES, or '' for none
+         */
+        getWrapFromHash() {
+            const wrap = getUrlParamValue('wrap');
+            return wrap && Object.keys(MazeApp.WRAP_MODES).includes(wrap) ? wrap : '';
+        },
+        
+        /**
+         * Reads the one-way passage amount from the URL hash (e.g., #123?oneway=many).
+         * 
+         * @returns {string} A name from MazeApp.ONE_WAY_DENSITIES, or '' for none
+         */
+        getOneWayFromHash() {
+            const oneWay = getUrlParamValue('oneway');
+            return oneWay && Object.keys(MazeApp.ONE_WAY_DENSITIES).includes(oneWay) ? oneWay : '';
+        },
+        
+        /**
+         * Reads the number of portal pairs from the URL hash (e.g., #123?portals=2).
+         * 
+         * @returns {number} Portal pair count (0-3)
+         */
+        getPortalsFromHash() {
+            const portals = parseInt(getUrlParamValue('portals'), 10) || 0;
+            return Math.max(0, Math.min(MazeApp.PORTAL_COLORS.length, portals));
+        },
+        
+        /**
+         * Reads the terrain amount from the URL hash (e.g., #123?terrain=some).
+         * 
+         * @returns {string} A name from MazeApp.TERRAIN_DENSITIES, or '' for none
+         */
+        getTerrainFromHash() {
+            const terrain = getUrlParamValue('terrain');
+            return terrain && Object.keys(MazeApp.TERRAIN_DENSITIES).includes(terrain) ? terrain : '';
+        },
+        
+        /**
+         * Reads the difficulty preset from the URL hash (e.g., #123?difficulty=easy).
+         * 
+         * @returns {string} A name from MazeApp.DIFFICULTY_BANDS, or '' for none (or a custom band)
+         */
+        getDifficultyFromHash() {
+            const difficulty = getUrlParamValue('difficulty');
+            return difficulty && Object.keys(MazeApp.DIFFICULTY_BANDS).includes(difficulty) ? difficulty : '';
+        },
+        
+        /**
+         * Marks the preset button of the difficulty in the URL as active.
+         * A custom band (e.g., #123?difficulty=40-50) leaves the buttons as they are.
+         */
+        syncPresetButtons() {
+            const difficulty = this.getDifficultyFromHash();
+            if (!difficulty) return;
+            
+            document.querySelectorAll('.preset-btn').forEach(button => {
+                button.classList.toggle('active', button.getAttribute('data-preset') === difficulty);
+            });
+        },
+        
+        /**
+         * Reads the number of locked doors from the URL hash (e.g., #123?doors=2).
+         * 
+         * @returns {number} Door count (0-3)
+         */
+        getDoorsFromHash() {
+            const doors = parseInt(getUrlParamValue('doors'), 10) || 0;
+            return Math.max(0, Math.min(MazeApp.KEY_COLORS.length, doors));
+        },
+        
+        /**
+         * Reads the opening layout from the URL hash (e.g., #123?layout=decoys).
+         * Unknown or missing names resolve to the default layout.
+         * 
+         * @returns {string} A layout name from MazeApp.LAYOUTS
+         */
+        getLayoutFromHash() {
+            const layout = getUrlParamValue('layout');
+            return layout && Object.keys(MazeApp.LAYOUTS).includes(layout) ? layout : MazeApp.DEFAULT_LAYOUT;
+        },
+        
+        /**
+         * Moves the braid slider and its label to the percentage in the URL.
+         */
+        syncBraidControl() {
+            const braidInput = document.getElementById('braid');
+            const braidValue = document.getElementById('braidValue');
+            if (!braidInput) return;
+            
+            const braid = Math.max(0, Math.min(100, parseInt(getUrlParamValue('braid'), 10) || 0));
+            braidInput.value = braid;
+            if (braidValue) {
+                braidValue.textContent = `${braid}%`;
+            }
+        },
+        
+        /**
+         * Moves the wrap picker to the edges in the URL. Only grids that can
+         * wrap enable it, and a shaped maze has no straight edges to join.
+         */
+        syncWrapControl() {
+            const wrapSelect = document.getElementById('wrap');
+            if (!wrapSelect) return;
+            
+            wrapSelect.value = this.getWrapFromHash();
+            wrapSelect.disabled = !MazeTopologies.get(this.getSelectedTopology()).wraps || this.getSelectedShape() !== '';
+        },
+        
+        /**
+         * Updates the shape picker for the selected topology.
+         * Grids that cannot be shaped disable the picker, and the text box is
+         * only shown while a shape drawn from typed text is chosen.
+         */
+        syncShapeControls() {
+            const shapeSelect = document.getElementById('shape');
+            const shapeText = document.getElementById('shapeText');
+            if (!shapeSelect || typeof MazeShapes === 'undefined') return;
+            
+            shapeSelect.disabled = !MazeTopologies.get(this.getSelectedTopology()).shapes;
+            if (shapeText) {
+                const shape = MazeShapes.get(shapeSelect.value);
+                const textLength = shape && shape.textLength;
+                shapeText.style.display = textLength && !shapeSelect.disabled ? 'inline-block' : 'none';
+                if (textLength) {
+                    shapeText.maxLength = textLength;
+                    shapeText.size = textLength;
+                }
+                shapeText.value = getUrlParamValue('text') || '';
+            }
+        },
+        
+        /**
+         * Generates the maze once the selected shape can be drawn.
+         * Word shapes wait for their font to load; other shapes generate at once.
+         */
+        generateWhenShapeReady() {
+            if (typeof MazeShapes === 'undefined') {
+                this.generateMaze();
+                return;
+            }
+            MazeShapes.load(this.getSelectedShape(), getUrlParamValue('text')).then(() => this.generateMaze());
+        },
+        
+        /**
+         * Rebuilds the floor view picker for the current maze.
+         * The picker is only shown for multi-level mazes.
+         */
+        syncLevelView() {
+            const levelSelect = document.getElementById('levelView');
+            const levelPicker = document.querySelector('.level-view-picker');
+            if (!levelSelect || !levelPicker || !_maze) return;
+            
+            levelPicker.style.display = _maze.levels > 1 ? 'flex' : 'none';
+            
+            levelSelect.innerHTML = '';
+            const addOption = (value, text) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                levelSelect.appendChild(option);
+            };
+            addOption('all', 'All');
+            for (let level = 0; level < _maze.levels; level++) {
+                addOption(String(level), `Floor ${level + 1}`);
+            }
+            levelSelect.value = _maze.visibleLevel === null ? 'all' : String(_maze.visibleLevel);
+        },
+        
+        /**
+         * Shows a single floor of a multi-level maze, or all floors side by side.
+         * Redraws the maze, the user's path, the pencil marks and the heatmap and hard mode overlays for the new view.
+         * 
+         * @param {number|null} level - Floor to show, or null for all floors
+         */
+        showLevel(level) {
+            if (!_maze) return;
+            
+            _maze.visibleLevel = level;
+            
+            // Rendering clears the SVG, so the path group has to be put back
+            const svgElement = document.getElementById('maze');
+            _mazeRenderer.render(_maze);
+            if (_maze.pathGroup) {
+                svgElement.appendChild(_maze.pathGroup);
+            }
+            if (_pathManager) {
+                _pathManager.renderPath();
+            }
+            createResizeHandle(svgElement);
+            
+            if (_heatmapManager) {
+                _heatmapManager.updateOverlay();
+            }
+            
+            if (_annotationManager) {
+                _annotationManager.redraw();
+            }
+            
+            if (_solverVisualizer) {
+                _solverVisualizer.redraw();
+            }
+            
+            if (_generationPlayer) {
+                _generationPlayer.redraw();
+            }
+            
+            if (_hardModeManager && _hardModeManager.isEnabled()) {
+                _hardModeManager.updateOverlay();
+            }
+            
+            const levelSelect = document.getElementById('levelView');
+            if (levelSelect) {
+                levelSelect.value = level === null ? 'all' : String(level);
+            }
+        },
+        
+        /**
+         * Disables algorithms the selected topology and shape cannot use and moves
+         * the picker back to the default if its current choice became unavailable.
+         * 
+         * @param {HTMLSelectElement} algorithmSelect - The algorithm picker
+         * @returns {boolean} True if the selected algorithm had to be reset
+         */
+        syncAlgorithmOptions(algorithmSelect) {
+            if (!algorithmSelect || typeof MazeAlgorithms === 'undefined') return false;
+            
+            const topology = this.getSelectedTopology();
+            const shaped = this.isShapeSelected(topology);
+            Array.from(algorithmSelect.options).forEach(option => {
+                option.disabled = !MazeAlgorithms.supports(option.value, topology, shaped);
+            });
+            
+            if (!MazeAlgorithms.supports(algorithmSelect.value, topology, shaped)) {
+                algorithmSelect.value = MazeAlgorithms.DEFAULT_ALGORITHM;
+                return true;
+            }
+            return false;
+        },
+        
         /**
          * Generates a random seed value for maze generation.
          * 
@@ -565,13 +993,15 @@ const MazeUI = (function() {
          * 
          * Process:
          * 1. Extracts and validates maze parameters from form inputs
-         * 2. Determines whether to use standard or optimized generation algorithm
-         * 3. Creates the maze instance and renders it
-         * 4. Resets any existing path tracking/UI state
-         * 5. Updates related displays (dimensions, difficulty)
-         * 6. Sets up resize handle and hard mode if enabled
+         * 2. Determines whether to use standard or optimized generation, using the selected grid and algorithm
+         * 3. Generates the maze in the maze worker, showing its progress on slow runs
+         * 4. Displays the maze once it arrives (see displayMaze)
          * 
          * Form inputs are automatically sanitized and corrected if invalid.
+         * The current maze stays on screen until the new one is ready. Starting
+         * another maze or pressing Cancel drops this one.
+         * 
+         * @returns {Promise} Settles once the maze is displayed, dropped or has failed
          */
         generateMaze() {
             // Use UIManager if available, otherwise fallback to direct DOM access
@@ -582,7 +1012,7 @@ const MazeUI = (function() {
             
             if (!widthInput || !heightInput || !cellSizeInput || !seedInput) {
                 console.error('Required DOM elements not found');
-                return;
+                return Promise.resolve();
             }
             
             const width = parseInt(widthInput.value, 10);
@@ -594,22 +1024,53 @@ const MazeUI = (function() {
             const validHeight = this.isValidInput(height, 5, 200) ? height : 20;
             const validCellSize = this.isValidInput(cellSize, 5, 50) ? cellSize : 20;
             const validSeed = !isNaN(seed) ? seed : this.generateRandomSeed();
+            const mazeOptions = this.getMazeOptions();
             
             widthInput.value = validWidth;
             heightInput.value = validHeight;
             cellSizeInput.value = validCellSize;
             seedInput.value = validSeed;
             
-            // Check if URL has debug parameter to generate standard maze
-            if (getUrlParam('standard')) {
-                // Generate a standard maze without optimizations
-                _maze = new MazeApp.Maze(validWidth, validHeight, validCellSize, validSeed);
-                _maze.generate();
-            } else {
-                // Use the optimized maze generator
-                _maze = MazeApp.generateOptimizedMaze(validWidth, validHeight, validCellSize, validSeed, 50);
-            }
+            const request = {
+                width: validWidth,
+                height: validHeight,
+                cellSize: validCellSize,
+                seed: validSeed,
+                attempts: 50,
+                mazeOptions,
+                standard: getUrlParam('standard') // Debug parameter to generate a standard maze without optimizations
+            };
             
+            this.showGenerationProgress();
+            return _mazeWorker.generate(request, progress => this.updateGenerationProgress(progress)).then(maze => {
+                // A dropped run leaves the progress indicator to whatever replaced it
+                if (!maze) return;
+                
+                this.hideGenerationProgress();
+                this.displayMaze(maze);
+            }).catch(error => {
+                console.error('Maze generation failed:', error);
+                this.hideGenerationProgress();
+            });
+        },
+        
+        /**
+         * Shows a newly generated maze in place of the current one.
+         * 
+         * Process:
+         * 1. Renders the maze
+         * 2. Resets any existing path tracking/UI state
+         * 3. Updates related displays (dimensions, difficulty)
+         * 4. Sets up resize handle and hard mode if enabled
+         * 
+         * @param {Maze} maze - The generated maze
+         */
+        displayMaze(maze) {
+            const validWidth = maze.width;
+            const validHeight = maze.height;
+            const validCellSize = maze.cellSize;
+            
+            _maze = maze;
             _mazeRenderer.render(_maze);
             
             // Clean up any existing path manager to prevent conflicts
@@ -622,6 +1083,8 @@ const MazeUI = (function() {
             // Initialize path manager for the new maze with managers
             const svgElement = _uiManager ? _uiManager.getElement('maze') : document.getElementById('maze');
             _pathManager = new PathManager(_maze, svgElement, rough.svg(svgElement), _uiManager, _eventManager);
+            _pathManager.setLevelChangeHandler(level => this.showLevel(level));
+            this.syncLevelView();
             
             // Update hard mode manager with new maze and path manager
             if (_hardModeManager) {
@@ -654,22 +1117,165 @@ const MazeUI = (function() {
             }
             
             // Show/hide full sheet button based on whether multiple would fit
-            this.updateFullSheetButtonVisibility(validWidth, validHeight, validCellSize);
+            this.updateFullSheetButtonVisibility(validWidth, validHeight, validCellSize, _maze.topology, _maze.levels);
             
             // Create resize handle for better touch UX
             createResizeHandle(document.getElementById('maze'));
             
+            // Shade the new maze under the path if the heatmap is on
+            if (_heatmapManager) {
+                _heatmapManager.setMaze(_maze);
+            }
+            
+            // Keep the pencil marks if this is the maze they were drawn on, e.g. at a new cell size
+            if (_annotationManager) {
+                _annotationManager.setMaze(_maze);
+                _pathManager.setAnnotationManager(_annotationManager);
+            }
+            
+            // A new maze turns the solution animation off
+            if (_solverVisualizer) {
+                _solverVisualizer.setMaze(_maze);
+            }
+            
+            // A new maze ends the generation playback
+            if (_generationPlayer) {
+                _generationPlayer.setMaze(_maze);
+                _pathManager.setGenerationPlayer(_generationPlayer);
+            }
+            
             // Update the hard mode overlay if enabled
             if (_hardModeManager && _hardModeManager.isEnabled()) {
                 _hardModeManager.updateOverlay();
             }
             
+            // Show the Pareto front the maze was picked from, in debug mode
+            this.renderParetoPicker();
+            
             // Resize seed input after generation
             this.resizeInput();
         },
         
+        /**
+         * Draws the Pareto front the current maze was picked from as a scatter
+         * plot of two objectives, in debug mode only. Clicking a point picks
+         * that candidate: its attempt number goes into the URL (e.g.,
+         * #123?objective=pareto&pick=7), so the seed rebuilds the same maze.
+         */
+        renderParetoPicker() {
+            const picker = document.getElementById('pareto-picker');
+            const plot = document.getElementById('pareto-plot');
+            const xSelect = document.getElementById('paretoX');
+            const ySelect = document.getElementById('paretoY');
+            if (!picker || !plot || !xSelect || !ySelect) return;
+            
+            const front = _maze && _maze.paretoFront;
+            picker.classList.toggle('active', !!(front && getUrlParam('debug')));
+            while (plot.firstChild) {
+                plot.removeChild(plot.firstChild);
+            }
+            if (!front || !getUrlParam('debug')) return;
+            
+            const svgNS = 'http://www.w3.org/2000/svg';
+            const { width, height, margin, pointRadius } = PARETO_PLOT;
+            const scale = (name, from, to) => {
+                const values = front.map(point => point.objectives[name]);
+                const min = Math.min(...values);
+                const range = Math.max(...values) - min;
+                return value => range > 0 ? from + (value - min) / range * (to - from) : (from + to) / 2;
+            };
+            const toX = scale(xSelect.value, margin, width - margin);
+            const toY = scale(ySelect.value, height - margin, margin);
+            
+            // Axes along the bottom and left edges
+            [[margin, height - margin, width - margin, height - margin], [margin, margin, margin, height - margin]].forEach(([x1, y1, x2, y2]) => {
+                const axis = document.createElementNS(svgNS, 'line');
+                axis.setAttribute('x1', x1);
+                axis.setAttribute('y1', y1);
+                axis.setAttribute('x2', x2);
+                axis.setAttribute('y2', y2);
+                axis.setAttribute('stroke', '#999');
+                plot.appendChild(axis);
+            });
+            
+            const seedInput = document.getElementById('seed');
+            front.forEach(point => {
+                const chosen = point.candidate === _maze.paretoChoice;
+                const circle = document.createElementNS(svgNS, 'circle');
+                circle.setAttribute('cx', toX(point.objectives[xSelect.value]));
+                circle.setAttribute('cy', toY(point.objectives[ySelect.value]));
+                circle.setAttribute('r', pointRadius);
+                circle.setAttribute('fill', chosen ? '#4285F4' : '#999');
+                circle.setAttribute('stroke', chosen ? '#1A57C2' : 'none');
+                circle.style.cursor = 'pointer';
+                
+                // Hovering shows every objective of the candidate
+                const title = document.createElementNS(svgNS, 'title');
+                title.textContent = [`Candidate ${point.candidate}`, ...MazeApp.MazeOptimizer.PARETO_OBJECTIVES.map(({ name, label }) =>
+                    `${label}: ${Math.round(point.objectives[name] * 100) / 100}`)].join('\n');
+                circle.appendChild(title);
+                
+                circle.addEventListener('click', () => {
+                    if (chosen) return;
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { pick: point.candidate });
+                    this.generateMaze();
+                });
+                plot.appendChild(circle);
+            });
+        },
+        
+        /**
+         * Starts the progress indicator for a generation run. It only appears
+         * once the run has taken longer than PROGRESS_DELAY.
+         * 
+         * @param {string} label - What is being generated (e.g., "Maze 2 of 6")
+         */
+        showGenerationProgress(label = 'Generating maze') {
+            const indicator = document.getElementById('generation-progress');
+            const text = document.getElementById('generation-progress-text');
+            if (!indicator || !text) return;
+            
+            _progressLabel = label;
+            text.textContent = `${label}...`;
+            clearTimeout(_progressTimeout);
+            _progressTimeout = setTimeout(() => indicator.classList.add('active'), PROGRESS_DELAY);
+        },
+        
+        /**
+         * Shows how far the optimizer has got with the current run.
+         * 
+         * @param {Object} progress - { candidate, total, bestScore } reported by the optimizer
+         */
+        updateGenerationProgress({ candidate, total, bestScore }) {
+            const text = document.getElementById('generation-progress-text');
+            if (!text) return;
+            
+            const best = bestScore === null ? '' : ` · best score ${Math.round(bestScore)}`;
+            text.textContent = `${_progressLabel}: candidate ${candidate} of ${total}${best}`;
+        },
+        
+        /**
+         * Hides the progress indicator, or stops it from appearing.
+         */
+        hideGenerationProgress() {
+            clearTimeout(_progressTimeout);
+            const indicator = document.getElementById('generation-progress');
+            if (indicator) {
+                indicator.classList.remove('active');
+            }
+        },
+        
+        /**
+         * Stops the generation run in flight. The current maze stays on screen.
+         */
+        cancelGeneration() {
+            _mazeWorker.cancel();
+            this.hideGenerationProgress();
+        },
+        
         // Check if multiple mazes would fit on a page and show/hide button accordingly
-        updateFullSheetButtonVisibility(width, height, cellSize) {
+        updateFullSheetButtonVisibility(width, height, cellSize, topology = MazeTopologies.DEFAULT_TOPOLOGY, levels = 1) {
             const downloadFullSheetBtn = document.getElementById('downloadFullSheetBtn');
             if (!downloadFullSheetBtn) return;
             
@@ -688,8 +1294,9 @@ const MazeUI = (function() {
             
             // Calculate single maze dimensions with padding
             const padding = getPadding();
-            const singleMazeWidth = width * cellSize + (padding * 2);
-            const singleMazeHeight = height * cellSize + (padding * 2);
+            const mazeSize = MazeTopologies.get(topology).getSize(width, height, cellSize, levels, null);
+            const singleMazeWidth = mazeSize.width + (padding * 2);
+            const singleMazeHeight = mazeSize.height + (padding * 2);
             
             // Calculate total height including footer for spacing
             const totalMazeHeight = singleMazeHeight + FOOTER_HEIGHT + MAZE_SPACING;
@@ -721,11 +1328,16 @@ const MazeUI = (function() {
             document.body.removeChild(span);
         },
         
+        // Whether SVG and PNG downloads keep the pencil marks
+        areAnnotationsExported() {
+            return !_annotationManager || _annotationManager.isExported();
+        },
+        
         // Download maze as SVG file
         downloadMaze() {
             if (!_maze) return;
             
-            const svgData = _maze.getSvgData();
+            const svgData = _maze.getSvgData({ includeAnnotations: this.areAnnotationsExported() });
             
             const blob = new Blob([svgData], { type: 'image/svg+xml' });
             const url = URL.createObjectURL(blob);
@@ -743,7 +1355,7 @@ const MazeUI = (function() {
         downloadPng() {
             if (!_maze) return;
             
-            const svgData = _maze.getSvgData();
+            const svgData = _maze.getSvgData({ includeAnnotations: this.areAnnotationsExported() });
             
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
@@ -823,8 +1435,9 @@ const MazeUI = (function() {
                 
                 // Calculate single maze dimensions with padding
                 const padding = 10; // Same as getPadding()
-                const singleMazeWidth = mazeWidth * cellSize + (padding * 2);
-                const singleMazeHeight = mazeHeight * cellSize + (padding * 2);
+                const mazeSize = _maze.getPixelSize(null); // Sheets always show every floor
+                const singleMazeWidth = mazeSize.width + (padding * 2);
+                const singleMazeHeight = mazeSize.height + (padding * 2);
                 
                 // Scale factor to convert from screen pixels to PDF points (72 dpi)
                 const SCALE_FACTOR = 72 / 96; // Convert from screen (96dpi) to PDF (72dpi)
@@ -852,74 +1465,82 @@ const MazeUI = (function() {
                 let mazePromises = [];
                 let mazeData = [];
                 
+                // Pick a random seed for each place on the page
+                const positions = [];
                 for (let row = 0; row < mazesPerColumn; row++) {
                     for (let col = 0; col < mazesPerRow; col++) {
-                        // Generate a new maze with a random seed
-                        const seed = Math.floor(Math.random() * 1000000);
-                        
-                        // Check if URL has debug parameter to generate standard maze
-                        let maze;
-                        if (getUrlParam('standard')) {
-                            // Generate a standard maze without optimizations
-                            maze = new MazeApp.Maze(mazeWidth, mazeHeight, cellSize, seed);
-                            maze.generate();
-                        } else {
-                            // Use the optimized maze generator with fewer iterations for speed
-                            maze = MazeApp.generateOptimizedMaze(mazeWidth, mazeHeight, cellSize, seed, 3);
-                        }
-                        
-                        // Render the maze to SVG
-                        renderer.clear();
-                        renderer.setSize(singleMazeWidth, singleMazeHeight);
-                        renderer.render(maze);
-                        
-                        // Store maze data for positioning in PDF
-                        mazeData.push({
-                            svg: tempSvg.cloneNode(true),
-                            seed,
-                            row,
-                            col
-                        });
-                        
-                        // Convert SVG to image for PDF placement
-                        const svgData = new XMLSerializer().serializeToString(tempSvg);
-                        const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-                        const svgUrl = URL.createObjectURL(svgBlob);
-                        
-                        // Create promise for image loading
-                        const imgPromise = new Promise((resolve) => {
-                            const img = new Image();
-                            img.onload = function() {
-                                // Calculate position on the page with margins
-                                const xPos = PAGE_MARGIN + (col * totalMazeWidth / 72);
-                                const yPos = PAGE_MARGIN + (row * totalMazeHeight / 72);
-                                
-                                // Prepare the canvas for the image
-                                tempCanvas.width = singleMazeWidth;
-                                tempCanvas.height = singleMazeHeight;
-                                ctx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
-                                ctx.fillStyle = 'white';
-                                ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-                                ctx.drawImage(img, 0, 0);
-                                
-                                // Get image data and add to PDF
-                                const imgData = tempCanvas.toDataURL('image/png');
-                                pdf.addImage(imgData, 'PNG', xPos, yPos, 
-                                             singleMazeWidth * SCALE_FACTOR / 72, 
-                                             singleMazeHeight * SCALE_FACTOR / 72);
-                                
-                                URL.revokeObjectURL(svgUrl);
-                                resolve();
-                            };
-                            img.src = svgUrl;
-                        });
-                        
-                        mazePromises.push(imgPromise);
+                        positions.push({ row, col, seed: Math.floor(Math.random() * 1000000) });
                     }
                 }
                 
+                // Generate the mazes one after another in the maze worker, using the
+                // optimized maze generator with fewer iterations for speed (or a standard
+                // maze if the URL has the debug parameter). Cancelling stops the sheet.
+                const mazeOptions = _maze.getOptions();
+                const standard = getUrlParam('standard');
+                const sheetGenerated = positions.reduce((previous, { row, col, seed }, index) => previous.then(() => {
+                    this.showGenerationProgress(`Maze ${index + 1} of ${positions.length}`);
+                    const request = { width: mazeWidth, height: mazeHeight, cellSize, seed, attempts: 3, mazeOptions, standard };
+                    return _mazeWorker.generate(request, progress => this.updateGenerationProgress(progress));
+                }).then(maze => {
+                    if (!maze) {
+                        throw new Error(SHEET_CANCELLED);
+                    }
+                    
+                    // Render the maze to SVG
+                    renderer.clear();
+                    renderer.setSize(singleMazeWidth, singleMazeHeight);
+                    renderer.render(maze);
+                    
+                    // Store maze data for positioning in PDF
+                    mazeData.push({
+                        svg: tempSvg.cloneNode(true),
+                        seed,
+                        row,
+                        col
+                    });
+                    
+                    // Convert SVG to image for PDF placement
+                    const svgData = new XMLSerializer().serializeToString(tempSvg);
+                    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+                    const svgUrl = URL.createObjectURL(svgBlob);
+                    
+                    // Create promise for image loading
+                    const imgPromise = new Promise((resolve) => {
+                        const img = new Image();
+                        img.onload = function() {
+                            // Calculate position on the page with margins
+                            const xPos = PAGE_MARGIN + (col * totalMazeWidth / 72);
+                            const yPos = PAGE_MARGIN + (row * totalMazeHeight / 72);
+                            
+                            // Prepare the canvas for the image
+                            tempCanvas.width = singleMazeWidth;
+                            tempCanvas.height = singleMazeHeight;
+                            ctx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
+                            ctx.fillStyle = 'white';
+                            ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+                            ctx.drawImage(img, 0, 0);
+                            
+                            // Get image data and add to PDF
+                            const imgData = tempCanvas.toDataURL('image/png');
+                            pdf.addImage(imgData, 'PNG', xPos, yPos, 
+                                         singleMazeWidth * SCALE_FACTOR / 72, 
+                                         singleMazeHeight * SCALE_FACTOR / 72);
+                            
+                            URL.revokeObjectURL(svgUrl);
+                            resolve();
+                        };
+                        img.src = svgUrl;
+                    });
+                    
+                    mazePromises.push(imgPromise);
+                }), Promise.resolve());
+                
                 // Wait for all mazes to be processed then save the PDF
-                Promise.all(mazePromises).then(() => {
+                sheetGenerated.then(() => {
+                    this.hideGenerationProgress();
+                    return Promise.all(mazePromises);
+                }).then(() => {
                     // Save the PDF
                     pdf.save(`mywebmaze_sheet_${_maze.width}x${_maze.height}_${_maze.seed}.pdf`);
                     
@@ -928,7 +1549,10 @@ const MazeUI = (function() {
                         downloadBtn.innerHTML = originalText;
                     }
                 }).catch(err => {
-                    console.error('Error generating PDF:', err);
+                    if (err.message !== SHEET_CANCELLED) {
+                        console.error('Error generating PDF:', err);
+                        this.hideGenerationProgress();
+                    }
                     
                     // Restore button text on error
                     if (downloadBtn) {
@@ -952,6 +1576,9 @@ const MazeUI = (function() {
             const downloadFullSheetBtn = document.getElementById('downloadFullSheetBtn');
             const showMarkersToggle = document.getElementById('showMarkers');
             const hardModeToggle = document.getElementById('hardModeToggle');
+            const heatmapToggle = document.getElementById('heatmapToggle');
+            const algorithmSelect = document.getElementById('algorithm');
+            const topologySelect = document.getElementById('topology');
             
             if (!svgElement || !widthInput || !heightInput || !cellSizeInput || !seedInput || 
                 !generateBtn || !retryBtn || !downloadBtn || !downloadPngBtn || !downloadFullSheetBtn) {
@@ -992,6 +1619,351 @@ const MazeUI = (function() {
                 }
             }
             
+            // Setup difficulty heatmap toggle
+            if (heatmapToggle && _heatmapManager) {
+                heatmapToggle.checked = _heatmapManager.isEnabled();
+                heatmapToggle.closest('.heatmap-toggle')?.classList.toggle('active', _heatmapManager.isEnabled());
+                
+                heatmapToggle.addEventListener('change', () => _heatmapManager.toggle());
+            }
+            
+            // Populate the pencil tool and colour pickers from AnnotationManager
+            const annotationTool = document.getElementById('annotationTool');
+            const annotationColor = document.getElementById('annotationColor');
+            const exportAnnotationsToggle = document.getElementById('exportAnnotations');
+            if (annotationTool && annotationColor && _annotationManager) {
+                const AnnotationManager = MazeApp.AnnotationManager;
+                [[annotationTool, AnnotationManager.TOOLS], [annotationColor, AnnotationManager.COLORS]].forEach(([select, choices]) => {
+                    choices.forEach(({ value, label }) => {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = label;
+                        select.appendChild(option);
+                    });
+                });
+                
+                annotationTool.addEventListener('change', () => _annotationManager.setTool(annotationTool.value));
+                annotationColor.addEventListener('change', () => _annotationManager.setColor(annotationColor.value));
+            }
+            if (exportAnnotationsToggle && _annotationManager) {
+                exportAnnotationsToggle.checked = _annotationManager.isExported();
+                exportAnnotationsToggle.addEventListener('change', () => _annotationManager.setExported(exportAnnotationsToggle.checked));
+            }
+            
+            // Populate the solution animation picker from SolverVisualizer and wire its controls
+            const solverAlgorithm = document.getElementById('solverAlgorithm');
+            const solverPlayBtn = document.getElementById('solverPlayBtn');
+            const solverStepBtn = document.getElementById('solverStepBtn');
+            const solverSpeed = document.getElementById('solverSpeed');
+            if (solverAlgorithm && _solverVisualizer) {
+                MazeApp.SolverVisualizer.ALGORITHMS.forEach(({ value, label }) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    solverAlgorithm.appendChild(option);
+                });
+                
+                solverAlgorithm.addEventListener('change', () => _solverVisualizer.setAlgorithm(solverAlgorithm.value));
+                if (solverPlayBtn) {
+                    solverPlayBtn.addEventListener('click', () => _solverVisualizer.togglePlaying());
+                }
+                if (solverStepBtn) {
+                    solverStepBtn.addEventListener('click', () => _solverVisualizer.step());
+                }
+                if (solverSpeed) {
+                    solverSpeed.value = _solverVisualizer.playback.speed;
+                    solverSpeed.addEventListener('input', () => _solverVisualizer.setSpeed(solverSpeed.value));
+                }
+            }
+            
+            // Wire the generation playback controls
+            const generationPlayBtn = document.getElementById('generationPlayBtn');
+            const generationStepBtn = document.getElementById('generationStepBtn');
+            const generationScrub = document.getElementById('generationScrub');
+            const generationSpeed = document.getElementById('generationSpeed');
+            if (_generationPlayer) {
+                if (generationPlayBtn) {
+                    generationPlayBtn.addEventListener('click', () => _generationPlayer.togglePlaying());
+                }
+                if (generationStepBtn) {
+                    generationStepBtn.addEventListener('click', () => _generationPlayer.step());
+                }
+                if (generationScrub) {
+                    generationScrub.addEventListener('input', () => {
+                        _generationPlayer.pause();
+                        _generationPlayer.seek(generationScrub.value);
+                    });
+                }
+                if (generationSpeed) {
+                    generationSpeed.value = _generationPlayer.playback.speed;
+                    generationSpeed.addEventListener('input', () => _generationPlayer.setSpeed(generationSpeed.value));
+                }
+            }
+            
+            // Populate the grid picker from the registry and sync it with the URL
+            if (topologySelect) {
+                MazeTopologies.list().forEach(({ name, label }) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    topologySelect.appendChild(option);
+                });
+                topologySelect.value = this.getTopologyFromHash();
+                
+                topologySelect.addEventListener('change', () => {
+                    const topology = topologySelect.value;
+                    const paramUpdates = {
+                        grid: topology === MazeTopologies.DEFAULT_TOPOLOGY ? null : topology
+                    };
+                    
+                    // Drop the algorithm from the URL if the new grid cannot use it
+                    if (this.syncAlgorithmOptions(algorithmSelect)) {
+                        paramUpdates.algo = null;
+                    }
+                    
+                    // The floor count only means something on multi-level grids
+                    if (!MazeTopologies.get(topology).levels) {
+                        paramUpdates.levels = null;
+                    }
+                    
+                    this.syncShapeControls();
+                    this.syncWrapControl();
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, paramUpdates);
+                    this.generateMaze();
+                });
+            }
+            
+            // Populate the shape picker from the registry and sync it with the URL
+            const shapeSelect = document.getElementById('shape');
+            const shapeText = document.getElementById('shapeText');
+            const shapeUpload = document.getElementById('shapeUpload');
+            if (shapeSelect && typeof MazeShapes !== 'undefined') {
+                [{ name: '', label: 'None' }, ...MazeShapes.list()].forEach(({ name, label }) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    shapeSelect.appendChild(option);
+                });
+                shapeSelect.value = this.getShapeFromHash();
+                this.syncShapeControls();
+                
+                shapeSelect.addEventListener('change', () => {
+                    const shape = shapeSelect.value;
+                    const paramUpdates = { shape: shape || null };
+                    
+                    // Only shapes drawn from typed text carry it
+                    const textLength = shape && MazeShapes.get(shape).textLength;
+                    if (!textLength) {
+                        paramUpdates.text = null;
+                    }
+                    
+                    // Row-by-row algorithms cannot carve shaped mazes
+                    if (this.syncAlgorithmOptions(algorithmSelect)) {
+                        paramUpdates.algo = null;
+                    }
+                    
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, paramUpdates);
+                    this.syncShapeControls();
+                    this.syncWrapControl();
+                    
+                    if (shape === 'custom' && shapeUpload) {
+                        shapeUpload.click();
+                    }
+                    if (textLength && shapeText) {
+                        shapeText.focus();
+                    }
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Letters and words are rasterised as they are typed
+            if (shapeText) {
+                shapeText.addEventListener('input', () => {
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { text: shapeText.value.trim() || null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Uploaded images become the custom shape
+            if (shapeUpload && typeof MazeShapes !== 'undefined') {
+                shapeUpload.addEventListener('change', () => {
+                    const file = shapeUpload.files[0];
+                    if (!file) return;
+                    
+                    const image = new Image();
+                    const imageUrl = URL.createObjectURL(file);
+                    image.onload = () => {
+                        URL.revokeObjectURL(imageUrl);
+                        if (!MazeShapes.setCustomImage(image)) {
+                            console.warn('Custom shape image has no dark pixels to use as a shape');
+                        }
+                        this.generateMaze();
+                    };
+                    image.onerror = () => {
+                        URL.revokeObjectURL(imageUrl);
+                        console.error('Could not load custom shape image');
+                    };
+                    image.src = imageUrl;
+                    
+                    // Allow picking the same file again
+                    shapeUpload.value = '';
+                });
+            }
+            
+            // Populate the wrap picker and sync it with the URL
+            const wrapSelect = document.getElementById('wrap');
+            if (wrapSelect) {
+                Object.entries(MazeApp.WRAP_MODES).forEach(([name, { label }]) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    wrapSelect.appendChild(option);
+                });
+                this.syncWrapControl();
+                
+                wrapSelect.addEventListener('change', () => {
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { wrap: wrapSelect.value || null });
+                    this.generateMaze();
+                });
+            }
+            
+            // Braid slider: the label follows the drag, the maze is rebuilt on release
+            const braidInput = document.getElementById('braid');
+            const braidValue = document.getElementById('braidValue');
+            if (braidInput) {
+                this.syncBraidControl();
+                
+                braidInput.addEventListener('input', () => {
+                    if (braidValue) {
+                        braidValue.textContent = `${braidInput.value}%`;
+                    }
+                });
+                braidInput.addEventListener('change', () => {
+                    const braid = parseInt(braidInput.value, 10);
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { braid: braid > 0 ? braid : null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Populate the layout picker and sync it with the URL
+            const layoutSelect = document.getElementById('layout');
+            if (layoutSelect) {
+                Object.entries(MazeApp.LAYOUTS).forEach(([name, label]) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    layoutSelect.appendChild(option);
+                });
+                layoutSelect.value = this.getLayoutFromHash();
+                
+                layoutSelect.addEventListener('change', () => {
+                    const layout = layoutSelect.value;
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, {
+                        layout: layout === MazeApp.DEFAULT_LAYOUT ? null : layout
+                    });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Sync the doors picker with the URL
+            const doorsSelect = document.getElementById('doors');
+            if (doorsSelect) {
+                doorsSelect.value = this.getDoorsFromHash();
+                
+                doorsSelect.addEventListener('change', () => {
+                    const doors = parseInt(doorsSelect.value, 10);
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { doors: doors > 0 ? doors : null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Populate the one-way picker and sync it with the URL
+            const oneWaySelect = document.getElementById('oneWay');
+            if (oneWaySelect) {
+                Object.entries(MazeApp.ONE_WAY_DENSITIES).forEach(([name, { label }]) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    oneWaySelect.appendChild(option);
+                });
+                oneWaySelect.value = this.getOneWayFromHash();
+                
+                oneWaySelect.addEventListener('change', () => {
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { oneway: oneWaySelect.value || null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Sync the portals picker with the URL
+            const portalsSelect = document.getElementById('portals');
+            if (portalsSelect) {
+                portalsSelect.value = this.getPortalsFromHash();
+                
+                portalsSelect.addEventListener('change', () => {
+                    const portals = parseInt(portalsSelect.value, 10);
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { portals: portals > 0 ? portals : null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Populate the terrain picker and sync it with the URL
+            const terrainSelect = document.getElementById('terrain');
+            if (terrainSelect) {
+                Object.entries(MazeApp.TERRAIN_DENSITIES).forEach(([name, { label }]) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    terrainSelect.appendChild(option);
+                });
+                terrainSelect.value = this.getTerrainFromHash();
+                
+                terrainSelect.addEventListener('change', () => {
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { terrain: terrainSelect.value || null });
+                    this.generateWhenShapeReady();
+                });
+            }
+            
+            // Switch between one floor and all floors of a multi-level maze
+            const levelSelect = document.getElementById('levelView');
+            if (levelSelect) {
+                levelSelect.addEventListener('change', () => {
+                    this.showLevel(levelSelect.value === 'all' ? null : parseInt(levelSelect.value, 10));
+                });
+            }
+            
+            // Populate the algorithm picker from the registry and sync it with the URL
+            if (algorithmSelect && typeof MazeAlgorithms !== 'undefined') {
+                MazeAlgorithms.list().forEach(({ name, label }) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    algorithmSelect.appendChild(option);
+                });
+                algorithmSelect.value = this.getAlgorithmFromHash();
+                this.syncAlgorithmOptions(algorithmSelect);
+                
+                algorithmSelect.addEventListener('change', () => {
+                    const algorithm = algorithmSelect.value;
+                    
+                    // Keep the default out of the URL so existing links stay unchanged
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, {
+                        algo: algorithm === MazeAlgorithms.DEFAULT_ALGORITHM ? null : algorithm
+                    });
+                    this.generateMaze();
+                });
+            }
+            
             // Add input event listener for dynamic resizing
             seedInput.addEventListener('input', this.resizeInput);
             
@@ -1219,7 +2191,8 @@ const MazeUI = (function() {
                 // Set a flag to ignore the next hashchange event
                 this._ignoreNextHashChange = true;
                 
-                this.updateUrlHash(newSeed);
+                // New mazes use the current scoring, whatever the old link used
+                this.updateUrlHash(newSeed, { scoring: MazeApp.SCORING_VERSION });
                 this.generateMaze();
                 
                 // Add spin animation to icon
@@ -1240,7 +2213,8 @@ const MazeUI = (function() {
                 // Set a flag to ignore the next hashchange event
                 this._ignoreNextHashChange = true;
                 
-                this.updateUrlHash(newSeed);
+                // New mazes use the current scoring, whatever the old link used
+                this.updateUrlHash(newSeed, { scoring: MazeApp.SCORING_VERSION });
                 this.generateMaze();
                 
                 // Add spin animation to icon
@@ -1253,7 +2227,33 @@ const MazeUI = (function() {
                 }
             });
             
-            // Preset buttons
+            // Axis pickers of the Pareto front plot, filled from the optimizer's objectives
+            const paretoXSelect = document.getElementById('paretoX');
+            const paretoYSelect = document.getElementById('paretoY');
+            if (paretoXSelect && paretoYSelect && MazeApp.MazeOptimizer) {
+                MazeApp.MazeOptimizer.PARETO_OBJECTIVES.forEach(({ name, label }) => {
+                    [paretoXSelect, paretoYSelect].forEach(select => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = label;
+                        select.appendChild(option);
+                    });
+                });
+                paretoXSelect.value = 'solutionLength';
+                paretoYSelect.value = 'difficulty';
+                
+                [paretoXSelect, paretoYSelect].forEach(select => {
+                    select.addEventListener('change', () => this.renderParetoPicker());
+                });
+            }
+            
+            // Cancel button of the generation progress indicator
+            const cancelGenerationBtn = document.getElementById('cancelGenerationBtn');
+            if (cancelGenerationBtn) {
+                cancelGenerationBtn.addEventListener('click', () => this.cancelGeneration());
+            }
+            
+            // Preset buttons pick a cell size and the difficulty band to aim for
             const presetButtons = document.querySelectorAll('.preset-btn');
             presetButtons.forEach(button => {
                 button.addEventListener('click', () => {
@@ -1276,7 +2276,9 @@ const MazeUI = (function() {
                     _proposedHeight = height;
                     _proposedCellSize = cellSize;
                     
-                    // Generate new maze with preset dimensions
+                    // Generate new maze with preset dimensions and difficulty
+                    this._ignoreNextHashChange = true;
+                    this.updateUrlHash(seedInput.value, { difficulty: preset });
                     this.generateMaze();
                 });
             });
@@ -1322,10 +2324,41 @@ const MazeUI = (function() {
                     return;
                 }
                 
+                // Follow grid, shape, wrap, braid, layout, door, one-way, portal, terrain, difficulty and algorithm changes made by editing or navigating the URL
+                if (topologySelect) {
+                    topologySelect.value = this.getTopologyFromHash();
+                }
+                if (shapeSelect) {
+                    shapeSelect.value = this.getShapeFromHash();
+                    this.syncShapeControls();
+                }
+                this.syncWrapControl();
+                this.syncBraidControl();
+                if (layoutSelect) {
+                    layoutSelect.value = this.getLayoutFromHash();
+                }
+                if (doorsSelect) {
+                    doorsSelect.value = this.getDoorsFromHash();
+                }
+                if (oneWaySelect) {
+                    oneWaySelect.value = this.getOneWayFromHash();
+                }
+                if (portalsSelect) {
+                    portalsSelect.value = this.getPortalsFromHash();
+                }
+                if (terrainSelect) {
+                    terrainSelect.value = this.getTerrainFromHash();
+                }
+                this.syncPresetButtons();
+                if (algorithmSelect) {
+                    algorithmSelect.value = this.getAlgorithmFromHash();
+                    this.syncAlgorithmOptions(algorithmSelect);
+                }
+                
                 const newSeed = this.getSeedFromHash();
                 if (newSeed !== null) {
                     seedInput.value = newSeed;
-                    this.generateMaze();
+                    this.generateWhenShapeReady();
                 }
             });
         }
@@ -1461,6 +2494,21 @@ const MazeUI = (function() {
             // Initialize hard mode manager
             _hardModeManager = new HardModeManager(svgElement, _uiManager);
             
+            // Initialize the difficulty heatmap
+            _heatmapManager = new MazeApp.HeatmapManager(svgElement, _uiManager);
+            
+            // Initialize the pencil annotations
+            _annotationManager = new MazeApp.AnnotationManager(svgElement, _uiManager);
+            
+            // Initialize the solution animation
+            _solverVisualizer = new MazeApp.SolverVisualizer(svgElement, _uiManager);
+            
+            // Initialize the generation playback
+            _generationPlayer = new MazeApp.GenerationPlayer(svgElement, _uiManager);
+            
+            // Start generating mazes off the main thread
+            _mazeWorker = new MazeApp.MazeWorkerClient();
+            
             // Set up all event listeners with managers
             MazeController.setupEventListeners(_uiManager, _eventManager);
             
@@ -1477,8 +2525,9 @@ const MazeUI = (function() {
             const heightInput = _uiManager ? _uiManager.getElement('height') : document.getElementById('height');
             const cellSizeInput = _uiManager ? _uiManager.getElement('cellSize') : document.getElementById('cellSize');
             
-            // Calculate optimal dimensions for the current viewport size
-            const { width, height, cellSize } = calculateOptimalDimensions('medium');
+            // Calculate optimal dimensions for the current viewport size and difficulty preset
+            const { width, height, cellSize } = calculateOptimalDimensions(MazeController.getDifficultyFromHash() || 'medium');
+            MazeController.syncPresetButtons();
 
             if (widthInput && heightInput && cellSizeInput) {
                 // Update input values with optimal dimensions
@@ -1493,7 +2542,12 @@ const MazeUI = (function() {
             }
             
             // Generate initial maze with optimal dimensions
-            MazeController.generateMaze();
+            MazeController.generateMaze().then(() => {
+                // A word shape in the URL may still be waiting for its font, so redraw once it loads
+                if (_maze && _maze.shape && !_maze.shaped && MazeTopologies.get(_maze.topology).shapes) {
+                    MazeController.generateWhenShapeReady();
+                }
+            });
             
             _initialized = true;
         });
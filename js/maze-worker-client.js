@@ -0,0 +1,162 @@
+/**
+ * Maze Worker Client
+ *
+ * Hands maze generation to the maze worker (js/maze-worker.js) so the page
+ * stays responsive, and rebuilds the maze it sends back with Maze.fromData.
+ *
+ * One run is in flight at a time: starting another one, or calling cancel(),
+ * terminates the worker and the superseded run resolves with null. Where the
+ * worker cannot be used - no Worker support, a page opened from file://, or a
+ * shape that can only be drawn on the page - the maze is built on the page.
+ * A run that fails there rejects, so the caller can take its progress down.
+ */
+
+class MazeWorkerClient {
+    constructor(scriptUrl = 'js/maze-worker.js') {
+        this.scriptUrl = scriptUrl;
+        this.worker = null;        // Started on first use and again after each cancel
+        this.nextId = 0;           // Numbers the runs so replies to cancelled ones are ignored
+        this.pending = null;       // { id, request, onProgress, resolve, reject } of the run in flight
+        this.unavailable = false;  // Set once the worker fails to start, so later runs stay on the page
+    }
+
+    /**
+     * Checks whether a request can be generated in the worker
+     *
+     * @param {Object} request - Generation request (see MazeApp.buildMaze)
+     * @returns {boolean} False if workers are unavailable or the shape needs the page
+     */
+    canUseWorker(request) {
+        if (this.unavailable || typeof Worker === 'undefined') return false;
+
+        const shapeName = request.mazeOptions && request.mazeOptions.shape;
+        const shape = shapeName && typeof MazeShapes !== 'undefined' ? MazeShapes.get(shapeName) : null;
+        return !(shape && shape.needsDocument);
+    }
+
+    /**
+     * Generates a maze, cancelling any run still in flight
+     *
+     * @param {Object} request - { width, height, cellSize, seed, attempts, mazeOptions, standard } (see MazeApp.buildMaze)
+     * @param {Function} onProgress - Called with { candidate, total, bestScore } as the optimizer works
+     * @returns {Promise<Maze|null>} The maze, or null if the run was cancelled;
+     *   rejects if the maze cannot be built
+     */
+    generate(request, onProgress = null) {
+        this.cancel();
+
+        const worker = this.canUseWorker(request) ? this._getWorker() : null;
+        if (!worker) {
+            return this._buildOnPage(request, onProgress);
+        }
+
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, request, onProgress, resolve, reject };
+            worker.postMessage({ id, request });
+        });
+    }
+
+    /**
+     * Checks whether a run is in flight
+     * @returns {boolean} True until the current run finishes or is cancelled
+     */
+    isBusy() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Stops the run in flight, if any. The worker is terminated, since it
+     * cannot be interrupted mid-run, and a fresh one is started by the next run.
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(null);
+    }
+
+    /**
+     * Returns the worker, starting it if needed
+     * @returns {Worker|null} The worker, or null if it cannot be started
+     */
+    _getWorker() {
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            // Browsers refuse workers on pages opened from file://
+            console.warn('Maze worker unavailable, generating on the page:', error.message);
+            this.unavailable = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', event => this._handleMessage(event.data));
+        this.worker.addEventListener('error', event => this._handleError(event));
+        return this.worker;
+    }
+
+    /**
+     * Passes progress on and settles the run once the maze arrives
+     * @param {Object} message - Message posted by the worker
+     */
+    _handleMessage(message) {
+        if (!this.pending || message.id !== this.pending.id) return;
+
+        const { request, onProgress, resolve, reject } = this.pending;
+        if (message.type === 'progress') {
+            if (onProgress) {
+                onProgress({ candidate: message.candidate, total: message.total, bestScore: message.bestScore });
+            }
+            return;
+        }
+
+        this.pending = null;
+        if (message.type === 'done') {
+            resolve(MazeApp.Maze.fromData(message.maze));
+        } else {
+            console.warn('Maze worker failed, generating on the page:', message.message);
+            this._buildOnPage(request, onProgress).then(resolve, reject);
+        }
+    }
+
+    /**
+     * Falls back to the page for good when the worker script cannot run
+     * (e.g. its modules failed to load), finishing the run in flight there
+     * @param {ErrorEvent} event - Error raised by the worker
+     */
+    _handleError(event) {
+        console.warn('Maze worker error, generating on the page:', event.message);
+        this.unavailable = true;
+        this.worker.terminate();
+        this.worker = null;
+
+        if (!this.pending) return;
+
+        const { request, onProgress, resolve, reject } = this.pending;
+        this.pending = null;
+        this._buildOnPage(request, onProgress).then(resolve, reject);
+    }
+
+    /**
+     * Builds the maze on the page, turning an error thrown while building into a rejection
+     * @param {Object} request - Generation request (see MazeApp.buildMaze)
+     * @param {Function} onProgress - Called as the optimizer works
+     * @returns {Promise<Maze>} The maze
+     */
+    _buildOnPage(request, onProgress) {
+        return new Promise(resolve => resolve(MazeApp.buildMaze(request, onProgress)));
+    }
+}
+
+// Register with MazeApp namespace if available, otherwise expose globally
+if (typeof MazeApp !== 'undefined') {
+    MazeApp.MazeWorkerClient = MazeWorkerClient;
+} else {
+    window.MazeWorkerClient = MazeWorkerClient;
+}
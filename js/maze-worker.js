@@ -0,0 +1,39 @@
+/**
+ * Maze Worker
+ *
+ * Generates, optimizes and scores mazes away from the page, so large grids and
+ * full sheets do not freeze the tab. The page talks to it via MazeWorkerClient.
+ *
+ * Messages in:  { id, request } where request is what MazeApp.buildMaze takes
+ * Messages out: { id, type: 'progress', candidate, total, bestScore } after each
+ *               optimizer candidate, then { id, type: 'done', maze } with the
+ *               maze as plain data (see Maze.toData), or { id, type: 'error', message }
+ *
+ * A run is cancelled by terminating the worker.
+ */
+
+// The maze modules register themselves on window
+self.window = self;
+
+importScripts(
+    'maze-core.js',
+    'maze-topologies.js',
+    'maze-shapes.js',
+    'maze-algorithms.js',
+    'maze-difficulty-scorer.js',
+    'maze-enhanced.js',
+    'maze-optimizer.js'
+);
+
+self.addEventListener('message', event => {
+    const { id, request } = event.data;
+
+    try {
+        const maze = MazeApp.buildMaze(request, progress => {
+            self.postMessage({ id, type: 'progress', ...progress });
+        });
+        self.postMessage({ id, type: 'done', maze: maze.toData() });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
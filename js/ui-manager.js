@@ -143,6 +143,7 @@ class UIManager {
         const statusElement = this.getElement('maze-status');
         const completionTimeElement = this.getElement('maze-completion-time');
         const pathLengthElement = this.getElement('maze-path-length');
+        const hintsElement = this.getElement('maze-hints');
         
         if (activityTracker) {
             activityTracker.classList.remove('completed');
@@ -164,6 +165,10 @@ class UIManager {
             pathLengthElement.textContent = '--';
         }
         
+        if (hintsElement) {
+            hintsElement.textContent = '--';
+        }
+        
         // Reset state
         this.state.activity = {
             active: false,
@@ -1,5 +1,5 @@
 // Service Worker for My Web Maze - Offline Support
-const CACHE_NAME = 'maze-gen-v1.1.7';
+const CACHE_NAME = 'maze-gen-v1.1.16';
 
 // Resources to cache immediately
 const STATIC_ASSETS = [
@@ -9,6 +9,16 @@ const STATIC_ASSETS = [
   '/js/maze-core.js',
   '/js/maze-ui.js',
   '/js/maze-difficulty-scorer.js',
+  '/js/maze-algorithms.js',
+  '/js/maze-topologies.js',
+  '/js/maze-shapes.js',
+  '/js/maze-worker-client.js',
+  '/js/maze-worker.js',
+  '/js/maze-heatmap.js',
+  '/js/maze-annotations.js',
+  '/js/maze-step-playback.js',
+  '/js/maze-solver-visualizer.js',
+  '/js/maze-generation-player.js',
   '/lib/rough.js',
   '/lib/jspdf.umd.min.js',
   '/assets/favicon.ico',